@@ -0,0 +1,138 @@
+/**
+ * Account Module - Account deletion (GDPR)
+ *
+ * POST /api/account-delete { confirm: 'DELETE', password }
+ *
+ * Personal data is removed or anonymized as described in lib/accountData.js;
+ * bookings are kept without personal fields for accounting. Accounts with
+ * upcoming pending/confirmed bookings must cancel them first (409).
+ * The account is deactivated first; if removing the rest fails, a
+ * purge-account-data background job retries it. All sessions are revoked.
+ */
+
+import bcrypt from 'bcryptjs';
+import { Resend } from 'resend';
+import { supabase } from '../database/db.js';
+import { requireAuth } from '../lib/auth.js';
+import { revokeAllSessions } from '../lib/authTokens.js';
+import { findBlockingBookings, anonymizeUser, purgeAccountData } from '../lib/accountData.js';
+import { enqueueJob } from '../lib/jobs.js';
+import { JOBS } from '../services/jobs/index.js';
+import { consumeRateLimit, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('account-delete');
+
+const CONFIRM_PHRASE = 'DELETE';
+const MAX_PASSWORD_ATTEMPTS = 5;
+const WINDOW_SECONDS = 15 * 60; // 15 minutes
+
+async function sendDeletionNotice(email) {
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  await resend.emails.send({
+    from: process.env.FROM_EMAIL || 'enjoy@flip-trip.com',
+    to: email,
+    subject: 'Your FlipTrip account was deleted',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; padding: 24px;">
+        <h2 style="margin: 0 0 12px;">Your account was deleted</h2>
+        <p style="margin: 0 0 16px; color: #444;">As requested, we deleted your FlipTrip account and your personal data. Booking records required for accounting are kept without your personal details.</p>
+        <p style="margin: 0; color: #666;">If you didn't request this, please contact us right away.</p>
+      </div>
+    `
+  });
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const { confirm, password } = req.body || {};
+    if (confirm !== CONFIRM_PHRASE) {
+      return res.status(400).json({
+        success: false,
+        message: `Please confirm account deletion by sending confirm: "${CONFIRM_PHRASE}"`
+      });
+    }
+
+    const { data: account, error: accountError } = await supabase
+      .from('users')
+      .select('id, email, password_hash')
+      .eq('id', user.id)
+      .single();
+
+    if (accountError) throw accountError;
+
+    // Accounts created by checkout have no password; their session is the only proof
+    if (account.password_hash) {
+      const limit = await consumeRateLimit(`account-delete:${user.id}`, {
+        limit: MAX_PASSWORD_ATTEMPTS,
+        windowSeconds: WINDOW_SECONDS
+      });
+      if (!limit.allowed) {
+        return sendTooManyRequests(res, limit.retryAfter);
+      }
+
+      if (!password || !(await bcrypt.compare(password, account.password_hash))) {
+        return res.status(401).json({ success: false, message: 'Incorrect password' });
+      }
+    }
+
+    const blockingBookings = await findBlockingBookings(user.id);
+    if (blockingBookings.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'ActiveBookings',
+        message: 'Please cancel or complete your upcoming bookings before deleting your account',
+        bookings: blockingBookings.map((b) => ({ id: b.id, tourId: b.tour_id, tourDate: b.tour_date, status: b.status }))
+      });
+    }
+
+    // From here on the account is gone for the user: whatever fails below is finished
+    // by the purge job or an admin, never by a second request
+    await anonymizeUser(user.id);
+    await revokeAllSessions(user.id);
+
+    let summary;
+    try {
+      summary = await purgeAccountData(user.id);
+    } catch (purgeError) {
+      log.error('Account data purge failed, queueing a retry', { userId: user.id, error: purgeError });
+      try {
+        await enqueueJob(JOBS['purge-account-data'], { params: { userId: user.id } });
+      } catch (enqueueError) {
+        // Admins can start it with POST /api/admin-jobs { type: 'purge-account-data', params: { userId } }
+        log.error('Could not queue the account data purge', { userId: user.id, error: enqueueError });
+      }
+      summary = { pending: true };
+    }
+
+    log.info('Account deleted', { userId: user.id, ...summary });
+
+    try {
+      await sendDeletionNotice(account.email);
+    } catch (emailError) {
+      log.warn('Account deletion email failed (non-critical)', { error: emailError });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted',
+      summary
+    });
+  } catch (error) {
+    log.error('Account deletion error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
@@ -0,0 +1,58 @@
+/**
+ * Account Module - Personal data export (GDPR)
+ *
+ * GET /api/account-export - downloads everything stored about the current user
+ * as a JSON file (profile, bookings, messages, notifications, tours,
+ * itineraries and a list of uploaded files with their URLs).
+ */
+
+import { requireAuth } from '../lib/auth.js';
+import { collectAccountData } from '../lib/accountData.js';
+import { consumeRateLimit, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('account-export');
+
+const EXPORT_LIMIT = 5;
+const EXPORT_WINDOW_SECONDS = 60 * 60; // 1 hour
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET'], exposeHeaders: ['Content-Disposition'] })) return;
+  if (req.method !== 'GET') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const limit = await consumeRateLimit(`account-export:${user.id}`, {
+      limit: EXPORT_LIMIT,
+      windowSeconds: EXPORT_WINDOW_SECONDS
+    });
+    if (!limit.allowed) {
+      return sendTooManyRequests(res, limit.retryAfter, 'Too many export requests. Please try again later.');
+    }
+
+    const data = await collectAccountData(user.id);
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    log.info('Account export', { userId: user.id });
+
+    const fileName = `fliptrip-account-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    log.error('Account export error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export account data',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
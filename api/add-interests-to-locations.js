@@ -10,6 +10,7 @@
  */
 
 import { supabase } from '../database/db.js';
+import { applyCors } from '../lib/cors.js';
 
 // Mapping from location.category to interest category names
 const LOCATION_CATEGORY_TO_INTEREST_CATEGORY = {
@@ -79,15 +80,7 @@ async function getInterestsByCategoryName(categoryName, supabaseClient) {
 }
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -9,34 +9,10 @@
 
 import { getCities } from '../database/services/citiesService.js';
 import { supabase } from '../database/db.js';
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+  if (applyCors(req, res, { methods: ['GET'], policy: CORS_POLICY.PUBLIC })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
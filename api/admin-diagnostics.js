@@ -0,0 +1,49 @@
+/**
+ * Admin Diagnostics
+ * GET /api/admin-diagnostics                       - full report
+ * GET /api/admin-diagnostics?sections=config,schema - only some sections
+ *
+ * Sections: config (which integrations are configured), schema (drift against the
+ * columns the code expects), orphans (dangling foreign keys), counts (rows per table),
+ * cache (hits and misses of the LLM / Google Places response cache).
+ * See lib/diagnostics.js. Replaces check-admins, check-cities, check-guides-schema,
+ * check-tours and analyze-locations.
+ */
+
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { DIAGNOSTIC_SECTIONS, runDiagnostics } from '../lib/diagnostics.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('admin-diagnostics');
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET'] })) return;
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+  if (!admin) return;
+  if (req.method !== 'GET') return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+  const requested = String(req.query?.sections || '')
+    .split(',')
+    .map((section) => section.trim())
+    .filter(Boolean);
+  const unknown = requested.filter((section) => !DIAGNOSTIC_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown sections: ${unknown.join(', ')}`,
+      message: `Available sections: ${DIAGNOSTIC_SECTIONS.join(', ')}`
+    });
+  }
+
+  try {
+    const report = await runDiagnostics(requested.length > 0 ? requested : DIAGNOSTIC_SECTIONS);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, ...report });
+  } catch (error) {
+    log.error('Diagnostics error', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default withRequestContext(handler);
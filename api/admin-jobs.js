@@ -0,0 +1,74 @@
+/**
+ * Background jobs for admins
+ *
+ * GET  /api/admin-jobs                      - recent jobs (?status=&type=&limit=)
+ * GET  /api/admin-jobs?id=<id>              - one job with progress
+ * POST /api/admin-jobs { type, params }     - start a job (types: GET response `types`)
+ * POST /api/admin-jobs?id=<id>&action=cancel|retry|run
+ *   cancel - stop after the current chunk; retry - resume a failed/cancelled job
+ *   from its cursor; run - work on it now instead of waiting for the worker
+ */
+
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { JobError, cancelJob, formatJob, getJob, listJobs, retryJob, runJob } from '../lib/jobs.js';
+import { JOBS, startJob } from '../services/jobs/index.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('admin-jobs');
+
+const ACTIONS = {
+  cancel: (id) => cancelJob(id),
+  retry: (id) => retryJob(id),
+  run: async (id) => (await runJob(id, JOBS)) || getJob(id)
+};
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+  if (!admin) return;
+
+  const { id, action } = req.query || {};
+
+  try {
+    if (req.method === 'GET') {
+      if (id) {
+        const job = await getJob(id);
+        if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+        return res.status(200).json({ success: true, job: formatJob(job) });
+      }
+
+      const { status, type, limit } = req.query || {};
+      const jobs = await listJobs({ status, type, limit });
+      return res.status(200).json({
+        success: true,
+        jobs: jobs.map(formatJob),
+        types: Object.values(JOBS).map(({ type: jobType, description }) => ({ type: jobType, description }))
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (!id) {
+        const { type, params } = req.body || {};
+        return startJob(res, type, params, admin);
+      }
+
+      if (!ACTIONS[action]) {
+        return res.status(400).json({ success: false, error: `Unknown action. Use one of: ${Object.keys(ACTIONS).join(', ')}` });
+      }
+      const job = await ACTIONS[action](id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      return res.status(200).json({ success: true, job: formatJob(job) });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    log.error('admin-jobs error', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default withRequestContext(handler);
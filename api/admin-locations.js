@@ -1,28 +1,18 @@
 // Admin Locations API - Returns locations for admin dashboard
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { locationHoursBodySchema } from '../lib/openingHours.js';
+import { sendValidationError, validateBody } from '../lib/validation.js';
 
 export default async function handler(req, res) {
-  // CORS headers - allow all origins for now
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  // Reading locations is open (used by the tour editor); changes are admin-only
+  let admin = null;
+  if (req.method !== 'GET') {
+    admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+    if (!admin) return;
   }
 
   if (req.method === 'GET') {
@@ -275,6 +265,7 @@ export default async function handler(req, res) {
         phone: location.phone || null,
         booking_url: location.booking_url || null,
         price_level: location.price_level !== null && location.price_level !== undefined ? location.price_level : 2,
+        opening_hours: location.opening_hours || null,
         source: location.source || 'admin',
         google_place_id: location.google_place_id || null,
         interests: location.interests?.map(li => li.interest?.name).filter(Boolean) || [],
@@ -321,6 +312,7 @@ export default async function handler(req, res) {
         phone,
         booking_url,
         price_level,
+        opening_hours,
         source,
         google_place_id
       } = req.body;
@@ -332,43 +324,11 @@ export default async function handler(req, res) {
         });
       }
 
-      // Get user ID from token for created_by and updated_by
-      let userId = null;
-      try {
-        const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-          const token = authHeader.substring(7);
-          // Decode base64 token (same as auth-me.js)
-          try {
-            // Token format: base64 encoded JSON with userId
-            const decoded = Buffer.from(token, 'base64').toString('utf-8');
-            const payload = JSON.parse(decoded);
-            userId = payload.userId || payload.id;
-            
-            // Validate UUID format
-            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-            if (userId && !uuidRegex.test(userId)) {
-              console.warn('⚠️ Invalid UUID format from token:', userId);
-              userId = null;
-            }
-          } catch (e) {
-            console.log('Could not decode token, trying Supabase auth:', e.message);
-            // Try Supabase auth as fallback
-            try {
-              const { data: { user }, error } = await supabase.auth.getUser(token);
-              if (!error && user) {
-                userId = user.id;
-              }
-            } catch (supabaseError) {
-              console.log('Supabase auth also failed:', supabaseError.message);
-            }
-          }
-        }
-      } catch (e) {
-        console.log('Could not extract user ID from token:', e.message);
-      }
-      
-      console.log('👤 Extracted userId:', userId);
+      const errors = validateBody(locationHoursBodySchema, req.body);
+      if (errors) return sendValidationError(res, errors);
+
+      // Authenticated admin is recorded as created_by and updated_by
+      const userId = admin.id;
 
       // Insert location (without tags - they go to separate table)
       const { data: location, error: locationError } = await supabase
@@ -384,6 +344,7 @@ export default async function handler(req, res) {
           phone: phone || null,
           booking_url: booking_url || null,
           price_level: price_level !== undefined ? parseInt(price_level) : 2,
+          opening_hours: opening_hours || null,
           source: source || 'admin',
           google_place_id: google_place_id || null,
           verified: true,
@@ -471,6 +432,7 @@ export default async function handler(req, res) {
         phone,
         booking_url,
         price_level,
+        opening_hours,
         source,
         google_place_id,
         verified
@@ -486,43 +448,11 @@ export default async function handler(req, res) {
         });
       }
 
-      // Get user ID from token for updated_by
-      let userId = null;
-      try {
-        const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-          const token = authHeader.substring(7);
-          // Decode base64 token (same as auth-me.js)
-          try {
-            // Token format: base64 encoded JSON with userId
-            const decoded = Buffer.from(token, 'base64').toString('utf-8');
-            const payload = JSON.parse(decoded);
-            userId = payload.userId || payload.id;
-            
-            // Validate UUID format
-            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-            if (userId && !uuidRegex.test(userId)) {
-              console.warn('⚠️ Invalid UUID format from token:', userId);
-              userId = null;
-            }
-          } catch (e) {
-            console.log('Could not decode token, trying Supabase auth:', e.message);
-            // Try Supabase auth as fallback
-            try {
-              const { data: { user }, error } = await supabase.auth.getUser(token);
-              if (!error && user) {
-                userId = user.id;
-              }
-            } catch (supabaseError) {
-              console.log('Supabase auth also failed:', supabaseError.message);
-            }
-          }
-        }
-      } catch (e) {
-        console.log('Could not extract user ID from token:', e.message);
-      }
-      
-      console.log('👤 Extracted userId for update:', userId);
+      const errors = validateBody(locationHoursBodySchema, req.body);
+      if (errors) return sendValidationError(res, errors);
+
+      // Authenticated admin is recorded as updated_by
+      const userId = admin.id;
 
       // Build update object (only include provided fields)
       const updateData = {};
@@ -536,6 +466,7 @@ export default async function handler(req, res) {
       if (phone !== undefined) updateData.phone = phone;
       if (booking_url !== undefined) updateData.booking_url = booking_url;
       if (price_level !== undefined) updateData.price_level = parseInt(price_level);
+      if (opening_hours !== undefined) updateData.opening_hours = opening_hours;
       if (source !== undefined) updateData.source = source;
       if (google_place_id !== undefined) updateData.google_place_id = google_place_id;
       if (verified !== undefined) updateData.verified = verified;
@@ -6,37 +6,11 @@
  */
 
 import { supabase } from '../database/db.js';
-
-// Extract user ID from token (same as auth-me.js)
-function getUserIdFromToken(token) {
-  if (!token) return null;
-  
-  try {
-    // Remove 'Bearer ' prefix if present
-    const cleanToken = token.startsWith('Bearer ') ? token.slice(7) : token;
-    
-    // Decode token (simple base64 for now)
-    const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-    return payload.userId || payload.id || null;
-  } catch (error) {
-    console.error('Token decode error:', error);
-    return null;
-  }
-}
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers - ВСЕГДА устанавливаем первыми
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // OPTIONS запрос - обрабатываем СРАЗУ
-  if (req.method === 'OPTIONS') {
-    res.status(200);
-    res.end();
-    return;
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT'] })) return;
 
   try {
     if (!supabase) {
@@ -46,46 +20,10 @@ export default async function handler(req, res) {
       });
     }
 
-    // Проверка авторизации
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Authorization required' 
-      });
-    }
-
-    // Extract user ID from token (same as auth-me.js)
-    const userId = getUserIdFromToken(authHeader);
-    if (!userId) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid or expired token' 
-      });
-    }
-
-    // Проверка роли (только админы могут управлять профилем)
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, role')
-      .eq('id', userId)
-      .maybeSingle();
-
-    if (userError || !user) {
-      console.error('User lookup error:', userError);
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
-
-    // Allow only 'admin' role
-    if (user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Only admins can manage admin profiles' 
-      });
-    }
+    // Проверка авторизации (только админы могут управлять профилем)
+    const user = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+    if (!user) return;
+    const userId = user.id;
 
     // GET - получение профиля
     if (req.method === 'GET') {
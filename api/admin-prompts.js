@@ -0,0 +1,89 @@
+/**
+ * Prompt templates for admins (lib/prompts)
+ *
+ * GET  /api/admin-prompts                            - prompts with their versions and variables
+ * POST /api/admin-prompts { name, versions, vars }   - run two versions of a prompt on the same
+ *   variables and return both prompts and outputs side by side
+ */
+
+import { z } from 'zod';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { withCacheBypass } from '../lib/cache.js';
+import { isLLMConfigured } from '../lib/llm/index.js';
+import { PromptError, listPrompts, renderPrompt, runPrompt } from '../lib/prompts/index.js';
+import { formatPath, sendValidationError, validateBody } from '../lib/validation.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('admin-prompts');
+
+const compareSchema = z.object({
+  name: z.string().min(1, 'name is required'),
+  versions: z.array(z.number().int().positive()).length(2, 'Pass the two versions to compare'),
+  vars: z.object({}).passthrough().default({})
+});
+
+async function runVersion(name, version, vars) {
+  const rendered = renderPrompt(name, vars, { version });
+  const startedAt = Date.now();
+  try {
+    const { result } = await runPrompt(name, vars, { version });
+    return { version, system: rendered.system, prompt: rendered.prompt, output: result, duration_ms: Date.now() - startedAt };
+  } catch (error) {
+    // One failing version still shows the other
+    return {
+      version,
+      system: rendered.system,
+      prompt: rendered.prompt,
+      output: null,
+      duration_ms: Date.now() - startedAt,
+      error: { code: error.code || 'provider', message: error.message }
+    };
+  }
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+  if (!admin) return;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, prompts: listPrompts() });
+    }
+
+    if (req.method === 'POST') {
+      const errors = validateBody(compareSchema, req.body);
+      if (errors) return sendValidationError(res, errors);
+
+      const { name, versions, vars } = compareSchema.parse(req.body);
+      // Both versions must render before anything is sent to the LLM
+      versions.forEach((version) => renderPrompt(name, vars, { version }));
+
+      if (!isLLMConfigured()) {
+        return res.status(503).json({ success: false, error: 'AI service is not configured. Please set OPENAI_API_KEY environment variable.' });
+      }
+
+      // Fresh answers: a cached one would hide how the version writes now
+      const results = await withCacheBypass(() => Promise.all(versions.map((version) => runVersion(name, version, vars))));
+      return res.status(200).json({ success: true, name, vars, results });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof PromptError) {
+      if (error.code === 'invalid_vars') {
+        return sendValidationError(res, error.errors.map((issue) => ({
+          ...issue,
+          field: formatPath(['vars', ...issue.path]),
+          path: ['vars', ...issue.path]
+        })));
+      }
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    log.error('admin-prompts error', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default withRequestContext(handler);
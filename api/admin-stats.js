@@ -1,29 +1,13 @@
 // Admin Stats API - Returns statistics for admin dashboard
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers - allow all origins for now
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+  if (!admin) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
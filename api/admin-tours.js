@@ -1,39 +1,17 @@
 // Admin Tours API - Returns tours for admin dashboard
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers - устанавливаем ПЕРВЫМИ
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  // Helper function to set CORS headers
-  const setCorsHeaders = () => {
-    if (origin && allowedOrigins.includes(origin)) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-    }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-  };
-  
-  setCorsHeaders();
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
+
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+  if (!admin) return;
 
   if (req.method === 'GET') {
     try {
       if (!supabase) {
-        setCorsHeaders();
         return res.status(500).json({
           success: false,
           error: 'Database not configured'
@@ -80,7 +58,6 @@ export default async function handler(req, res) {
           .single();
 
         if (error || !tour) {
-          setCorsHeaders();
           return res.status(404).json({
             success: false,
             error: 'Tour not found',
@@ -269,8 +246,6 @@ export default async function handler(req, res) {
       });
     } catch (error) {
       console.error('❌ Error fetching tours:', error);
-      // Ensure CORS headers are set even on error
-      setCorsHeaders();
       return res.status(500).json({
         success: false,
         error: 'Failed to fetch tours',
@@ -283,7 +258,6 @@ export default async function handler(req, res) {
   if (req.method === 'PUT' || req.method === 'PATCH') {
     try {
       if (!supabase) {
-        setCorsHeaders();
         return res.status(500).json({
           success: false,
           error: 'Database not configured'
@@ -292,7 +266,6 @@ export default async function handler(req, res) {
 
       const { id } = req.query;
       if (!id) {
-        setCorsHeaders();
         return res.status(400).json({
           success: false,
           error: 'Tour ID is required'
@@ -307,7 +280,6 @@ export default async function handler(req, res) {
 
       // Validate required fields
       if (!isExploreWideOnlyUpdate && !title) {
-        setCorsHeaders();
         return res.status(400).json({
           success: false,
           error: 'Title is required'
@@ -420,8 +392,6 @@ export default async function handler(req, res) {
       });
     } catch (error) {
       console.error('❌ Error updating tour:', error);
-      // Ensure CORS headers are set even on error
-      setCorsHeaders();
       return res.status(500).json({
         success: false,
         error: 'Failed to update tour',
@@ -434,7 +404,6 @@ export default async function handler(req, res) {
   if (req.method === 'DELETE') {
     try {
       if (!supabase) {
-        setCorsHeaders();
         return res.status(500).json({
           success: false,
           error: 'Database not configured'
@@ -444,7 +413,6 @@ export default async function handler(req, res) {
       const { id } = req.query;
 
       if (!id) {
-        setCorsHeaders();
         return res.status(400).json({
           success: false,
           error: 'Tour ID is required'
@@ -469,8 +437,6 @@ export default async function handler(req, res) {
       });
     } catch (error) {
       console.error('❌ Error deleting tour:', error);
-      // Ensure CORS headers are set even on error
-      setCorsHeaders();
       return res.status(500).json({
         success: false,
         error: 'Failed to delete tour',
@@ -480,7 +446,6 @@ export default async function handler(req, res) {
   }
 
   // Method not allowed
-  setCorsHeaders();
   return res.status(405).json({ error: 'Method not allowed' });
 }
 
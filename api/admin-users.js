@@ -1,32 +1,15 @@
 // Admin Users API - Returns users for admin dashboard
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES, ADMIN_MFA_REQUIRED } from '../lib/auth.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers - ALWAYS set first
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN], requireMfa: ADMIN_MFA_REQUIRED });
+  if (!admin) return;
 
   if (req.method === 'GET') {
     try {
@@ -363,21 +346,6 @@ export default async function handler(req, res) {
       if (insertError) {
         console.error('❌ Error creating user in database:', insertError);
         console.error('❌ Insert error details:', JSON.stringify(insertError, null, 2));
-        // Ensure CORS headers are set even on error
-        const origin = req.headers.origin;
-        const allowedOrigins = [
-          'https://www.flip-trip.com',
-          'https://flip-trip.com',
-          'https://fliptripfrontend.vercel.app',
-          'http://localhost:5173',
-          'http://localhost:3000'
-        ];
-        if (origin && allowedOrigins.includes(origin)) {
-          res.setHeader('Access-Control-Allow-Origin', origin);
-        } else {
-          res.setHeader('Access-Control-Allow-Origin', '*');
-        }
-        res.setHeader('Access-Control-Allow-Credentials', 'true');
         return res.status(500).json({
           success: false,
           error: 'Failed to create user',
@@ -447,21 +415,6 @@ export default async function handler(req, res) {
       return res.status(201).json(response);
     } catch (error) {
       console.error('❌ Error creating user:', error);
-      // Ensure CORS headers are set even on error
-      const origin = req.headers.origin;
-      const allowedOrigins = [
-        'https://www.flip-trip.com',
-        'https://flip-trip.com',
-        'https://fliptripfrontend.vercel.app',
-        'http://localhost:5173',
-        'http://localhost:3000'
-      ];
-      if (origin && allowedOrigins.includes(origin)) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-      } else {
-        res.setHeader('Access-Control-Allow-Origin', '*');
-      }
-      res.setHeader('Access-Control-Allow-Credentials', 'true');
       return res.status(500).json({
         success: false,
         error: 'Failed to create user',
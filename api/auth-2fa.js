@@ -0,0 +1,166 @@
+/**
+ * Auth Module - Two-factor authentication (TOTP) management
+ * Available to admin and guide accounts.
+ *
+ * GET  /api/auth-2fa                                   - enrollment status
+ * POST /api/auth-2fa { action: 'setup' }                - new secret + otpauth:// URI for the QR code
+ * POST /api/auth-2fa { action: 'enable', code }         - confirm enrollment, returns recovery codes
+ * POST /api/auth-2fa { action: 'disable', code }        - turn 2FA off (TOTP or recovery code)
+ * POST /api/auth-2fa { action: 'recovery-codes', code } - replace recovery codes
+ */
+
+import { supabase } from '../database/db.js';
+import { requireAuth, MFA_ROLES } from '../lib/auth.js';
+import { generateSecret, buildProvisioningUri, verifyTotp, generateRecoveryCodes, hashRecoveryCode } from '../lib/totp.js';
+import { consumeRateLimit, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-2fa');
+
+const WINDOW_SECONDS = 15 * 60; // 15 minutes
+const MAX_CODE_ATTEMPTS = 5;
+
+// Accepts either a current TOTP code or one of the unused recovery codes
+function isValidSecondFactor(user, code) {
+  if (verifyTotp(user.totp_secret, code) !== null) return true;
+  const hashes = Array.isArray(user.totp_recovery_codes) ? user.totp_recovery_codes : [];
+  return hashes.includes(hashRecoveryCode(code));
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const authUser = await requireAuth(req, res, { roles: MFA_ROLES });
+    if (!authUser) return;
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, totp_secret, totp_enabled, totp_enabled_at, totp_recovery_codes')
+      .eq('id', authUser.id)
+      .single();
+
+    if (userError) throw userError;
+
+    const recoveryCodes = Array.isArray(user.totp_recovery_codes) ? user.totp_recovery_codes : [];
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        enabled: user.totp_enabled === true,
+        enabledAt: user.totp_enabled_at || null,
+        recoveryCodesRemaining: user.totp_enabled ? recoveryCodes.length : 0
+      });
+    }
+
+    const { action, code } = req.body || {};
+
+    if (action === 'setup') {
+      if (user.totp_enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+      }
+
+      const secret = generateSecret();
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({ totp_secret: secret, totp_enabled: false, totp_recovery_codes: [] })
+        .eq('id', user.id);
+      if (updateError) throw updateError;
+
+      return res.status(200).json({
+        success: true,
+        secret,
+        otpauthUrl: buildProvisioningUri(secret, user.email)
+      });
+    }
+
+    if (!['enable', 'disable', 'recovery-codes'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'Unknown action' });
+    }
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+
+    const limit = await consumeRateLimit(`2fa:manage:${user.id}`, {
+      limit: MAX_CODE_ATTEMPTS,
+      windowSeconds: WINDOW_SECONDS
+    });
+    if (!limit.allowed) {
+      return sendTooManyRequests(res, limit.retryAfter);
+    }
+
+    if (action === 'enable') {
+      if (user.totp_enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+      }
+      if (!user.totp_secret) {
+        return res.status(400).json({ success: false, message: 'Run setup first' });
+      }
+      if (verifyTotp(user.totp_secret, code) === null) {
+        return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({
+          totp_enabled: true,
+          totp_enabled_at: new Date().toISOString(),
+          totp_recovery_codes: hashes
+        })
+        .eq('id', user.id);
+      if (updateError) throw updateError;
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once.',
+        recoveryCodes: codes
+      });
+    }
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!isValidSecondFactor(user, code)) {
+      return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    if (action === 'disable') {
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({
+          totp_secret: null,
+          totp_enabled: false,
+          totp_enabled_at: null,
+          totp_recovery_codes: []
+        })
+        .eq('id', user.id);
+      if (updateError) throw updateError;
+
+      return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ totp_recovery_codes: hashes })
+      .eq('id', user.id);
+    if (updateError) throw updateError;
+
+    return res.status(200).json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    log.error('Two-factor management error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor request failed',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
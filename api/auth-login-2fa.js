@@ -0,0 +1,132 @@
+/**
+ * Auth Module - Two-factor login step
+ * Exchanges the challenge token from auth-login.js plus a TOTP code
+ * (or a one-time recovery code) for an access/refresh token pair.
+ */
+
+import { supabase } from '../database/db.js';
+import { issueTokenPair, verifyMfaChallengeToken, getClientInfo } from '../lib/authTokens.js';
+import { verifyTotp, hashRecoveryCode } from '../lib/totp.js';
+import { consumeRateLimit, resetRateLimit, sendTooManyRequests } from '../lib/rateLimit.js';
+import { getRedisClient } from '../lib/redis.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-login-2fa');
+
+const WINDOW_SECONDS = 15 * 60; // 15 minutes
+const MAX_ATTEMPTS_PER_ACCOUNT = 5;
+
+// A TOTP code is valid for ~90s (drift window); the last used step is kept so a code can't be replayed.
+// ZADD GT only ever moves the score forward, so of two logins with the same code only one claims it.
+async function claimTotpStep(userId, step) {
+  const redis = getRedisClient();
+  if (!redis) return true;
+
+  const key = `auth:2fa:used-step:${userId}`;
+  const [changed] = await redis.multi()
+    .zadd(key, { gt: true, ch: true }, { score: step, member: 'last' })
+    .expire(key, WINDOW_SECONDS)
+    .exec();
+  return changed === 1;
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Challenge token and code are required' });
+    }
+
+    const challenge = verifyMfaChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: 'Login session expired. Please sign in again.' });
+    }
+    const userId = challenge.sub;
+
+    const limit = await consumeRateLimit(`login:2fa:${userId}`, {
+      limit: MAX_ATTEMPTS_PER_ACCOUNT,
+      windowSeconds: WINDOW_SECONDS
+    });
+    if (!limit.allowed) {
+      return sendTooManyRequests(res, limit.retryAfter);
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user || !user.is_active || !user.totp_enabled) {
+      return res.status(401).json({ success: false, message: 'Login session expired. Please sign in again.' });
+    }
+
+    let recoveryCodesRemaining = null;
+
+    if (code) {
+      const step = verifyTotp(user.totp_secret, code);
+      if (step === null || !(await claimTotpStep(userId, step))) {
+        return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+      }
+    } else {
+      const hashes = Array.isArray(user.totp_recovery_codes) ? user.totp_recovery_codes : [];
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!hashes.includes(hash)) {
+        return res.status(401).json({ success: false, message: 'Invalid recovery code' });
+      }
+
+      // Recovery codes are single-use: the update only matches while the list is the one we read,
+      // so of two logins with the same code only the first removes it
+      const remaining = hashes.filter((h) => h !== hash);
+      const { data: updated, error: updateError } = await supabase
+        .from('users')
+        .update({ totp_recovery_codes: remaining })
+        .eq('id', userId)
+        .eq('totp_recovery_codes', JSON.stringify(hashes))
+        .select('id');
+      if (updateError) throw updateError;
+      if (!updated?.length) {
+        return res.status(401).json({ success: false, message: 'Invalid recovery code' });
+      }
+      recoveryCodesRemaining = remaining.length;
+    }
+
+    await resetRateLimit(`login:2fa:${userId}`);
+
+    await supabase
+      .from('users')
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', userId);
+
+    const { token, refreshToken, expiresIn } = await issueTokenPair(user, { mfa: true, client: getClientInfo(req) });
+
+    return res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      ...(recoveryCodesRemaining !== null ? { recoveryCodesRemaining } : {}),
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    log.error('Two-factor login error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor login failed',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
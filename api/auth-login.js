@@ -5,28 +5,58 @@
 
 import { supabase } from '../database/db.js';
 import bcrypt from 'bcryptjs';
-
-// Simple JWT-like token generation (for demo, replace with real JWT later)
-function generateToken(userId) {
-  const payload = {
-    userId,
-    timestamp: Date.now()
-  };
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
+import { Resend } from 'resend';
+import { issueTokenPair, signMfaChallengeToken, MFA_CHALLENGE_TTL_SECONDS, getClientInfo } from '../lib/authTokens.js';
+import { consumeRateLimit, resetRateLimit, setLock, getLockTtl, getClientIp, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-login');
+
+const WINDOW_SECONDS = 15 * 60; // 15 minutes
+const MAX_ATTEMPTS_PER_IP = 20;
+const MAX_FAILURES_PER_ACCOUNT = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+
+async function sendLockoutNotice(user) {
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  await resend.emails.send({
+    from: process.env.FROM_EMAIL || 'enjoy@flip-trip.com',
+    to: user.email,
+    subject: 'Your FlipTrip account was temporarily locked',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; padding: 24px;">
+        <h2 style="margin: 0 0 12px;">Too many failed sign-in attempts</h2>
+        <p style="margin: 0 0 16px; color: #444;">We noticed several failed attempts to sign in to your FlipTrip account, so we locked it for ${LOCKOUT_SECONDS / 60} minutes.</p>
+        <p style="margin: 0; color: #666;">If this wasn't you, we recommend resetting your password once the lock expires.</p>
+      </div>
+    `
+  });
 }
 
-export default async function handler(req, res) {
-  // CORS headers - ВСЕГДА устанавливаем первыми
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // OPTIONS запрос - обрабатываем СРАЗУ
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+// Считаем неудачную попытку; после MAX_FAILURES_PER_ACCOUNT блокируем аккаунт
+async function registerFailedLogin(accountKey, user) {
+  const { allowed, remaining } = await consumeRateLimit(`login:fail:${accountKey}`, {
+    limit: MAX_FAILURES_PER_ACCOUNT,
+    windowSeconds: WINDOW_SECONDS
+  });
+  if (allowed && remaining > 0) return;
+
+  log.warn('Account locked after repeated failed logins', { userId: user?.id || null });
+  await setLock(`login:${accountKey}`, LOCKOUT_SECONDS);
+  await resetRateLimit(`login:fail:${accountKey}`);
+
+  if (user?.email) {
+    try {
+      await sendLockoutNotice(user);
+    } catch (emailError) {
+      log.warn('Lockout notice email failed (non-critical)', { error: emailError });
+    }
   }
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -43,7 +73,24 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log('🔐 Login attempt for email:', email);
+    const accountKey = String(email).trim().toLowerCase();
+
+    // Ограничение частоты попыток с одного IP
+    const ipLimit = await consumeRateLimit(`login:ip:${getClientIp(req)}`, {
+      limit: MAX_ATTEMPTS_PER_IP,
+      windowSeconds: WINDOW_SECONDS
+    });
+    if (!ipLimit.allowed) {
+      return sendTooManyRequests(res, ipLimit.retryAfter, 'Слишком много попыток входа. Попробуйте позже.');
+    }
+
+    // Временная блокировка аккаунта после серии неудачных попыток
+    const lockTtl = await getLockTtl(`login:${accountKey}`);
+    if (lockTtl > 0) {
+      return sendTooManyRequests(res, lockTtl, 'Аккаунт временно заблокирован из-за множества неудачных попыток входа. Попробуйте позже.');
+    }
+
+    log.info('Login attempt');
 
     // Поиск пользователя в БД - сначала без фильтра is_active
     const { data: user, error: userError } = await supabase
@@ -52,7 +99,7 @@ export default async function handler(req, res) {
       .eq('email', email)
       .maybeSingle(); // Use maybeSingle instead of single to avoid errors
 
-    console.log('👤 User lookup result:', {
+    log.info('User lookup result', {
       found: !!user,
       error: userError?.message || null,
       errorCode: userError?.code || null,
@@ -62,7 +109,7 @@ export default async function handler(req, res) {
     });
 
     if (userError && userError.code !== 'PGRST116') {
-      console.error('❌ Database error during login:', userError);
+      log.error('Database error during login', { error: userError });
       return res.status(500).json({ 
         success: false, 
         message: 'Ошибка базы данных',
@@ -71,7 +118,8 @@ export default async function handler(req, res) {
     }
 
     if (!user) {
-      console.log('❌ User not found:', email);
+      log.info('Login failed: user not found');
+      await registerFailedLogin(accountKey, null);
       return res.status(401).json({ 
         success: false, 
         message: 'Неверный email или пароль' 
@@ -79,7 +127,7 @@ export default async function handler(req, res) {
     }
 
     if (!user.is_active) {
-      console.log('❌ User is inactive:', email);
+      log.info('Login failed: user is inactive', { userId: user.id });
       return res.status(401).json({ 
         success: false, 
         message: 'Аккаунт неактивен. Обратитесь к администратору.' 
@@ -87,7 +135,7 @@ export default async function handler(req, res) {
     }
 
     if (!user.password_hash) {
-      console.error('❌ User has no password hash:', email);
+      log.error('User has no password hash', { userId: user.id });
       return res.status(401).json({ 
         success: false, 
         message: 'Ошибка: пароль не установлен. Обратитесь к администратору.' 
@@ -95,19 +143,29 @@ export default async function handler(req, res) {
     }
 
     // Проверка пароля
-    console.log('🔑 Comparing password...');
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
-    console.log('🔑 Password match result:', passwordMatch);
     
     if (!passwordMatch) {
-      console.log('❌ Password mismatch for user:', email);
+      log.info('Login failed: password mismatch', { userId: user.id });
+      await registerFailedLogin(accountKey, user);
       return res.status(401).json({ 
         success: false, 
         message: 'Неверный email или пароль' 
       });
     }
 
-    console.log('✅ Login successful for user:', email);
+    log.info('Login successful', { userId: user.id });
+    await resetRateLimit(`login:fail:${accountKey}`);
+
+    // Второй шаг для аккаунтов с двухфакторной аутентификацией (см. auth-login-2fa.js)
+    if (user.totp_enabled) {
+      return res.status(200).json({
+        success: true,
+        requiresTwoFactor: true,
+        challengeToken: signMfaChallengeToken(user.id),
+        expiresIn: MFA_CHALLENGE_TTL_SECONDS
+      });
+    }
 
     // Обновление last_login
     await supabase
@@ -115,26 +173,14 @@ export default async function handler(req, res) {
       .update({ last_login: new Date().toISOString() })
       .eq('id', user.id);
 
-    // Генерация токена
-    const token = generateToken(user.id);
-
-    // Сохранение токена в Redis (для совместимости, можно убрать позже)
-    try {
-      const { Redis } = await import('@upstash/redis');
-      const redisUrl = process.env.FTSTORAGE_KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
-      const redisToken = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
-      
-      if (redisUrl && redisToken) {
-        const redis = new Redis({ url: redisUrl, token: redisToken });
-        await redis.set(`token:${token}`, user.id, { ex: 86400 * 7 }); // 7 дней
-      }
-    } catch (redisError) {
-      console.warn('Redis token storage failed (non-critical):', redisError);
-    }
+    // Генерация подписанного access токена и refresh токена
+    const { token, refreshToken, expiresIn } = await issueTokenPair(user, { client: getClientInfo(req) });
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         name: user.name,
@@ -143,11 +189,7 @@ export default async function handler(req, res) {
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    // Убеждаемся, что CORS headers установлены даже в случае ошибки
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    log.error('Login error', error);
     res.status(500).json({ 
       success: false, 
       message: 'Ошибка входа',
@@ -155,3 +197,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestContext(handler);
@@ -0,0 +1,43 @@
+/**
+ * Auth Module - Logout Endpoint
+ * Revokes the current session: its refresh token stops working and
+ * its access tokens are rejected by every authenticated handler.
+ */
+
+import { extractBearerToken, verifyAccessToken, revokeSession, revokeRefreshToken } from '../lib/authTokens.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-logout');
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const { refreshToken } = req.body || {};
+    const claims = await verifyAccessToken(extractBearerToken(req.headers.authorization));
+
+    if (!claims && !refreshToken) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    if (claims?.sid) {
+      await revokeSession(claims.sid);
+    }
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    return res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    log.error('Logout error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
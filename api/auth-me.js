@@ -4,35 +4,14 @@
  */
 
 import { supabase } from '../database/db.js';
+import { getUserIdFromAuthHeader } from '../lib/authTokens.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-// Extract user ID from token
-function getUserIdFromToken(token) {
-  if (!token) return null;
-  
-  try {
-    // Remove 'Bearer ' prefix if present
-    const cleanToken = token.startsWith('Bearer ') ? token.slice(7) : token;
-    
-    // Decode token (simple base64 for now)
-    const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-    return payload.userId || payload.id || null;
-  } catch (error) {
-    console.error('Token decode error:', error);
-    return null;
-  }
-}
+const log = createLogger('auth-me');
 
-export default async function handler(req, res) {
-  // CORS headers - устанавливаем в самом начале, ДО любых других операций
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS, POST');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Обработка preflight запроса - возвращаем сразу
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -48,8 +27,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Extract user ID from token
-    const userId = getUserIdFromToken(authHeader);
+    // Verify token signature and expiry, extract user ID
+    const userId = await getUserIdFromAuthHeader(authHeader);
     if (!userId) {
       return res.status(401).json({ 
         success: false, 
@@ -84,8 +63,7 @@ export default async function handler(req, res) {
       }
     });
   } catch (error) {
-    console.error('Get current user error:', error);
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    log.error('Get current user error', error);
     res.status(500).json({ 
       success: false, 
       message: 'Error getting user data',
@@ -93,3 +71,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestContext(handler);
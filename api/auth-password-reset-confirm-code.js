@@ -0,0 +1,125 @@
+/**
+ * Auth Module - Confirm password reset code
+ * Validates the one-time code, sets the new password and signs the user out everywhere.
+ */
+
+import { supabase } from '../database/db.js';
+import bcrypt from 'bcryptjs';
+import { getRedisClient } from '../lib/redis.js';
+import { revokeAllSessions } from '../lib/authTokens.js';
+import { consumeRateLimit, getClientIp, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-password-reset');
+
+const MAX_VERIFY_ATTEMPTS = 5;
+const VERIFY_WINDOW_SECONDS = 60 * 60; // 1 hour
+const MAX_VERIFY_REQUESTS_PER_IP = 30;
+const MAX_VERIFY_REQUESTS_PER_EMAIL = 15;
+
+function normalizeEmail(email = '') {
+  return String(email).trim().toLowerCase();
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const { email, code, newPassword } = req.body || {};
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedCode = String(code || '').trim();
+
+    if (!normalizedEmail || !normalizedCode || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Email, code, and new password are required' });
+    }
+
+    if (typeof newPassword !== 'string') {
+      return res.status(400).json({ success: false, message: 'New password must be a string' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    }
+
+    const ipLimit = await consumeRateLimit(`verify:reset:ip:${getClientIp(req)}`, {
+      limit: MAX_VERIFY_REQUESTS_PER_IP,
+      windowSeconds: VERIFY_WINDOW_SECONDS
+    });
+    if (!ipLimit.allowed) {
+      return sendTooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const accountLimit = await consumeRateLimit(`verify:reset:email:${normalizedEmail}`, {
+      limit: MAX_VERIFY_REQUESTS_PER_EMAIL,
+      windowSeconds: VERIFY_WINDOW_SECONDS
+    });
+    if (!accountLimit.allowed) {
+      return sendTooManyRequests(res, accountLimit.retryAfter);
+    }
+
+    const redis = getRedisClient();
+    if (!redis) {
+      return res.status(500).json({ success: false, message: 'Verification service is temporarily unavailable' });
+    }
+
+    const codeKey = `auth:reset:code:${normalizedEmail}`;
+    const attemptsKey = `auth:reset:attempts:${normalizedEmail}`;
+    const payload = await redis.get(codeKey);
+
+    if (!payload || !payload.code) {
+      return res.status(400).json({ success: false, message: 'Code expired or not found. Please request a new one.' });
+    }
+
+    // Every check takes an attempt before the comparison (one transaction, like lib/rateLimit.js),
+    // so concurrent guesses cannot all read the same count
+    const ttl = await redis.ttl(codeKey);
+    const [attempts] = await redis.multi()
+      .incr(attemptsKey)
+      .expire(attemptsKey, ttl > 0 ? ttl : 600)
+      .exec();
+    if (attempts > MAX_VERIFY_ATTEMPTS) {
+      return sendTooManyRequests(res, ttl > 0 ? ttl : 600, 'Too many invalid attempts. Please request a new code.');
+    }
+
+    if (normalizedCode !== String(payload.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reset code',
+        attemptsLeft: Math.max(0, MAX_VERIFY_ATTEMPTS - attempts)
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ password_hash: passwordHash })
+      .eq('id', payload.userId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    await redis.del(codeKey);
+    await redis.del(attemptsKey);
+    await redis.del(`auth:reset:cooldown:${normalizedEmail}`);
+
+    // Existing sessions (possibly on a lost or compromised device) must not survive a reset
+    await revokeAllSessions(payload.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    log.error('Confirm password reset code error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
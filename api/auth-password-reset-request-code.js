@@ -0,0 +1,120 @@
+/**
+ * Auth Module - Request password reset code
+ * Sends a one-time code that lets the user set a new password.
+ * Always answers with success so the endpoint cannot be used to probe which emails exist.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../database/db.js';
+import { Resend } from 'resend';
+import { getRedisClient } from '../lib/redis.js';
+import { getClientIp } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-password-reset');
+
+const CODE_TTL_SECONDS = 10 * 60; // 10 minutes
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_VERIFY_ATTEMPTS = 5;
+const MAX_REQUESTS_PER_HOUR = 12;
+
+function normalizeEmail(email = '') {
+  return String(email).trim().toLowerCase();
+}
+
+function generateCode() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const { email } = req.body || {};
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!normalizedEmail) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(normalizedEmail)) {
+      return res.status(400).json({ success: false, message: 'Invalid email format' });
+    }
+
+    const redis = getRedisClient();
+    if (!redis) {
+      return res.status(500).json({ success: false, message: 'Verification service is temporarily unavailable' });
+    }
+
+    const ip = getClientIp(req);
+    const ipRateKey = `auth:reset:req:ip:${ip}`;
+    const currentRate = await redis.incr(ipRateKey);
+    if (currentRate === 1) {
+      await redis.expire(ipRateKey, 3600);
+    }
+    if (currentRate > MAX_REQUESTS_PER_HOUR) {
+      return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+    }
+
+    const cooldownKey = `auth:reset:cooldown:${normalizedEmail}`;
+    const isCooldown = await redis.get(cooldownKey);
+    if (isCooldown) {
+      return res.status(429).json({ success: false, message: 'Please wait before requesting another code' });
+    }
+    await redis.set(cooldownKey, 1, { ex: RESEND_COOLDOWN_SECONDS });
+
+    const successResponse = {
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent',
+      ttlSeconds: CODE_TTL_SECONDS,
+      maxAttempts: MAX_VERIFY_ATTEMPTS
+    };
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, is_active')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (!user || !user.is_active) {
+      return res.status(200).json(successResponse);
+    }
+
+    const code = generateCode();
+    const codeKey = `auth:reset:code:${normalizedEmail}`;
+    const attemptsKey = `auth:reset:attempts:${normalizedEmail}`;
+
+    await redis.set(codeKey, { userId: user.id, code, createdAt: Date.now() }, { ex: CODE_TTL_SECONDS });
+    await redis.set(attemptsKey, 0, { ex: CODE_TTL_SECONDS });
+
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    await resend.emails.send({
+      from: process.env.FROM_EMAIL || 'enjoy@flip-trip.com',
+      to: normalizedEmail,
+      subject: 'Your FlipTrip password reset code',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; padding: 24px;">
+          <h2 style="margin: 0 0 12px;">Reset your FlipTrip password</h2>
+          <p style="margin: 0 0 16px; color: #444;">Use this code to set a new password:</p>
+          <div style="font-size: 34px; letter-spacing: 8px; font-weight: 700; margin: 14px 0 18px;">${code}</div>
+          <p style="margin: 0; color: #666;">The code expires in 10 minutes.</p>
+          <p style="margin: 12px 0 0; color: #666;">If you didn't request a password reset, you can ignore this email. Your password will not change.</p>
+        </div>
+      `
+    });
+
+    return res.status(200).json(successResponse);
+  } catch (error) {
+    log.error('Request password reset code error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send reset code',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
@@ -0,0 +1,54 @@
+/**
+ * Auth Module - Refresh Token Endpoint
+ * Exchanges a refresh token for a new access/refresh token pair (rotation).
+ * Reusing an already-rotated refresh token revokes the whole session.
+ */
+
+import { rotateRefreshToken, getClientInfo } from '../lib/authTokens.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-refresh');
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const { data, error } = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+    if (error === 'unavailable') {
+      return res.status(503).json({ success: false, message: 'Token service is temporarily unavailable' });
+    }
+    if (error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Session revoked, please log in again.'
+      });
+    }
+    if (error) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: data.token,
+      refreshToken: data.refreshToken,
+      expiresIn: data.expiresIn
+    });
+  } catch (error) {
+    log.error('Refresh token error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
@@ -3,44 +3,32 @@
  * Sends one-time verification code to complete registration.
  */
 
+import crypto from 'crypto';
 import { supabase } from '../database/db.js';
 import bcrypt from 'bcryptjs';
-import { Redis } from '@upstash/redis';
 import { Resend } from 'resend';
+import { applyCors } from '../lib/cors.js';
+import { getClientIp } from '../lib/rateLimit.js';
+import { getRedisClient } from '../lib/redis.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-register');
 
 const CODE_TTL_SECONDS = 10 * 60; // 10 minutes
 const RESEND_COOLDOWN_SECONDS = 60;
 const MAX_VERIFY_ATTEMPTS = 5;
 const MAX_REQUESTS_PER_HOUR = 12;
 
-function getRedisClient() {
-  const url = process.env.FTSTORAGE_KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
-  const token = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
-  if (!url || !token) return null;
-  return new Redis({ url, token });
-}
-
 function normalizeEmail(email = '') {
   return String(email).trim().toLowerCase();
 }
 
-function getClientIp(req) {
-  const xff = req.headers['x-forwarded-for'];
-  if (xff) return String(xff).split(',')[0].trim();
-  return req.socket?.remoteAddress || 'unknown';
-}
-
 function generateCode() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+  return String(crypto.randomInt(100000, 1000000));
 }
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
   if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
 
   try {
@@ -133,7 +121,7 @@ export default async function handler(req, res) {
       maxAttempts: MAX_VERIFY_ATTEMPTS
     });
   } catch (error) {
-    console.error('Request registration code error:', error);
+    log.error('Request registration code error', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to send verification code',
@@ -141,3 +129,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestContext(handler);
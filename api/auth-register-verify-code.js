@@ -5,36 +5,25 @@
 
 import { supabase } from '../database/db.js';
 import { v4 as uuidv4 } from 'uuid';
-import { Redis } from '@upstash/redis';
+import { issueTokenPair, getClientInfo } from '../lib/authTokens.js';
+import { consumeRateLimit, getClientIp, sendTooManyRequests } from '../lib/rateLimit.js';
+import { applyCors } from '../lib/cors.js';
+import { getRedisClient } from '../lib/redis.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-const MAX_VERIFY_ATTEMPTS = 5;
-
-function generateToken(userId) {
-  const payload = {
-    userId,
-    timestamp: Date.now()
-  };
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
-}
+const log = createLogger('auth-register');
 
-function getRedisClient() {
-  const url = process.env.FTSTORAGE_KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
-  const token = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
-  if (!url || !token) return null;
-  return new Redis({ url, token });
-}
+const MAX_VERIFY_ATTEMPTS = 5;
+const VERIFY_WINDOW_SECONDS = 60 * 60; // 1 hour
+const MAX_VERIFY_REQUESTS_PER_IP = 30;
+const MAX_VERIFY_REQUESTS_PER_EMAIL = 15;
 
 function normalizeEmail(email = '') {
   return String(email).trim().toLowerCase();
 }
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
   if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
 
   try {
@@ -46,6 +35,22 @@ export default async function handler(req, res) {
       return res.status(400).json({ success: false, message: 'Email and code are required' });
     }
 
+    const ipLimit = await consumeRateLimit(`verify:reg:ip:${getClientIp(req)}`, {
+      limit: MAX_VERIFY_REQUESTS_PER_IP,
+      windowSeconds: VERIFY_WINDOW_SECONDS
+    });
+    if (!ipLimit.allowed) {
+      return sendTooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const accountLimit = await consumeRateLimit(`verify:reg:email:${normalizedEmail}`, {
+      limit: MAX_VERIFY_REQUESTS_PER_EMAIL,
+      windowSeconds: VERIFY_WINDOW_SECONDS
+    });
+    if (!accountLimit.allowed) {
+      return sendTooManyRequests(res, accountLimit.retryAfter);
+    }
+
     const redis = getRedisClient();
     if (!redis) {
       return res.status(500).json({ success: false, message: 'Verification service is temporarily unavailable' });
@@ -59,23 +64,22 @@ export default async function handler(req, res) {
       return res.status(400).json({ success: false, message: 'Code expired or not found. Please request a new one.' });
     }
 
-    const attempts = Number((await redis.get(attemptsKey)) || 0);
-    if (attempts >= MAX_VERIFY_ATTEMPTS) {
-      return res.status(429).json({ success: false, message: 'Too many invalid attempts. Please request a new code.' });
+    // Every check takes an attempt before the comparison (one transaction, like lib/rateLimit.js),
+    // so concurrent guesses cannot all read the same count
+    const ttl = await redis.ttl(draftKey);
+    const [attempts] = await redis.multi()
+      .incr(attemptsKey)
+      .expire(attemptsKey, ttl > 0 ? ttl : 600)
+      .exec();
+    if (attempts > MAX_VERIFY_ATTEMPTS) {
+      return sendTooManyRequests(res, ttl > 0 ? ttl : 600, 'Too many invalid attempts. Please request a new code.');
     }
 
     if (normalizedCode !== String(payload.code)) {
-      const nextAttempts = attempts + 1;
-      const ttl = await redis.ttl(draftKey);
-      if (ttl > 0) {
-        await redis.set(attemptsKey, nextAttempts, { ex: ttl });
-      } else {
-        await redis.set(attemptsKey, nextAttempts, { ex: 600 });
-      }
       return res.status(400).json({
         success: false,
         message: 'Invalid verification code',
-        attemptsLeft: Math.max(0, MAX_VERIFY_ATTEMPTS - nextAttempts)
+        attemptsLeft: Math.max(0, MAX_VERIFY_ATTEMPTS - attempts)
       });
     }
 
@@ -119,17 +123,13 @@ export default async function handler(req, res) {
     await redis.del(attemptsKey);
     await redis.del(`auth:reg:cooldown:${normalizedEmail}`);
 
-    const token = generateToken(userId);
-
-    try {
-      await redis.set(`token:${token}`, userId, { ex: 86400 * 7 });
-    } catch (redisTokenError) {
-      console.warn('Token storage in Redis failed (non-critical):', redisTokenError);
-    }
+    const { token, refreshToken, expiresIn } = await issueTokenPair(newUser, { client: getClientInfo(req) });
 
     return res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: newUser.id,
         name: newUser.name,
@@ -138,7 +138,7 @@ export default async function handler(req, res) {
       }
     });
   } catch (error) {
-    console.error('Verify registration code error:', error);
+    log.error('Verify registration code error', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to verify registration',
@@ -146,3 +146,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestContext(handler);
@@ -6,28 +6,14 @@
 import { supabase } from '../database/db.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import { issueTokenPair, getClientInfo } from '../lib/authTokens.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-// Simple JWT-like token generation (for demo, replace with real JWT later)
-function generateToken(userId) {
-  const payload = {
-    userId,
-    timestamp: Date.now()
-  };
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
-}
+const log = createLogger('auth-register');
 
-export default async function handler(req, res) {
-  // CORS headers - ВСЕГДА устанавливаем первыми, ДО любых операций
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // OPTIONS запрос - обрабатываем СРАЗУ, без каких-либо других операций
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   // Только POST запросы дальше
   if (req.method !== 'POST') {
@@ -110,26 +96,14 @@ export default async function handler(req, res) {
         });
     }
 
-    // Генерация токена
-    const token = generateToken(userId);
-
-    // Сохранение токена в Redis (для совместимости)
-    try {
-      const { Redis } = await import('@upstash/redis');
-      const redisUrl = process.env.FTSTORAGE_KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
-      const redisToken = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
-      
-      if (redisUrl && redisToken) {
-        const redis = new Redis({ url: redisUrl, token: redisToken });
-        await redis.set(`token:${token}`, userId, { ex: 86400 * 7 }); // 7 дней
-      }
-    } catch (redisError) {
-      console.warn('Redis token storage failed (non-critical):', redisError);
-    }
+    // Генерация подписанного access токена и refresh токена
+    const { token, refreshToken, expiresIn } = await issueTokenPair(newUser, { client: getClientInfo(req) });
 
     return res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: newUser.id,
         name: newUser.name,
@@ -138,11 +112,7 @@ export default async function handler(req, res) {
       }
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    // Убеждаемся, что CORS headers установлены даже в случае ошибки
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    log.error('Registration error', error);
     return res.status(500).json({ 
       success: false, 
       message: 'Ошибка регистрации',
@@ -150,3 +120,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestContext(handler);
@@ -0,0 +1,98 @@
+/**
+ * Auth Module - Active sessions
+ *
+ * GET    /api/auth-sessions                      - list sessions of the current user
+ * DELETE /api/auth-sessions?id=<sessionId>       - sign out one session (e.g. a lost device)
+ * DELETE /api/auth-sessions?all=true             - sign out all other sessions
+ * DELETE /api/auth-sessions?all=true&current=true - sign out everywhere, including this session
+ */
+
+import { requireAuth } from '../lib/auth.js';
+import { listSessions, revokeSession, revokeAllSessions } from '../lib/authTokens.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('auth-sessions');
+
+// Short human-readable label, e.g. "Chrome on macOS"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'DELETE'] })) return;
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const sessions = await listSessions(user.id);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        sessions: sessions.map((session) => ({
+          id: session.id,
+          device: describeDevice(session.userAgent),
+          userAgent: session.userAgent || null,
+          ip: session.ip || null,
+          twoFactor: session.mfa === true,
+          createdAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+          lastUsedAt: session.lastUsedAt ? new Date(session.lastUsedAt).toISOString() : null,
+          current: session.id === user.sessionId
+        }))
+      });
+    }
+
+    const { id, all, current } = { ...req.query, ...(req.body || {}) };
+
+    if (all === true || all === 'true') {
+      const includeCurrent = current === true || current === 'true';
+      await revokeAllSessions(user.id, { exceptSessionId: includeCurrent ? null : user.sessionId });
+      return res.status(200).json({
+        success: true,
+        message: includeCurrent ? 'Signed out of all sessions' : 'Signed out of all other sessions'
+      });
+    }
+
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Session id is required' });
+    }
+
+    if (!sessions.some((session) => session.id === id)) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await revokeSession(id);
+    return res.status(200).json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    log.error('Sessions error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process sessions request',
+      error: error.message
+    });
+  }
+}
+
+export default withRequestContext(handler);
@@ -1,26 +1,47 @@
 // FlipTrip Clean Backend - Payment API
-import Stripe from 'stripe';
+import crypto from 'crypto';
 import { supabase } from '../database/db.js';
+import { getStripeClient } from '../lib/stripe.js';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { IDEMPOTENCY_HEADER, REPLAYED_HEADER, withIdempotency } from '../lib/idempotency.js';
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = getStripeClient();
+const log = createLogger('create-checkout-session');
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, {
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    headers: [IDEMPOTENCY_HEADER],
+    exposeHeaders: [REPLAYED_HEADER]
+  })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // A double click or retry with the same Idempotency-Key gets the first session back
+  const scope = checkoutScope(req.body || {});
+  return withIdempotency(req, res, { scope }, () => createCheckoutSession(req, res, scope));
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Checkout has no signed-in user: Idempotency-Keys count per buyer email and tour (or itinerary),
+// so the same key from another buyer never replays someone else's session
+function checkoutScope({ email, tourId, itineraryId }) {
+  const buyer = sha256(String(email || '').trim().toLowerCase()).slice(0, 16);
+  return `create-checkout-session:${buyer}:${tourId || itineraryId || '-'}`;
+}
+
+async function createCheckoutSession(req, res, scope) {
+  // Also passed to Stripe (whose keys are account-wide, hence the scope), so a retry after
+  // a lost response cannot create a second session
+  const clientKey = req.headers['idempotency-key'];
+  const idempotencyKey = clientKey && sha256(`${scope}:${clientKey}`);
+
   try {
-    console.log('💳 PAYMENT: Creating checkout session...');
-    console.log('📝 Form data received:', req.body);
+    log.info('Creating checkout session', { fields: Object.keys(req.body || {}) });
 
     const { city, audience, interests, date, budget, email, itineraryId, tourId, tourType, selectedDate, quantity } = req.body;
 
@@ -184,7 +205,7 @@ export default async function handler(req, res) {
             ? `Guided Tour - ${city}` 
             : `Self-guided Tour - ${city}`,
         },
-      });
+      }, { idempotencyKey: idempotencyKey && `price:${idempotencyKey}` });
       
       lineItems = [
         {
@@ -215,9 +236,10 @@ export default async function handler(req, res) {
         selectedDate: selectedDate || '',
         quantity: finalTourType === 'with-guide' ? (quantity || 1).toString() : '1'
       }
-    });
+    }, { idempotencyKey: idempotencyKey && `checkout-session:${idempotencyKey}` });
 
-    console.log('✅ PAYMENT: Checkout session created');
+    // checkoutSessionId links this request to the stripe-webhook logs of the same payment
+    log.info('Checkout session created', { checkoutSessionId: session.id, tourId: tourId || null, tourType: finalTourType });
     return res.status(200).json({ 
       success: true,
       sessionUrl: session.url,
@@ -225,10 +247,12 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ PAYMENT: Error creating checkout session:', error);
+    log.error('Error creating checkout session', error);
     return res.status(500).json({ 
       error: 'Failed to create checkout session', 
       message: error.message 
     });
   }
 }
+
+export default withRequestContext(handler);
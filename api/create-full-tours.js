@@ -10,6 +10,7 @@
  */
 
 import { supabase } from '../database/db.js';
+import { applyCors } from '../lib/cors.js';
 
 // Quality tour data with full day plans
 const qualityTours = [
@@ -99,18 +100,7 @@ async function getOrCreateTags(tagNames) {
 }
 
 export default async function handler(req, res) {
-  const origin = req.headers.origin;
-  const allowedOrigins = ['https://www.flip-trip.com', 'https://flip-trip.com', 'https://fliptripfrontend.vercel.app', 'http://localhost:5173', 'http://localhost:3000'];
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (applyCors(req, res, { methods: ['POST'] })) return;
   if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
   if (!supabase) return res.status(500).json({ success: false, error: 'Database not configured' });
 
@@ -1,28 +1,6 @@
 import { supabase } from '../database/db.js';
-
-async function getUserFromToken(authHeader) {
-  if (!authHeader) return { userId: null, isAdmin: false };
-  const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-
-  let userId = null;
-  try {
-    const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-    userId = payload.userId || payload.id || payload.sub;
-  } catch (_) {
-    const { data: { user }, error } = await supabase.auth.getUser(cleanToken);
-    if (!error && user) userId = user.id;
-  }
-
-  if (!userId) return { userId: null, isAdmin: false };
-
-  const { data: userData } = await supabase
-    .from('users')
-    .select('id, role')
-    .eq('id', userId)
-    .maybeSingle();
-
-  return { userId, isAdmin: userData?.role === 'admin' };
-}
+import { requireAuth } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 async function canEditTour(tourId, userId, isAdmin) {
   if (isAdmin) return true;
@@ -50,33 +28,15 @@ function extractStoragePathFromPublicUrl(publicUrl = '') {
 }
 
 export default async function handler(req, res) {
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (applyCors(req, res, { methods: ['POST'] })) return;
   if (req.method !== 'POST') return res.status(405).json({ success: false, error: 'Method not allowed' });
 
   try {
     if (!supabase) return res.status(500).json({ success: false, error: 'Database not configured' });
 
-    const authHeader = req.headers.authorization;
-    const { userId, isAdmin } = await getUserFromToken(authHeader);
-    if (!userId) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { id: userId, isAdmin } = user;
 
     const { tourId } = req.body || {};
     if (!tourId) return res.status(400).json({ success: false, error: 'tourId is required' });
@@ -0,0 +1,34 @@
+/**
+ * API reference
+ * GET /api/docs - HTML page that renders /api/openapi with Redoc
+ */
+
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
+
+const REDOC_SCRIPT = 'https://cdn.redoc.ly/redoc/v2.1.5/bundles/redoc.standalone.js';
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>FlipTrip API reference</title>
+  <style>body { margin: 0; }</style>
+</head>
+<body>
+  <redoc spec-url="/api/openapi" expand-responses="200,201,202"></redoc>
+  <script src="${REDOC_SCRIPT}"></script>
+</body>
+</html>
+`;
+
+export default function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET'], policy: CORS_POLICY.PUBLIC })) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).send(PAGE);
+}
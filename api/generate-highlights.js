@@ -1,54 +1,30 @@
 /**
- * Generate Highlights API - Uses OpenAI to generate "What's Inside This Walk" bullet points
+ * Generate Highlights API - Uses the LLM to generate "What's Inside This Walk" bullet points
  * Reads all tour content blocks and generates 3 editable highlights (bullets 3, 4, 5)
  */
 
-import OpenAI from 'openai';
 import { supabase } from '../database/db.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { getLLM, isLLMConfigured } from '../lib/llm/index.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Check OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
+    // Check OpenAI API key (or an offline LLM provider)
+    if (!isLLMConfigured()) {
       console.error('❌ OPENAI_API_KEY is not configured');
       return res.status(503).json({ error: 'AI service is not configured. Please set OPENAI_API_KEY environment variable.' });
     }
 
-    // Auth check
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Authorization required' });
-    }
+    // Auth check (tour editor only)
+    const user = await requireAuth(req, res, { roles: [ROLES.GUIDE, ROLES.ADMIN] });
+    if (!user) return;
 
     const { tourId, tourTitle, tourDescription, city, blocks, language = 'English' } = req.body;
 
@@ -144,25 +120,15 @@ Return ONLY valid JSON, no markdown:
   "bullet5": { "icon": "☕", "text": "Atmospheric cafés and bistros along the way" }
 }`;
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 300,
-      temperature: 0.8
-    });
-
-    const rawContent = response.choices[0].message.content.trim();
-    console.log('🤖 AI response:', rawContent);
-
-    // Parse JSON - handle potential markdown code blocks
     let parsed;
     try {
-      const jsonStr = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsed = JSON.parse(jsonStr);
-    } catch (parseError) {
-      console.error('❌ Failed to parse AI response:', parseError.message);
-      return res.status(500).json({ error: 'Failed to parse AI response', raw: rawContent });
+      parsed = await getLLM().json('highlights', { prompt, vars: { tourTitle, city, language } });
+    } catch (llmError) {
+      if (llmError.code !== 'invalid_json') throw llmError;
+      console.error('❌ Failed to parse AI response:', llmError.message);
+      return res.status(500).json({ error: 'Failed to parse AI response', raw: llmError.answer });
     }
+    console.log('🤖 AI response:', JSON.stringify(parsed));
 
     // Build the highlights object
     const highlights = {
@@ -1,5 +1,8 @@
 import PDFDocument from 'pdfkit';
 import { supabase } from '../database/db.js';
+import { requireAuth } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { buildLegs, formatLeg, haversineProvider } from '../lib/routing.js';
 
 function sanitizeFileName(name = '') {
   return String(name)
@@ -10,30 +13,6 @@ function sanitizeFileName(name = '') {
     .slice(0, 120);
 }
 
-async function getUserFromToken(authHeader) {
-  if (!authHeader) return { userId: null, isAdmin: false };
-  const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-
-  let userId = null;
-  try {
-    const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-    userId = payload.userId || payload.id || payload.sub;
-  } catch (_) {
-    const { data: { user }, error } = await supabase.auth.getUser(cleanToken);
-    if (!error && user) userId = user.id;
-  }
-
-  if (!userId) return { userId: null, isAdmin: false };
-
-  const { data: userData } = await supabase
-    .from('users')
-    .select('id, role')
-    .eq('id', userId)
-    .maybeSingle();
-
-  return { userId, isAdmin: userData?.role === 'admin' };
-}
-
 async function canEditTour(tourId, userId, isAdmin) {
   if (isAdmin) return true;
   if (!tourId || !userId) return false;
@@ -163,6 +142,25 @@ function extractLocationsFromBlocks(blocks = []) {
   return Array.from(map.values());
 }
 
+// Travel leg from the previous location block (content.legFromPrevious). Generated
+// itineraries store it; for other tours it is a straight-line estimate from the stored
+// coordinates, never a routing API call (the PDF is re-rendered on every edit)
+async function withTravelLegs(blocks = []) {
+  const locationBlocks = blocks.filter((block) => block?.block_type === 'location');
+  const stops = locationBlocks.map((block) => {
+    const main = block.content?.mainLocation || block.content || {};
+    return { name: String(main.title || main.name || '').trim() || null, ...extractLatLngFromLocation(main) };
+  });
+  const legs = await buildLegs(stops, haversineProvider);
+  const legByBlock = new Map(locationBlocks.map((block, index) => [block, legs[index]]));
+
+  return blocks.map((block) => {
+    const leg = legByBlock.get(block);
+    if (!leg || block.content?.legFromPrevious) return block;
+    return { ...block, content: { ...block.content, legFromPrevious: leg } };
+  });
+}
+
 async function geocodeLocationWithMapbox(location, token) {
   const query = location?.address || location?.name;
   if (!query) return null;
@@ -440,6 +438,7 @@ function extractContentSectionsForHtml(blocks = []) {
       const price = cleanRichText(main?.priceLevel || main?.price_level || main?.price || '');
       const paragraphs = [description].filter(Boolean);
       const photos = normalizePhotoList(main?.photos || main?.photo).slice(0, 6);
+      const leg = content.legFromPrevious || null;
       const alternatives = Array.isArray(content.alternativeLocations)
         ? content.alternativeLocations
             .filter((alt) => alt && typeof alt === 'object')
@@ -464,7 +463,8 @@ function extractContentSectionsForHtml(blocks = []) {
           recommendations,
           rating,
           price,
-          alternatives
+          alternatives,
+          leg
         });
       }
       return;
@@ -564,6 +564,7 @@ function buildStyledPdfHtml({ tour, blocks, template = 'classic', layout = {}, m
           : `<h3>${htmlEscape(section.title)}</h3>`)
       : '';
     const addressHtml = section.address ? `<div class="ft-address">${htmlEscape(section.address)}</div>` : '';
+    const legHtml = isLocation && section.leg ? `<div class="ft-travel-leg">${htmlEscape(formatLeg(section.leg))}</div>` : '';
     const paragraphs = section.paragraphs?.length
       ? section.paragraphs.map((p) => `<p>${htmlEscape(p)}</p>`).join('')
       : '';
@@ -672,6 +673,7 @@ function buildStyledPdfHtml({ tour, blocks, template = 'classic', layout = {}, m
 
     return `
       <section class="ft-section ft-section-block ${isLocation ? 'ft-location-section' : ''}">
+        ${legHtml}
         ${photoGrid}
         ${titleHtml}
         ${addressHtml}
@@ -804,6 +806,12 @@ function buildStyledPdfHtml({ tour, blocks, template = 'classic', layout = {}, m
         line-height: 1;
         transform: translateY(-1px);
       }
+      .ft-travel-leg {
+        color: ${cfg.muted};
+        font-size: 13px;
+        font-weight: 600;
+        margin-bottom: 12px;
+      }
       .ft-address {
         color: #3E85FC;
         font-size: 14px;
@@ -1417,7 +1425,8 @@ function extractBlockNarrativeSections(blocks = []) {
           type: 'location',
           title,
           address,
-          text: [description, recommendations].filter(Boolean).join('\n\n')
+          text: [description, recommendations].filter(Boolean).join('\n\n'),
+          leg: content.legFromPrevious || null
         });
       }
       return;
@@ -1520,6 +1529,9 @@ async function renderStyledPdf({ tour, blocks, template = 'classic', layout = {}
         y = heading(doc, section.title, { x: 44, y, width: pageWidth, fontSize: 20, color: '#111827' });
         return;
       }
+      if (section.leg) {
+        y = paragraph(doc, formatLeg(section.leg, { icons: false }), { x: 44, y, width: pageWidth, fontSize: 10, color: cfg.muted });
+      }
       if (section.title) {
         y = heading(doc, section.title, { x: 44, y, width: pageWidth, fontSize: 14, color: '#111827' });
       }
@@ -1538,26 +1550,7 @@ async function renderStyledPdf({ tour, blocks, template = 'classic', layout = {}
 }
 
 export default async function handler(req, res) {
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (applyCors(req, res, { methods: ['POST'] })) return;
   if (req.method !== 'POST') return res.status(405).json({ success: false, error: 'Method not allowed' });
 
   try {
@@ -1566,8 +1559,9 @@ export default async function handler(req, res) {
     const { tourId, template = 'classic', layout = {}, previewHtml = false, allowFallback = true } = req.body || {};
     if (!tourId) return res.status(400).json({ success: false, error: 'tourId is required' });
 
-    const { userId, isAdmin } = await getUserFromToken(req.headers.authorization);
-    if (!userId) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { id: userId, isAdmin } = user;
 
     const allowed = await canEditTour(tourId, userId, isAdmin);
     if (!allowed) return res.status(403).json({ success: false, error: 'You can only edit your own tours' });
@@ -1579,7 +1573,7 @@ export default async function handler(req, res) {
       .maybeSingle();
     if (tourErr || !tour) return res.status(404).json({ success: false, error: 'Tour not found' });
 
-    const { data: blocks, error: blocksErr } = await supabase
+    const { data: storedBlocks, error: blocksErr } = await supabase
       .from('tour_content_blocks')
       .select('id,block_type,content,order_index')
       .eq('tour_id', tourId)
@@ -1587,6 +1581,7 @@ export default async function handler(req, res) {
     if (blocksErr) {
       return res.status(500).json({ success: false, error: 'Failed to load tour blocks' });
     }
+    const blocks = await withTravelLegs(storedBlocks || []);
 
     if (previewHtml) {
       const locations = extractLocationsFromBlocks(blocks || []);
@@ -1,5 +1,6 @@
 // FlipTrip Clean Backend - Get Itinerary from Redis
 import { Redis } from '@upstash/redis';
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
 
 // Lazy initialization of Redis client
 function getRedis() {
@@ -14,30 +15,7 @@ function getRedis() {
 }
 
 export default async function handler(req, res) {
-  // CORS headers - устанавливаем ПЕРВЫМИ (как в unlock-itinerary.js)
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET'], policy: CORS_POLICY.PUBLIC })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ 
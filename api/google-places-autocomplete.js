@@ -2,6 +2,7 @@
 // Returns list of places matching the search query
 
 import cors from 'cors';
+import { applyCors } from '../lib/cors.js';
 
 // Enable CORS for all routes
 const corsHandler = cors({
@@ -10,16 +11,7 @@ const corsHandler = cors({
 });
 
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   // Only allow POST requests
   if (req.method !== 'POST') {
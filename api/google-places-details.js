@@ -6,6 +6,7 @@
 import { Client } from '@googlemaps/google-maps-services-js';
 import { supabase } from '../database/db.js';
 import cors from 'cors';
+import { applyCors } from '../lib/cors.js';
 
 const googleMapsClient = new Client({});
 
@@ -16,16 +17,7 @@ const corsHandler = cors({
 });
 
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   // Only allow POST requests
   if (req.method !== 'POST') {
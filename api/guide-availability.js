@@ -4,32 +4,11 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
   try {
     if (!supabase) {
@@ -107,39 +86,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Helper function to get authenticated user (for POST/PUT/DELETE)
-    const getAuthenticatedUser = async () => {
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        return null;
-      }
-
-      let userId = null;
-      try {
-        const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-        try {
-          const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-          userId = payload.userId || payload.id || null;
-        } catch (e) {
-          const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-          if (user) userId = user.id;
-        }
-      } catch (err) {
-        console.error('Auth error:', err);
-      }
-
-      return userId;
-    };
-
     // POST - Create or update multiple availability slots (REQUIRES AUTH)
     if (req.method === 'POST') {
-      const userId = await getAuthenticatedUser();
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          error: 'Unauthorized - authentication required'
-        });
-      }
+      const user = await requireAuth(req, res, { roles: [ROLES.GUIDE] });
+      if (!user) return;
+      const userId = user.id;
+
       const { tour_id, slots, bulk_block } = req.body;
 
       if (!tour_id) {
@@ -255,13 +207,9 @@ export default async function handler(req, res) {
 
     // PUT - Update a specific availability slot (REQUIRES AUTH)
     if (req.method === 'PUT') {
-      const userId = await getAuthenticatedUser();
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          error: 'Unauthorized - authentication required'
-        });
-      }
+      const user = await requireAuth(req, res, { roles: [ROLES.GUIDE] });
+      if (!user) return;
+      const userId = user.id;
 
       const { slot_id } = req.query;
       const { max_group_size, is_available, is_blocked, custom_price, notes } = req.body;
@@ -324,13 +272,9 @@ export default async function handler(req, res) {
 
     // DELETE - Delete (block) an availability slot (REQUIRES AUTH)
     if (req.method === 'DELETE') {
-      const userId = await getAuthenticatedUser();
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          error: 'Unauthorized - authentication required'
-        });
-      }
+      const user = await requireAuth(req, res, { roles: [ROLES.GUIDE] });
+      if (!user) return;
+      const userId = user.id;
 
       const { slot_id } = req.query;
 
@@ -4,32 +4,11 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET'] })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({
@@ -46,35 +25,9 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get user from token
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      try {
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || null;
-      } catch (e) {
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (user) userId = user.id;
-      }
-    } catch (err) {
-      console.error('Auth error:', err);
-    }
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
+    const user = await requireAuth(req, res, { roles: [ROLES.GUIDE, ROLES.ADMIN] });
+    if (!user) return;
+    const userId = user.id;
 
     // Get all bookings for this guide
     const { data: bookings, error: bookingsError } = await supabase
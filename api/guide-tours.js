@@ -4,30 +4,11 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -41,54 +22,9 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get user from token (same approach as auth-me.js)
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    // Extract user ID from token (same logic as auth-me.js)
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      // Try to decode as base64 (our custom token format)
-      try {
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || null;
-      } catch (e) {
-        // If not base64, try as Supabase JWT
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (!authError && user) {
-          userId = user.id;
-        }
-      }
-    } catch (error) {
-      console.error('Token decode error:', error);
-    }
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-
-    // Get user data from database
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, role')
-      .eq('id', userId)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
+    const user = await requireAuth(req, res, { roles: [ROLES.GUIDE, ROLES.ADMIN] });
+    if (!user) return;
+    const userId = user.id;
 
     // Get tours created by this user
     // First, try to detect which column name is used for user/creator
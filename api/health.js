@@ -0,0 +1,29 @@
+/**
+ * Liveness check
+ * GET /api/health (also /health on the local server)
+ *
+ * Public and cheap: no database or third-party calls, so uptime monitors can poll it
+ * freely. Configuration and data checks are in /api/admin-diagnostics.
+ */
+
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
+
+const startedAt = Date.now();
+
+export default function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'HEAD'], policy: CORS_POLICY.PUBLIC })) return;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'HEAD') {
+    return res.status(200).end();
+  }
+  return res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    version: process.env.VERCEL_GIT_COMMIT_SHA?.slice(0, 7) || null
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Background job worker: runs due jobs (queued, resumed or retried) within one time budget
+ *
+ * Called every minute by a cron (Authorization: Bearer $CRON_SECRET - Vercel Cron sends
+ * this header itself) or manually by an admin.
+ */
+
+import crypto from 'crypto';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { formatJob, runPendingJobs } from '../lib/jobs.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { JOBS } from '../services/jobs/index.js';
+
+const log = createLogger('jobs-worker');
+
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization;
+  if (!secret || typeof header !== 'string') return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+    if (!admin) return;
+  }
+
+  try {
+    const jobs = await runPendingJobs(JOBS);
+    if (jobs.length > 0) {
+      log.info('Worker ran jobs', { jobs: jobs.map((job) => ({ jobId: job.id, jobType: job.type, status: job.status })) });
+    }
+    return res.status(200).json({ success: true, ran: jobs.length, jobs: jobs.map(formatJob) });
+  } catch (error) {
+    log.error('jobs-worker error', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default withRequestContext(handler);
@@ -0,0 +1,20 @@
+/**
+ * OpenAPI document
+ * GET /api/openapi - OpenAPI 3.1 JSON for every endpoint (lib/openapi)
+ *
+ * Public: the frontend and API clients generate types from it. The rendered
+ * reference is /api/docs.
+ */
+
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
+import { buildOpenApiDocument } from '../lib/openapi/index.js';
+
+export default function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET'], policy: CORS_POLICY.PUBLIC })) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(buildOpenApiDocument());
+}
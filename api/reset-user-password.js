@@ -4,32 +4,19 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES, ADMIN_MFA_REQUIRED } from '../lib/auth.js';
+import { revokeAllSessions } from '../lib/authTokens.js';
 import bcrypt from 'bcryptjs';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+const log = createLogger('reset-user-password');
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
+
+  const admin = await requireAuth(req, res, { roles: [ROLES.ADMIN], requireMfa: ADMIN_MFA_REQUIRED });
+  if (!admin) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -64,7 +51,6 @@ export default async function handler(req, res) {
         finalPassword += chars.charAt(Math.floor(Math.random() * chars.length));
       }
       generatedPassword = true;
-      console.log('🔑 Generated new password for user:', email);
     }
 
     // Find user
@@ -75,7 +61,7 @@ export default async function handler(req, res) {
       .maybeSingle();
 
     if (userError && userError.code !== 'PGRST116') {
-      console.error('Error finding user:', userError);
+      log.error('Error finding user', { error: userError });
       return res.status(500).json({
         success: false,
         error: 'Error finding user',
@@ -103,7 +89,7 @@ export default async function handler(req, res) {
       .eq('id', user.id);
 
     if (updateError) {
-      console.error('Error updating password:', updateError);
+      log.error('Error updating password', { error: updateError, userId: user.id });
       return res.status(500).json({
         success: false,
         error: 'Failed to update password',
@@ -111,6 +97,9 @@ export default async function handler(req, res) {
       });
     }
 
+    // Sign the user out of all existing sessions
+    await revokeAllSessions(user.id);
+
     const response = {
       success: true,
       message: 'Password reset successfully',
@@ -124,11 +113,10 @@ export default async function handler(req, res) {
       response.message = 'Password was reset and auto-generated. Please save it and share with the user.';
     }
 
-    console.log('✅ Password reset successful for user:', email);
+    log.info('Password reset successful', { userId: user.id, adminId: admin.id, passwordGenerated: generatedPassword });
     return res.status(200).json(response);
   } catch (error) {
-    console.error('❌ Error resetting password:', error);
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    log.error('Error resetting password', error);
     res.status(500).json({ 
       success: false, 
       message: 'Error resetting password',
@@ -137,5 +125,4 @@ export default async function handler(req, res) {
   }
 }
 
-
-
+export default withRequestContext(handler);
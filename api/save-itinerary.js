@@ -1,6 +1,7 @@
 // FlipTrip Clean Backend - Save Itinerary to Redis
 import { Redis } from '@upstash/redis';
 import { v4 as uuidv4 } from 'uuid';
+import { applyCors } from '../lib/cors.js';
 
 // Lazy initialization of Redis client
 function getRedis() {
@@ -15,13 +16,7 @@ function getRedis() {
 }
 
 export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -4,34 +4,38 @@
  */
 
 import { Resend } from 'resend';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { formatLeg } from '../lib/routing.js';
+
+const log = createLogger('send-email');
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
-export default async function handler(req, res) {
-  // CORS headers - устанавливаем ПЕРВЫМИ
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Location stops of a day with the travel leg (content.legFromPrevious) between them
+function routeHtml(blocks = []) {
+  const stops = blocks.filter((block) => block?.block_type === 'location');
+  if (stops.length < 2) return '';
+
+  const items = stops.map((block) => {
+    const main = block.content?.mainLocation || block.content || {};
+    const leg = block.content?.legFromPrevious;
+    const legHtml = leg ? `<div class="leg">${escapeHtml(formatLeg(leg))}</div>` : '';
+    return `${legHtml}<div class="stop">📍 ${escapeHtml(main.name || main.title || 'Location')}</div>`;
+  });
+  return `<div class="route">${items.join('')}</div>`;
+}
+
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ 
@@ -50,11 +54,19 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log('📧 Sending email to:', email);
-    console.log('📧 Itinerary ID:', itineraryId);
+    log.info('Sending itinerary email', { itineraryId: itineraryId || null });
     
     const city = itinerary.city || formData?.city || 'your destination';
     const date = itinerary.date || formData?.date || new Date().toISOString().slice(0, 10);
+    // Multi-day itineraries (ItineraryPipeline) have days[] with a theme per day
+    const days = Array.isArray(itinerary.days) ? itinerary.days : [];
+    const isMultiDay = days.length > 1;
+    const dateText = isMultiDay
+      ? `${days[0].date} – ${days[days.length - 1].date} (${days.length} days)`
+      : date;
+    const daysHtml = isMultiDay
+      ? `<ul>${days.map((day) => `<li><strong>Day ${escapeHtml(day.day)}, ${escapeHtml(day.date)}</strong>${day.concept ? ` – ${escapeHtml(day.concept)}` : ''}${routeHtml(day.contentBlocks || [])}</li>`).join('')}</ul>`
+      : routeHtml(itinerary.contentBlocks || days[0]?.contentBlocks || []);
     const itineraryUrl = `https://flip-trip.com/itinerary?itineraryId=${itineraryId}&full=true`;
     
     // Build email HTML content
@@ -69,6 +81,9 @@ export default async function handler(req, res) {
             .header { background: linear-gradient(135deg, #e11d48 0%, #3E85FC 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
             .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
             .button { display: inline-block; background: #3E85FC; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; margin: 20px 0; font-weight: bold; }
+            .route { margin: 10px 0 16px; }
+            .route .stop { font-weight: bold; }
+            .route .leg { color: #666; font-size: 13px; margin: 4px 0 4px 22px; }
             .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
           </style>
         </head>
@@ -79,8 +94,9 @@ export default async function handler(req, res) {
             </div>
             <div class="content">
               <p>Hi there!</p>
-              <p>Your personalized itinerary for <strong>${city}</strong> on <strong>${date}</strong> is ready!</p>
-              <p>We've crafted a perfect day just for you, with carefully selected locations and activities.</p>
+              <p>Your personalized itinerary for <strong>${city}</strong> ${isMultiDay ? 'for' : 'on'} <strong>${dateText}</strong> is ready!</p>
+              <p>We've crafted ${isMultiDay ? `${days.length} perfect days` : 'a perfect day'} just for you, with carefully selected locations and activities.</p>
+              ${daysHtml}
               <div style="text-align: center;">
                 <a href="${itineraryUrl}" class="button">🚀 View Your Itinerary</a>
               </div>
@@ -106,7 +122,7 @@ export default async function handler(req, res) {
     });
 
     if (error) {
-      console.error('❌ Resend error:', error);
+      log.error('Resend error', { error });
       return res.status(500).json({
         success: false,
         error: 'Failed to send email',
@@ -114,7 +130,7 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log('✅ Email sent successfully via Resend:', data);
+    log.info('Email sent via Resend', { emailId: data?.id || null });
     return res.status(200).json({
       success: true,
       message: 'Email sent successfully',
@@ -122,7 +138,7 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ Error sending email:', error);
+    log.error('Error sending email', error);
     return res.status(500).json({
       success: false,
       error: 'Failed to send email',
@@ -131,3 +147,4 @@ export default async function handler(req, res) {
   }
 }
 
+export default withRequestContext(handler);
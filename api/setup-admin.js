@@ -9,17 +9,13 @@
 import { supabase } from '../database/db.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import { applyCors } from '../lib/cors.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
+const log = createLogger('setup-admin');
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -35,7 +31,7 @@ export default async function handler(req, res) {
 
     const { email = 'yes.stroynov@gmail.com', password = 'fliptrip13', name = 'Admin' } = req.body;
 
-    console.log('🔧 Setting up admin user...', { email, hasPassword: !!password });
+    log.info('Setting up admin user', { hasPassword: !!password });
 
     // Check if admin already exists in users table
     const { data: existingUser, error: checkError } = await supabase
@@ -45,7 +41,7 @@ export default async function handler(req, res) {
       .maybeSingle();
 
     if (checkError && checkError.code !== 'PGRST116') {
-      console.error('Error checking existing admin:', checkError);
+      log.error('Error checking existing admin', { error: checkError });
       return res.status(500).json({
         success: false,
         error: 'Error checking existing admin',
@@ -58,7 +54,7 @@ export default async function handler(req, res) {
 
     if (existingUser) {
       // Admin already exists in users table
-      console.log('✅ Admin user already exists:', existingUser.id);
+      log.info('Admin user already exists', { userId: existingUser.id });
       userId = existingUser.id;
 
       // Update role to admin if needed
@@ -69,14 +65,14 @@ export default async function handler(req, res) {
           .eq('id', userId);
         
         if (updateError) {
-          console.error('Error updating user role:', updateError);
+          log.error('Error updating user role', { error: updateError, userId });
         } else {
-          console.log('✅ Updated user role to admin');
+          log.info('Updated user role to admin', { userId });
         }
       }
     } else {
       // Create new admin user
-      console.log('📝 Creating new admin user...');
+      log.info('Creating new admin user');
       userId = uuidv4();
       
       // Hash password
@@ -96,7 +92,7 @@ export default async function handler(req, res) {
         .single();
 
       if (insertError) {
-        console.error('❌ Error creating admin user:', insertError);
+        log.error('Error creating admin user', { error: insertError });
         return res.status(500).json({
           success: false,
           error: 'Error creating admin user',
@@ -104,7 +100,7 @@ export default async function handler(req, res) {
         });
       }
 
-      console.log('✅ Admin user created:', userId);
+      log.info('Admin user created', { userId });
       userCreated = true;
     }
 
@@ -116,7 +112,7 @@ export default async function handler(req, res) {
       .maybeSingle();
 
     if (adminCheckError && adminCheckError.code !== 'PGRST116') {
-      console.error('Error checking existing admin profile:', adminCheckError);
+      log.error('Error checking existing admin profile', { error: adminCheckError, userId });
       // If table doesn't exist, return instructions
       if (adminCheckError.code === '42P01') {
         return res.status(500).json({
@@ -137,7 +133,7 @@ export default async function handler(req, res) {
 
     if (!existingAdmin) {
       // Create admin profile
-      console.log('📝 Creating admin profile...');
+      log.info('Creating admin profile', { userId });
       const { data: newAdmin, error: adminInsertError } = await supabase
         .from('admins')
         .insert({
@@ -148,7 +144,7 @@ export default async function handler(req, res) {
         .single();
 
       if (adminInsertError) {
-        console.error('❌ Error creating admin profile:', adminInsertError);
+        log.error('Error creating admin profile', { error: adminInsertError, userId });
         // If table doesn't exist, return instructions
         if (adminInsertError.code === '42P01') {
           return res.status(500).json({
@@ -165,10 +161,10 @@ export default async function handler(req, res) {
         });
       }
 
-      console.log('✅ Admin profile created:', userId);
+      log.info('Admin profile created', { userId });
       adminProfileCreated = true;
     } else {
-      console.log('✅ Admin profile already exists');
+      log.info('Admin profile already exists', { userId });
     }
 
     return res.status(200).json({
@@ -186,7 +182,7 @@ export default async function handler(req, res) {
       }
     });
   } catch (error) {
-    console.error('❌ Setup admin error:', error);
+    log.error('Setup admin error', error);
     return res.status(500).json({
       success: false,
       message: 'Error setting up admin',
@@ -195,5 +191,4 @@ export default async function handler(req, res) {
   }
 }
 
-
-
+export default withRequestContext(handler);
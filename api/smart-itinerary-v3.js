@@ -1,24 +1,31 @@
 // Smart Itinerary API v3 - Using modular architecture
 // This is the new version that uses ItineraryPipeline
+//
+// Streaming: with `Accept: text/event-stream` (or ?stream=1) the response is Server-Sent
+// Events instead of one JSON body - `step` and `block` events while the pipeline runs,
+// `day` after each day, then `done` { itineraryId, itinerary } or `error` { error, message }
+//
+// LLM answers and Google Places searches come from the response cache (lib/cache.js);
+// `noCache: true` in the body asks everything fresh
 
 import { ItineraryPipeline } from '../services/ItineraryPipeline.js';
 import { supabase } from '../database/db.js';
+import { applyCors } from '../lib/cors.js';
+import { openEventStream, wantsEventStream } from '../lib/sse.js';
+import { withCacheBypass } from '../lib/cache.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+const log = createLogger('smart-itinerary-v3');
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+
   try {
     const {
       city,
@@ -31,7 +38,8 @@ export default async function handler(req, res) {
       budget,
       previewOnly = false,
       category_id,
-      subcategory_id
+      subcategory_id,
+      noCache = false
     } = req.body;
 
     // Support both interests (legacy) and interest_ids (new system)
@@ -50,11 +58,13 @@ export default async function handler(req, res) {
     // Use date_from if provided, otherwise fall back to date (legacy support)
     const itineraryDate = date_from || date || new Date().toISOString().slice(0, 10);
 
-    console.log('🚀 Smart Itinerary v3: Starting generation', {
+    log.info('Starting generation', {
       city,
       audience,
       interestIds: interestIds.length,
-      previewOnly
+      previewOnly,
+      noCache,
+      streaming: Boolean(stream)
     });
 
     // Get interest names by IDs if interestIds provided
@@ -68,16 +78,16 @@ export default async function handler(req, res) {
 
         if (!interestsError && interestsData && interestsData.length > 0) {
           interestsForConcept = interestsData.map(i => i.name);
-          console.log('📋 Got interest names from DB:', interestsForConcept);
+          log.debug('Got interest names from DB', { interests: interestsForConcept });
         }
       } catch (err) {
-        console.error('❌ Error getting interests from DB:', err);
+        log.error('Error getting interests from DB', err);
       }
     }
 
     // Use ItineraryPipeline to generate itinerary
     const pipeline = new ItineraryPipeline();
-    const itinerary = await pipeline.generateItinerary({
+    const generate = () => pipeline.generateItinerary({
       city,
       audience,
       interests: interestsForConcept, // Use names for concept generation
@@ -87,13 +97,24 @@ export default async function handler(req, res) {
       date_to,
       budget,
       previewOnly
+    }, {
+      onProgress: stream ? (event, data) => stream.send(event, data) : null
     });
+    const itinerary = noCache === true ? await withCacheBypass(generate) : await generate();
 
-    console.log('✅ Smart Itinerary v3: Generation complete');
+    log.info('Generation complete', { itineraryId: itinerary.itineraryId });
+    if (stream) {
+      stream.send('done', { itineraryId: itinerary.itineraryId || null, itinerary });
+      return stream.close();
+    }
     return res.status(200).json(itinerary);
 
   } catch (error) {
-    console.error('❌ Smart Itinerary v3: Error', error);
+    log.error('Generation failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Generation failed', message: error.message });
+      return stream.close();
+    }
     return res.status(500).json({
       error: 'Generation failed',
       message: error.message
@@ -101,3 +122,5 @@ export default async function handler(req, res) {
   }
 }
 
+export default withRequestContext(handler);
+
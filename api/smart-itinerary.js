@@ -1,7 +1,6 @@
 // FlipTrip Clean Backend - Smart Itinerary Generator
 // Модульная архитектура для генерации плана на день
 
-import OpenAI from 'openai';
 import { Client } from '@googlemaps/google-maps-services-js';
 import { searchLocationsForItinerary } from '../database/services/locationsService.js';
 import { searchToursForItinerary } from '../database/services/toursService.js';
@@ -9,12 +8,10 @@ import { getOrCreateCity } from '../database/services/citiesService.js';
 import { supabase } from '../database/db.js';
 import { ContentBlocksGenerationService } from '../services/ContentBlocksGenerationService.js';
 import { ContentBlocksStorageService } from '../services/ContentBlocksStorageService.js';
+import { applyCors } from '../lib/cors.js';
+import { getLLM } from '../lib/llm/index.js';
 
 // Инициализация
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 const googleMapsClient = new Client({});
 
 // =============================================================================
@@ -334,14 +331,7 @@ Return JSON only:
 Balance activities/meals. Budget ±30%.`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 800,
-      temperature: 0.7
-    });
-
-    const result = JSON.parse(response.choices[0].message.content.trim());
+    const result = await getLLM().json('legacyDayConcept', { prompt, vars: { city, audience, interests, date, budget } });
     console.log('✅ МОДУЛЬ 0: Концепция создана:', result.concept);
     return result;
   } catch (error) {
@@ -507,14 +497,10 @@ async function generateLocationDescription(locationName, address, category, inte
   const prompt = `Write 3-4 sentences about ${locationName} (${category}) in ${address}. Include atmosphere, what makes it special, sensory details. Connect to interests: ${Array.isArray(interests) ? interests.join(', ') : interests}. Make it vivid and engaging.`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 200,
-      temperature: 0.7
+    const description = await getLLM().text('shortDescription', {
+      prompt,
+      vars: { name: locationName, category, city: address }
     });
-
-    const description = response.choices[0].message.content.trim();
     console.log(`✅ МОДУЛЬ 2: Описание создано для ${locationName}`);
     return description;
   } catch (error) {
@@ -533,14 +519,7 @@ async function generateLocationRecommendations(locationName, category, interests
   const prompt = `Write 1 practical tip sentence for visiting ${locationName} (${category}). Include timing/ordering/insider advice. Connect to interests: ${Array.isArray(interests) ? interests.join(', ') : interests}.`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 60,
-      temperature: 0.7
-    });
-
-    const tips = response.choices[0].message.content.trim();
+    const tips = await getLLM().text('shortTip', { prompt, vars: { name: locationName, category } });
     console.log(`✅ МОДУЛЬ 3: Рекомендации созданы для ${locationName}`);
     return tips;
   } catch (error) {
@@ -621,23 +600,17 @@ Return JSON:
 }`;
 
   try {
-    const [combinedResponse] = await Promise.all([
-      openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [{ role: "user", content: combinedPrompt }],
-        max_tokens: 250,
-        temperature: 0.7
-      })
-    ]);
+    const content = await getLLM().text('legacyMetaInfo', {
+      prompt: combinedPrompt,
+      vars: { city, audience, interests, date, concept }
+    });
     
     // Парсим объединенный ответ
     let metaData;
     try {
-      const content = combinedResponse.choices[0].message.content.trim();
       metaData = JSON.parse(content);
     } catch (parseError) {
       // Если не JSON, пытаемся извлечь данные
-      const content = combinedResponse.choices[0].message.content.trim();
       const titleMatch = content.match(/title["\s:]+"([^"]+)"/i) || content.match(/1\.\s*Title[:\s]+(.+)/i);
       const subtitleMatch = content.match(/subtitle["\s:]+"([^"]+)"/i) || content.match(/2\.\s*Subtitle[:\s]+(.+)/i);
       const weatherMatch = content.match(/weather["\s:]+({[^}]+})/i);
@@ -682,14 +655,7 @@ Return JSON:
 // =============================================================================
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'DELETE'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -3,34 +3,30 @@
  * Handles checkout.session.completed events to create tour bookings
  */
 
-import Stripe from 'stripe';
 import { Resend } from 'resend';
 import { supabase } from '../database/db.js';
+import { getStripeClient } from '../lib/stripe.js';
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
+import { addLogContext, createLogger, withRequestContext } from '../lib/logger.js';
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = getStripeClient();
 const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 const resend = new Resend(process.env.RESEND_API_KEY);
+const log = createLogger('stripe-webhook');
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Stripe-Signature');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['POST'], policy: CORS_POLICY.PUBLIC, headers: ['Stripe-Signature'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  console.log('🔔 WEBHOOK: Received request');
-  console.log('📦 Request body type:', typeof req.body);
-  console.log('📦 Request body keys:', req.body ? Object.keys(req.body) : 'null');
-
   const sig = req.headers['stripe-signature'];
-  console.log('🔐 Stripe signature present:', !!sig);
+  log.info('Webhook received', {
+    bodyType: typeof req.body,
+    bodyKeys: req.body ? Object.keys(req.body) : null,
+    hasSignature: !!sig
+  });
 
   let event;
   let signatureVerified = false;
@@ -41,43 +37,44 @@ export default async function handler(req, res) {
     // with additional metadata validation as a security measure
     
     if (!webhookSecret) {
-      console.warn('⚠️ STRIPE_WEBHOOK_SECRET not set, skipping signature verification');
+      log.warn('STRIPE_WEBHOOK_SECRET not set, skipping signature verification');
       event = req.body; // Use parsed body directly
     } else {
       // Try to verify signature
       // In Vercel, req.body is already parsed, so JSON.stringify won't work for verification
-      // This is a known limitation - we'll use fallback with metadata validation
+      // This is a known limitation - we'll use fallback with metadata validation.
+      // The local server (server.js) keeps the original bytes in req.rawBody.
       try {
-        const rawBody = JSON.stringify(req.body);
+        const rawBody = req.rawBody || JSON.stringify(req.body);
         event = stripe.webhooks.constructEvent(rawBody, sig, webhookSecret);
         signatureVerified = true;
-        console.log('✅ Signature verification successful');
+        log.info('Signature verification successful');
       } catch (verifyError) {
         // Signature verification failed - this is expected in Vercel
         // We'll use fallback but log a warning
-        console.warn('⚠️ Signature verification failed (expected in Vercel):', verifyError.message);
+        log.warn('Signature verification failed (expected in Vercel)', verifyError);
         signatureVerified = false;
         
         // Extract event from parsed body
         // Stripe sends events in format: { type: 'checkout.session.completed', data: { object: {...} } }
         if (req.body && req.body.type && req.body.data && req.body.data.object) {
           event = req.body;
-          console.log('✅ Using parsed body as event (fallback mode)');
+          log.info('Using parsed body as event (fallback mode)');
         } else if (req.body && req.body.object === 'checkout.session') {
           // Direct checkout.session object (from test events or different format)
           event = {
             type: 'checkout.session.completed',
             data: { object: req.body }
           };
-          console.log('✅ Constructed event from checkout.session object');
+          log.info('Constructed event from checkout.session object');
         } else {
           throw new Error('Unable to parse event from request body');
         }
       }
     }
   } catch (err) {
-    console.error('❌ Error processing webhook event:', err.message);
-    console.error('📦 Full request body:', JSON.stringify(req.body, null, 2));
+    // Body is logged through redaction (metadata, emails and customer details are masked)
+    log.error('Error processing webhook event', { error: err, body: req.body });
     
     // Don't block processing - return 200 to acknowledge receipt
     // But log the error for monitoring
@@ -88,21 +85,24 @@ export default async function handler(req, res) {
     });
   }
 
-  console.log('📋 Event type:', event.type);
-  console.log('📋 Event ID:', event.id || 'N/A');
+  // Every later line of this request carries the event ID, so a payment can be traced end to end
+  addLogContext({ stripeEventId: event.id || null, stripeEventType: event.type, signatureVerified });
+  log.info('Event parsed');
 
   // Handle the event
   if (event.type === 'checkout.session.completed') {
     const session = event.data.object;
     
-    console.log('✅ PAYMENT: Checkout session completed:', session.id);
-    console.log('📝 Session metadata:', JSON.stringify(session.metadata, null, 2));
-    console.log('📝 Session customer_email:', session.customer_email);
-    console.log('📝 Session payment_status:', session.payment_status);
+    addLogContext({ checkoutSessionId: session.id });
+    log.info('Checkout session completed', {
+      paymentStatus: session.payment_status,
+      metadataKeys: Object.keys(session.metadata || {}),
+      hasCustomerEmail: !!session.customer_email
+    });
     
     // Additional security: verify this is a real Stripe event
     if (!session.id || !session.id.startsWith('cs_')) {
-      console.error('❌ Invalid session ID format:', session.id);
+      log.error('Invalid session ID format');
       return res.status(400).json({ error: 'Invalid session ID' });
     }
 
@@ -118,15 +118,10 @@ export default async function handler(req, res) {
         quantity
       } = metadata;
 
-      console.log('🔍 Extracted metadata:');
-      console.log('  - tourId:', tourId);
-      console.log('  - tourType:', tourType);
-      console.log('  - selectedDate:', selectedDate);
-      console.log('  - quantity:', quantity);
-      console.log('  - email:', email);
+      log.info('Extracted metadata', { tourId, tourType, selectedDate, quantity, hasEmail: !!email });
 
       if (!email) {
-        console.error('❌ Missing email in metadata and session');
+        log.error('Missing email in metadata and session');
         return res.status(200).json({ received: true, skipped: 'missing_email' });
       }
 
@@ -135,19 +130,19 @@ export default async function handler(req, res) {
       const isSelfGuidedTour = tourType === 'self-guided' || !tourType;
 
       if (!isGuidedTour && !isSelfGuidedTour) {
-        console.log('ℹ️ Skipping: Unknown tour type (tourType:', tourType, ')');
+        log.info('Skipping: unknown tour type', { tourType });
         return res.status(200).json({ received: true, skipped: 'unknown_tour_type' });
       }
 
       // For guided tours, tourId and selectedDate are required
       if (isGuidedTour) {
         if (!tourId) {
-          console.error('❌ Missing tourId in metadata for guided tour');
+          log.error('Missing tourId in metadata for guided tour');
           return res.status(200).json({ received: true, skipped: 'missing_tourId' });
         }
 
         if (!selectedDate) {
-          console.error('❌ Missing selectedDate in metadata for guided tour');
+          log.error('Missing selectedDate in metadata for guided tour', { tourId });
           return res.status(200).json({ received: true, skipped: 'missing_selectedDate' });
         }
       }
@@ -163,15 +158,15 @@ export default async function handler(req, res) {
           .single();
 
         if (tourError || !tourData) {
-          console.warn('⚠️ Tour not found:', tourId);
+          log.warn('Tour not found', { tourId, error: tourError });
           // For self-guided tours, we can continue without tour data
           // For guided tours, this is an error
           if (isGuidedTour) {
-            console.error('❌ Guided tour not found:', tourId);
+            log.error('Guided tour not found', { tourId });
             return res.status(400).json({ error: 'Guided tour not found' });
           }
           // For self-guided, we'll use metadata and skip booking creation
-          console.log('ℹ️ Self-guided tour not found in DB, will log purchase only');
+          log.info('Self-guided tour not found in DB, will log purchase only', { tourId });
         } else {
           tour = tourData;
         }
@@ -179,16 +174,17 @@ export default async function handler(req, res) {
 
       // For guided tours, guide_id is required
       if (isGuidedTour && (!tour || !tour.guide_id)) {
-        console.error('❌ Guided tour has no guide_id:', tourId);
+        log.error('Guided tour has no guide_id', { tourId });
         return res.status(400).json({ error: 'Guided tour has no guide' });
       }
 
       // For self-guided tours without tourId, skip booking creation
       if (isSelfGuidedTour && !tourId) {
-        console.log('ℹ️ Self-guided purchase without tourId (AI-generated itinerary)');
-        console.log('  - Customer:', email);
-        console.log('  - Amount:', session.amount_total / 100, session.currency);
-        console.log('  - City:', metadata.city);
+        log.info('Self-guided purchase without tourId (AI-generated itinerary)', {
+          amount: session.amount_total / 100,
+          currency: session.currency,
+          city: metadata.city
+        });
         
         // Return success - purchase is recorded in Stripe
         return res.status(200).json({ 
@@ -221,7 +217,7 @@ export default async function handler(req, res) {
           .single();
 
         if (userError) {
-          console.error('❌ Error creating user:', userError);
+          log.error('Error creating user', userError);
           return res.status(500).json({ error: 'Failed to create user' });
         }
 
@@ -269,17 +265,18 @@ export default async function handler(req, res) {
           if (!guideId && tourWithSource.guide_id) {
             guideId = tourWithSource.guide_id;
           }
-          console.log('🔍 Tour found on second attempt:', { tourId, source: tourWithSource.source, isUserGeneratedTour, guideId });
+          log.info('Tour found on second attempt', { tourId, source: tourWithSource.source, isUserGeneratedTour, guideId });
         }
       }
       
       // For self-guided tours, if tour was not found in DB and not user_generated, skip booking creation
       if (isSelfGuidedTour && !tour && !isUserGeneratedTour) {
-        console.log('ℹ️ Self-guided tour not found in database, skipping booking creation');
-        console.log('  - Customer:', email);
-        console.log('  - Amount:', totalPrice, currency);
-        console.log('  - City:', metadata.city);
-        console.log('  - tourId:', tourId);
+        log.info('Self-guided tour not found in database, skipping booking creation', {
+          tourId,
+          amount: totalPrice,
+          currency,
+          city: metadata.city
+        });
         
         // Return success - purchase is recorded in Stripe
         return res.status(200).json({ 
@@ -291,19 +288,21 @@ export default async function handler(req, res) {
       
       // If tour was not found but is user_generated, we can still create booking
       if (isSelfGuidedTour && !tour && isUserGeneratedTour) {
-        console.log('ℹ️ User-generated tour not fully loaded, but will create booking with tourId');
+        log.info('User-generated tour not fully loaded, creating booking with tourId', { tourId });
         // Continue to create booking with tourId even if tour object is null
       }
 
       // Create tour booking
-      console.log('💾 Creating booking in database...');
-      console.log('  - tour_id:', tourId);
-      console.log('  - user_id:', userId);
-      console.log('  - guide_id:', guideId);
-      console.log('  - tour_date:', tourDate);
-      console.log('  - group_size:', finalQuantity);
-      console.log('  - total_price:', totalPrice, currency);
-      console.log('  - tour_type:', isGuidedTour ? 'guided' : 'self-guided');
+      log.info('Creating booking', {
+        tourId,
+        userId,
+        guideId,
+        tourDate,
+        groupSize: finalQuantity,
+        totalPrice,
+        currency,
+        tourType: isGuidedTour ? 'guided' : 'self-guided'
+      });
       
       const bookingData = {
         tour_id: tourId, // CRITICAL: Must be set if tourId exists (even if tour object is null)
@@ -327,11 +326,11 @@ export default async function handler(req, res) {
       // CRITICAL: Ensure tour_id is set if tourId exists (even if tour object is null)
       if (tourId && !bookingData.tour_id) {
         bookingData.tour_id = tourId;
-        console.log('🔧 Setting tour_id in booking data:', tourId);
+        log.debug('Setting tour_id in booking data', { tourId });
       }
       
       if (!tourId) {
-        console.error('❌ CRITICAL: tourId is missing - cannot create booking without tour_id');
+        log.error('tourId is missing - cannot create booking without tour_id');
         return res.status(400).json({ 
           error: 'Missing tourId',
           message: 'Cannot create booking without tour_id' 
@@ -349,13 +348,13 @@ export default async function handler(req, res) {
           .single();
         
         isUserGeneratedTour = tourWithSource?.source === 'user_generated';
-        console.log('🔍 Tour source check:', { tourId, source: tourWithSource?.source, isUserGeneratedTour });
+        log.debug('Tour source check', { tourId, source: tourWithSource?.source, isUserGeneratedTour });
       }
 
       // For user_generated tours, guide_id can be null
       // For regular tours, guide_id should exist
       if (!guideId && isSelfGuidedTour && !isUserGeneratedTour) {
-        console.warn('⚠️ Self-guided tour without guide_id and not user_generated - cannot create booking');
+        log.warn('Self-guided tour without guide_id and not user_generated - cannot create booking', { tourId });
         return res.status(200).json({ 
           received: true, 
           type: 'self-guided',
@@ -373,24 +372,24 @@ export default async function handler(req, res) {
         .single();
 
       if (bookingError) {
-        console.error('❌ Error creating booking:', bookingError);
-        console.error('❌ Booking error details:', JSON.stringify(bookingError, null, 2));
+        log.error('Error creating booking', { tourId, error: bookingError });
         return res.status(500).json({ 
           error: 'Failed to create booking',
           details: bookingError.message 
         });
       }
 
-      console.log('✅ Booking created successfully:', booking.id);
+      addLogContext({ bookingId: booking.id });
+      log.info('Booking created');
       
       // Update booked_spots in tour_availability_slots (only for guided tours)
       if (isGuidedTour) {
-        console.log('🔄 Updating availability slots (should be automatic via trigger)...');
+        log.debug('Availability slots are updated by the database trigger');
       }
 
       // Create notification for guide (only if guide exists)
       if (guideId) {
-        console.log('📬 Creating notification for guide:', guideId);
+        log.info('Creating notification for guide', { guideId });
         const notificationMessage = isGuidedTour
           ? `${finalQuantity} spot(s) booked for ${tourTitle} on ${tourDate}`
           : `Self-guided tour "${tourTitle}" purchased for ${totalPrice} ${currency}`;
@@ -408,10 +407,10 @@ export default async function handler(req, res) {
           });
 
         if (notificationError) {
-          console.error('⚠️ Error creating notification:', notificationError);
+          log.warn('Error creating notification', notificationError);
           // Don't fail the webhook if notification fails
         } else {
-          console.log('✅ Notification created for guide');
+          log.debug('Notification created for guide');
         }
 
         // Send email notification to guide
@@ -455,10 +454,10 @@ export default async function handler(req, res) {
               html: emailHtml
             });
 
-            console.log('✅ Email sent to guide:', guide.email);
+            log.info('Email sent to guide', { guideId });
           }
         } catch (emailError) {
-          console.error('⚠️ Error sending email:', emailError);
+          log.warn('Error sending email to guide', emailError);
           // Don't fail the webhook if email fails
         }
       }
@@ -520,14 +519,14 @@ export default async function handler(req, res) {
             html: customerEmailHtml
           });
 
-          console.log('✅ Email sent to customer:', email);
+          log.info('Email sent to customer');
         } catch (customerEmailError) {
-          console.error('⚠️ Error sending email to customer:', customerEmailError);
+          log.warn('Error sending email to customer', customerEmailError);
           // Don't fail the webhook if customer email fails
         }
       }
 
-      console.log('✅ WEBHOOK: Successfully processed booking');
+      log.info('Booking processed');
       return res.status(200).json({ 
         received: true, 
         bookingId: booking.id,
@@ -536,9 +535,7 @@ export default async function handler(req, res) {
       });
 
     } catch (error) {
-      console.error('❌ Error processing webhook:', error);
-      console.error('❌ Error stack:', error.stack);
-      console.error('❌ Full error:', JSON.stringify(error, null, 2));
+      log.error('Error processing webhook', error);
       return res.status(500).json({ 
         error: error.message,
         stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -547,7 +544,9 @@ export default async function handler(req, res) {
   }
 
   // Event type not handled
-  console.log('ℹ️ Event type not handled:', event.type);
+  log.info('Event type not handled');
   return res.status(200).json({ received: true, eventType: event.type });
 }
 
+export default withRequestContext(handler);
+
@@ -4,32 +4,18 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { IDEMPOTENCY_HEADER, REPLAYED_HEADER, withIdempotency } from '../lib/idempotency.js';
+import { bookingCreateSchema } from '../lib/tourSchemas.js';
+import { validateBody, sendValidationError } from '../lib/validation.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, {
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    headers: [IDEMPOTENCY_HEADER],
+    exposeHeaders: [REPLAYED_HEADER]
+  })) return;
 
   try {
     if (!supabase) {
@@ -39,35 +25,10 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get user from token
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      try {
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || null;
-      } catch (e) {
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (user) userId = user.id;
-      }
-    } catch (err) {
-      console.error('Auth error:', err);
-    }
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
+    // Any authenticated user can book; access to individual bookings is checked below
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const userId = user.id;
 
     // GET - Get bookings
     if (req.method === 'GET') {
@@ -172,140 +133,142 @@ export default async function handler(req, res) {
 
     // POST - Create booking
     if (req.method === 'POST') {
-      const {
-        tour_id,
-        tour_date,
-        group_size = 1,
-        participants,
-        additional_services = {},
-        customer_notes,
-        meeting_point,
-        meeting_time
-      } = req.body;
-
-      if (!tour_id || !tour_date) {
-        return res.status(400).json({
-          success: false,
-          error: 'tour_id and tour_date are required'
-        });
-      }
-
-      // Get tour details
-      const { data: tour, error: tourError } = await supabase
-        .from('tours')
-        .select('id, guide_id, price_guided, currency, meta')
-        .eq('id', tour_id)
-        .single();
-
-      if (tourError || !tour) {
-        return res.status(404).json({
-          success: false,
-          error: 'Tour not found'
-        });
-      }
-
-      if (!tour.guide_id) {
-        return res.status(400).json({
-          success: false,
-          error: 'This tour does not have a guide'
-        });
-      }
+      // A retried or double-submitted request with the same Idempotency-Key
+      // gets the first booking back instead of creating a second one
+      return withIdempotency(req, res, { scope: `tour-bookings:${userId}` }, async () => {
+        const validationErrors = validateBody(bookingCreateSchema, req.body);
+        if (validationErrors) {
+          return sendValidationError(res, validationErrors);
+        }
 
-      // Check availability
-      const { data: availability, error: availError } = await supabase
-        .from('tour_availability_slots')
-        .select('*')
-        .eq('tour_id', tour_id)
-        .eq('date', tour_date)
-        .single();
+        const {
+          tour_id,
+          tour_date,
+          group_size = 1,
+          participants,
+          additional_services = {},
+          customer_notes,
+          meeting_point,
+          meeting_time
+        } = req.body;
+
+        // Get tour details
+        const { data: tour, error: tourError } = await supabase
+          .from('tours')
+          .select('id, guide_id, price_guided, currency, meta')
+          .eq('id', tour_id)
+          .single();
+
+        if (tourError || !tour) {
+          return res.status(404).json({
+            success: false,
+            error: 'Tour not found'
+          });
+        }
 
-      if (availError || !availability) {
-        return res.status(400).json({
-          success: false,
-          error: 'Date is not available for booking'
-        });
-      }
+        if (!tour.guide_id) {
+          return res.status(400).json({
+            success: false,
+            error: 'This tour does not have a guide'
+          });
+        }
 
-      if (availability.is_blocked || !availability.is_available) {
-        return res.status(400).json({
-          success: false,
-          error: 'This date is blocked or not available'
-        });
-      }
+        // Check availability
+        const { data: availability, error: availError } = await supabase
+          .from('tour_availability_slots')
+          .select('*')
+          .eq('tour_id', tour_id)
+          .eq('date', tour_date)
+          .single();
 
-      // Check if there are enough spots
-      const availableSpots = availability.max_group_size - (availability.booked_spots || 0);
-      if (group_size > availableSpots) {
-        return res.status(400).json({
-          success: false,
-          error: `Not enough spots available. Only ${availableSpots} spots left.`
-        });
-      }
+        if (availError || !availability) {
+          return res.status(400).json({
+            success: false,
+            error: 'Date is not available for booking'
+          });
+        }
 
-      // Calculate price
-      const basePrice = availability.custom_price || tour.price_guided || 0;
-      let additionalServicesPrice = 0;
+        if (availability.is_blocked || !availability.is_available) {
+          return res.status(400).json({
+            success: false,
+            error: 'This date is blocked or not available'
+          });
+        }
 
-      // Calculate additional services price (if any)
-      if (additional_services && typeof additional_services === 'object') {
-        // This would need to be calculated based on tour's additional options
-        // For now, we'll set it to 0
-        additionalServicesPrice = 0;
-      }
+        // Check if there are enough spots
+        const availableSpots = availability.max_group_size - (availability.booked_spots || 0);
+        if (group_size > availableSpots) {
+          return res.status(400).json({
+            success: false,
+            error: `Not enough spots available. Only ${availableSpots} spots left.`
+          });
+        }
 
-      const totalPrice = basePrice * group_size + additionalServicesPrice;
+        // Calculate price
+        const basePrice = availability.custom_price || tour.price_guided || 0;
+        let additionalServicesPrice = 0;
 
-      // Get meeting point and time from tour meta or use provided
-      const tourMeta = tour.meta || {};
-      const finalMeetingPoint = meeting_point || tourMeta.meeting_point || null;
-      const finalMeetingTime = meeting_time || tourMeta.meeting_time || null;
+        // Calculate additional services price (if any)
+        if (additional_services && typeof additional_services === 'object') {
+          // This would need to be calculated based on tour's additional options
+          // For now, we'll set it to 0
+          additionalServicesPrice = 0;
+        }
 
-      // Create booking
-      const { data: booking, error: bookingError } = await supabase
-        .from('tour_bookings')
-        .insert({
-          tour_id: tour.id,
-          user_id: userId,
-          guide_id: tour.guide_id,
-          tour_date: tour_date,
-          meeting_point: finalMeetingPoint,
-          meeting_time: finalMeetingTime,
-          group_size: group_size,
-          participants: participants || null,
-          base_price: basePrice,
-          additional_services_price: additionalServicesPrice,
-          total_price: totalPrice,
-          currency: tour.currency || 'USD',
-          status: 'pending',
-          payment_status: 'pending',
-          additional_services: additional_services,
-          customer_notes: customer_notes || null
-        })
-        .select()
-        .single();
+        const totalPrice = basePrice * group_size + additionalServicesPrice;
+
+        // Get meeting point and time from tour meta or use provided
+        const tourMeta = tour.meta || {};
+        const finalMeetingPoint = meeting_point || tourMeta.meeting_point || null;
+        const finalMeetingTime = meeting_time || tourMeta.meeting_time || null;
+
+        // Create booking
+        const { data: booking, error: bookingError } = await supabase
+          .from('tour_bookings')
+          .insert({
+            tour_id: tour.id,
+            user_id: userId,
+            guide_id: tour.guide_id,
+            tour_date: tour_date,
+            meeting_point: finalMeetingPoint,
+            meeting_time: finalMeetingTime,
+            group_size: group_size,
+            participants: participants || null,
+            base_price: basePrice,
+            additional_services_price: additionalServicesPrice,
+            total_price: totalPrice,
+            currency: tour.currency || 'USD',
+            status: 'pending',
+            payment_status: 'pending',
+            additional_services: additional_services,
+            customer_notes: customer_notes || null
+          })
+          .select()
+          .single();
+
+        if (bookingError) {
+          console.error('Error creating booking:', bookingError);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to create booking'
+          });
+        }
 
-      if (bookingError) {
-        console.error('Error creating booking:', bookingError);
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to create booking'
+        // The trigger will automatically update booked_spots in tour_availability_slots
+
+        return res.status(201).json({
+          success: true,
+          booking: {
+            id: booking.id,
+            tour_id: booking.tour_id,
+            tour_date: booking.tour_date,
+            group_size: booking.group_size,
+            total_price: booking.total_price,
+            status: booking.status,
+            payment_status: booking.payment_status
+          }
+          // checkout_session_id would be added here if integrating with Stripe
         });
-      }
-
-      // The trigger will automatically update booked_spots in tour_availability_slots
-
-      return res.status(201).json({
-        success: true,
-        booking: {
-          id: booking.id,
-          tour_id: booking.tour_id,
-          tour_date: booking.tour_date,
-          group_size: booking.group_size,
-          total_price: booking.total_price,
-          status: booking.status,
-          payment_status: booking.payment_status
-        }
-        // checkout_session_id would be added here if integrating with Stripe
       });
     }
 
@@ -4,79 +4,14 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { validateBody, sendValidationError } from '../lib/validation.js';
+import { contentBlockCreateSchema, contentBlockUpdateSchema } from '../lib/tourSchemas.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'DELETE'] })) return;
 
-  // Helper function to get user ID and role from token
-  const getUserFromToken = async (authHeader) => {
-    if (!authHeader) {
-      console.warn('⚠️ No auth header provided');
-      return { userId: null, isAdmin: false };
-    }
-    
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      try {
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || payload.sub;
-        console.log('🔑 Extracted userId from JWT payload:', userId);
-      } catch (e) {
-        console.log('🔑 Trying Supabase auth.getUser...');
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (!authError && user) {
-          userId = user.id;
-          console.log('🔑 Extracted userId from Supabase auth:', userId);
-        } else {
-          console.error('❌ Supabase auth error:', authError);
-        }
-      }
-    } catch (error) {
-      console.error('❌ Token decode error:', error);
-    }
-    
-    if (!userId) {
-      console.warn('⚠️ Could not extract userId from token');
-      return { userId: null, isAdmin: false };
-    }
-    
-    // Get user role
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, role')
-      .eq('id', userId)
-      .single();
-    
-    if (userError) {
-      console.error('❌ Error fetching user data:', userError);
-    }
-    
-    const isAdmin = userData?.role === 'admin';
-    console.log(`👤 User ${userId} - role: ${userData?.role}, isAdmin: ${isAdmin}`);
-    return { userId, isAdmin, userData };
-  };
-  
   // Helper function to check if user can edit tour
   const canEditTour = async (tourId, userId, isAdmin) => {
     if (isAdmin) {
@@ -331,23 +266,18 @@ export default async function handler(req, res) {
 
     // POST - Create a new content block
     if (req.method === 'POST') {
-      const { tourId, blockType, content, orderIndex } = req.body;
-
-      if (!tourId || !blockType) {
-        return res.status(400).json({ error: 'tourId and blockType are required' });
-      }
-
       // Check authorization and permissions
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const user = await requireAuth(req, res);
+      if (!user) return;
+      const { id: userId, isAdmin } = user;
 
-      const { userId, isAdmin } = await getUserFromToken(authHeader);
-      if (!userId) {
-        return res.status(401).json({ error: 'Invalid token' });
+      const validationErrors = validateBody(contentBlockCreateSchema, req.body);
+      if (validationErrors) {
+        return sendValidationError(res, validationErrors);
       }
 
+      const { tourId, blockType, content, orderIndex } = req.body;
+
       // Check if user can edit this tour
       const canEdit = await canEditTour(tourId, userId, isAdmin);
       if (!canEdit) {
@@ -452,19 +382,9 @@ export default async function handler(req, res) {
       }
 
       // Check authorization and permissions
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        console.warn('⚠️ No authorization header in PUT request');
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      const { userId, isAdmin, userData } = await getUserFromToken(authHeader);
-      console.log(`🔐 PUT request - userId: ${userId}, isAdmin: ${isAdmin}`);
-      
-      if (!userId) {
-        console.warn('⚠️ Could not extract userId from token');
-        return res.status(401).json({ error: 'Invalid token' });
-      }
+      const user = await requireAuth(req, res);
+      if (!user) return;
+      const { id: userId, isAdmin } = user;
 
       // Get tour_id from block to check permissions
       const { data: existingBlock, error: blockError } = await supabase
@@ -499,6 +419,11 @@ export default async function handler(req, res) {
 
       console.log(`✅ Permission granted: User ${userId} can edit tour ${existingBlock.tour_id}`);
 
+      const validationErrors = validateBody(contentBlockUpdateSchema(existingBlock.block_type), req.body);
+      if (validationErrors) {
+        return sendValidationError(res, validationErrors);
+      }
+
       const updateData = {};
       if (content !== undefined) updateData.content = content;
       if (orderIndex !== undefined) updateData.order_index = orderIndex;
@@ -548,19 +473,9 @@ export default async function handler(req, res) {
       }
 
       // Check authorization and permissions
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        console.warn('⚠️ No authorization header in DELETE request');
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      const { userId, isAdmin } = await getUserFromToken(authHeader);
-      console.log(`🔐 DELETE request - userId: ${userId}, isAdmin: ${isAdmin}`);
-      
-      if (!userId) {
-        console.warn('⚠️ Could not extract userId from token');
-        return res.status(401).json({ error: 'Invalid token' });
-      }
+      const user = await requireAuth(req, res);
+      if (!user) return;
+      const { id: userId, isAdmin } = user;
 
       // Get tour_id from block to check permissions
       const { data: existingBlock, error: blockError } = await supabase
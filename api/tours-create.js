@@ -9,6 +9,10 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth, ROLES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { validateBody, sendValidationError } from '../lib/validation.js';
+import { tourCreateSchema } from '../lib/tourSchemas.js';
 
 // Fallback function for getOrCreateCity (in case import fails)
 async function getOrCreateCityFallback(cityName, countryName) {
@@ -41,30 +45,7 @@ async function getOrCreateCityFallback(cityName, countryName) {
 }
 
 export default async function handler(req, res) {
-  // CORS headers - устанавливаем ПЕРВЫМИ (как в admin-locations.js)
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'https://fliptrip-clean-frontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -78,68 +59,10 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get user from token (same approach as auth-me.js)
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    // Extract user ID from token (same logic as auth-me.js)
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      // Try to decode as base64 (our custom token format)
-      try {
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || null;
-      } catch (e) {
-        // If not base64, try as Supabase JWT
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (!authError && user) {
-          userId = user.id;
-        }
-      }
-    } catch (error) {
-      console.error('Token decode error:', error);
-    }
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-
-    // Get user data from database
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, role')
-      .eq('id', userId)
-      .single();
-
-    console.log('👤 User data from DB:', { userId, userData, userError });
-
-    if (userError || !userData) {
-      console.error('❌ User not found or error:', userError);
-      return res.status(403).json({
-        success: false,
-        error: 'User not found or invalid token',
-        details: userError?.message
-      });
-    }
-
-    // Allow both 'creator' and 'guide' roles (they are the same)
-    if (userData.role !== 'creator' && userData.role !== 'guide') {
-      console.error('❌ Invalid role:', userData.role);
-      return res.status(403).json({
-        success: false,
-        error: 'Only creators/guides can create tours',
-        userRole: userData.role
-      });
-    }
+    // Only creators/guides can create tours
+    const user = await requireAuth(req, res, { roles: [ROLES.GUIDE] });
+    if (!user) return;
+    const userId = user.id;
 
     const tourData = req.body;
     const { country, city, title, description, shortDescription, daily_plan, tags, meta } = tourData;
@@ -157,11 +80,9 @@ export default async function handler(req, res) {
       tagsLength: tags?.length || 0
     });
 
-    if (!city || !title) {
-      return res.status(400).json({
-        success: false,
-        error: 'City and title are required'
-      });
+    const validationErrors = validateBody(tourCreateSchema, tourData);
+    if (validationErrors) {
+      return sendValidationError(res, validationErrors);
     }
 
     // Get or create city (try import first, fallback to inline function)
@@ -524,9 +445,6 @@ export default async function handler(req, res) {
       console.error('❌ Error code:', insertError.code);
       console.error('❌ Error message:', insertError.message);
       
-      // Ensure CORS headers before returning error
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      
       return res.status(500).json({
         success: false,
         error: 'Failed to create tour',
@@ -746,10 +664,6 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('❌ Error creating tour:', error);
-    // Ensure CORS headers are set even on error
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     return res.status(500).json({
       success: false,
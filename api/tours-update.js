@@ -8,6 +8,10 @@
  */
 
 import { supabase } from '../database/db.js';
+import { requireAuth } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+import { validateBody, sendValidationError } from '../lib/validation.js';
+import { tourUpdateSchema } from '../lib/tourSchemas.js';
 
 // Fallback function for getOrCreateCity (in case import fails)
 async function getOrCreateCityFallback(cityName, countryName) {
@@ -53,28 +57,7 @@ export default async function handler(req, res) {
     });
   }
   
-  // CORS headers - устанавливаем ПЕРВЫМИ (как в admin-locations.js)
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] })) return;
 
   // Handle DELETE method for tour deletion
   if (req.method === 'DELETE') {
@@ -85,29 +68,9 @@ export default async function handler(req, res) {
     }
 
     try {
-      // Get user from token
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        return res.status(401).json({ success: false, error: 'Unauthorized' });
-      }
-
-      // Use same token decoding as auth-me.js
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      let userId = null;
-      
-      try {
-        // Decode token (simple base64, same as auth-me.js)
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || payload.sub;
-      } catch (e) {
-        console.error('Token decode error:', e);
-        console.error('Token (first 20 chars):', cleanToken.substring(0, 20));
-        return res.status(401).json({ success: false, error: 'Invalid token', details: e.message });
-      }
-
-      if (!userId) {
-        return res.status(401).json({ success: false, error: 'User ID not found in token' });
-      }
+      const user = await requireAuth(req, res);
+      if (!user) return;
+      const userId = user.id;
 
       // Check if tour exists and belongs to user
       console.log(`🔍 DELETE: Checking tour ${id} for userId ${userId}`);
@@ -206,59 +169,9 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get user from token
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    // Extract user ID from token (same as auth-me.js)
-    let userId = null;
-    try {
-      const cleanToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-      try {
-        // Decode token (simple base64, same as auth-me.js)
-        const payload = JSON.parse(Buffer.from(cleanToken, 'base64').toString());
-        userId = payload.userId || payload.id || payload.sub;
-        console.log(`✅ Extracted userId from token: ${userId}`);
-      } catch (e) {
-        console.error('Token decode error (base64), trying Supabase auth:', e.message);
-        const { data: { user }, error: authError } = await supabase.auth.getUser(cleanToken);
-        if (!authError && user) {
-          userId = user.id;
-        }
-      }
-    } catch (error) {
-      console.error('Token decode error:', error);
-    }
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-
-    // Get user role to check if admin
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, role')
-      .eq('id', userId)
-      .single();
-
-    if (userError || !userData) {
-      console.error('❌ User not found:', userError);
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    const isAdmin = userData.role === 'admin';
-    console.log(`👤 User role: ${userData.role}, isAdmin: ${isAdmin}`);
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { id: userId, isAdmin } = user;
 
     // Verify user owns the tour (unless admin)
     console.log(`🔍 Checking tour ownership for tour ID: ${id}, userId: ${userId}`);
@@ -326,6 +239,11 @@ export default async function handler(req, res) {
     }
 
     const tourData = req.body;
+    const validationErrors = validateBody(tourUpdateSchema, tourData);
+    if (validationErrors) {
+      return sendValidationError(res, validationErrors);
+    }
+
     let { country, city, title, description, shortDescription, daily_plan, tags, meta, status, saveAsDraft, highlights, previewImages, tourPdfUrl, pdfTemplate, pdfLayout } = tourData;
     
     console.log('📋 tours-update received:', {
@@ -1243,10 +1161,6 @@ export default async function handler(req, res) {
             console.error('❌ Please run the migration: database/add-interest-id-to-tour-tags.sql');
             console.error('❌ This migration adds the interest_id column to support interests.');
           }
-          // Don't throw - return error response with CORS headers
-          res.setHeader('Access-Control-Allow-Origin', '*');
-          res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-          res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
           return res.status(500).json({
             success: false,
             error: 'Failed to save interests',
@@ -1444,10 +1358,6 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('❌ Update tour error:', error);
-    // Ensure CORS headers are set even on error
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     return res.status(500).json({
       success: false,
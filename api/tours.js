@@ -7,6 +7,7 @@
  */
 
 import { supabase } from '../database/db.js';
+import { applyCors, CORS_POLICY } from '../lib/cors.js';
 
 /**
  * Mapping from location.category (old type) to interest category names
@@ -94,15 +95,7 @@ async function getInterestNamesByCategoryName(categoryName, supabaseClient) {
 }
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  if (applyCors(req, res, { methods: ['GET'], policy: CORS_POLICY.PUBLIC })) return;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
@@ -347,10 +340,6 @@ export default async function handler(req, res) {
       } catch (fetchError) {
         console.error('❌ Error in tour fetch process:', fetchError);
         console.error('❌ Error stack:', fetchError.stack);
-        // Ensure CORS headers are set even on error
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
         return res.status(500).json({ 
           success: false, 
           message: 'Database error',
@@ -891,10 +880,6 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Tours error:', error);
     console.error('❌ Error stack:', error.stack);
-    // Ensure CORS headers are set even on error
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     return res.status(500).json({ 
       success: false, 
       message: 'Error getting tours',
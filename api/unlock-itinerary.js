@@ -10,13 +10,14 @@ import { Redis } from '@upstash/redis';
 import { searchLocationsForItinerary } from '../database/services/locationsService.js';
 import { getOrCreateCity } from '../database/services/citiesService.js';
 import { Client } from '@googlemaps/google-maps-services-js';
-import OpenAI from 'openai';
+import { applyCors } from '../lib/cors.js';
+import { getLLM } from '../lib/llm/index.js';
+import { addLogContext, createLogger, withRequestContext } from '../lib/logger.js';
+
+const log = createLogger('unlock-itinerary');
 
 // Initialize clients
 const googleMapsClient = new Client({});
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
 
 // Lazy initialization of Redis client
 function getRedis() {
@@ -30,65 +31,30 @@ function getRedis() {
   return new Redis({ url, token });
 }
 
-// Generate location description via OpenAI (optimized)
+// Generate location description via the LLM (optimized)
 async function generateLocationDescription(name, category, city) {
   try {
     const prompt = `Describe ${name} in ${city} (${category}). 2-3 sentences.`;
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 200,
-      temperature: 0.7
-    });
-    return response.choices[0].message.content.trim();
+    return await getLLM().text('shortDescription', { prompt, vars: { name, category, city } });
   } catch (error) {
-    console.error('OpenAI description error:', error);
+    log.error('OpenAI description error', error);
     return null;
   }
 }
 
-// Generate location recommendations via OpenAI (optimized)
+// Generate location recommendations via the LLM (optimized)
 async function generateLocationRecommendations(name, category, city) {
   try {
     const prompt = `Tip for visiting ${name} in ${city}. One sentence.`;
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 60,
-      temperature: 0.7
-    });
-    return response.choices[0].message.content.trim();
+    return await getLLM().text('shortTip', { prompt, vars: { name, category, city } });
   } catch (error) {
-    console.error('OpenAI recommendations error:', error);
+    log.error('OpenAI recommendations error', error);
     return null;
   }
 }
 
-export default async function handler(req, res) {
-  // CORS headers - устанавливаем ПЕРВЫМИ
-  const origin = req.headers.origin;
-  const allowedOrigins = [
-    'https://www.flip-trip.com',
-    'https://flip-trip.com',
-    'https://fliptripfrontend.vercel.app',
-    'http://localhost:5173',
-    'http://localhost:3000'
-  ];
-  
-  if (origin && allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+async function handler(req, res) {
+  if (applyCors(req, res, { methods: ['GET', 'POST'] })) return;
 
   if (req.method !== 'POST') {
     return res.status(405).json({ 
@@ -107,7 +73,8 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log('🔓 Unlocking itinerary:', itineraryId);
+    addLogContext({ itineraryId });
+    log.info('Unlocking itinerary');
 
     const redis = getRedis();
     
@@ -125,16 +92,17 @@ export default async function handler(req, res) {
       ? JSON.parse(existingItinerary) 
       : existingItinerary;
 
-    console.log('📥 Loaded itinerary from Redis:', {
+    log.info('Loaded itinerary from Redis', {
       hasActivities: !!itinerary.activities,
       activitiesCount: itinerary.activities?.length || 0,
       hasDailyPlan: !!itinerary.daily_plan,
+      daysCount: itinerary.days?.length || 1,
       previewOnly: itinerary.previewOnly
     });
 
     // Step 2: If itinerary already has full plan, just update previewOnly flag
     if (itinerary.activities && itinerary.activities.length > 2) {
-      console.log('✅ Itinerary already has full plan, just updating previewOnly flag');
+      log.info('Itinerary already has full plan, just updating previewOnly flag');
       itinerary.previewOnly = false;
       await redis.set(`itinerary:${itineraryId}`, JSON.stringify(itinerary));
       
@@ -150,8 +118,7 @@ export default async function handler(req, res) {
     // But if for some reason we only have 2, we need to generate the rest
     
     if (!itinerary.activities || itinerary.activities.length <= 2) {
-      console.log('⚠️ Itinerary has only preview activities, but full plan should have been generated during preview');
-      console.log('⚠️ This should not happen - full plan should be generated during preview');
+      log.warn('Itinerary has only preview activities - full plan should have been generated during preview');
       // For now, just unlock what we have
       itinerary.previewOnly = false;
       await redis.set(`itinerary:${itineraryId}`, JSON.stringify(itinerary));
@@ -167,7 +134,7 @@ export default async function handler(req, res) {
     itinerary.previewOnly = false;
     await redis.set(`itinerary:${itineraryId}`, JSON.stringify(itinerary));
 
-    console.log('✅ Itinerary unlocked successfully');
+    log.info('Itinerary unlocked');
 
     return res.status(200).json({
       success: true,
@@ -176,7 +143,7 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ Unlock itinerary error:', error);
+    log.error('Unlock itinerary error', error);
     return res.status(500).json({
       success: false,
       error: 'Failed to unlock itinerary',
@@ -185,5 +152,7 @@ export default async function handler(req, res) {
   }
 }
 
+export default withRequestContext(handler);
+
 
 
@@ -0,0 +1,21 @@
+-- Migration: Add opening_hours to locations table
+-- Weekly schedule plus exceptions and yearly holidays (format: lib/openingHours.js).
+-- Itinerary generation skips places that are closed at the slot time on the trip date;
+-- NULL means the hours are unknown and the place is never treated as closed.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'locations' AND column_name = 'opening_hours'
+    ) THEN
+        ALTER TABLE locations
+        ADD COLUMN opening_hours JSONB;
+
+        RAISE NOTICE 'opening_hours column added successfully';
+    ELSE
+        RAISE NOTICE 'opening_hours column already exists';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN locations.opening_hours IS 'Часы работы: {"weekly": {"mon": [["10:00", "18:00"]], ...}, "exceptions": [{"date": "12-25", "closed": true}]}; NULL = неизвестно';
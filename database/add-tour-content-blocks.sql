@@ -0,0 +1,24 @@
+-- Migration: Create tour_content_blocks table (visual tour editor blocks)
+-- See MIGRATION_TOUR_CONTENT_BLOCKS.md. The 'map' block type is added by add-map-block-type.sql
+
+CREATE TABLE IF NOT EXISTS tour_content_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tour_id UUID NOT NULL REFERENCES tours(id) ON DELETE CASCADE,
+  block_type VARCHAR(50) NOT NULL,
+  content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  order_index INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT tour_content_blocks_block_type_check CHECK (block_type IN (
+    'location',
+    'title',
+    'photo_text',
+    'text',
+    'slide',
+    '3columns',
+    'photo',
+    'divider'
+  ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tour_content_blocks_tour_id ON tour_content_blocks(tour_id, order_index);
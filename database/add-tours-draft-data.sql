@@ -0,0 +1,20 @@
+-- Add draft_data JSONB field to tours table
+-- Holds the editor state (preview, previewType, exploreOrder, ...) until the tour is published.
+-- Existed in production before migrations were tracked; needed by migrate-preview-from-draft-data.sql
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'tours' AND column_name = 'draft_data'
+    ) THEN
+        ALTER TABLE tours 
+        ADD COLUMN draft_data JSONB;
+        
+        RAISE NOTICE 'Column draft_data added successfully';
+    ELSE
+        RAISE NOTICE 'Column draft_data already exists';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN tours.draft_data IS 'Tour editor state (preview, previewType, exploreOrder, ...)';
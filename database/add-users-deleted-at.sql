@@ -0,0 +1,20 @@
+-- Migration: Add deleted_at to users table
+-- Set when a user deletes their account (api/account-delete.js). The row is kept
+-- anonymized so bookings stay valid for accounting.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'deleted_at'
+    ) THEN
+        ALTER TABLE users
+        ADD COLUMN deleted_at TIMESTAMPTZ;
+
+        RAISE NOTICE 'deleted_at column added successfully';
+    ELSE
+        RAISE NOTICE 'deleted_at column already exists';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.deleted_at IS 'When the account was deleted by its owner (personal data anonymized)';
@@ -0,0 +1,23 @@
+-- Migration: Add TOTP two-factor authentication fields to users table
+-- Used by admin and guide accounts (api/auth-2fa.js, api/auth-login-2fa.js)
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'users' AND column_name = 'totp_secret'
+    ) THEN
+        ALTER TABLE users 
+        ADD COLUMN totp_secret TEXT,
+        ADD COLUMN totp_enabled BOOLEAN DEFAULT false NOT NULL,
+        ADD COLUMN totp_enabled_at TIMESTAMPTZ,
+        ADD COLUMN totp_recovery_codes JSONB DEFAULT '[]'::jsonb;
+        
+        RAISE NOTICE 'TOTP columns added successfully';
+    ELSE
+        RAISE NOTICE 'TOTP columns already exist';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.totp_secret IS 'Base32 TOTP secret (set during enrollment, active once totp_enabled = true)';
+COMMENT ON COLUMN users.totp_recovery_codes IS 'SHA-256 hashes of unused one-time recovery codes';
@@ -0,0 +1,261 @@
+// Tracked SQL migrations for the database/ folder (run with `npm run migrate`)
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key for pg_advisory_lock, so two runners never apply migrations at the same time
+const LOCK_KEY = 727315;
+
+/**
+ * Order in which the SQL files are applied. Append new migrations to the end;
+ * never reorder or edit a file once it has been applied anywhere - add a new one instead.
+ */
+export const MIGRATIONS = [
+  // Базовые таблицы и нормализованная структура туров
+  'schema-base.sql',
+  'schema-tours.sql',
+  'schema-locations-fields.sql',
+  'schema-location-tags.sql',
+  'add-tour-content-blocks.sql',
+  'add-map-block-type.sql',
+
+  // Профили гидов и админов
+  'schema-guides.sql',
+  'fix-guides-table-structure.sql',
+  'add-guides-city-interests.sql',
+  'create-admins-table.sql',
+
+  // Колонки туров и городов
+  'add-country-to-cities.sql',
+  'add-country-column.sql',
+  'add-tour-status.sql',
+  'fix-tours-status-constraint.sql',
+  'add-tours-meta-field.sql',
+  'add-tour-source-user-id.sql',
+  'add-tours-draft-data.sql',
+  'migrate-preview-from-draft-data.sql',
+  'add-interest-id-to-tour-tags.sql',
+  'fix-tour-tags-nullable.sql',
+
+  // Бронирования, уведомления, сообщения
+  'schema-guide-availability.sql',
+  'allow-null-guide-id-in-bookings.sql',
+  'schema-notifications-messages.sql',
+
+  // Пользователи
+  'add-users-totp.sql',
+  'add-users-deleted-at.sql',
+
+  // Storage и безопасность - после всех таблиц
+  'fix-function-search-path.sql',
+  'enable-rls-security.sql',
+
+  'schema-background-jobs.sql',
+  'add-locations-opening-hours.sql',
+  'create-tour-assets-bucket.sql',
+  'fix-tours-default-format-check.sql'
+];
+
+/**
+ * SQL files in database/ that are deliberately not migrations
+ */
+export const IGNORED_FILES = {
+  'apply-schema.sql': 'same DDL as schema-tours.sql, kept for the manual SQL Editor instructions (APPLY-NOW.md)',
+  'fix-admins-table.sql': 'drops and recreates admins; only for databases created with the old admins layout',
+  'check-preview-media-url.sql': 'diagnostic query, changes nothing',
+  'create-storage-bucket.sql': 'invalid in Postgres (CREATE POLICY IF NOT EXISTS); replaced by create-tour-assets-bucket.sql',
+  'fix-default-format-constraint.sql': 'invalid in Postgres (RAISE NOTICE outside DO); replaced by fix-tours-default-format-check.sql'
+};
+
+/**
+ * SHA-256 of a migration file. Line endings are normalized so a Windows checkout does not look "edited".
+ */
+export function checksum(sql) {
+  return createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migrations listed in MIGRATIONS from disk, in order
+ * @returns {{ name: string, sql: string, checksum: string }[]}
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR, names = MIGRATIONS) {
+  return names.map((name) => {
+    const sql = readFileSync(join(dir, name), 'utf8');
+    return { name, sql, checksum: checksum(sql) };
+  });
+}
+
+/**
+ * SQL files that are neither listed as migrations nor ignored - most likely a new
+ * migration someone forgot to register in MIGRATIONS
+ */
+export function findUnregisteredFiles(dir = MIGRATIONS_DIR, names = MIGRATIONS, ignored = IGNORED_FILES) {
+  return readdirSync(dir)
+    .filter((file) => file.endsWith('.sql'))
+    .filter((file) => !names.includes(file) && !(file in ignored))
+    .sort();
+}
+
+/**
+ * Compare migrations on disk with the rows of schema_migrations
+ * @param {{ name: string, checksum: string }[]} migrations - from loadMigrations()
+ * @param {{ name: string, checksum: string, applied_at: Date|string }[]} appliedRows
+ * @returns {{
+ *   migrations: { name: string, state: 'applied'|'pending'|'changed', appliedAt: Date|string|null }[],
+ *   pending: object[], changed: string[], unknown: string[]
+ * }}
+ *   changed - applied files whose contents differ from what ran; unknown - applied names
+ *   that are no longer in the list
+ */
+export function planMigrations(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map((row) => [row.name, row]));
+  const names = new Set(migrations.map((migration) => migration.name));
+
+  const rows = migrations.map((migration) => {
+    const row = applied.get(migration.name);
+    if (!row) {
+      return { name: migration.name, state: 'pending', appliedAt: null };
+    }
+    const state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    return { name: migration.name, state, appliedAt: row.applied_at };
+  });
+
+  return {
+    migrations: rows,
+    pending: migrations.filter((migration) => !applied.has(migration.name)),
+    changed: rows.filter((row) => row.state === 'changed').map((row) => row.name),
+    unknown: appliedRows.map((row) => row.name).filter((name) => !names.has(name))
+  };
+}
+
+/**
+ * Error for a migration state we refuse to continue from (edited migration, unregistered file)
+ */
+export class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    Object.assign(this, details);
+  }
+}
+
+export async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      name TEXT PRIMARY KEY,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER,
+      baseline BOOLEAN NOT NULL DEFAULT false
+    )
+  `);
+}
+
+export async function getAppliedMigrations(client) {
+  const { rows } = await client.query(
+    `SELECT name, checksum, applied_at, execution_ms, baseline FROM ${MIGRATIONS_TABLE} ORDER BY applied_at, name`
+  );
+  return rows;
+}
+
+/**
+ * Plan against the database and stop if any applied migration was edited
+ */
+async function checkedPlan(client, migrations) {
+  const plan = planMigrations(migrations, await getAppliedMigrations(client));
+  if (plan.changed.length > 0) {
+    throw new MigrationError(
+      `Applied migrations were edited since they ran: ${plan.changed.join(', ')}. ` +
+      'Revert the edits and put the change in a new migration file.',
+      { changed: plan.changed }
+    );
+  }
+  return plan;
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {import('pg').Client} client
+ * @param {{ migrations?: object[], dryRun?: boolean, onApplied?: Function }} options
+ * @returns {Promise<{ name: string, ms?: number }[]>} migrations applied (or that would be, on dry run)
+ */
+export async function applyMigrations(client, { migrations = loadMigrations(), dryRun = false, onApplied } = {}) {
+  await ensureMigrationsTable(client);
+
+  return withLock(client, async () => {
+    const { pending } = await checkedPlan(client, migrations);
+    if (dryRun) {
+      return pending.map(({ name }) => ({ name }));
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+      const startedAt = Date.now();
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        const ms = Date.now() - startedAt;
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (name, checksum, execution_ms) VALUES ($1, $2, $3)`,
+          [migration.name, migration.checksum, ms]
+        );
+        await client.query('COMMIT');
+        applied.push({ name: migration.name, ms });
+        onApplied?.(migration.name, ms);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new MigrationError(`Migration ${migration.name} failed: ${error.message}`, {
+          migration: migration.name,
+          cause: error
+        });
+      }
+    }
+    return applied;
+  });
+}
+
+/**
+ * Record migrations as applied without running them - for databases that were set up
+ * by hand in the Supabase SQL Editor before migrations were tracked
+ * @param {{ migrations?: object[], through?: string, dryRun?: boolean }} options
+ *   through - last migration already present in the database (default: all of them)
+ */
+export async function baselineMigrations(client, { migrations = loadMigrations(), through, dryRun = false } = {}) {
+  let selected = migrations;
+  if (through) {
+    const index = migrations.findIndex((migration) => migration.name === through);
+    if (index === -1) {
+      throw new MigrationError(`Unknown migration: ${through}`);
+    }
+    selected = migrations.slice(0, index + 1);
+  }
+
+  await ensureMigrationsTable(client);
+
+  return withLock(client, async () => {
+    const { pending } = await checkedPlan(client, selected);
+    if (!dryRun) {
+      for (const migration of pending) {
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (name, checksum, baseline) VALUES ($1, $2, true)`,
+          [migration.name, migration.checksum]
+        );
+      }
+    }
+    return pending.map(({ name }) => ({ name }));
+  });
+}
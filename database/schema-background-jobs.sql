@@ -0,0 +1,50 @@
+-- ============================================================================
+-- ФОНОВЫЕ ЗАДАЧИ (background_jobs)
+-- ============================================================================
+-- Долгие пакетные операции (enrich-tours, migrate-all-photos, ...) выполняются
+-- частями: api/jobs-worker.js и api/admin-jobs.js берут задачу, выполняют
+-- несколько чанков в пределах бюджета времени и сохраняют cursor, чтобы
+-- следующий вызов продолжил с того же места. См. lib/jobs.js
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Возобновляемое выполнение
+  cursor JSONB,                                -- где остановился последний чанк
+  progress JSONB NOT NULL DEFAULT '{"processed": 0, "total": null}'::jsonb,
+  result JSONB NOT NULL DEFAULT '{}'::jsonb,   -- накопленная статистика задачи
+
+  -- Повторы при ошибках
+  attempts INTEGER NOT NULL DEFAULT 0,         -- ошибки подряд (сбрасывается после успешного чанка)
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  last_error TEXT,
+  run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  -- Аренда: пока locked_until в будущем, задачу выполняет другой вызов
+  locked_until TIMESTAMP WITH TIME ZONE,
+  locked_by VARCHAR(100),
+
+  cancel_requested BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Выборка задач для воркера и список в админке
+CREATE INDEX IF NOT EXISTS idx_background_jobs_runnable
+  ON background_jobs(run_after)
+  WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_background_jobs_created_at ON background_jobs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_type ON background_jobs(type);
+
+-- Только service role (бэкенд); RLS без политик закрывает таблицу для anon/authenticated
+ALTER TABLE background_jobs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE background_jobs IS 'Chunked, resumable background jobs (lib/jobs.js)';
@@ -0,0 +1,108 @@
+-- ============================================================================
+-- БАЗОВЫЕ ТАБЛИЦЫ (users, cities, locations, теги и интересы)
+-- ============================================================================
+-- Эти таблицы были созданы вручную в Supabase Dashboard до появления
+-- остальных скриптов в database/ - здесь восстановлена их исходная структура,
+-- чтобы новое окружение можно было поднять с нуля (`npm run migrate`).
+-- Колонки, добавленные позже, идут отдельными миграциями
+-- (add-users-totp.sql, add-country-to-cities.sql, schema-locations-fields.sql, ...).
+-- Безопасно на существующей БД: только CREATE ... IF NOT EXISTS
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- 1. Пользователи (все роли: user, guide, creator, admin)
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255),
+  name VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'guide', 'creator', 'admin')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_login TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Страны и города
+CREATE TABLE IF NOT EXISTS countries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  code VARCHAR(2),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Локации (справочник мест, на них ссылаются tour_items)
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  city_id UUID REFERENCES cities(id) ON DELETE SET NULL,
+  category VARCHAR(100),
+  address TEXT,
+  description TEXT,
+  recommendations TEXT,
+  verified BOOLEAN DEFAULT false,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. Фото локаций
+CREATE TABLE IF NOT EXISTS location_photos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  is_primary BOOLEAN DEFAULT false,
+  source VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5. Теги
+CREATE TABLE IF NOT EXISTS tags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 6. Интересы: категории → подкатегории → интересы
+CREATE TABLE IF NOT EXISTS interest_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  icon VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS interest_subcategories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category_id UUID REFERENCES interest_categories(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS interests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category_id UUID REFERENCES interest_categories(id) ON DELETE SET NULL,
+  subcategory_id UUID REFERENCES interest_subcategories(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 7. Связь локаций с интересами
+CREATE TABLE IF NOT EXISTS location_interests (
+  location_id UUID REFERENCES locations(id) ON DELETE CASCADE,
+  interest_id UUID REFERENCES interests(id) ON DELETE CASCADE,
+  PRIMARY KEY (location_id, interest_id)
+);
+
+-- Индексы
+CREATE INDEX IF NOT EXISTS idx_cities_name ON cities(name);
+CREATE INDEX IF NOT EXISTS idx_locations_city_id ON locations(city_id);
+CREATE INDEX IF NOT EXISTS idx_location_photos_location_id ON location_photos(location_id);
+CREATE INDEX IF NOT EXISTS idx_interests_category_id ON interests(category_id);
+CREATE INDEX IF NOT EXISTS idx_location_interests_interest_id ON location_interests(interest_id);
@@ -1,39 +1,58 @@
 /**
  * Simple Node.js script to enrich tours
- * Run: node enrich-tours-simple.js
+ * Run: ADMIN_TOKEN=<admin access token> node enrich-tours-simple.js
  * 
- * This script calls the API endpoint to enrich tours
+ * This script starts the enrich-tours background job and polls it until it finishes
  */
 
-const API_URL = 'https://fliptripbackend.vercel.app/api/enrich-tours';
+const API_BASE = 'https://fliptripbackend.vercel.app/api';
+const POLL_INTERVAL_MS = 5000;
+
+async function callApi(path, options = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+    }
+  });
+  return { response, data: await response.json() };
+}
 
 async function enrichTours() {
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('❌ ADMIN_TOKEN is not set (access token of an admin user)');
+    process.exit(1);
+  }
+
   console.log('🚀 Starting tour enrichment...\n');
   
   try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Origin': 'https://flip-trip.com'
-      },
-      body: JSON.stringify({})
-    });
+    let { response, data } = await callApi('/enrich-tours', { method: 'POST', body: JSON.stringify({}) });
+    if (!response.ok || !data.success) {
+      console.error('❌ ERROR:');
+      console.error(data.error || data.message || 'Unknown error');
+      console.error('\nFull response:', JSON.stringify(data, null, 2));
+      return;
+    }
+
+    let job = data.job;
+    while (job.status === 'queued' || job.status === 'running') {
+      console.log(`⏳ ${job.status}: ${job.progress.processed}/${job.progress.total ?? '?'}`);
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      ({ data } = await callApi(`/admin-jobs?id=${job.id}&action=run`, { method: 'POST' }));
+      job = data.job;
+    }
 
-    const data = await response.json();
-    
-    if (response.ok && data.success) {
+    if (job.status === 'succeeded') {
       console.log('✅ SUCCESS!');
-      console.log(`\n${data.message}`);
-      console.log(`\nUpdated: ${data.results.updated}`);
-      console.log(`Skipped: ${data.results.skipped}`);
-      if (data.results.errors && data.results.errors.length > 0) {
-        console.log(`\nErrors: ${JSON.stringify(data.results.errors, null, 2)}`);
+      console.log(`\nUpdated: ${job.result.updated}`);
+      console.log(`Skipped: ${job.result.skipped}`);
+      if (job.result.errors && job.result.errors.length > 0) {
+        console.log(`\nErrors: ${JSON.stringify(job.result.errors, null, 2)}`);
       }
     } else {
-      console.error('❌ ERROR:');
-      console.error(data.error || data.message || 'Unknown error');
-      console.error('\nFull response:', JSON.stringify(data, null, 2));
+      console.error(`❌ Job ${job.status}: ${job.last_error || ''}`);
     }
   } catch (error) {
     console.error('❌ NETWORK ERROR:');
@@ -45,4 +64,3 @@ async function enrichTours() {
 }
 
 enrichTours();
-
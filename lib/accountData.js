@@ -0,0 +1,329 @@
+/**
+ * Personal data export and account deletion (GDPR)
+ *
+ * A user's data is spread over users, guides/admins profiles, tour_bookings,
+ * messages, notifications, tours, Redis itineraries and the tour-assets bucket.
+ * Used by api/account-export.js and api/account-delete.js.
+ *
+ * Deletion rules:
+ * - the users row is kept but anonymized, so bookings needed for accounting
+ *   (prices, payment status, Stripe ids) keep a valid user_id/guide_id
+ * - personal booking fields (participants, notes) are cleared
+ * - messages sent by the user are redacted, notifications are deleted
+ * - guide profile and admin profile rows are deleted
+ * - a guide's tours that have bookings are unpublished and moved back to draft
+ *   (buyers keep access, the tour disappears from the catalog); tours without
+ *   bookings are deleted together with their PDFs in storage
+ * - AI-generated tours of the user are deleted unless purchased; their Redis
+ *   itineraries are removed
+ *
+ * Supabase has no transactions over these tables, so the users row is deactivated and
+ * anonymized first (anonymizeUser): a failure halfway never leaves a working account with
+ * part of its data gone. purgeAccountData then only acts on what is still there, so
+ * running it again finishes the job (api/account-delete.js queues `purge-account-data`).
+ */
+
+import { supabase } from '../database/db.js';
+import { createLogger } from './logger.js';
+import { getRedisClient } from './redis.js';
+
+const log = createLogger('accountData');
+
+const STORAGE_BUCKET = 'tour-assets';
+const STORAGE_URL_MARKER = `/storage/v1/object/public/${STORAGE_BUCKET}/`;
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const REDACTED_MESSAGE = '[deleted]';
+
+// Redis has no per-user index for itineraries, so they are found by scanning
+// itinerary:* for ones linked to the user's tours. Bounded to keep the request short.
+const ITINERARY_SCAN_BATCH = 500;
+const ITINERARY_SCAN_MAX_ROUNDS = 40;
+
+const USER_SECRET_FIELDS = ['password_hash', 'totp_secret', 'totp_recovery_codes'];
+
+function extractStoragePath(publicUrl = '') {
+  const raw = String(publicUrl || '').trim();
+  const idx = raw.indexOf(STORAGE_URL_MARKER);
+  if (idx === -1) return '';
+  return decodeURIComponent(raw.slice(idx + STORAGE_URL_MARKER.length).split('?')[0] || '');
+}
+
+function omit(row, fields) {
+  if (!row) return row;
+  const copy = { ...row };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+// Optional tables (e.g. notifications before its migration) must not break export/deletion
+async function selectRows(label, query) {
+  const { data, error } = await query;
+  if (error) {
+    log.warn('Could not read account data', { table: label, error });
+    return [];
+  }
+  return data || [];
+}
+
+async function listTourPdfFiles(tourId) {
+  const folder = `tour-pdfs/${tourId}`;
+  const { data, error } = await supabase.storage.from(STORAGE_BUCKET).list(folder);
+  if (error || !Array.isArray(data)) return [];
+  return data.filter((file) => file.id).map((file) => `${folder}/${file.name}`);
+}
+
+async function findLinkedItineraryKeys(tourIds) {
+  const redis = getRedisClient();
+  if (!redis || tourIds.length === 0) return [];
+
+  const wanted = new Set(tourIds.map(String));
+  const found = [];
+  let cursor = '0';
+
+  for (let round = 0; round < ITINERARY_SCAN_MAX_ROUNDS; round++) {
+    const [nextCursor, keys] = await redis.scan(cursor, { match: 'itinerary:*', count: ITINERARY_SCAN_BATCH });
+    if (keys.length > 0) {
+      const values = await redis.mget(...keys);
+      values.forEach((value, i) => {
+        const itinerary = typeof value === 'string' ? JSON.parse(value) : value;
+        if (itinerary?.tourId && wanted.has(String(itinerary.tourId))) {
+          found.push({ key: keys[i], itinerary });
+        }
+      });
+    }
+    cursor = String(nextCursor);
+    if (cursor === '0') return found;
+  }
+
+  log.warn('Itinerary scan stopped before reaching the end of the keyspace');
+  return found;
+}
+
+async function loadUserRows(userId) {
+  const [guideProfile, adminProfile, bookingsAsCustomer, bookingsAsGuide, messages, notifications, guideTours, generatedTours] =
+    await Promise.all([
+      selectRows('guide profile', supabase.from('guides').select('*').eq('id', userId)),
+      selectRows('admin profile', supabase.from('admins').select('*').eq('id', userId)),
+      selectRows('bookings', supabase.from('tour_bookings').select('*').eq('user_id', userId)),
+      selectRows('guide bookings', supabase.from('tour_bookings').select('*').eq('guide_id', userId)),
+      selectRows('messages', supabase.from('messages').select('*').or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)),
+      selectRows('notifications', supabase.from('notifications').select('*').eq('user_id', userId)),
+      selectRows('tours', supabase.from('tours').select('*').eq('guide_id', userId)),
+      selectRows('generated tours', supabase.from('tours').select('*').eq('user_id', userId).eq('source', 'user_generated'))
+    ]);
+
+  return {
+    guideProfile: guideProfile[0] || null,
+    adminProfile: adminProfile[0] || null,
+    bookingsAsCustomer,
+    bookingsAsGuide,
+    messages,
+    notifications,
+    guideTours,
+    generatedTours
+  };
+}
+
+/**
+ * Assemble everything stored about a user into one JSON-serializable object.
+ * @returns {Promise<Object|null>} null when the user does not exist
+ */
+export async function collectAccountData(userId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return null;
+
+  const rows = await loadUserRows(userId);
+  const tours = [...rows.guideTours, ...rows.generatedTours];
+
+  const files = [];
+  for (const tour of tours) {
+    files.push(...await listTourPdfFiles(tour.id));
+  }
+  [rows.guideProfile?.avatar_url, rows.adminProfile?.avatar_url].forEach((url) => {
+    const path = extractStoragePath(url);
+    if (path) files.push(path);
+  });
+
+  const itineraries = await findLinkedItineraryKeys(rows.generatedTours.map((tour) => tour.id));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: omit(user, USER_SECRET_FIELDS),
+    guideProfile: rows.guideProfile,
+    adminProfile: rows.adminProfile,
+    bookings: {
+      asCustomer: rows.bookingsAsCustomer,
+      asGuide: rows.bookingsAsGuide
+    },
+    messages: rows.messages,
+    notifications: rows.notifications,
+    tours: {
+      authored: rows.guideTours,
+      generated: rows.generatedTours
+    },
+    itineraries: itineraries.map(({ key, itinerary }) => ({ id: key.replace(/^itinerary:/, ''), ...itinerary })),
+    files: [...new Set(files)].map((path) => ({
+      path,
+      url: supabase.storage.from(STORAGE_BUCKET).getPublicUrl(path).data?.publicUrl || ''
+    }))
+  };
+}
+
+/**
+ * Upcoming pending/confirmed bookings (as customer or guide) block deletion:
+ * they have to be cancelled or completed first.
+ */
+export async function findBlockingBookings(userId) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { data, error } = await supabase
+    .from('tour_bookings')
+    .select('id, tour_id, tour_date, status, user_id, guide_id')
+    .or(`user_id.eq.${userId},guide_id.eq.${userId}`)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+    .gte('tour_date', today);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Deactivate the users row and replace its personal fields. The row is kept for bookings.
+ */
+export async function anonymizeUser(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      email: `deleted-${userId}@deleted.flip-trip.com`,
+      name: 'Deleted user',
+      password_hash: null,
+      is_active: false,
+      totp_secret: null,
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_recovery_codes: [],
+      deleted_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+  if (error) throw error;
+}
+
+/**
+ * Remove or anonymize the rest of a user's personal data (see rules at the top of the file).
+ * Safe to run again after a failure. Sessions are not touched here - the caller revokes them.
+ * @returns {Promise<Object>} counts of what was changed, for logging and the API response
+ */
+export async function purgeAccountData(userId) {
+  const rows = await loadUserRows(userId);
+  const summary = {
+    bookingsAnonymized: 0,
+    messagesRedacted: 0,
+    notificationsDeleted: rows.notifications.length,
+    toursUnpublished: 0,
+    toursDeleted: 0,
+    itinerariesDeleted: 0,
+    filesDeleted: 0
+  };
+  const filesToRemove = [];
+
+  // Bookings: keep accounting fields, drop personal ones
+  if (rows.bookingsAsCustomer.length > 0) {
+    const { error } = await supabase
+      .from('tour_bookings')
+      .update({ participants: null, customer_notes: null, updated_at: new Date().toISOString() })
+      .eq('user_id', userId);
+    if (error) throw error;
+  }
+  if (rows.bookingsAsGuide.length > 0) {
+    const { error } = await supabase
+      .from('tour_bookings')
+      .update({ guide_notes: null, updated_at: new Date().toISOString() })
+      .eq('guide_id', userId);
+    if (error) throw error;
+  }
+  summary.bookingsAnonymized = new Set([...rows.bookingsAsCustomer, ...rows.bookingsAsGuide].map((b) => b.id)).size;
+
+  const sentMessages = rows.messages.filter((m) => String(m.sender_id) === String(userId));
+  if (sentMessages.length > 0) {
+    const { error } = await supabase
+      .from('messages')
+      .update({ message: REDACTED_MESSAGE, attachments: null })
+      .eq('sender_id', userId);
+    if (error) throw error;
+    summary.messagesRedacted = sentMessages.length;
+  }
+
+  if (rows.notifications.length > 0) {
+    const { error } = await supabase.from('notifications').delete().eq('user_id', userId);
+    if (error) throw error;
+  }
+
+  // Guide tours: bookings reference the tour, so booked tours stay but leave the catalog
+  const guideTourBookings = rows.guideTours.length > 0
+    ? await selectRows('tour bookings', supabase
+      .from('tour_bookings')
+      .select('tour_id')
+      .in('tour_id', rows.guideTours.map((tour) => tour.id)))
+    : [];
+  const bookedTourIds = new Set(guideTourBookings.map((b) => String(b.tour_id)));
+  const guideToursToKeep = rows.guideTours.filter((tour) => bookedTourIds.has(String(tour.id)));
+  const guideToursToDelete = rows.guideTours.filter((tour) => !bookedTourIds.has(String(tour.id)));
+
+  // AI-generated tours only exist for this user; deleting them cascades to their bookings,
+  // so the ones that were purchased are kept (already anonymized above)
+  const purchasedGeneratedIds = new Set(rows.bookingsAsCustomer.map((b) => String(b.tour_id)));
+  const generatedToDelete = rows.generatedTours.filter((tour) => !purchasedGeneratedIds.has(String(tour.id)));
+  const toursToDelete = [...guideToursToDelete, ...generatedToDelete];
+
+  // Files and itineraries are found through the tour and profile rows, so they go first:
+  // a retry after a failure below still finds them
+  const itineraries = await findLinkedItineraryKeys(rows.generatedTours.map((tour) => tour.id));
+  if (itineraries.length > 0) {
+    await getRedisClient().del(...itineraries.map(({ key }) => key));
+    summary.itinerariesDeleted = itineraries.length;
+  }
+
+  for (const tour of toursToDelete) {
+    filesToRemove.push(...await listTourPdfFiles(tour.id));
+  }
+  [rows.guideProfile?.avatar_url, rows.adminProfile?.avatar_url].forEach((url) => {
+    const path = extractStoragePath(url);
+    if (path) filesToRemove.push(path);
+  });
+
+  if (filesToRemove.length > 0) {
+    const { data: removed, error } = await supabase.storage.from(STORAGE_BUCKET).remove([...new Set(filesToRemove)]);
+    if (error) throw error;
+    summary.filesDeleted = removed?.length || 0;
+  }
+
+  for (const tour of guideToursToKeep) {
+    const { error } = await supabase
+      .from('tours')
+      .update({ is_published: false, status: 'draft', updated_at: new Date().toISOString() })
+      .eq('id', tour.id);
+    if (error) throw error;
+    summary.toursUnpublished++;
+  }
+  for (const tour of toursToDelete) {
+    const { error } = await supabase.from('tours').delete().eq('id', tour.id);
+    if (error) throw error;
+    summary.toursDeleted++;
+  }
+
+  if (rows.guideProfile) {
+    const { error } = await supabase.from('guides').delete().eq('id', userId);
+    if (error) throw error;
+  }
+  if (rows.adminProfile) {
+    const { error } = await supabase.from('admins').delete().eq('id', userId);
+    if (error) throw error;
+  }
+
+  return summary;
+}
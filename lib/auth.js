@@ -0,0 +1,134 @@
+/**
+ * Shared authentication and role authorization for API handlers
+ *
+ * Usage in a handler:
+ *   const user = await requireAuth(req, res, { roles: [ROLES.ADMIN] });
+ *   if (!user) return; // 401/403 response already sent
+ *
+ * Pass `requireMfa: true` to only accept sessions that completed two-factor login.
+ */
+
+import { supabase } from '../database/db.js';
+import { getAuthFromHeader } from './authTokens.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+export const ROLES = {
+  USER: 'user',
+  GUIDE: 'guide',
+  ADMIN: 'admin'
+};
+
+// Roles allowed to enroll in TOTP two-factor authentication
+export const MFA_ROLES = [ROLES.GUIDE, ROLES.ADMIN];
+
+// Sensitive admin endpoints require a 2FA-verified session once this is switched on
+export const ADMIN_MFA_REQUIRED = process.env.ADMIN_REQUIRE_2FA === 'true';
+
+/**
+ * 'creator' and 'guide' are the same role (older accounts use 'creator')
+ */
+export function normalizeRole(role) {
+  const value = String(role || '').toLowerCase();
+  if (value === 'creator' || value === 'guide') return ROLES.GUIDE;
+  if (value === 'admin') return ROLES.ADMIN;
+  return ROLES.USER;
+}
+
+export function hasRole(user, roles = []) {
+  if (!roles.length) return true;
+  if (!user) return false;
+  return roles.map(normalizeRole).includes(user.role);
+}
+
+/**
+ * Resolve the current user from the Authorization header.
+ * @returns {Promise<{ user: Object|null, error: Object|null }>}
+ *   error is { status, error, message } ready to be sent as JSON
+ */
+export async function getAuthUser(req) {
+  if (!supabase) {
+    return { user: null, error: { status: 500, error: 'Database not configured', message: 'Database not configured' } };
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return { user: null, error: { status: 401, error: 'Unauthorized', message: 'Authorization required' } };
+  }
+
+  const auth = await getAuthFromHeader(authHeader);
+  if (!auth) {
+    return { user: null, error: { status: 401, error: 'Unauthorized', message: 'Invalid or expired token' } };
+  }
+
+  // select('*') so a missing optional column (e.g. totp_enabled before migration) doesn't break auth
+  const { data: userData, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', auth.userId)
+    .maybeSingle();
+
+  if (userError) {
+    log.error('Auth user lookup error', { error: userError, userId: auth.userId });
+  }
+  if (!userData) {
+    return { user: null, error: { status: 401, error: 'Unauthorized', message: 'User not found' } };
+  }
+  if (userData.is_active === false) {
+    return { user: null, error: { status: 403, error: 'Forbidden', message: 'Account is inactive' } };
+  }
+
+  return {
+    user: {
+      id: userData.id,
+      name: userData.name,
+      email: userData.email,
+      role: normalizeRole(userData.role),
+      isAdmin: normalizeRole(userData.role) === ROLES.ADMIN,
+      totpEnabled: userData.totp_enabled === true,
+      mfa: auth.mfa,
+      sessionId: auth.sessionId
+    },
+    error: null
+  };
+}
+
+/**
+ * Authenticate the request and check that the user has one of the given roles.
+ * Sends a 401/403 JSON response and returns null when the check fails.
+ * @param {Object} options
+ * @param {string[]} [options.roles] - allowed roles; empty means any authenticated user
+ * @param {boolean} [options.requireMfa] - session must have passed two-factor login
+ * @returns {Promise<Object|null>} authenticated user
+ */
+export async function requireAuth(req, res, { roles = [], requireMfa = false } = {}) {
+  const { user, error } = await getAuthUser(req);
+
+  if (error) {
+    res.status(error.status).json({ success: false, error: error.error, message: error.message });
+    return null;
+  }
+
+  if (!hasRole(user, roles)) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This action requires role: ${roles.map(normalizeRole).join(' or ')}`
+    });
+    return null;
+  }
+
+  if (requireMfa && !user.mfa) {
+    res.status(403).json({
+      success: false,
+      error: 'MfaRequired',
+      message: user.totpEnabled
+        ? 'Please sign in again with your two-factor code'
+        : 'Two-factor authentication must be enabled for this action'
+    });
+    return null;
+  }
+
+  return user;
+}
@@ -0,0 +1,400 @@
+/**
+ * Auth tokens - signed access tokens and rotating refresh tokens
+ *
+ * Access tokens are HS256 JWTs signed with AUTH_TOKEN_SECRET and expire after
+ * ACCESS_TOKEN_TTL_SECONDS. Refresh tokens are opaque random strings stored in
+ * Redis (by hash). Every refresh token belongs to a session ("family"); using a
+ * refresh token rotates it, and presenting an already-used one revokes the
+ * whole session (reuse detection). A token is claimed with SET NX on its
+ * "used" key, so of two concurrent refreshes only one gets a new pair.
+ *
+ * Accounts with two-factor authentication get a short-lived challenge token
+ * after the password step; access tokens issued after the second step carry
+ * `mfa: true` so admin endpoints can require it.
+ *
+ * Each session is stored in Redis with the device, IP and last use, and is
+ * indexed per user so sessions can be listed and revoked remotely
+ * (api/auth-sessions.js). Access tokens of a deleted session are rejected.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../database/db.js';
+import { createLogger } from './logger.js';
+import { getRedisClient } from './redis.js';
+import { getClientIp } from './rateLimit.js';
+
+const log = createLogger('authTokens');
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+export const MFA_CHALLENGE_TTL_SECONDS = 5 * 60; // 5 minutes
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // update lastUsedAt at most every 5 minutes
+
+const TOKEN_ISSUER = 'fliptrip';
+
+let secretWarningShown = false;
+
+function getSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!secret) {
+    throw new Error('AUTH_TOKEN_SECRET is not configured');
+  }
+  if (!process.env.AUTH_TOKEN_SECRET && !secretWarningShown) {
+    log.warn('AUTH_TOKEN_SECRET not set, falling back to SUPABASE_SERVICE_ROLE_KEY for token signing');
+    secretWarningShown = true;
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshKey(refreshToken) {
+  return `auth:refresh:${hashToken(refreshToken)}`;
+}
+
+function refreshUsedKey(refreshToken) {
+  return `auth:refresh:used:${hashToken(refreshToken)}`;
+}
+
+function sessionKey(sessionId) {
+  return `auth:session:${sessionId}`;
+}
+
+function revokedSessionKey(sessionId) {
+  return `auth:session:revoked:${sessionId}`;
+}
+
+function revokedBeforeKey(userId) {
+  return `auth:user:revoked-before:${userId}`;
+}
+
+function userSessionsKey(userId) {
+  return `auth:user:sessions:${userId}`;
+}
+
+/**
+ * Device/IP details recorded on a session.
+ */
+export function getClientInfo(req) {
+  if (!req) return { ip: null, userAgent: null };
+  return {
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 300) : null
+  };
+}
+
+export function extractBearerToken(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+  return token.trim() || null;
+}
+
+/**
+ * Decode a token payload without verifying it.
+ * Only used to tell our own tokens apart from Supabase JWTs.
+ */
+function decodePayload(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (e) {
+    return null;
+  }
+}
+
+function signToken(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: TOKEN_ISSUER,
+    ...claims,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Check signature, issuer, type and expiry. Does not check revocation.
+ */
+function verifyToken(token, type) {
+  if (!token) return null;
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const claims = decodePayload(token);
+  if (!claims || claims.iss !== TOKEN_ISSUER || claims.type !== type || !claims.sub) return null;
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  return claims;
+}
+
+export function signAccessToken({ userId, role = null, sessionId, mfa = false }) {
+  return signToken({
+    type: 'access',
+    sub: userId,
+    userId,
+    role,
+    sid: sessionId,
+    mfa
+  }, ACCESS_TOKEN_TTL_SECONDS);
+}
+
+/**
+ * Short-lived token proving the password step succeeded for an account with 2FA.
+ */
+export function signMfaChallengeToken(userId) {
+  return signToken({ type: 'mfa_challenge', sub: userId }, MFA_CHALLENGE_TTL_SECONDS);
+}
+
+export function verifyMfaChallengeToken(token) {
+  return verifyToken(token, 'mfa_challenge');
+}
+
+/**
+ * Verify signature, expiry and session revocation of an access token.
+ * @returns {Promise<Object|null>} token payload or null when invalid
+ */
+export async function verifyAccessToken(token) {
+  const claims = verifyToken(token, 'access');
+  if (!claims) return null;
+
+  const redis = getRedisClient();
+  if (redis && claims.sid) {
+    const [revoked, revokedBefore, session] = await redis.mget(
+      revokedSessionKey(claims.sid),
+      revokedBeforeKey(claims.sub),
+      sessionKey(claims.sid)
+    );
+    if (revoked || !session) return null;
+    if (revokedBefore && claims.iat < Number(revokedBefore)) return null;
+
+    if (!session.lastUsedAt || Date.now() - session.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+      await redis.set(sessionKey(claims.sid), { ...session, lastUsedAt: Date.now() }, { keepTtl: true });
+    }
+  }
+
+  return claims;
+}
+
+async function storeRefreshToken(redis, { userId, role, sessionId, mfa }) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await redis.set(refreshKey(refreshToken), {
+    userId,
+    role,
+    sessionId,
+    mfa,
+    createdAt: Date.now()
+  }, { ex: REFRESH_TOKEN_TTL_SECONDS });
+  return refreshToken;
+}
+
+/**
+ * Start a new session and issue its first access/refresh token pair.
+ * @param {Object} user - { id, role }
+ * @param {Object} [options]
+ * @param {boolean} [options.mfa] - the second authentication factor was verified
+ * @param {Object} [options.client] - { ip, userAgent } from getClientInfo(req)
+ */
+export async function issueTokenPair({ id: userId, role = null }, { mfa = false, client = {} } = {}) {
+  const sessionId = crypto.randomUUID();
+  const token = signAccessToken({ userId, role, sessionId, mfa });
+
+  const redis = getRedisClient();
+  if (!redis) {
+    log.warn('Redis not configured, refresh tokens are disabled');
+    return { token, refreshToken: null, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+  }
+
+  const now = Date.now();
+  await redis.set(sessionKey(sessionId), {
+    id: sessionId,
+    userId,
+    mfa,
+    ip: client.ip || null,
+    userAgent: client.userAgent || null,
+    createdAt: now,
+    lastUsedAt: now
+  }, { ex: REFRESH_TOKEN_TTL_SECONDS });
+  await redis.sadd(userSessionsKey(userId), sessionId);
+  await redis.expire(userSessionsKey(userId), REFRESH_TOKEN_TTL_SECONDS);
+  const refreshToken = await storeRefreshToken(redis, { userId, role, sessionId, mfa });
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * A refresh token can be used once; reuse revokes the whole session.
+ * @param {string} refreshToken
+ * @param {Object} [client] - { ip, userAgent } from getClientInfo(req)
+ * @returns {Promise<{ data: Object|null, error: string|null }>}
+ */
+export async function rotateRefreshToken(refreshToken, client = {}) {
+  const redis = getRedisClient();
+  if (!redis) return { data: null, error: 'unavailable' };
+  if (!refreshToken) return { data: null, error: 'invalid' };
+
+  const record = await redis.get(refreshKey(refreshToken));
+  if (!record) return { data: null, error: 'invalid' };
+
+  // Atomic claim: only the first caller sets the key, any other use is a reuse
+  const claimed = await redis.set(refreshUsedKey(refreshToken), Date.now(), { nx: true, ex: REFRESH_TOKEN_TTL_SECONDS });
+  if (!claimed) {
+    log.warn('Refresh token reuse detected, revoking session', { sessionId: record.sessionId, userId: record.userId });
+    await revokeSession(record.sessionId);
+    return { data: null, error: 'reused' };
+  }
+
+  const [session, revokedBefore] = await redis.mget(sessionKey(record.sessionId), revokedBeforeKey(record.userId));
+  if (!session) return { data: null, error: 'revoked' };
+  if (revokedBefore && Math.floor(session.createdAt / 1000) < Number(revokedBefore)) {
+    return { data: null, error: 'revoked' };
+  }
+
+  await redis.set(sessionKey(record.sessionId), {
+    ...session,
+    ip: client.ip || session.ip || null,
+    userAgent: client.userAgent || session.userAgent || null,
+    lastUsedAt: Date.now()
+  }, { keepTtl: true });
+
+  const { userId, role, sessionId, mfa = false } = record;
+  const nextRefreshToken = await storeRefreshToken(redis, { userId, role, sessionId, mfa });
+
+  return {
+    data: {
+      userId,
+      token: signAccessToken({ userId, role, sessionId, mfa }),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    },
+    error: null
+  };
+}
+
+/**
+ * Revoke a session: its refresh tokens stop working immediately and its
+ * access tokens are rejected until they would have expired anyway.
+ */
+export async function revokeSession(sessionId) {
+  const redis = getRedisClient();
+  if (!redis || !sessionId) return;
+
+  const session = await redis.get(sessionKey(sessionId));
+  await redis.del(sessionKey(sessionId));
+  await redis.set(revokedSessionKey(sessionId), 1, { ex: ACCESS_TOKEN_TTL_SECONDS });
+  if (session?.userId) {
+    await redis.srem(userSessionsKey(session.userId), sessionId);
+  }
+}
+
+/**
+ * Active sessions of a user, most recently used first.
+ * @returns {Promise<Object[]>} [{ id, ip, userAgent, mfa, createdAt, lastUsedAt }]
+ */
+export async function listSessions(userId) {
+  const redis = getRedisClient();
+  if (!redis || !userId) return [];
+
+  const sessionIds = await redis.smembers(userSessionsKey(userId));
+  if (!sessionIds?.length) return [];
+
+  const sessions = await redis.mget(...sessionIds.map(sessionKey));
+  const stale = sessionIds.filter((id, index) => !sessions[index]);
+  if (stale.length) {
+    await redis.srem(userSessionsKey(userId), ...stale);
+  }
+
+  return sessions
+    .map((session, index) => (session ? { ...session, id: sessionIds[index] } : null))
+    .filter(Boolean)
+    .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+}
+
+/**
+ * Revoke every session of a user (e.g. after a password reset).
+ * With `exceptSessionId` only the other sessions are revoked ("sign out other devices");
+ * otherwise tokens issued before this moment are rejected as well.
+ */
+export async function revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+  const redis = getRedisClient();
+  if (!redis || !userId) return;
+
+  const sessions = await listSessions(userId);
+  for (const session of sessions) {
+    if (session.id !== exceptSessionId) {
+      await revokeSession(session.id);
+    }
+  }
+
+  if (!exceptSessionId) {
+    await redis.set(revokedBeforeKey(userId), Math.floor(Date.now() / 1000), { ex: REFRESH_TOKEN_TTL_SECONDS });
+  }
+}
+
+/**
+ * Revoke the session a refresh token belongs to (used by logout when the
+ * access token has already expired).
+ */
+export async function revokeRefreshToken(refreshToken) {
+  const redis = getRedisClient();
+  if (!redis || !refreshToken) return;
+
+  const record = await redis.get(refreshKey(refreshToken));
+  if (record?.sessionId) {
+    await revokeSession(record.sessionId);
+  }
+}
+
+/**
+ * Resolve the caller from an Authorization header.
+ * Accepts our signed access tokens and, as before, Supabase auth JWTs.
+ * @returns {Promise<{ userId: string, mfa: boolean, sessionId: string|null }|null>}
+ */
+export async function getAuthFromHeader(authHeader) {
+  const token = extractBearerToken(authHeader);
+  if (!token) return null;
+
+  const claims = decodePayload(token);
+  if (claims?.iss === TOKEN_ISSUER) {
+    const verified = await verifyAccessToken(token);
+    return verified ? { userId: verified.sub, mfa: verified.mfa === true, sessionId: verified.sid || null } : null;
+  }
+
+  if (!supabase) return null;
+  try {
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (!error && user) return { userId: user.id, mfa: false, sessionId: null };
+  } catch (e) {
+    log.error('Supabase auth error', e);
+  }
+  return null;
+}
+
+/**
+ * @returns {Promise<string|null>} user ID from a valid Authorization header
+ */
+export async function getUserIdFromAuthHeader(authHeader) {
+  const auth = await getAuthFromHeader(authHeader);
+  return auth?.userId || null;
+}
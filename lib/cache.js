@@ -0,0 +1,172 @@
+/**
+ * Response cache for paid API calls made during generation (LLM completions, Google Places)
+ *
+ *   const results = await cached('places', { query, city }, () => searchGoogle(query, city));
+ *
+ * - Content-addressed: the key is a hash of the inputs, `cache:<namespace>:<sha256>`.
+ *   Callers normalize what should not matter (whitespace, case) before passing them
+ * - TTL per namespace (CACHE_NAMESPACES), CACHE_TTL_<NAMESPACE> (seconds) overrides it
+ * - Bypass: CACHE_BYPASS=true, or withCacheBypass(fn) for one request (smart-itinerary-v3
+ *   `noCache`). A bypassed call skips the read and stores the fresh value
+ * - Thrown errors, null and undefined are not stored; a failing cache only costs a miss
+ * - Hits, misses and bypasses are counted per namespace: getCacheStats(), shown in
+ *   the `cache` section of api/admin-diagnostics.js
+ *
+ * Uses the shared Upstash Redis client, with an in-memory fallback like lib/idempotency.js.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { getRedisClient } from './redis.js';
+
+export const CACHE_NAMESPACES = {
+  llm: { ttlSeconds: 7 * 24 * 60 * 60 },
+  places: { ttlSeconds: 24 * 60 * 60 }
+};
+
+const COUNTERS = ['hits', 'misses', 'bypassed'];
+const MAX_MEMORY_ENTRIES = 1000;
+
+const memoryEntries = new Map(); // storage key -> { value, expiresAt }
+const memoryStats = new Map(); // namespace -> { hits, misses, bypassed }
+const bypassStorage = new AsyncLocalStorage();
+const log = createLogger('cache');
+
+// JSON with sorted object keys, so the same inputs always give the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function cacheKey(namespace, inputs) {
+  const hash = crypto.createHash('sha256').update(stableStringify(inputs)).digest('hex');
+  return `cache:${namespace}:${hash}`;
+}
+
+/**
+ * Whitespace runs collapsed, trimmed; `lowercase` for lookups where case does not matter
+ */
+export function normalizeText(value, { lowercase = false } = {}) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return lowercase ? text.toLowerCase() : text;
+}
+
+export function ttlFor(namespace, env = process.env) {
+  const override = Number(env[`CACHE_TTL_${namespace.toUpperCase()}`]);
+  return override > 0 ? override : CACHE_NAMESPACES[namespace].ttlSeconds;
+}
+
+/**
+ * Run fn with the cache bypassed for everything it calls (one request)
+ */
+export function withCacheBypass(fn) {
+  return bypassStorage.run(true, fn);
+}
+
+export function isCacheBypassed(env = process.env) {
+  return env.CACHE_BYPASS === 'true' || bypassStorage.getStore() === true;
+}
+
+async function read(key) {
+  const redis = getRedisClient();
+  if (!redis) {
+    const entry = memoryEntries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+  return redis.get(key);
+}
+
+async function write(key, value, seconds) {
+  const redis = getRedisClient();
+  if (!redis) {
+    if (memoryEntries.size >= MAX_MEMORY_ENTRIES) memoryEntries.delete(memoryEntries.keys().next().value);
+    memoryEntries.set(key, { value, expiresAt: Date.now() + seconds * 1000 });
+    return;
+  }
+  await redis.set(key, value, { ex: seconds });
+}
+
+async function count(namespace, counter) {
+  try {
+    const redis = getRedisClient();
+    if (!redis) {
+      const stats = memoryStats.get(namespace) || { hits: 0, misses: 0, bypassed: 0 };
+      stats[counter] += 1;
+      memoryStats.set(namespace, stats);
+      return;
+    }
+    await redis.incr(`cache:stats:${namespace}:${counter}`);
+  } catch (error) {
+    log.warn('Cache stats update failed', { namespace, error: error.message });
+  }
+}
+
+/**
+ * Value for the inputs from the cache, else from compute() (then stored)
+ * @param {string} namespace - Key of CACHE_NAMESPACES
+ * @param {*} inputs - Everything the value depends on (JSON-serializable)
+ * @param {Function} compute - async () => value
+ */
+export async function cached(namespace, inputs, compute) {
+  if (!CACHE_NAMESPACES[namespace]) throw new Error(`Unknown cache namespace: ${namespace}`);
+  const key = cacheKey(namespace, inputs);
+
+  if (isCacheBypassed()) {
+    await count(namespace, 'bypassed');
+  } else {
+    try {
+      // Values are stored wrapped: Upstash would turn a stored JSON-looking string back into an object
+      const entry = await read(key);
+      if (entry && typeof entry === 'object' && 'value' in entry) {
+        await count(namespace, 'hits');
+        return entry.value;
+      }
+    } catch (error) {
+      log.warn('Cache read failed', { namespace, error: error.message });
+    }
+    await count(namespace, 'misses');
+  }
+
+  const value = await compute();
+  if (value !== null && value !== undefined) {
+    try {
+      await write(key, { value, cachedAt: new Date().toISOString() }, ttlFor(namespace));
+    } catch (error) {
+      log.warn('Cache write failed', { namespace, error: error.message });
+    }
+  }
+  return value;
+}
+
+/**
+ * Hits, misses, bypasses and hit rate per namespace
+ */
+export async function getCacheStats() {
+  const redis = getRedisClient();
+  const stats = { store: redis ? 'redis' : 'memory', bypassed: isCacheBypassed() };
+
+  for (const namespace of Object.keys(CACHE_NAMESPACES)) {
+    let counters;
+    if (redis) {
+      const values = await redis.mget(...COUNTERS.map((counter) => `cache:stats:${namespace}:${counter}`));
+      counters = Object.fromEntries(COUNTERS.map((counter, index) => [counter, Number(values[index]) || 0]));
+    } else {
+      counters = { hits: 0, misses: 0, bypassed: 0, ...memoryStats.get(namespace) };
+    }
+    const lookups = counters.hits + counters.misses;
+    stats[namespace] = {
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+      ttlSeconds: ttlFor(namespace)
+    };
+  }
+  return stats;
+}
@@ -0,0 +1,107 @@
+/**
+ * Shared CORS policy for API handlers
+ *
+ * Usage at the top of a handler:
+ *   if (applyCors(req, res, { methods: ['GET', 'POST'] })) return; // preflight answered or origin rejected
+ *
+ * Allowed origins come from CORS_ALLOWED_ORIGINS (comma-separated, `*` matches part of
+ * a host name, e.g. https://fliptripfrontend-*.vercel.app) and default to the FlipTrip sites
+ * plus localhost.
+ *
+ * Policies:
+ * - CREDENTIALED (default): browser requests are only accepted from allowed origins,
+ *   which get Access-Control-Allow-Credentials; other origins receive 403
+ * - PUBLIC: any origin may read (`*`); allowed origins still get credentials.
+ *   For public catalog reads and server-to-server endpoints like webhooks.
+ * `publicMethods` makes only some methods public, e.g. ['GET'] for a catalog that admins edit.
+ * Requests without an Origin header (curl, Stripe, cron) are never rejected.
+ */
+
+export const CORS_POLICY = {
+  PUBLIC: 'public',
+  CREDENTIALED: 'credentialed'
+};
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://www.flip-trip.com',
+  'https://flip-trip.com',
+  'https://fliptripfrontend.vercel.app',
+  'https://fliptrip-clean-frontend.vercel.app',
+  'http://localhost:5173',
+  'http://localhost:3000'
+];
+
+const DEFAULT_HEADERS = ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'];
+const DEFAULT_EXPOSE_HEADERS = ['X-Request-Id'];
+const MAX_AGE_SECONDS = 86400;
+
+let originMatchers;
+
+function toMatcher(pattern) {
+  if (!pattern.includes('*')) return (origin) => origin === pattern;
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'));
+  const regex = new RegExp(`^${escaped.join('[a-z0-9-]*')}$`, 'i');
+  return (origin) => regex.test(origin);
+}
+
+export function getAllowedOrigins() {
+  const configured = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return configured.length ? configured : DEFAULT_ALLOWED_ORIGINS;
+}
+
+export function isOriginAllowed(origin) {
+  if (!origin) return false;
+  originMatchers ||= getAllowedOrigins().map(toMatcher);
+  return originMatchers.some((matches) => matches(origin));
+}
+
+/**
+ * Set CORS headers for the request and answer preflight requests.
+ * @param {Object} options
+ * @param {string[]} [options.methods] - methods the route supports (OPTIONS is added)
+ * @param {string} [options.policy] - CORS_POLICY value, CREDENTIALED by default
+ * @param {string[]} [options.publicMethods] - methods treated as PUBLIC on a credentialed route
+ * @param {string[]} [options.headers] - request headers allowed in addition to the defaults
+ * @param {string[]} [options.exposeHeaders] - response headers readable by the browser
+ * @returns {boolean} true when the response was already sent (preflight or rejected origin)
+ */
+export function applyCors(req, res, {
+  methods = ['GET'],
+  policy = CORS_POLICY.CREDENTIALED,
+  publicMethods = [],
+  headers = [],
+  exposeHeaders = []
+} = {}) {
+  const origin = req.headers.origin;
+  const isPreflight = req.method === 'OPTIONS';
+  const requestedMethod = isPreflight
+    ? String(req.headers['access-control-request-method'] || '').toUpperCase()
+    : req.method;
+  const isPublic = policy === CORS_POLICY.PUBLIC || publicMethods.includes(requestedMethod);
+
+  res.setHeader('Vary', 'Origin');
+
+  if (origin && isOriginAllowed(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  } else if (origin && !isPublic) {
+    res.status(403).json({ success: false, error: 'Forbidden', message: 'Origin not allowed' });
+    return true;
+  } else {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', [...DEFAULT_HEADERS, ...headers].join(', '));
+  res.setHeader('Access-Control-Expose-Headers', [...DEFAULT_EXPOSE_HEADERS, ...exposeHeaders].join(', '));
+  res.setHeader('Access-Control-Max-Age', String(MAX_AGE_SECONDS));
+
+  if (isPreflight) {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
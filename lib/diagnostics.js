@@ -0,0 +1,253 @@
+/**
+ * Admin diagnostics: configuration, schema drift, orphaned rows, data counts and cache hit rates
+ *
+ * Replaces the old one-off check-* endpoints. Everything here is read-only and
+ * reports presence/counts only - no secret values and no user emails.
+ * Served by api/admin-diagnostics.js; the public liveness check is api/health.js.
+ */
+
+import { supabase } from '../database/db.js';
+import { getCacheStats } from './cache.js';
+import { getRedisClient } from './redis.js';
+
+export const DIAGNOSTIC_SECTIONS = ['config', 'schema', 'orphans', 'counts', 'cache'];
+
+// Any one variable of a group is enough (e.g. Upstash vs Vercel KV names)
+const CONFIG = {
+  supabase: { required: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'] },
+  redis: {
+    required: [
+      ['FTSTORAGE_KV_REST_API_URL', 'UPSTASH_REDIS_REST_URL', 'KV_REST_API_URL'],
+      ['FTSTORAGE_KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_TOKEN', 'KV_REST_API_TOKEN']
+    ]
+  },
+  openai: { required: ['OPENAI_API_KEY'], optional: ['LLM_PROVIDER', 'LLM_MODEL'] },
+  google: { required: ['GOOGLE_MAPS_KEY'] },
+  stripe: { required: ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET'], optional: ['STRIPE_PRICE_ID', 'STRIPE_API_BASE'] },
+  resend: { required: ['RESEND_API_KEY'], optional: ['FROM_EMAIL'] },
+  auth: { required: ['AUTH_TOKEN_SECRET'] },
+  jobs: { required: [], optional: ['CRON_SECRET'] },
+  cache: { required: [], optional: ['CACHE_BYPASS', 'CACHE_TTL_LLM', 'CACHE_TTL_PLACES'] }
+};
+
+/**
+ * Columns the code reads and writes, per table. A database that was set up by hand
+ * can miss some of them; schema drift shows which migration is missing.
+ */
+export const EXPECTED_COLUMNS = {
+  users: ['id', 'email', 'password_hash', 'name', 'role', 'is_active', 'totp_enabled', 'totp_secret', 'deleted_at', 'created_at'],
+  cities: ['id', 'name', 'country'],
+  locations: ['id', 'name', 'city_id', 'category', 'address', 'description', 'recommendations', 'source', 'google_place_id', 'price_level', 'opening_hours', 'verified', 'created_by', 'updated_by'],
+  interests: ['id', 'name', 'category_id', 'subcategory_id'],
+  location_interests: ['location_id', 'interest_id'],
+  tours: [
+    'id', 'guide_id', 'title', 'description', 'country', 'city_id', 'duration_type', 'duration_value',
+    'default_format', 'price_pdf', 'price_guided', 'currency', 'preview_media_url', 'preview_media_type',
+    'is_published', 'status', 'draft_data', 'meta', 'source', 'user_id', 'moderation_comment', 'created_at'
+  ],
+  tour_days: ['id', 'tour_id', 'day_number', 'title', 'date_hint'],
+  tour_blocks: ['id', 'tour_day_id', 'start_time', 'end_time', 'title'],
+  tour_items: ['id', 'tour_block_id', 'location_id', 'custom_title', 'custom_description', 'custom_recommendations', 'order_index', 'approx_cost'],
+  tour_tags: ['tour_id', 'tag_id', 'interest_id'],
+  tour_content_blocks: ['id', 'tour_id', 'block_type', 'content', 'order_index'],
+  guides: ['id', 'name', 'bio', 'avatar_url', 'city', 'interests'],
+  tour_availability_slots: ['id', 'tour_id', 'date', 'max_group_size', 'booked_spots', 'is_available', 'is_blocked'],
+  tour_bookings: ['id', 'tour_id', 'user_id', 'guide_id', 'tour_date', 'group_size', 'total_price', 'status', 'payment_status'],
+  notifications: ['id', 'user_id', 'type', 'is_read', 'created_at'],
+  messages: ['id', 'booking_id', 'sender_id', 'receiver_id', 'message', 'is_read', 'created_at'],
+  background_jobs: ['id', 'type', 'status', 'params', 'cursor', 'progress', 'result', 'attempts', 'run_after', 'locked_until']
+};
+
+// [table, foreign key column, referenced table]
+export const FOREIGN_KEYS = [
+  ['tours', 'city_id', 'cities'],
+  ['tours', 'guide_id', 'users'],
+  ['tour_days', 'tour_id', 'tours'],
+  ['tour_blocks', 'tour_day_id', 'tour_days'],
+  ['tour_items', 'tour_block_id', 'tour_blocks'],
+  ['tour_items', 'location_id', 'locations'],
+  ['tour_tags', 'tour_id', 'tours'],
+  ['tour_content_blocks', 'tour_id', 'tours'],
+  ['locations', 'city_id', 'cities'],
+  ['location_interests', 'location_id', 'locations'],
+  ['location_interests', 'interest_id', 'interests'],
+  ['guides', 'id', 'users'],
+  ['tour_bookings', 'tour_id', 'tours'],
+  ['messages', 'booking_id', 'tour_bookings']
+];
+
+// Orphan checks look at this many rows per table; `truncated` says when there were more
+const MAX_SCANNED_ROWS = 10000;
+const LOOKUP_BATCH = 100;
+const SAMPLE_SIZE = 10;
+
+const isMissingTable = (error) => error?.code === '42P01' || error?.code === 'PGRST205';
+const isMissingColumn = (error) => error?.code === '42703' || error?.code === 'PGRST204';
+
+function requireDatabase() {
+  if (!supabase) throw new Error('Database not configured');
+  return supabase;
+}
+
+/**
+ * Which integrations are configured (presence of env vars, never their values)
+ */
+export function getConfigStatus(env = process.env) {
+  const status = {};
+  for (const [service, { required, optional = [] }] of Object.entries(CONFIG)) {
+    const vars = {};
+    let configured = true;
+    for (const entry of required) {
+      const names = [].concat(entry);
+      names.forEach((name) => { vars[name] = Boolean(env[name]); });
+      if (!names.some((name) => env[name])) configured = false;
+    }
+    optional.forEach((name) => { vars[name] = Boolean(env[name]); });
+    status[service] = { configured, vars };
+  }
+  status.redis.connected = Boolean(getRedisClient());
+  return status;
+}
+
+/**
+ * Compare the live database with EXPECTED_COLUMNS
+ * @returns {Promise<{ ok: boolean, tables: Object<string, { exists: boolean, missingColumns: string[], error?: string }> }>}
+ */
+export async function checkSchemaDrift(expected = EXPECTED_COLUMNS) {
+  const db = requireDatabase();
+  const tables = {};
+
+  for (const [table, columns] of Object.entries(expected)) {
+    const { error } = await db.from(table).select(columns.join(',')).limit(1);
+    if (!error) {
+      tables[table] = { exists: true, missingColumns: [] };
+    } else if (isMissingTable(error)) {
+      tables[table] = { exists: false, missingColumns: columns };
+    } else if (isMissingColumn(error)) {
+      // PostgREST only names the first missing column - probe them one by one
+      const missingColumns = [];
+      for (const column of columns) {
+        const { error: columnError } = await db.from(table).select(column).limit(1);
+        if (isMissingColumn(columnError)) missingColumns.push(column);
+      }
+      tables[table] = { exists: true, missingColumns };
+    } else {
+      tables[table] = { exists: null, missingColumns: [], error: error.message };
+    }
+  }
+
+  const ok = Object.values(tables).every((table) => table.exists === true && table.missingColumns.length === 0);
+  return { ok, tables };
+}
+
+/**
+ * Rows whose foreign key points at a row that no longer exists
+ */
+export async function findOrphans(foreignKeys = FOREIGN_KEYS) {
+  const db = requireDatabase();
+  const checks = [];
+
+  for (const [table, column, parent] of foreignKeys) {
+    const check = { check: `${table}.${column} -> ${parent}`, scanned: 0, orphaned: 0, missingIds: [] };
+    checks.push(check);
+
+    const { data: rows, error } = await db
+      .from(table)
+      .select(column)
+      .not(column, 'is', null)
+      .limit(MAX_SCANNED_ROWS);
+    if (error) {
+      check.error = error.message;
+      continue;
+    }
+
+    check.scanned = rows.length;
+    check.truncated = rows.length === MAX_SCANNED_ROWS;
+
+    const referenced = [...new Set(rows.map((row) => String(row[column])))];
+    const found = new Set();
+    for (let i = 0; i < referenced.length; i += LOOKUP_BATCH) {
+      const { data: parents, error: parentError } = await db
+        .from(parent)
+        .select('id')
+        .in('id', referenced.slice(i, i + LOOKUP_BATCH));
+      if (parentError) {
+        check.error = parentError.message;
+        break;
+      }
+      parents.forEach((row) => found.add(String(row.id)));
+    }
+    if (check.error) continue;
+
+    const missing = new Set(referenced.filter((id) => !found.has(id)));
+    check.orphaned = rows.filter((row) => missing.has(String(row[column]))).length;
+    check.missingIds = [...missing].slice(0, SAMPLE_SIZE);
+  }
+
+  return { ok: checks.every((check) => !check.error && check.orphaned === 0), checks };
+}
+
+async function count(table, filter) {
+  let query = requireDatabase().from(table).select('*', { count: 'exact', head: true });
+  if (filter) query = filter(query);
+  const { count: value, error } = await query;
+  return error ? null : value;
+}
+
+async function countBy(table, column, values) {
+  const entries = await Promise.all(values.map(async (value) => [value, await count(table, (query) => query.eq(column, value))]));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Row counts per table plus the breakdowns the old check-* endpoints were used for
+ * (null = table missing or query failed)
+ */
+export async function getDataCounts() {
+  const tables = Object.fromEntries(
+    await Promise.all(Object.keys(EXPECTED_COLUMNS).map(async (table) => [table, await count(table)]))
+  );
+
+  const [toursByStatus, usersByRole, jobsByStatus, publishedTours, locationsWithoutCategory] = await Promise.all([
+    countBy('tours', 'status', ['draft', 'pending', 'approved', 'rejected']),
+    countBy('users', 'role', ['user', 'guide', 'creator', 'admin']),
+    countBy('background_jobs', 'status', ['queued', 'running', 'succeeded', 'failed', 'cancelled']),
+    count('tours', (query) => query.eq('is_published', true)),
+    count('locations', (query) => query.or('category.is.null,category.eq.'))
+  ]);
+
+  return {
+    tables,
+    tours: { byStatus: toursByStatus, published: publishedTours },
+    users: { byRole: usersByRole },
+    locations: { withoutCategory: locationsWithoutCategory },
+    backgroundJobs: { byStatus: jobsByStatus }
+  };
+}
+
+/**
+ * Run the requested sections; a failing section reports its error instead of failing the rest
+ * @param {string[]} sections - subset of DIAGNOSTIC_SECTIONS
+ */
+export async function runDiagnostics(sections = DIAGNOSTIC_SECTIONS) {
+  const runners = {
+    config: async () => getConfigStatus(),
+    schema: checkSchemaDrift,
+    orphans: findOrphans,
+    counts: getDataCounts,
+    // Hits / misses of the LLM and Google Places response cache (lib/cache.js)
+    cache: getCacheStats
+  };
+
+  const report = { generatedAt: new Date().toISOString() };
+  for (const section of sections) {
+    const startedAt = Date.now();
+    try {
+      report[section] = await runners[section]();
+    } catch (error) {
+      report[section] = { error: error.message };
+    }
+    report.durationsMs = { ...report.durationsMs, [section]: Date.now() - startedAt };
+  }
+  return report;
+}
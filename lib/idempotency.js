@@ -0,0 +1,175 @@
+/**
+ * Idempotency keys for endpoints that create things (Stripe sessions, bookings)
+ *
+ * Clients send an `Idempotency-Key` header (e.g. a UUID generated per checkout attempt).
+ * The first response for a key is stored for IDEMPOTENCY_TTL_SECONDS and replayed for
+ * repeats (double clicks, network retries) with an `Idempotent-Replayed: true` header:
+ *
+ *   return withIdempotency(req, res, { scope: `tour-bookings:${userId}` }, async () => {
+ *     ...
+ *     return res.status(201).json({ success: true, booking });
+ *   });
+ *
+ * - The same key with a different payload is rejected with 422
+ * - A repeat that arrives while the first request is still running gets 409 + Retry-After
+ * - 5xx responses and thrown errors are not stored, so the client can retry with the same key
+ * - Requests without the header run as before
+ *
+ * Uses the shared Upstash Redis client, with an in-memory fallback like lib/rateLimit.js.
+ */
+
+import crypto from 'crypto';
+import { getRedisClient } from './redis.js';
+import { createLogger } from './logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+// A request that has not finished by then is assumed dead and the key can be retried
+const IN_PROGRESS_TTL_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+const memoryRecords = new Map(); // storage key -> { record, expiresAt }
+const log = createLogger('idempotency');
+
+// JSON with sorted object keys, so {a,b} and {b,a} have the same fingerprint
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function requestFingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${stableStringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+async function readRecord(key) {
+  const redis = getRedisClient();
+  if (!redis) {
+    const entry = memoryRecords.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryRecords.delete(key);
+      return null;
+    }
+    return entry.record;
+  }
+  return redis.get(key);
+}
+
+async function writeRecord(key, record, seconds, { onlyIfAbsent = false } = {}) {
+  const redis = getRedisClient();
+  if (!redis) {
+    if (onlyIfAbsent && (await readRecord(key))) return false;
+    memoryRecords.set(key, { record, expiresAt: Date.now() + seconds * 1000 });
+    return true;
+  }
+  const result = await redis.set(key, record, onlyIfAbsent ? { nx: true, ex: seconds } : { ex: seconds });
+  return result === 'OK';
+}
+
+async function deleteRecord(key) {
+  const redis = getRedisClient();
+  if (!redis) {
+    memoryRecords.delete(key);
+    return;
+  }
+  await redis.del(key);
+}
+
+/**
+ * Run `fn` at most once per Idempotency-Key and replay its response for repeats.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {string} options.scope - endpoint (plus user id for authenticated routes) the keys belong to
+ * @param {number} [options.ttlSeconds] - how long a stored response is replayed
+ * @param {Function} fn - handler body; sends its response with res.status().json()
+ */
+export async function withIdempotency(req, res, { scope, ttlSeconds = IDEMPOTENCY_TTL_SECONDS }, fn) {
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (idempotencyKey === undefined) {
+    return fn();
+  }
+
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      message: `Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const storageKey = `idem:${scope}:${idempotencyKey}`;
+  const fingerprint = requestFingerprint(req);
+
+  const acquired = await writeRecord(storageKey, { state: 'processing', fingerprint }, IN_PROGRESS_TTL_SECONDS, { onlyIfAbsent: true });
+  if (!acquired) {
+    const existing = await readRecord(storageKey);
+    if (existing) {
+      return respondToRepeat(res, existing, fingerprint, scope);
+    }
+    // Expired between the two calls - treat as a fresh request
+    await writeRecord(storageKey, { state: 'processing', fingerprint }, IN_PROGRESS_TTL_SECONDS);
+  }
+
+  // Hold the response back until it is stored, so a retry can never miss it
+  let captured = null;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = { statusCode: res.statusCode, body };
+    return res;
+  };
+
+  try {
+    await fn();
+  } catch (error) {
+    await deleteRecord(storageKey);
+    throw error;
+  } finally {
+    res.json = sendJson;
+  }
+
+  if (!captured) {
+    await deleteRecord(storageKey);
+    return;
+  }
+
+  if (captured.statusCode >= 500) {
+    await deleteRecord(storageKey);
+  } else {
+    await writeRecord(storageKey, { state: 'completed', fingerprint, ...captured }, ttlSeconds);
+  }
+  return res.status(captured.statusCode).json(captured.body);
+}
+
+function respondToRepeat(res, record, fingerprint, scope) {
+  if (record.fingerprint !== fingerprint) {
+    log.warn('Idempotency-Key reused with a different payload', { scope });
+    return res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key reused',
+      message: 'This Idempotency-Key was already used for a different request. Generate a new key for a new request.'
+    });
+  }
+
+  if (record.state !== 'completed') {
+    res.setHeader('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      error: 'Request in progress',
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+
+  log.info('Replaying stored response', { scope, statusCode: record.statusCode });
+  res.setHeader(REPLAYED_HEADER, 'true');
+  return res.status(record.statusCode).json(record.body);
+}
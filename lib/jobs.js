@@ -0,0 +1,379 @@
+/**
+ * Background jobs: persisted, chunked and resumable
+ *
+ * Batch operations that take minutes (photo migrations, tour enrichment, ...) cannot
+ * run inside one serverless request. A job is a row in `background_jobs`
+ * (database/schema-background-jobs.sql) plus a definition (services/jobs/) that does
+ * the work one small chunk at a time:
+ *
+ *   const definition = {
+ *     type: 'recalculate-tours-duration',
+ *     parseParams(body) { return {}; },              // optional, throw JobError for a 400
+ *     async start({ params, job }) {                 // optional, runs once before the first chunk
+ *       return { total: 120, cursor: null, result: { updated: 0 } };
+ *     },
+ *     async runChunk({ params, cursor, result, job }) {
+ *       return { processed: 25, cursor: { lastId }, result, done: false };
+ *     }
+ *   };
+ *
+ * runJob() claims a job with a short lease, runs chunks until its time budget is used,
+ * and saves the cursor after every chunk, so the next call (api/jobs-worker.js on a cron,
+ * or an admin in api/admin-jobs.js) continues where it stopped - also after a crash,
+ * once the lease expires. A chunk that throws is retried with exponential backoff
+ * until max_attempts consecutive failures. Cancellation is checked between chunks.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../database/db.js';
+import { createLogger, runWithLogContext } from './logger.js';
+
+export const JOBS_TABLE = 'background_jobs';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// Time one invocation spends on chunks; keep below the function timeout
+export const JOB_TIME_BUDGET_MS = Number(process.env.JOB_TIME_BUDGET_MS) || 8000;
+// A lease outlives the budget plus one slow chunk; after that the job is considered abandoned
+const LEASE_MS = 2 * 60 * 1000;
+const RETRY_BASE_SECONDS = 30;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_RECORDED_ERRORS = 50;
+
+const WORKER_ID = `${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+const log = createLogger('jobs');
+
+/**
+ * Invalid request for a job (unknown type, bad params, wrong state); statusCode is the HTTP status
+ */
+export class JobError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+  }
+}
+
+function isValidUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ''));
+}
+
+function requireDatabase() {
+  if (!supabase) {
+    throw new JobError('Database not configured', 500);
+  }
+  return supabase;
+}
+
+/**
+ * Add an error entry to a job result without letting the list grow unbounded
+ */
+export function recordJobError(result, entry) {
+  result.errors = result.errors || [];
+  if (result.errors.length < MAX_RECORDED_ERRORS) {
+    result.errors.push(entry);
+  }
+  result.errorsCount = (result.errorsCount || 0) + 1;
+  return result;
+}
+
+/**
+ * Job row as returned by the API (lease internals left out)
+ */
+export function formatJob(job) {
+  if (!job) return null;
+  const progress = job.progress || { processed: 0, total: null };
+  const percent = progress.total
+    ? Math.min(100, Math.round((progress.processed / progress.total) * 100))
+    : (job.status === JOB_STATUS.SUCCEEDED ? 100 : null);
+  const isActive = ACTIVE_STATUSES.includes(job.status);
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: { ...progress, percent },
+    result: job.result,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    last_error: job.last_error,
+    cancel_requested: job.cancel_requested,
+    in_progress: Boolean(isActive && job.locked_until && new Date(job.locked_until) > new Date()),
+    next_run_at: isActive ? job.run_after : null,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    updated_at: job.updated_at
+  };
+}
+
+export async function enqueueJob(definition, { params = {}, createdBy = null } = {}) {
+  const now = new Date().toISOString();
+  const { data, error } = await requireDatabase()
+    .from(JOBS_TABLE)
+    .insert({
+      type: definition.type,
+      status: JOB_STATUS.QUEUED,
+      params,
+      cursor: null,
+      progress: { processed: 0, total: null },
+      result: {},
+      attempts: 0,
+      max_attempts: definition.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      run_after: now,
+      locked_until: null,
+      cancel_requested: false,
+      created_by: isValidUuid(createdBy) ? createdBy : null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  log.info('Job queued', { jobId: data.id, jobType: data.type });
+  return data;
+}
+
+export async function getJob(id) {
+  const { data, error } = await requireDatabase().from(JOBS_TABLE).select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function listJobs({ status, type, limit = 50 } = {}) {
+  let query = requireDatabase()
+    .from(JOBS_TABLE)
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 200));
+
+  if (status) query = query.eq('status', status);
+  if (type) query = query.eq('type', type);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function updateJob(id, patch) {
+  const { data, error } = await requireDatabase()
+    .from(JOBS_TABLE)
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Take the lease on a runnable job; null if it is finished, waiting for a retry or leased elsewhere
+ */
+async function claimJob(id) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const { data, error } = await requireDatabase()
+    .from(JOBS_TABLE)
+    .update({
+      locked_until: new Date(now.getTime() + LEASE_MS).toISOString(),
+      locked_by: WORKER_ID,
+      updated_at: nowIso
+    })
+    .eq('id', id)
+    .in('status', ACTIVE_STATUSES)
+    .lte('run_after', nowIso)
+    .or(`locked_until.is.null,locked_until.lt.${nowIso}`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+function finish(job, status, patch = {}) {
+  return updateJob(job.id, {
+    ...patch,
+    status,
+    locked_until: null,
+    locked_by: null,
+    finished_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Stop a job. A job that is not running right now is cancelled at once; a running one
+ * stops after its current chunk.
+ */
+export async function cancelJob(id) {
+  const job = await getJob(id);
+  if (!job) throw new JobError('Job not found', 404);
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    throw new JobError(`Job is already ${job.status}`, 409);
+  }
+
+  const leased = job.locked_until && new Date(job.locked_until) > new Date();
+  if (!leased) {
+    return finish(job, JOB_STATUS.CANCELLED, { cancel_requested: true });
+  }
+  return updateJob(id, { cancel_requested: true });
+}
+
+/**
+ * Queue a failed or cancelled job again; it resumes from its saved cursor
+ */
+export async function retryJob(id) {
+  const job = await getJob(id);
+  if (!job) throw new JobError('Job not found', 404);
+  if (![JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+    throw new JobError(`Only failed or cancelled jobs can be retried (job is ${job.status})`, 409);
+  }
+
+  return updateJob(id, {
+    status: job.started_at ? JOB_STATUS.RUNNING : JOB_STATUS.QUEUED,
+    attempts: 0,
+    last_error: null,
+    cancel_requested: false,
+    run_after: new Date().toISOString(),
+    finished_at: null
+  });
+}
+
+/**
+ * Run chunks of one job until it is done or the time budget is used up
+ * @param {string} id
+ * @param {Object<string, Object>} definitions - job type -> definition
+ * @param {{ budgetMs?: number }} options
+ * @returns {Promise<Object|null>} the job row afterwards, null if it could not be claimed
+ */
+export async function runJob(id, definitions, { budgetMs = JOB_TIME_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const claimed = await claimJob(id);
+  if (!claimed) return null;
+
+  return runWithLogContext({ jobId: claimed.id, jobType: claimed.type }, async () => {
+    let job = claimed;
+    const definition = definitions[job.type];
+
+    if (!definition) {
+      log.error('Unknown job type');
+      return finish(job, JOB_STATUS.FAILED, { last_error: `Unknown job type: ${job.type}` });
+    }
+    if (job.cancel_requested) {
+      log.info('Job cancelled');
+      return finish(job, JOB_STATUS.CANCELLED);
+    }
+
+    let lastChunkMs = 0;
+    while (true) {
+      const chunkStartedAt = Date.now();
+      try {
+        if (!job.started_at) {
+          const init = definition.start ? await definition.start({ params: job.params, job }) : {};
+          job = await updateJob(job.id, {
+            status: JOB_STATUS.RUNNING,
+            started_at: new Date().toISOString(),
+            cursor: init?.cursor ?? null,
+            result: init?.result ?? {},
+            progress: { processed: 0, total: init?.total ?? null }
+          });
+          log.info('Job started', { total: job.progress.total });
+        }
+
+        const step = await definition.runChunk({
+          params: job.params,
+          cursor: job.cursor,
+          result: structuredClone(job.result || {}),
+          job
+        });
+
+        const progress = {
+          processed: (job.progress?.processed || 0) + (step.processed || 0),
+          total: step.total ?? job.progress?.total ?? null
+        };
+        const patch = {
+          cursor: step.cursor ?? null,
+          result: step.result ?? job.result,
+          progress,
+          attempts: 0,
+          last_error: null
+        };
+
+        if (step.done) {
+          job = await finish(job, JOB_STATUS.SUCCEEDED, patch);
+          // A job runs over several invocations: measure from its start, not this chunk
+          log.info('Job succeeded', {
+            processed: progress.processed,
+            durationMs: Date.parse(job.finished_at) - Date.parse(job.started_at)
+          });
+          return job;
+        }
+        job = await updateJob(job.id, patch);
+      } catch (error) {
+        const attempts = (job.attempts || 0) + 1;
+        if (attempts >= job.max_attempts) {
+          log.error('Job failed', { error, attempts });
+          return finish(job, JOB_STATUS.FAILED, { attempts, last_error: error.message });
+        }
+        const retryInSeconds = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+        log.warn('Job chunk failed, will retry', { attempts, retryInSeconds, error: error.message });
+        return updateJob(job.id, {
+          attempts,
+          last_error: error.message,
+          run_after: new Date(Date.now() + retryInSeconds * 1000).toISOString(),
+          locked_until: null,
+          locked_by: null
+        });
+      }
+
+      // Cancellation is requested by another request; re-read the flag between chunks
+      const { data: flags } = await supabase.from(JOBS_TABLE).select('cancel_requested').eq('id', job.id).maybeSingle();
+      if (flags?.cancel_requested) {
+        log.info('Job cancelled');
+        return finish(job, JOB_STATUS.CANCELLED, { cancel_requested: true });
+      }
+
+      lastChunkMs = Date.now() - chunkStartedAt;
+      if (Date.now() + lastChunkMs >= deadline) {
+        return updateJob(job.id, { locked_until: null, locked_by: null });
+      }
+    }
+  });
+}
+
+/**
+ * Run whatever jobs are due, oldest first, within one time budget (cron worker)
+ * @returns {Promise<Object[]>} job rows that were worked on
+ */
+export async function runPendingJobs(definitions, { budgetMs = JOB_TIME_BUDGET_MS, limit = 5 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const nowIso = new Date().toISOString();
+
+  const { data: due, error } = await requireDatabase()
+    .from(JOBS_TABLE)
+    .select('id')
+    .in('status', ACTIVE_STATUSES)
+    .lte('run_after', nowIso)
+    .or(`locked_until.is.null,locked_until.lt.${nowIso}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const worked = [];
+  for (const { id } of due || []) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    const job = await runJob(id, definitions, { budgetMs: remaining });
+    if (job) worked.push(job);
+  }
+  return worked;
+}
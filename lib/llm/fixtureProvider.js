@@ -0,0 +1,28 @@
+// Deterministic LLM provider: answers from lib/llm/fixtures.js, no network (LLM_PROVIDER=fixture)
+
+import { FIXTURES } from './fixtures.js';
+
+function fill(template, vars) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+      const value = vars[name];
+      return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    });
+  }
+  if (Array.isArray(template)) return template.map((item) => fill(item, vars));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fill(value, vars)]));
+  }
+  return template;
+}
+
+export const fixtureProvider = {
+  name: 'fixture',
+  async complete({ task, vars = {} }) {
+    if (!(task in FIXTURES)) {
+      throw Object.assign(new Error(`No fixture for LLM task "${task}"`), { retryable: false });
+    }
+    const answer = fill(FIXTURES[task], vars);
+    return typeof answer === 'string' ? answer : JSON.stringify(answer);
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Answers of the fixture LLM provider, one per task of LLM_TASKS
+ *
+ * Strings in a fixture are templates: {{name}} is replaced with vars.name of the
+ * request (arrays joined with ", ", missing vars left empty). Objects are returned
+ * as JSON. The day concept matches the stops of RouteService.DAY_STOPS, so a fixture
+ * itinerary fills every location block.
+ */
+
+const DAY_SLOTS = [
+  { time: '09:00', activity: 'Coffee and pastries', category: 'cafe', keywords: [] },
+  { time: '10:30', activity: 'Morning museum visit', category: 'museum', keywords: [] },
+  { time: '13:00', activity: 'Lunch at a local tavern', category: 'restaurant', keywords: [] },
+  { time: '15:30', activity: 'Slow walk through a garden', category: 'park', keywords: [] },
+  { time: '17:30', activity: 'Evening light at a viewpoint', category: 'viewpoint', keywords: [] },
+  { time: '19:30', activity: 'Dinner', category: 'restaurant', keywords: [] }
+];
+
+const alternative = (suffix) => ({
+  name: `{{locationName}} – ${suffix}`,
+  address: '{{city}} city center',
+  description: 'A quieter option for the same part of the day.',
+  recommendation: 'Worth it if the first place is full.'
+});
+
+export const FIXTURES = {
+  dayConcept: {
+    concept: 'Day {{dayNumber}} in {{city}}: unhurried streets and long meals',
+    timeSlots: DAY_SLOTS
+  },
+  description: '{{locationName}} is a calm {{category}} that fits the day: {{concept}}.',
+  recommendations: 'Come to {{locationName}} a little early and stay longer than planned.',
+  title: '{{city}} at an Easy Pace',
+  subtitle: '{{date}} in {{city}} for {{audience}}: slow mornings, long lunches and evening views.',
+  weather: { temperature: 21, description: 'Mild and mostly sunny', clothing: 'Light layers and comfortable shoes' },
+
+  blockTitle: 'Slow Day, Good Coffee',
+  blockIntro: 'There is no need to see everything today.\n\nLet {{city}} set the pace.',
+  blockLocation: {
+    mainLocation: {
+      name: '{{locationName}}',
+      address: '{{locationAddress}}',
+      description: '{{locationName}} works well at {{timeSlot}}: quiet enough to settle in.',
+      recommendation: 'Take a seat by the window.'
+    },
+    alternatives: [alternative('nearby alternative'), alternative('second alternative')]
+  },
+  blockPhotoCaption: 'The light changes here before the streets do.',
+  blockSlide: { title: 'Between Stops', text: 'Walk slowly. The side streets are the point.' },
+  blockThreeColumns: {
+    columns: [{ text: 'Quiet and unhurried' }, { text: 'Curious about the corners' }, { text: 'Content to just sit' }]
+  },
+  blockClosing: 'Nothing else needs to happen tonight.',
+
+  highlights: {
+    shortDescription: 'Wander {{city}} the way locals do. Every stop comes with a story worth slowing down for.',
+    bullet3: { icon: '🧭', text: 'The {{city}} locals keep to themselves' },
+    bullet4: { icon: '🏛', text: 'Stories behind every stop' },
+    bullet5: { icon: '☕', text: 'Cafés worth lingering in along the way' }
+  },
+
+  legacyDayConcept: {
+    concept: 'Unhurried {{city}}',
+    timeSlots: DAY_SLOTS.map((slot) => ({ ...slot, description: slot.activity, budgetTier: 'moderate' }))
+  },
+  legacyMetaInfo: {
+    title: '{{city}} at an Easy Pace',
+    subtitle: '{{date}} in {{city}}: slow mornings, long lunches and evening views.',
+    weather: { temperature: 21, description: 'Mild and mostly sunny', clothing: 'Light layers' }
+  },
+  shortDescription: '{{name}} is a well-loved {{category}} in {{city}}.',
+  shortTip: 'Visit {{name}} early, before the crowds.'
+};
@@ -0,0 +1,253 @@
+/**
+ * LLM access for content generation (itineraries, content blocks, tour highlights)
+ *
+ * Every request names a task from LLM_TASKS, which holds its model, max tokens,
+ * temperature, timeout and retries; the prompts are templates in lib/prompts (runPrompt):
+ *
+ *   const llm = getLLM();
+ *   const title = await llm.text('blockTitle', { system, prompt, vars: { city } });
+ *   const concept = await llm.json('dayConcept', { prompt, vars: { city, dayNumber } });
+ *
+ * - json() parses the answer (markdown fences and text around the JSON are ignored);
+ *   an answer that is not JSON counts as a failed attempt
+ * - Timeouts, rate limits, 5xx, network errors and invalid JSON are retried with
+ *   exponential backoff; other errors (bad key, bad request) fail at once. Failures throw LLMError
+ * - Answers are cached (lib/cache.js, namespace `llm`) by provider, model, settings and the
+ *   prompt with whitespace normalized; pass { cache: false } to ask the model anyway
+ * - Models: LLM_MODEL_<TASK> (e.g. LLM_MODEL_DAY_CONCEPT=gpt-4o) overrides one task,
+ *   LLM_MODEL all of them
+ * - Providers: LLM_PROVIDER=openai (default) or fixture - deterministic answers from
+ *   lib/llm/fixtures.js without network, for tests and offline development.
+ *   Others: setLLMProvider({ name, async complete(request) }) returning the answer text
+ *
+ * `vars` are the inputs of the task. A real model ignores them (the prompt already
+ * contains them); the fixture provider fills its templates with them.
+ */
+
+import { cached, normalizeText } from '../cache.js';
+import { createLogger } from '../logger.js';
+import { fixtureProvider } from './fixtureProvider.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+
+const log = createLogger('llm');
+
+const TASK_DEFAULTS = {
+  model: 'gpt-3.5-turbo',
+  maxTokens: 300,
+  temperature: 0.7,
+  timeoutMs: 30 * 1000,
+  retries: 2
+};
+
+export const LLM_TASKS = {
+  // services/ContentGenerationService.js
+  dayConcept: { model: 'gpt-4', maxTokens: 1500, temperature: 0.8, timeoutMs: 60 * 1000 },
+  description: { maxTokens: 200, temperature: 0.8 },
+  recommendations: { maxTokens: 100, temperature: 0.9 },
+  title: { maxTokens: 50, temperature: 0.8 },
+  subtitle: { maxTokens: 150, temperature: 0.8 },
+  weather: { maxTokens: 150 },
+
+  // services/ContentBlocksGenerationService.js
+  blockTitle: { maxTokens: 20 },
+  blockIntro: { maxTokens: 200 },
+  blockLocation: { maxTokens: 500 },
+  blockPhotoCaption: { maxTokens: 50 },
+  blockSlide: { maxTokens: 100 },
+  blockThreeColumns: { maxTokens: 150 },
+  blockClosing: { maxTokens: 150 },
+
+  // api/generate-highlights.js
+  highlights: { model: 'gpt-4o-mini', maxTokens: 300, temperature: 0.8 },
+
+  // api/smart-itinerary.js (legacy generator) and api/unlock-itinerary.js
+  legacyDayConcept: { maxTokens: 800 },
+  legacyMetaInfo: { maxTokens: 250 },
+  shortDescription: { maxTokens: 200 },
+  shortTip: { maxTokens: 60 }
+};
+
+// First retry after this long, then doubling
+const RETRY_DELAY_MS = 500;
+
+/**
+ * Failed LLM request. code: timeout | invalid_json | provider | not_configured;
+ * `answer` is the text that could not be parsed (invalid_json)
+ */
+export class LLMError extends Error {
+  constructor(message, { code = 'provider', status = null, retryable = false, answer = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.answer = answer;
+  }
+}
+
+/**
+ * Settings of a task with the environment overrides applied
+ */
+export function resolveTask(task, env = process.env) {
+  if (!LLM_TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+
+  const envName = `LLM_MODEL_${task.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+  const config = { ...TASK_DEFAULTS, ...LLM_TASKS[task] };
+  return { ...config, model: env[envName] || env.LLM_MODEL || config.model };
+}
+
+/**
+ * JSON from a model answer: the whole text, else the first {...} or [...] in it
+ */
+export function parseJSON(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    const match = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch {
+        // fall through
+      }
+    }
+  }
+  throw new LLMError('Answer is not valid JSON', { code: 'invalid_json', retryable: true, answer: String(text || '') });
+}
+
+function toLLMError(error, task) {
+  if (error instanceof LLMError) return error;
+  const status = error?.status ?? null;
+  // No status: network error; 408/409/429/5xx: worth another attempt
+  const retryable = error?.retryable ?? (!status || [408, 409, 429].includes(status) || status >= 500);
+  return new LLMError(`${task}: ${error?.message || error}`, { code: 'provider', status, retryable, cause: error });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let customProvider = null;
+let openaiProvider = null;
+
+export function setLLMProvider(provider) {
+  customProvider = provider;
+}
+
+export function getLLMProvider() {
+  if (customProvider) return customProvider;
+  if (process.env.LLM_PROVIDER === 'fixture') return fixtureProvider;
+
+  if (!process.env.OPENAI_API_KEY) {
+    throw new LLMError('OPENAI_API_KEY is not configured', { code: 'not_configured' });
+  }
+  if (!openaiProvider || openaiProvider.apiKey !== process.env.OPENAI_API_KEY) {
+    openaiProvider = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiProvider;
+}
+
+/**
+ * Whether getLLMProvider() has a provider to use (an OpenAI key, the fixture or a custom one)
+ */
+export function isLLMConfigured() {
+  return Boolean(customProvider || process.env.LLM_PROVIDER === 'fixture' || process.env.OPENAI_API_KEY);
+}
+
+export class LLMClient {
+  /**
+   * @param {Object} [options] - { provider } to use instead of getLLMProvider(), { retryDelayMs }
+   */
+  constructor({ provider = null, retryDelayMs = RETRY_DELAY_MS } = {}) {
+    this.fixedProvider = provider;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  get provider() {
+    return this.fixedProvider || getLLMProvider();
+  }
+
+  /**
+   * Answer text, trimmed
+   * @param {string} task - Key of LLM_TASKS
+   * @param {Object} request - { prompt, system?, vars?, cache? }
+   */
+  async text(task, request) {
+    return this.run(task, request, false);
+  }
+
+  /**
+   * Answer parsed as JSON
+   */
+  async json(task, request) {
+    return this.run(task, request, true);
+  }
+
+  async run(task, { prompt, system = null, vars = {}, cache = true }, json) {
+    const config = resolveTask(task);
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ];
+    if (!cache) return this.complete(task, config, messages, json, vars);
+
+    const provider = this.provider;
+    const inputs = {
+      provider: provider.name,
+      model: config.model,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      json,
+      messages: messages.map(({ role, content }) => ({ role, content: normalizeText(content) }))
+    };
+    return cached('llm', inputs, () => this.complete(task, config, messages, json, vars));
+  }
+
+  async complete(task, config, messages, json, vars) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+      if (attempt > 0) await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+
+      const startedAt = Date.now();
+      try {
+        const provider = this.provider;
+        const request = { task, model: config.model, messages, maxTokens: config.maxTokens, temperature: config.temperature, json, vars };
+        const answer = String(await this.withTimeout(provider, request, config.timeoutMs) ?? '').trim();
+        const result = json ? parseJSON(answer) : answer;
+        log.debug('LLM answer', { task, provider: provider.name, model: config.model, attempt: attempt + 1, duration_ms: Date.now() - startedAt });
+        return result;
+      } catch (error) {
+        lastError = toLLMError(error, task);
+        log.warn('LLM request failed', { task, attempt: attempt + 1, code: lastError.code, status: lastError.status, error: lastError.message });
+        if (!lastError.retryable) break;
+      }
+    }
+    throw lastError;
+  }
+
+  async withTimeout(provider, request, timeoutMs) {
+    const controller = new AbortController();
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new LLMError(`${request.task} timed out after ${timeoutMs} ms`, { code: 'timeout', retryable: true }));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider.complete({ ...request, signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+let client = null;
+
+/**
+ * Shared client; the provider is resolved on every request (LLM_PROVIDER / setLLMProvider)
+ */
+export function getLLM() {
+  client ||= new LLMClient();
+  return client;
+}
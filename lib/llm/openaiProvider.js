@@ -0,0 +1,30 @@
+// OpenAI chat completions provider for lib/llm
+
+import OpenAI from 'openai';
+
+// Models that accept response_format: json_object
+const JSON_MODE_MODELS = /^(gpt-4o|gpt-4-turbo|gpt-4\.1|gpt-3\.5-turbo)/;
+
+export function createOpenAIProvider({ apiKey }) {
+  // Retries and timeouts are handled by LLMClient
+  const client = new OpenAI({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'openai',
+    apiKey,
+    async complete({ model, messages, maxTokens, temperature, json, signal }) {
+      // JSON mode is rejected unless the messages mention JSON; the prompts of JSON tasks ask for it
+      const jsonMode = json && JSON_MODE_MODELS.test(model) && messages.some((message) => /json/i.test(message.content));
+
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      }, { signal });
+
+      return response.choices[0]?.message?.content ?? '';
+    }
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Structured JSON logger with request context and redaction
+ *
+ * Every line is one JSON object: { time, level, msg, requestId, ...context, ...fields }.
+ * Context (request ID, generation ID, Stripe event ID...) lives in AsyncLocalStorage,
+ * so services deep inside a request log it without passing it around.
+ *
+ *   export default withRequestContext(handler);   // request ID per invocation
+ *   const log = createLogger('ItineraryPipeline');  // component name on every line
+ *   log.info('Generation started', { city });
+ *   addLogContext({ stripeEventId: event.id });     // applies to the rest of the request
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error | silent. LOG_FORMAT=pretty prints one
+ * readable line per entry for local development.
+ * Secrets and PII (emails, tokens, passwords, Stripe metadata...) are redacted.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_STRING_LENGTH = 2000;
+
+// Matched against whole words of a key (see isSensitiveKey), so `bypass` or `passengers` stay readable
+const SENSITIVE_KEY = /(^|_)(pass(word|wd)?|secrets?|tokens?|authorization|cookies?|api_?key|signature|emails?|phones?|metadata|customer_details|participants|totp|recovery)(_|$)/;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const SECRET_VALUE = /\b(eyJ[\w-]+\.[\w-]+\.[\w-]+|(sk|rk|pk)_(live|test)_\w+|whsec_\w+|re_\w{16,})\b|Bearer\s+\S+/g;
+
+const storage = new AsyncLocalStorage();
+
+// refreshToken, x-api-key, TOTP_SECRET -> refresh_token, x_api_key, totp_secret
+function isSensitiveKey(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+  return SENSITIVE_KEY.test(words);
+}
+
+function minLevel() {
+  return LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+function redactString(value) {
+  const masked = value
+    .replace(SECRET_VALUE, REDACTED)
+    .replace(EMAIL, '$1***@$2');
+  return masked.length > MAX_STRING_LENGTH ? `${masked.slice(0, MAX_STRING_LENGTH)}…[truncated]` : masked;
+}
+
+export function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message || ''), code: value.code, stack: value.stack };
+  }
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => redact(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`…${value.length - MAX_ARRAY_ITEMS} more`);
+    return items;
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    // Flags and counts like hasEmail / emailCount stay readable
+    const isSecretValue = typeof item === 'string' ? item !== '' : (item !== null && typeof item === 'object');
+    result[key] = isSensitiveKey(key) && isSecretValue ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+// Second argument may be a fields object, an Error, or any value (kept under `value`)
+function normalizeFields(fields) {
+  if (fields === undefined) return {};
+  if (fields instanceof Error) return { error: fields };
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) return { value: fields };
+  return fields;
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: String(message),
+    ...(storage.getStore() || {}),
+    ...bindings,
+    ...normalizeFields(fields)
+  });
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const { time, level: lvl, msg, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${lvl.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+function buildLogger(bindings) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (extra) => buildLogger({ ...bindings, ...extra })
+  };
+}
+
+export const logger = buildLogger({});
+
+/**
+ * @param {string} component - e.g. 'ItineraryPipeline', 'stripe-webhook'
+ */
+export function createLogger(component, bindings = {}) {
+  return buildLogger({ component, ...bindings });
+}
+
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+export function getRequestId() {
+  return getLogContext().requestId;
+}
+
+/**
+ * Add fields to the current context (visible to every later log line of this request).
+ */
+export function addLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Run `fn` with extra context fields, e.g. a generation ID for one pipeline run.
+ */
+export function runWithLogContext(fields, fn) {
+  return storage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Wrap a Vercel-style handler: assigns a request ID (incoming X-Request-Id is reused),
+ * echoes it in the response and logs one summary line per request.
+ */
+export function withRequestContext(handler) {
+  return async function handlerWithRequestContext(req, res) {
+    // Already wrapped (local server wraps every handler)
+    if (getRequestId()) return handler(req, res);
+
+    const incoming = String(req.headers['x-request-id'] || '').trim();
+    const requestId = /^[\w-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const route = String(req.url || '').split('?')[0];
+    const startedAt = Date.now();
+
+    res.setHeader('X-Request-Id', requestId);
+
+    return storage.run({ requestId }, () => {
+      res.once?.('finish', () => {
+        logger.info('Request finished', {
+          method: req.method,
+          route,
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt
+        });
+      });
+      return handler(req, res);
+    });
+  };
+}
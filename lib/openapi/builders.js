@@ -0,0 +1,166 @@
+/**
+ * Small builders for the OpenAPI document (lib/openapi/index.js)
+ *
+ * Keep route descriptions short:
+ *   '/api/tours': {
+ *     get: operation({
+ *       summary: 'List tours', tags: ['Tours'],
+ *       query: { city: string(), limit: integer({ default: 50 }) },
+ *       responses: { 200: ok({ tours: array(ref('TourSummary')) }) }
+ *     })
+ *   }
+ *
+ * Schemas are plain JSON Schema (OpenAPI 3.1 dialect). Objects allow extra
+ * properties: handlers spread database rows into responses, so only the fields
+ * clients rely on are described.
+ */
+
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+// ---- Schemas ----
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const string = (extra = {}) => ({ type: 'string', ...extra });
+export const integer = (extra = {}) => ({ type: 'integer', ...extra });
+export const number = (extra = {}) => ({ type: 'number', ...extra });
+export const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+export const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+export const anyValue = (extra = {}) => ({ ...extra });
+export const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+export const uuid = (extra = {}) => string({ format: 'uuid', ...extra });
+export const dateTime = (extra = {}) => string({ format: 'date-time', ...extra });
+export const date = (extra = {}) => string({ format: 'date', ...extra });
+export const email = (extra = {}) => string({ format: 'email', ...extra });
+
+/**
+ * @param {Object} properties
+ * @param {string[]} [required]
+ */
+export function object(properties = {}, required = [], extra = {}) {
+  return {
+    type: 'object',
+    properties,
+    ...(required.length ? { required } : {}),
+    ...extra
+  };
+}
+
+/**
+ * JSON Schema of a zod schema, so the spec describes exactly what validateBody() accepts
+ */
+export function fromZod(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none', effectStrategy: 'input' });
+  return jsonSchema;
+}
+
+// ---- Responses ----
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+/**
+ * `{ success: true, ...properties }`, all properties required unless listed otherwise
+ */
+export function successBody(properties = {}, required = Object.keys(properties)) {
+  return object({ success: { const: true }, ...properties }, ['success', ...required]);
+}
+
+/**
+ * 2xx response: `{ success: true, ...properties }`
+ * @param {Object} properties
+ * @param {string} [description]
+ * @param {{ required?: string[], headers?: Object }} [options]
+ */
+export function ok(properties = {}, description = 'OK', { required = Object.keys(properties), headers } = {}) {
+  return {
+    description,
+    ...(headers ? { headers } : {}),
+    content: json(successBody(properties, required))
+  };
+}
+
+/**
+ * Response whose body is not wrapped in `{ success }` (legacy and third-party shapes)
+ */
+export function raw(schema, description = 'OK', contentType = 'application/json') {
+  return { description, content: { [contentType]: { schema } } };
+}
+
+export const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// ---- Operations ----
+
+// Who may call an operation; drives `security` and the standard 401/403 responses
+export const AUTH = {
+  public: { security: [] },
+  optional: { security: [{}, { bearerAuth: [] }] },
+  user: { security: [{ bearerAuth: [] }], roles: null },
+  guide: { security: [{ bearerAuth: [] }], roles: ['guide'] },
+  creator: { security: [{ bearerAuth: [] }], roles: ['guide', 'admin'] },
+  admin: { security: [{ bearerAuth: [] }], roles: ['admin'] },
+  cron: { security: [{ cronSecret: [] }, { bearerAuth: [] }], roles: ['admin'] }
+};
+
+function parameters(location, params = {}, required = []) {
+  return Object.entries(params).map(([name, schema]) => {
+    const { description, ...rest } = schema;
+    return {
+      name,
+      in: location,
+      ...(required.includes(name) ? { required: true } : {}),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.summary
+ * @param {string[]} options.tags
+ * @param {keyof AUTH} [options.auth='public']
+ * @param {Object} [options.query] - name -> schema (`description` goes to the parameter)
+ * @param {string[]} [options.requiredQuery]
+ * @param {Object} [options.headers] - request headers, same shape as `query`
+ * @param {Object} [options.body] - JSON request body schema
+ * @param {boolean} [options.bodyRequired=true]
+ * @param {Object} options.responses - status -> response
+ * @param {boolean} [options.validated] - body goes through validateBody(): 400 is a ValidationError
+ */
+export function operation({
+  summary,
+  description,
+  tags,
+  auth = 'public',
+  query,
+  requiredQuery,
+  headers,
+  body,
+  bodyRequired = true,
+  responses,
+  validated = false,
+  deprecated = false
+}) {
+  const access = AUTH[auth];
+  if (!access) throw new Error(`Unknown auth "${auth}" for ${summary}`);
+
+  const standard = {
+    ...(query || body ? { 400: response(validated ? 'ValidationError' : 'BadRequest') } : {}),
+    ...(access.roles !== undefined ? { 401: response('Unauthorized') } : {}),
+    ...(access.roles ? { 403: response('Forbidden') } : {}),
+    500: response('ServerError')
+  };
+
+  const roles = access.roles ? `\n\nRoles: ${access.roles.join(', ')}.` : '';
+  return {
+    summary,
+    ...(description || roles ? { description: `${description || ''}${roles}`.trim() } : {}),
+    tags,
+    ...(deprecated ? { deprecated } : {}),
+    security: access.security,
+    parameters: [...parameters('query', query, requiredQuery), ...parameters('header', headers)],
+    ...(body ? { requestBody: { required: bodyRequired, content: json(body) } } : {}),
+    responses: { ...standard, ...responses }
+  };
+}
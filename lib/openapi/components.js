@@ -0,0 +1,347 @@
+/**
+ * Shared OpenAPI components: security schemes, error responses and schemas
+ *
+ * Request bodies that handlers validate come straight from lib/tourSchemas.js
+ * (fromZod), response shapes are described here by hand.
+ */
+
+import {
+  BOOKING_STATUSES,
+  CONTENT_BLOCK_TYPES,
+  TOUR_STATUSES,
+  additionalOptionsSchema,
+  bookingCreateSchema,
+  contentBlockContentSchemas,
+  contentBlockCreateSchema,
+  contentBlockUpdateSchema,
+  tourCreateSchema,
+  tourDaySchema,
+  tourUpdateSchema
+} from '../tourSchemas.js';
+import { JOB_STATUS } from '../jobs.js';
+import { DIAGNOSTIC_SECTIONS } from '../diagnostics.js';
+import {
+  anyValue,
+  array,
+  boolean,
+  date,
+  dateTime,
+  email,
+  fromZod,
+  integer,
+  nullable,
+  number,
+  object,
+  ref,
+  string
+} from './builders.js';
+
+const ROLES = ['user', 'guide', 'creator', 'admin'];
+const optionalString = nullable(string());
+const looseObject = object();
+
+export const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Access token from /api/auth-login or /api/auth-refresh'
+  },
+  cronSecret: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'CRON_SECRET, for scheduled calls of /api/jobs-worker'
+  }
+};
+
+// ---- Errors ----
+
+const errorSchema = object({
+  success: { const: false },
+  error: anyValue({ description: 'Error code or short description' }),
+  message: string()
+}, [], { description: 'Most handlers answer `{ success: false, error?, message? }`; some legacy ones only send `error`' });
+
+const validationErrorSchema = object({
+  success: { const: false },
+  error: { const: 'ValidationError' },
+  message: string(),
+  errors: array(object({
+    field: string({ examples: ['daily_plan[0].blocks[1].time'] }),
+    path: array({ type: ['string', 'integer'] }),
+    message: string(),
+    code: string()
+  }, ['field', 'path', 'message', 'code']))
+}, ['success', 'error', 'message', 'errors']);
+
+const errorResponse = (description, schema = ref('Error')) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+export const responses = {
+  BadRequest: errorResponse('Invalid request'),
+  ValidationError: errorResponse('Request body failed validation', ref('ValidationError')),
+  Unauthorized: errorResponse('Missing, invalid or expired access token'),
+  Forbidden: errorResponse('The account role is not allowed to do this'),
+  NotFound: errorResponse('Not found'),
+  Conflict: errorResponse('Conflicts with the current state'),
+  IdempotencyConflict: errorResponse('A request with this Idempotency-Key is still in progress'),
+  IdempotencyKeyReused: errorResponse('This Idempotency-Key was used with a different request'),
+  TooManyRequests: errorResponse('Rate limited'),
+  ServerError: errorResponse('Unexpected error or missing configuration')
+};
+
+// ---- Tours ----
+
+const tourTag = object({
+  tour_id: string(),
+  tag_id: nullable(string()),
+  interest_id: nullable(string()),
+  tag: nullable(object({ id: string(), name: string() })),
+  interest: nullable(looseObject)
+});
+
+const guide = object({
+  id: string(),
+  name: optionalString,
+  avatar_url: optionalString,
+  city: optionalString,
+  interests: anyValue()
+}, ['id']);
+
+const tourBase = {
+  id: string(),
+  title: string(),
+  description: optionalString,
+  city: nullable(string({ description: 'City name' })),
+  city_id: nullable(string()),
+  country: optionalString,
+  guide_id: nullable(string()),
+  status: { enum: TOUR_STATUSES },
+  source: optionalString,
+  default_format: optionalString,
+  format: string({ enum: ['guided', 'self-guided', 'self_guided'] }),
+  withGuide: boolean(),
+  preview: optionalString,
+  preview_media_url: optionalString,
+  previewType: string({ enum: ['image', 'video'] }),
+  draft_data: nullable(object({}, [], { description: 'Editor state: tourSettings, shortDescription, highlights, ...' })),
+  tour_tags: array(tourTag),
+  guide: nullable(ref('Guide')),
+  created_at: nullable(dateTime()),
+  updated_at: nullable(dateTime())
+};
+
+const tourSummary = object({
+  ...tourBase,
+  daily_plan: array(anyValue(), { maxItems: 0, description: 'Always empty in lists, load the tour for its plan' })
+}, ['id', 'title', 'format', 'withGuide', 'previewType']);
+
+const tourDetail = object({
+  ...tourBase,
+  price: object({
+    pdfPrice: number(),
+    guidedPrice: nullable(number()),
+    currency: string(),
+    meetingPoint: optionalString,
+    meetingTime: optionalString,
+    availableDates: nullable(array(date(), { description: 'Legacy, see availability' }))
+  }, ['pdfPrice', 'currency']),
+  additionalOptions: fromZod(additionalOptionsSchema),
+  availability: nullable(object({
+    default_group_size: integer(),
+    next_available_date: nullable(date()),
+    available_spots: integer()
+  })),
+  daily_plan: array(ref('TourDay')),
+  authorOtherTours: array(looseObject)
+}, ['id', 'title', 'format', 'withGuide', 'previewType', 'tour_tags', 'price', 'daily_plan']);
+
+// ---- Content blocks ----
+
+const contentBlock = object({
+  id: string(),
+  tour_id: string(),
+  block_type: { enum: CONTENT_BLOCK_TYPES },
+  content: object({}, [], { description: 'Shape depends on block_type, see ContentBlockContent.*' }),
+  order_index: integer(),
+  created_at: dateTime(),
+  updated_at: dateTime()
+}, ['id', 'tour_id', 'block_type', 'content']);
+
+const contentSchemas = Object.fromEntries(
+  Object.entries(contentBlockContentSchemas).map(([type, schema]) => [`ContentBlockContent.${type}`, fromZod(schema)])
+);
+
+// ---- Bookings / availability ----
+
+const booking = object({
+  id: string(),
+  tour_id: string(),
+  user_id: string(),
+  guide_id: nullable(string()),
+  tour_date: date(),
+  group_size: integer(),
+  participants: anyValue(),
+  base_price: number(),
+  additional_services: nullable(looseObject),
+  additional_services_price: number(),
+  total_price: number(),
+  currency: string(),
+  status: { enum: BOOKING_STATUSES },
+  payment_status: string({ enum: ['pending', 'paid', 'refunded'] }),
+  meeting_point: optionalString,
+  meeting_time: optionalString,
+  customer_notes: optionalString,
+  guide_notes: optionalString,
+  cancellation_reason: optionalString,
+  tour: nullable(looseObject),
+  customer: nullable(looseObject),
+  created_at: dateTime()
+}, ['id', 'tour_id', 'tour_date', 'group_size', 'status']);
+
+const availabilitySlot = object({
+  id: string(),
+  tour_id: string(),
+  date: date(),
+  max_group_size: integer(),
+  booked_spots: integer(),
+  available_spots: integer({ description: 'Only in GET /api/guide-availability' }),
+  is_available: boolean(),
+  is_blocked: boolean(),
+  custom_price: nullable(number()),
+  notes: optionalString
+}, ['id', 'date']);
+
+// ---- Itineraries ----
+
+const weather = object({ temperature: number(), description: string(), forecast: string(), clothing: string(), tips: string() });
+
+const itineraryDay = object({
+  day: integer({ minimum: 1 }),
+  date: date(),
+  concept: string({ description: 'Theme of the day' }),
+  timeSlots: array(looseObject),
+  weather: nullable(weather),
+  walking: object({ distance_m: integer(), walking_minutes: integer() }, [], {
+    description: 'Estimated walk between the location blocks; each block has its travel leg in `content.legFromPrevious`'
+  }),
+  contentBlocks: array(looseObject, {
+    description: 'Location blocks have `content.openingHours` ({ open, hours, note }) when the place\'s hours are known, '
+      + 'and `content.warning` when it is closed at the visit and no open alternative was found. '
+      + 'Generated text blocks record the prompt template that wrote them in `content.prompt` ({ name, version })'
+  }),
+  activities: array(looseObject),
+  totalCost: number(),
+  withinBudget: boolean()
+}, ['day', 'date', 'contentBlocks', 'activities'], { description: 'One day of a (multi-day) itinerary' });
+
+const itinerary = object({
+  title: string(),
+  subtitle: string(),
+  city: string(),
+  date: string({ description: 'First day' }),
+  date_from: date(),
+  date_to: date({ description: 'Last day (same as date_from for a one-day itinerary)' }),
+  daysCount: integer({ minimum: 1 }),
+  budget: anyValue(),
+  weather,
+  days: array(ref('ItineraryDay'), { description: 'The plan per day (smart-itinerary-v3)' }),
+  contentBlocks: array(looseObject, { description: 'Blocks of all days in order; each has its `day`' }),
+  activities: array(object({}, [], { description: 'Time slot with a location, description and cost' }), {
+    description: 'Activities of all days in order'
+  }),
+  daily_plan: array(looseObject),
+  previewOnly: boolean({ description: 'Only the first activities until the itinerary is unlocked (paid)' }),
+  tourId: string({ description: 'Set when the itinerary was saved as a tour' })
+}, [], { description: 'Generated day plan' });
+
+// ---- Auth ----
+
+const user = object({
+  id: string(),
+  name: optionalString,
+  email: email(),
+  role: { enum: ROLES },
+  createdAt: nullable(dateTime())
+}, ['id', 'email', 'role']);
+
+// ---- Jobs / maintenance ----
+
+const job = object({
+  id: string(),
+  type: string(),
+  status: { enum: Object.values(JOB_STATUS) },
+  params: looseObject,
+  progress: object({
+    processed: integer(),
+    total: nullable(integer()),
+    percent: nullable(integer({ minimum: 0, maximum: 100 }))
+  }, ['processed', 'percent']),
+  result: nullable(looseObject),
+  attempts: integer(),
+  max_attempts: integer(),
+  last_error: optionalString,
+  cancel_requested: nullable(boolean()),
+  in_progress: boolean({ description: 'A worker holds the lease right now' }),
+  next_run_at: nullable(dateTime()),
+  created_by: optionalString,
+  created_at: dateTime(),
+  started_at: nullable(dateTime()),
+  finished_at: nullable(dateTime()),
+  updated_at: dateTime()
+}, ['id', 'type', 'status', 'progress', 'in_progress']);
+
+const jobStarted = object({
+  success: { const: true },
+  message: string(),
+  job: ref('Job'),
+  statusUrl: string({ examples: ['/api/admin-jobs?id=...'] })
+}, ['success', 'job', 'statusUrl']);
+
+const health = object({
+  status: { const: 'ok' },
+  timestamp: dateTime(),
+  uptimeSeconds: integer(),
+  version: optionalString
+}, ['status', 'timestamp']);
+
+const diagnosticsReport = object({
+  success: { const: true },
+  generatedAt: dateTime(),
+  durationsMs: object({}, [], { additionalProperties: integer() }),
+  ...Object.fromEntries(DIAGNOSTIC_SECTIONS.map((section) => [section, looseObject]))
+}, ['success', 'generatedAt']);
+
+export const schemas = {
+  Error: errorSchema,
+  ValidationError: validationErrorSchema,
+
+  TourSummary: tourSummary,
+  TourDetail: tourDetail,
+  TourDay: fromZod(tourDaySchema),
+  TourTag: tourTag,
+  Guide: guide,
+  TourCreate: fromZod(tourCreateSchema),
+  TourUpdate: fromZod(tourUpdateSchema),
+
+  ContentBlock: contentBlock,
+  ContentBlockCreate: fromZod(contentBlockCreateSchema),
+  ContentBlockUpdate: fromZod(contentBlockUpdateSchema()),
+  ...contentSchemas,
+
+  Booking: booking,
+  BookingCreate: fromZod(bookingCreateSchema),
+  AvailabilitySlot: availabilitySlot,
+
+  Itinerary: itinerary,
+  ItineraryDay: itineraryDay,
+
+  User: user,
+
+  Job: job,
+  JobStarted: jobStarted,
+  Health: health,
+  DiagnosticsReport: diagnosticsReport
+};
@@ -0,0 +1,70 @@
+/**
+ * OpenAPI 3.1 document for every handler in api/
+ *
+ * Served as JSON by api/openapi.js and rendered by api/docs.js. Route
+ * descriptions live in lib/openapi/paths/ (one module per area), shared schemas
+ * in components.js. Request bodies that handlers validate are generated from the
+ * zod schemas in lib/tourSchemas.js, and test/openapi.test.js checks that every
+ * api/ file is described and that handler responses match the spec.
+ *
+ * Adding a handler: describe it in the matching paths/ module (the contract test
+ * fails until you do).
+ */
+
+import { readFileSync } from 'fs';
+import { responses, schemas, securitySchemes } from './components.js';
+import adminPaths from './paths/admin.js';
+import authPaths from './paths/auth.js';
+import bookingPaths from './paths/bookings.js';
+import itineraryPaths from './paths/itinerary.js';
+import systemPaths from './paths/system.js';
+import tourPaths from './paths/tours.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const TAGS = [
+  { name: 'Tours', description: 'Published tours for the site (public)' },
+  { name: 'Tour editor', description: 'Creating and editing tours, content blocks, PDFs' },
+  { name: 'Bookings', description: 'Guided tour dates and bookings' },
+  { name: 'Guides', description: 'Guide dashboard' },
+  { name: 'Messages & notifications' },
+  { name: 'Itineraries', description: 'Generated day plans' },
+  { name: 'Payments', description: 'Stripe Checkout and webhook' },
+  { name: 'Places & maps', description: 'Google Places / Maps proxies' },
+  { name: 'Auth' },
+  { name: 'Account', description: 'Personal data export and account deletion (GDPR)' },
+  { name: 'Reference data', description: 'Cities, tags, locations' },
+  { name: 'Admin' },
+  { name: 'Background jobs', description: 'Long batch operations, see BACKGROUND_JOBS.md' },
+  { name: 'Data maintenance', description: 'Old one-off seeding endpoints' },
+  { name: 'System' }
+];
+
+let cachedDocument = null;
+
+export function buildOpenApiDocument() {
+  if (cachedDocument) return cachedDocument;
+
+  cachedDocument = {
+    openapi: '3.1.0',
+    info: {
+      title: 'FlipTrip API',
+      version,
+      description: 'Backend of FlipTrip. Responses are `{ success: true, ... }` or '
+        + '`{ success: false, error, message }`; invalid request bodies get a `ValidationError` '
+        + 'with the path of every invalid field.'
+    },
+    servers: [{ url: '/', description: 'This deployment' }],
+    tags: TAGS,
+    paths: {
+      ...tourPaths,
+      ...bookingPaths,
+      ...itineraryPaths,
+      ...authPaths,
+      ...adminPaths,
+      ...systemPaths
+    },
+    components: { securitySchemes, responses, schemas }
+  };
+  return cachedDocument;
+}
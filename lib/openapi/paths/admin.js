@@ -0,0 +1,326 @@
+// Admin dashboard: tours, moderation, users, locations, reference data, diagnostics and prompt templates
+
+import { DIAGNOSTIC_SECTIONS } from '../../diagnostics.js';
+import { openingHoursSchema } from '../../openingHours.js';
+import { TOUR_STATUSES } from '../../tourSchemas.js';
+import {
+  anyValue,
+  array,
+  boolean,
+  email,
+  fromZod,
+  integer,
+  nullable,
+  object,
+  ok,
+  operation,
+  raw,
+  ref,
+  response,
+  string
+} from '../builders.js';
+
+const TAGS = ['Admin'];
+const REFERENCE_TAGS = ['Reference data'];
+
+const locationInput = object({
+  name: string(),
+  city_id: string(),
+  category: string(),
+  address: string(),
+  description: string(),
+  recommendations: string(),
+  tags: array(string()),
+  interests: array(string({ description: 'Interest ids' })),
+  photos: array(string()),
+  website: string(),
+  phone: string(),
+  booking_url: string(),
+  price_level: integer({ minimum: 0, maximum: 4 }),
+  opening_hours: {
+    ...fromZod(openingHoursSchema.nullable()),
+    description: 'Weekly schedule plus exceptions (YYYY-MM-DD) and yearly holidays (MM-DD); null = unknown'
+  },
+  source: string(),
+  google_place_id: string(),
+  verified: boolean()
+});
+
+export default {
+  '/api/admin-cities': {
+    get: operation({
+      summary: 'Cities for dropdowns and autocomplete',
+      tags: REFERENCE_TAGS,
+      query: {
+        onlyWithContent: string({ enum: ['true'], description: 'Only cities that have tours or locations' }),
+        search: string({ description: 'Name prefix for autocomplete' })
+      },
+      responses: { 200: ok({ cities: array(object({ id: string(), name: string() }, ['id', 'name'])) }) }
+    })
+  },
+
+  '/api/admin-tags': {
+    get: operation({
+      summary: 'All tags',
+      tags: REFERENCE_TAGS,
+      responses: { 200: ok({ tags: array(object({ id: string(), name: string() })) }) }
+    })
+  },
+
+  '/api/admin-locations': {
+    get: operation({
+      summary: 'Locations (also used by the tour editor)',
+      tags: REFERENCE_TAGS,
+      query: { search: string(), category: string(), source: string(), tag_id: string(), verified: string({ enum: ['true', 'false'] }) },
+      responses: { 200: ok({ locations: array(object()) }) }
+    }),
+    post: operation({
+      summary: 'Create a location',
+      tags: TAGS,
+      auth: 'admin',
+      body: { ...locationInput, required: ['name'] },
+      responses: { 201: ok({ location: object() }, 'Created') }
+    }),
+    put: operation({
+      summary: 'Update a location',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      body: locationInput,
+      responses: { 200: ok({ location: object(), message: string() }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Delete a location',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      responses: { 200: ok({ message: string() }) }
+    })
+  },
+
+  '/api/admin-tours': {
+    get: operation({
+      summary: 'All tours (any status), or one tour by id',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string(), search: string(), status: string({ enum: TOUR_STATUSES }), city: string(), format: string(), source: string() },
+      responses: { 200: ok({ tours: array(object()), tour: object() }, 'OK', { required: [] }) }
+    }),
+    put: operation({
+      summary: 'Edit tour fields from the dashboard',
+      description: 'A body with only `exploreWideCard`/`exploreOrder` updates the explore page layout without a title.',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      body: object({
+        title: string(),
+        description: string(),
+        city: string(),
+        cityId: string(),
+        status: string({ enum: TOUR_STATUSES }),
+        isPublished: boolean(),
+        tags: array(string()),
+        previewMediaUrl: string(),
+        exploreWideCard: boolean(),
+        exploreOrder: integer()
+      }),
+      responses: { 200: ok({ tour: object(), message: string() }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Delete a tour',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      responses: { 200: ok({ message: string() }) }
+    })
+  },
+
+  '/api/admin-moderate-tours': {
+    get: operation({
+      summary: 'Tours waiting for moderation',
+      tags: TAGS,
+      auth: 'admin',
+      query: { status: string({ enum: TOUR_STATUSES, default: 'pending' }) },
+      responses: { 200: ok({ tours: array(object()) }) }
+    }),
+    post: operation({
+      summary: 'Approve or reject a tour',
+      description: 'Requires a 2FA session when ADMIN_REQUIRE_2FA=true.',
+      tags: TAGS,
+      auth: 'admin',
+      body: object({ tourId: string(), action: string({ enum: ['approve', 'reject'] }), comment: string() }, ['tourId', 'action']),
+      responses: { 200: ok({ tour: object(), message: string() }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/admin-users': {
+    get: operation({
+      summary: 'Users',
+      tags: TAGS,
+      auth: 'admin',
+      query: { search: string(), role: string({ enum: ['user', 'guide', 'admin'] }) },
+      responses: { 200: ok({ users: array(object()) }) }
+    }),
+    post: operation({
+      summary: 'Create a user',
+      tags: TAGS,
+      auth: 'admin',
+      body: object({ email: email(), password: string({ minLength: 8 }), name: string(), role: string({ enum: ['user', 'guide', 'admin'] }) }, ['email', 'password']),
+      responses: { 200: ok({ user: object() }), 409: response('Conflict') }
+    }),
+    put: operation({
+      summary: 'Update a user',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      body: object({ email: email(), name: string(), role: string({ enum: ['user', 'guide', 'admin'] }) }),
+      responses: { 200: ok({ user: object() }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Delete a user',
+      tags: TAGS,
+      auth: 'admin',
+      query: { id: string() },
+      requiredQuery: ['id'],
+      responses: { 200: ok({ message: string() }) }
+    })
+  },
+
+  '/api/reset-user-password': {
+    post: operation({
+      summary: 'Reset the password of a user',
+      description: 'Without `newPassword` a random one is generated and returned once.',
+      tags: TAGS,
+      auth: 'admin',
+      body: object({ email: email(), newPassword: string({ minLength: 8 }) }, ['email']),
+      responses: {
+        200: ok({ message: string(), email: email(), generatedPassword: string() }, 'OK', { required: ['email'] }),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/admin-profile': {
+    get: operation({
+      summary: 'Profile of the signed-in admin',
+      tags: TAGS,
+      auth: 'admin',
+      responses: { 200: ok({ profile: object({}, [], { description: 'name, bio, avatar' }) }) }
+    }),
+    put: operation({
+      summary: 'Update the admin profile',
+      tags: TAGS,
+      auth: 'admin',
+      body: object({ name: string(), bio: string(), avatar: string() }),
+      responses: { 200: ok({ profile: object() }) }
+    })
+  },
+
+  '/api/admin-stats': {
+    get: operation({
+      summary: 'Counts and recent activity for the dashboard',
+      tags: TAGS,
+      auth: 'admin',
+      responses: { 200: ok({ stats: object({ counts: object() }) }) }
+    })
+  },
+
+  '/api/admin-tour-audit': {
+    get: operation({
+      summary: 'Tours hidden from the dashboard, without owner, generated, and locations by source',
+      tags: TAGS,
+      auth: 'admin',
+      responses: {
+        200: ok({
+          summary: object(),
+          locationsBySource: object(),
+          noOwnerTours: array(object()),
+          ownerNotAuthorTours: array(object()),
+          generatedTours: array(object()),
+          hiddenFromAdminTours: array(object())
+        })
+      }
+    })
+  },
+
+  '/api/admin-diagnostics': {
+    get: operation({
+      summary: 'Configuration, schema drift, orphaned rows, data counts and cache hit rates',
+      description: 'Presence of env vars and counts only, never secret values or user emails. Not cached.',
+      tags: TAGS,
+      auth: 'admin',
+      query: {
+        sections: string({
+          description: `Comma-separated subset of ${DIAGNOSTIC_SECTIONS.join(', ')} (default: all)`,
+          examples: ['schema,orphans']
+        })
+      },
+      responses: { 200: raw(ref('DiagnosticsReport'), 'Report') }
+    })
+  },
+
+  '/api/admin-prompts': {
+    get: operation({
+      summary: 'Prompt templates of content generation with their versions',
+      description: '`activeVersion` is the one itinerary generation uses (the latest, or PROMPT_VERSION_<NAME>).',
+      tags: TAGS,
+      auth: 'admin',
+      responses: {
+        200: ok({
+          prompts: array(object({
+            name: string(),
+            task: string(),
+            output: string({ enum: ['text', 'json'] }),
+            activeVersion: integer(),
+            variables: array(string()),
+            versions: array(object({ version: integer(), description: string() }, ['version']))
+          }, ['name', 'activeVersion', 'versions']))
+        })
+      }
+    }),
+    post: operation({
+      summary: 'Run two versions of a prompt on the same variables',
+      description: 'Returns the rendered prompt and the output of each version. A version whose LLM call fails '
+        + 'has `output: null` and an `error`; the other one is still returned.',
+      tags: TAGS,
+      auth: 'admin',
+      body: object({
+        name: string({ examples: ['blockTitle'] }),
+        versions: array(integer({ minimum: 1 }), { minItems: 2, maxItems: 2, examples: [[1, 2]] }),
+        vars: object({}, [], { description: 'Variables of the prompt (GET lists their names)' })
+      }, ['name', 'versions']),
+      responses: {
+        200: ok({
+          name: string(),
+          vars: object(),
+          results: array(object({
+            version: integer(),
+            system: nullable(string()),
+            prompt: string(),
+            output: anyValue({ description: 'Text, or parsed JSON for json prompts' }),
+            duration_ms: integer(),
+            error: object({ code: string(), message: string() })
+          }, ['version', 'prompt', 'output']))
+        }),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        503: response('ServerError')
+      }
+    })
+  },
+
+  '/api/setup-admin': {
+    post: operation({
+      summary: 'Create the first admin account (bootstrap)',
+      tags: TAGS,
+      body: object({ email: email(), password: string(), name: string() }),
+      bodyRequired: false,
+      responses: { 200: ok({ message: string(), admin: object(), created: boolean() }) }
+    })
+  }
+};
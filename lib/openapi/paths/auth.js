@@ -0,0 +1,225 @@
+// Sign-up, sign-in, sessions, two-factor authentication and account (GDPR)
+
+import {
+  array,
+  boolean,
+  dateTime,
+  email,
+  integer,
+  object,
+  ok,
+  operation,
+  raw,
+  ref,
+  response,
+  string,
+  successBody
+} from '../builders.js';
+
+const TAGS = ['Auth'];
+const ACCOUNT_TAGS = ['Account'];
+
+const password = string({ minLength: 8, format: 'password' });
+const code = string({ description: 'One-time code from the email' });
+const totpCode = string({ pattern: '^\\d{6}$', description: 'Code from the authenticator app' });
+
+const signedInBody = successBody({ token: string(), refreshToken: string(), expiresIn: integer(), user: ref('User') });
+const signedIn = (description = 'Signed in') => raw(signedInBody, description);
+
+const codeSent = ok({ message: string(), ttlSeconds: integer(), maxAttempts: integer() }, 'Code sent', { required: ['message'] });
+
+export default {
+  '/api/auth-register-request-code': {
+    post: operation({
+      summary: 'Start registration: email a verification code',
+      tags: TAGS,
+      body: object({ name: string(), email: email(), password, role: string({ enum: ['user', 'guide'], default: 'user' }) }, ['email', 'password']),
+      responses: { 200: codeSent, 409: response('Conflict'), 429: response('TooManyRequests') }
+    })
+  },
+
+  '/api/auth-register-verify-code': {
+    post: operation({
+      summary: 'Finish registration with the emailed code',
+      tags: TAGS,
+      body: object({ email: email(), code }, ['email', 'code']),
+      responses: { 200: signedIn('Registered and signed in'), 429: response('TooManyRequests') }
+    })
+  },
+
+  '/api/auth-register': {
+    post: operation({
+      summary: 'Register without email verification',
+      tags: TAGS,
+      deprecated: true,
+      body: object({ name: string(), email: email(), password, role: string({ enum: ['user', 'guide'], default: 'user' }) }, ['email', 'password']),
+      responses: { 200: signedIn('Registered and signed in'), 409: response('Conflict') }
+    })
+  },
+
+  '/api/auth-login': {
+    post: operation({
+      summary: 'Sign in with email and password',
+      description: 'Accounts with 2FA get `{ requiresTwoFactor, challengeToken }` instead of tokens; '
+        + 'finish with /api/auth-login-2fa.',
+      tags: TAGS,
+      body: object({ email: email(), password: string() }, ['email', 'password']),
+      responses: {
+        200: {
+          description: 'Signed in, or the second factor is required',
+          content: {
+            'application/json': {
+              schema: {
+                oneOf: [
+                  signedInBody,
+                  successBody({ requiresTwoFactor: { const: true }, challengeToken: string(), expiresIn: integer() })
+                ]
+              }
+            }
+          }
+        },
+        401: response('Unauthorized'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/auth-login-2fa': {
+    post: operation({
+      summary: 'Second sign-in step: TOTP or recovery code',
+      tags: TAGS,
+      body: object({ challengeToken: string(), code: totpCode, recoveryCode: string() }, ['challengeToken']),
+      responses: { 200: signedIn(), 401: response('Unauthorized'), 429: response('TooManyRequests') }
+    })
+  },
+
+  '/api/auth-refresh': {
+    post: operation({
+      summary: 'Exchange a refresh token for a new token pair (rotation)',
+      tags: TAGS,
+      body: object({ refreshToken: string() }, ['refreshToken']),
+      responses: { 200: ok({ token: string(), refreshToken: string(), expiresIn: integer() }), 401: response('Unauthorized') }
+    })
+  },
+
+  '/api/auth-logout': {
+    post: operation({
+      summary: 'Sign out the current session',
+      description: 'Needs the access token, the refresh token, or both.',
+      tags: TAGS,
+      auth: 'optional',
+      body: object({ refreshToken: string() }),
+      bodyRequired: false,
+      responses: { 200: ok({ message: string() }), 401: response('Unauthorized') }
+    })
+  },
+
+  '/api/auth-me': {
+    get: operation({
+      summary: 'The signed-in user',
+      tags: TAGS,
+      auth: 'user',
+      responses: { 200: ok({ user: ref('User') }) }
+    })
+  },
+
+  '/api/auth-sessions': {
+    get: operation({
+      summary: 'Active sessions of the signed-in user',
+      tags: TAGS,
+      auth: 'user',
+      responses: {
+        200: ok({
+          sessions: array(object({
+            id: string(),
+            device: string(),
+            userAgent: { type: ['string', 'null'] },
+            ip: { type: ['string', 'null'] },
+            twoFactor: boolean(),
+            createdAt: { anyOf: [dateTime(), { type: 'null' }] },
+            lastUsedAt: { anyOf: [dateTime(), { type: 'null' }] },
+            current: boolean()
+          }, ['id', 'current']))
+        })
+      }
+    }),
+    delete: operation({
+      summary: 'Sign out one session, all other sessions, or everywhere',
+      tags: TAGS,
+      auth: 'user',
+      query: {
+        id: string({ description: 'Session to sign out' }),
+        all: string({ enum: ['true'], description: 'All other sessions' }),
+        current: string({ enum: ['true'], description: 'With `all`: this session too' })
+      },
+      responses: { 200: ok({ message: string() }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/auth-2fa': {
+    get: operation({
+      summary: 'Two-factor status',
+      tags: TAGS,
+      auth: 'creator',
+      responses: { 200: ok({ enabled: boolean(), enabledAt: { type: ['string', 'null'] }, recoveryCodesRemaining: integer() }) }
+    }),
+    post: operation({
+      summary: 'Set up, enable or disable 2FA, or replace recovery codes',
+      description: '`setup` returns a secret and an otpauth:// URI for the QR code; `enable` confirms it with a code '
+        + 'and returns recovery codes (shown once).',
+      tags: TAGS,
+      auth: 'creator',
+      body: object({ action: string({ enum: ['setup', 'enable', 'disable', 'recovery-codes'] }), code: string() }, ['action']),
+      responses: {
+        200: ok({ secret: string(), otpauthUrl: string(), message: string(), recoveryCodes: array(string()) }, 'OK', { required: [] }),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/auth-password-reset-request-code': {
+    post: operation({
+      summary: 'Email a password reset code',
+      description: 'Answers the same whether or not the account exists.',
+      tags: TAGS,
+      body: object({ email: email() }, ['email']),
+      responses: { 200: codeSent, 429: response('TooManyRequests') }
+    })
+  },
+
+  '/api/auth-password-reset-confirm-code': {
+    post: operation({
+      summary: 'Set a new password with the emailed code',
+      description: 'Signs the user out of every session.',
+      tags: TAGS,
+      body: object({ email: email(), code, newPassword: password }, ['email', 'code', 'newPassword']),
+      responses: { 200: ok({ message: string() }), 429: response('TooManyRequests') }
+    })
+  },
+
+  '/api/account-export': {
+    get: operation({
+      summary: 'Download all personal data of the signed-in user (JSON file)',
+      tags: ACCOUNT_TAGS,
+      auth: 'user',
+      responses: {
+        200: raw(object({}, [], { description: 'Profile, tours, bookings, messages, notifications, ...' }), 'Attachment `fliptrip-account-<date>.json`'),
+        404: response('NotFound'),
+        429: response('TooManyRequests')
+      }
+    })
+  },
+
+  '/api/account-delete': {
+    post: operation({
+      summary: 'Delete the account of the signed-in user',
+      description: 'Personal data is erased or anonymized; published tours stay without the author. '
+        + 'Upcoming bookings must be cancelled first (409). `summary.pending` means the account is '
+        + 'already deactivated and a background job removes the rest.',
+      tags: ACCOUNT_TAGS,
+      auth: 'user',
+      body: object({ confirm: { const: 'DELETE' }, password: string() }, ['confirm', 'password']),
+      responses: { 200: ok({ message: string(), summary: object() }), 409: response('Conflict'), 429: response('TooManyRequests') }
+    })
+  }
+};
@@ -0,0 +1,217 @@
+// Bookings, guide availability, guide dashboard, messages and notifications
+
+import {
+  array,
+  boolean,
+  date,
+  integer,
+  number,
+  object,
+  ok,
+  operation,
+  ref,
+  response,
+  string,
+  uuid
+} from '../builders.js';
+import { BOOKING_STATUSES } from '../../tourSchemas.js';
+import { IDEMPOTENCY_HEADER } from '../../idempotency.js';
+
+const BOOKING_TAGS = ['Bookings'];
+const GUIDE_TAGS = ['Guides'];
+const INBOX_TAGS = ['Messages & notifications'];
+
+const idempotencyKey = {
+  [IDEMPOTENCY_HEADER]: string({
+    maxLength: 255,
+    description: 'Repeating a request with the same key returns the first response instead of booking twice'
+  })
+};
+
+const slotInput = object({
+  date: date(),
+  max_group_size: integer({ minimum: 1 }),
+  is_available: boolean({ default: true }),
+  is_blocked: boolean({ default: false }),
+  custom_price: number(),
+  notes: string()
+}, ['date']);
+
+export default {
+  '/api/tour-bookings': {
+    get: operation({
+      summary: 'List bookings',
+      description: 'Without filters: bookings where the caller is the customer or the guide.',
+      tags: BOOKING_TAGS,
+      auth: 'user',
+      query: { tour_id: string(), guide_id: string(), user_id: string(), status: string({ enum: BOOKING_STATUSES }) },
+      responses: { 200: ok({ bookings: array(ref('Booking')) }) }
+    }),
+    post: operation({
+      summary: 'Book a guided tour date',
+      description: 'Checks the availability slot of `tour_date` and the remaining spots; the price comes from the tour.',
+      tags: BOOKING_TAGS,
+      auth: 'user',
+      validated: true,
+      headers: idempotencyKey,
+      body: ref('BookingCreate'),
+      responses: {
+        201: ok({ booking: ref('Booking') }, 'Created'),
+        404: response('NotFound'),
+        409: response('IdempotencyConflict'),
+        422: response('IdempotencyKeyReused')
+      }
+    }),
+    put: operation({
+      summary: 'Update a booking (status by the guide, notes by either side)',
+      tags: BOOKING_TAGS,
+      auth: 'user',
+      query: { booking_id: string() },
+      requiredQuery: ['booking_id'],
+      body: object({ status: string({ enum: BOOKING_STATUSES }), guide_notes: string(), customer_notes: string() }),
+      responses: { 200: ok({ booking: ref('Booking') }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Cancel a booking',
+      tags: BOOKING_TAGS,
+      auth: 'user',
+      query: { booking_id: string() },
+      requiredQuery: ['booking_id'],
+      body: object({ cancellation_reason: string() }),
+      bodyRequired: false,
+      responses: { 200: ok({ message: string(), booking: ref('Booking') }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/guide-availability': {
+    get: operation({
+      summary: 'Availability slots of a tour (public)',
+      tags: BOOKING_TAGS,
+      query: { tour_id: string(), date_from: date(), date_to: date() },
+      requiredQuery: ['tour_id'],
+      responses: { 200: ok({ availability: array(ref('AvailabilitySlot')) }), 404: response('NotFound') }
+    }),
+    post: operation({
+      summary: 'Create or update slots, or block/unblock dates in bulk',
+      tags: GUIDE_TAGS,
+      auth: 'guide',
+      body: object({
+        tour_id: string(),
+        slots: array(slotInput),
+        bulk_block: object({ dates: array(date()), is_blocked: boolean() }, ['dates'])
+      }, ['tour_id']),
+      responses: {
+        200: ok({ message: string(), updated_count: integer(), slots: array(ref('AvailabilitySlot')) }, 'OK', { required: ['updated_count'] })
+      }
+    }),
+    put: operation({
+      summary: 'Update one slot',
+      tags: GUIDE_TAGS,
+      auth: 'guide',
+      query: { slot_id: string() },
+      requiredQuery: ['slot_id'],
+      body: object({
+        max_group_size: integer({ minimum: 1 }),
+        is_available: boolean(),
+        is_blocked: boolean(),
+        custom_price: number(),
+        notes: string()
+      }),
+      responses: { 200: ok({ slot: ref('AvailabilitySlot') }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Delete a slot without bookings',
+      tags: GUIDE_TAGS,
+      auth: 'guide',
+      query: { slot_id: string() },
+      requiredQuery: ['slot_id'],
+      responses: { 200: ok({ message: string() }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/guide-profile': {
+    get: operation({
+      summary: 'Profile of the signed-in guide',
+      tags: GUIDE_TAGS,
+      auth: 'guide',
+      responses: { 200: ok({ profile: object() }) }
+    }),
+    put: operation({
+      summary: 'Update the guide profile',
+      tags: GUIDE_TAGS,
+      auth: 'guide',
+      body: object({ name: string(), bio: string(), avatar_url: string(), city: string(), interests: array(string()) }),
+      responses: { 200: ok({ profile: object() }) }
+    })
+  },
+
+  '/api/guide-stats': {
+    get: operation({
+      summary: 'Bookings, revenue and notifications for the guide dashboard',
+      tags: GUIDE_TAGS,
+      auth: 'creator',
+      responses: {
+        200: ok({ stats: object(), recentBookings: array(ref('Booking')), recentNotifications: array(object()) })
+      }
+    })
+  },
+
+  '/api/guide-tours': {
+    get: operation({
+      summary: 'Tours of the signed-in author, all statuses',
+      tags: GUIDE_TAGS,
+      auth: 'creator',
+      responses: { 200: ok({ tours: array(object()), total: integer() }) }
+    })
+  },
+
+  '/api/messages': {
+    get: operation({
+      summary: 'Messages of a booking',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      query: { booking_id: string() },
+      requiredQuery: ['booking_id'],
+      responses: { 200: ok({ messages: array(object()) }) }
+    }),
+    post: operation({
+      summary: 'Send a message to the other side of a booking',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      body: object({ booking_id: string(), message: string({ minLength: 1 }) }, ['booking_id', 'message']),
+      responses: { 200: ok({ message: object() }) }
+    }),
+    put: operation({
+      summary: 'Mark the messages of a booking as read',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      body: object({ booking_id: string() }, ['booking_id']),
+      responses: { 200: ok({ message: string() }) }
+    })
+  },
+
+  '/api/notifications': {
+    get: operation({
+      summary: 'Notifications of the signed-in user',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      query: { unread_only: string({ enum: ['true'] }) },
+      responses: { 200: ok({ notifications: array(object()), unreadCount: integer() }) }
+    }),
+    put: operation({
+      summary: 'Mark one or all notifications as read',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      body: object({ notification_id: uuid(), mark_all_read: boolean() }),
+      responses: { 200: ok({ message: string() }) }
+    }),
+    delete: operation({
+      summary: 'Delete a notification',
+      tags: INBOX_TAGS,
+      auth: 'user',
+      query: { notification_id: string() },
+      requiredQuery: ['notification_id'],
+      responses: { 200: ok({ message: string() }) }
+    })
+  }
+};
@@ -0,0 +1,223 @@
+// Itinerary generation, payments and Google Places / Maps proxies
+
+import { IDEMPOTENCY_HEADER } from '../../idempotency.js';
+import { SSE_CONTENT_TYPE } from '../../sse.js';
+import {
+  anyValue,
+  array,
+  boolean,
+  date,
+  email,
+  integer,
+  number,
+  object,
+  ok,
+  operation,
+  raw,
+  ref,
+  response,
+  string,
+  successBody
+} from '../builders.js';
+
+const ITINERARY_TAGS = ['Itineraries'];
+const PAYMENT_TAGS = ['Payments'];
+const PLACES_TAGS = ['Places & maps'];
+
+const itineraryRequest = object({
+  city: string(),
+  audience: string({ examples: ['him', 'her', 'couple', 'kids'] }),
+  interests: anyValue({ description: 'Legacy interest names (array or comma-separated string)' }),
+  interest_ids: anyValue({ description: 'Interest ids (array or comma-separated string)' }),
+  date: date(),
+  date_from: date(),
+  date_to: date({ description: 'Last day of a multi-day trip (smart-itinerary-v3)' }),
+  budget: anyValue({ description: 'Budget per person and day, number or numeric string' }),
+  previewOnly: boolean({ default: false }),
+  category_id: string(),
+  subcategory_id: string()
+}, ['city']);
+
+export default {
+  '/api/smart-itinerary': {
+    post: operation({
+      summary: 'Generate a one-day itinerary',
+      description: 'Uses a matching tour from the database when there is one, otherwise Google Places + OpenAI. '
+        + 'With `action: "generateTags"` it only suggests tags for `text` (no external calls).',
+      tags: ITINERARY_TAGS,
+      body: {
+        anyOf: [
+          { ...itineraryRequest, properties: { ...itineraryRequest.properties, email: email() } },
+          object({ action: { const: 'generateTags' }, text: string() }, ['action', 'text'])
+        ]
+      },
+      responses: {
+        200: raw({ anyOf: [ref('Itinerary'), successBody({ tags: array(string()) })] })
+      }
+    })
+  },
+
+  '/api/smart-itinerary-v3': {
+    post: operation({
+      summary: 'Generate an itinerary (pipeline version)',
+      description: 'Plans every day from `date_from` (or `date`) to `date_to`, at most 7 days, each with its own theme '
+        + 'and without repeating places. The plan per day is in `days`.\n\n'
+        + 'With `Accept: text/event-stream` or `?stream=1` the response is Server-Sent Events: '
+        + '`step` { step: concept | locations | blocks | meta | save, status: started | done, day }, '
+        + '`block` { day, block } for every content block as soon as it is generated, `day` after each day, '
+        + 'and finally `done` { itineraryId, itinerary } or `error` { error, message }.',
+      tags: ITINERARY_TAGS,
+      query: { stream: string({ enum: ['1', 'true'], description: 'Stream progress as Server-Sent Events' }) },
+      body: {
+        ...itineraryRequest,
+        properties: {
+          ...itineraryRequest.properties,
+          noCache: boolean({ default: false, description: 'Skip the LLM / Google Places response cache (fresh answers are still stored)' })
+        }
+      },
+      responses: {
+        200: {
+          description: 'The itinerary, or the progress events when streaming',
+          content: {
+            'application/json': { schema: ref('Itinerary') },
+            [SSE_CONTENT_TYPE]: { schema: string({ description: 'event: <name> + data: <JSON> per event' }) }
+          }
+        }
+      }
+    })
+  },
+
+  '/api/save-itinerary': {
+    post: operation({
+      summary: 'Store a generated itinerary (Redis) and get its id',
+      tags: ITINERARY_TAGS,
+      body: object({ itinerary: ref('Itinerary'), itineraryId: string({ description: 'Overwrite an existing one' }) }, ['itinerary']),
+      responses: { 200: ok({ itineraryId: string(), itinerary: ref('Itinerary') }) }
+    })
+  },
+
+  '/api/get-itinerary': {
+    get: operation({
+      summary: 'Load a stored itinerary',
+      tags: ITINERARY_TAGS,
+      query: { id: string() },
+      requiredQuery: ['id'],
+      responses: { 200: ok({ itinerary: ref('Itinerary') }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/unlock-itinerary': {
+    post: operation({
+      summary: 'Unlock a paid itinerary: fill in the remaining activities',
+      tags: ITINERARY_TAGS,
+      body: object({ itineraryId: string() }, ['itineraryId']),
+      responses: { 200: ok({ itinerary: ref('Itinerary'), message: string() }, 'OK', { required: ['itinerary'] }), 404: response('NotFound') }
+    })
+  },
+
+  '/api/send-email': {
+    post: operation({
+      summary: 'Email the itinerary after payment (Resend)',
+      tags: ITINERARY_TAGS,
+      body: object({ email: email(), itinerary: ref('Itinerary'), formData: object(), itineraryId: string() }, ['email']),
+      responses: { 200: ok({ message: string(), emailId: string() }, 'OK', { required: ['message'] }) }
+    })
+  },
+
+  '/api/create-checkout-session': {
+    post: operation({
+      summary: 'Start a Stripe Checkout for an itinerary PDF or a guided tour',
+      description: 'Guided tours (`tourType: "with-guide"`) need `tourId` and a future `selectedDate`.',
+      tags: PAYMENT_TAGS,
+      headers: {
+        [IDEMPOTENCY_HEADER]: string({ maxLength: 255, description: 'A retry with the same key gets the first session back' })
+      },
+      body: object({
+        city: string(),
+        audience: string(),
+        interests: anyValue(),
+        date: date(),
+        budget: anyValue(),
+        email: email(),
+        itineraryId: string(),
+        tourId: string(),
+        tourType: string({ enum: ['self-guided', 'with-guide'], default: 'self-guided' }),
+        selectedDate: date(),
+        quantity: integer({ minimum: 1, default: 1 })
+      }, ['city', 'email']),
+      responses: {
+        200: ok({ sessionUrl: string({ format: 'uri' }), sessionId: string() }),
+        409: response('IdempotencyConflict'),
+        422: response('IdempotencyKeyReused')
+      }
+    })
+  },
+
+  '/api/check-payment': {
+    get: operation({
+      summary: 'Whether the email has a paid booking for a tour',
+      tags: PAYMENT_TAGS,
+      query: { tourId: string(), email: email() },
+      requiredQuery: ['tourId', 'email'],
+      responses: { 200: ok({ hasPaid: boolean(), booking: { anyOf: [object(), { type: 'null' }] } }) }
+    })
+  },
+
+  '/api/stripe-webhook': {
+    post: operation({
+      summary: 'Stripe events (checkout.session.completed creates the booking)',
+      description: 'Called by Stripe; verified with the Stripe-Signature header and STRIPE_WEBHOOK_SECRET.',
+      tags: PAYMENT_TAGS,
+      headers: { 'Stripe-Signature': string() },
+      body: object({ id: string(), type: string(), data: object({ object: object() }) }, ['type']),
+      responses: {
+        200: raw(object({
+          received: { const: true },
+          type: string(),
+          eventType: string(),
+          bookingId: string(),
+          skipped: string({ description: 'Why the event was ignored' }),
+          signatureVerified: boolean(),
+          message: string()
+        }, ['received']), 'Event handled or ignored')
+      }
+    })
+  },
+
+  '/api/google-places-autocomplete': {
+    post: operation({
+      summary: 'Place suggestions for a search string',
+      tags: PLACES_TAGS,
+      body: object({
+        query: string({ minLength: 1 }),
+        location: anyValue({ description: '{ lat, lng } to bias results' }),
+        radius: number(),
+        city: string()
+      }, ['query']),
+      responses: { 200: ok({ predictions: array(object({ place_id: string(), description: string() })) }) }
+    })
+  },
+
+  '/api/google-places-details': {
+    post: operation({
+      summary: 'Place details; photos are cached in Supabase Storage',
+      tags: PLACES_TAGS,
+      body: object({ place_id: string() }, ['place_id']),
+      responses: { 200: ok({ place: object({ place_id: string(), name: string() }) }) }
+    })
+  },
+
+  '/api/static-map': {
+    get: operation({
+      summary: 'Redirect to a Google Static Maps image (keeps the API key on the server)',
+      tags: PLACES_TAGS,
+      query: {
+        markers: string({ description: 'Google `markers=` parameters, URL-encoded' }),
+        size: string({ default: '700x300' }),
+        zoom: integer()
+      },
+      requiredQuery: ['markers'],
+      responses: { 302: { description: 'Redirect to the image', headers: { Location: { schema: string({ format: 'uri' }) } } } }
+    })
+  }
+};
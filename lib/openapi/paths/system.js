@@ -0,0 +1,139 @@
+// Health, API reference, background jobs and one-off data maintenance endpoints
+
+import { JOB_STATUS } from '../../jobs.js';
+import {
+  array,
+  boolean,
+  integer,
+  object,
+  ok,
+  operation,
+  raw,
+  ref,
+  response,
+  string
+} from '../builders.js';
+
+const SYSTEM_TAGS = ['System'];
+const JOB_TAGS = ['Background jobs'];
+const MAINTENANCE_TAGS = ['Data maintenance'];
+
+const jobStarted = raw(ref('JobStarted'), 'Job queued; its first chunks may already have run');
+const health = operation({
+  summary: 'Liveness check',
+  description: 'No database or third-party calls. Not cached.',
+  tags: SYSTEM_TAGS,
+  responses: { 200: raw(ref('Health')) }
+});
+
+const worker = operation({
+  summary: 'Run due jobs within one time budget (cron)',
+  description: 'Call every minute with `Authorization: Bearer $CRON_SECRET`; admins may call it too.',
+  tags: JOB_TAGS,
+  auth: 'cron',
+  responses: { 200: ok({ ran: integer(), jobs: array(ref('Job')) }) }
+});
+
+// Batch endpoints that start a background job (services/jobs)
+function batchJob(summary, type, body) {
+  return {
+    post: operation({
+      summary,
+      description: `Starts a \`${type}\` job, same as POST /api/admin-jobs with this type.`,
+      tags: JOB_TAGS,
+      auth: 'admin',
+      body: body || object(),
+      bodyRequired: Boolean(body?.required),
+      responses: { 202: jobStarted }
+    })
+  };
+}
+
+// Old seeding endpoints; kept for existing scripts
+function maintenance(summary) {
+  return {
+    post: operation({
+      summary,
+      tags: MAINTENANCE_TAGS,
+      deprecated: true,
+      responses: { 200: ok({ message: string(), created: integer(), updated: integer(), errors: array(object()) }, 'OK', { required: ['message'] }) }
+    })
+  };
+}
+
+export default {
+  '/api/health': { get: health, head: { ...health, summary: 'Liveness check (headers only)', responses: { 200: { description: 'OK' } } } },
+  '/health': { get: { ...health, summary: 'Liveness check (local server alias of /api/health)' } },
+
+  '/api/openapi': {
+    get: operation({
+      summary: 'This OpenAPI document',
+      tags: SYSTEM_TAGS,
+      responses: { 200: raw(object({ openapi: string(), paths: object() }, ['openapi', 'paths'])) }
+    })
+  },
+
+  '/api/docs': {
+    get: operation({
+      summary: 'API reference page',
+      tags: SYSTEM_TAGS,
+      responses: { 200: raw(string(), 'HTML page rendering /api/openapi', 'text/html') }
+    })
+  },
+
+  '/api/admin-jobs': {
+    get: operation({
+      summary: 'Recent jobs, or one job with `id`',
+      tags: JOB_TAGS,
+      auth: 'admin',
+      query: {
+        id: string(),
+        status: string({ enum: Object.values(JOB_STATUS) }),
+        type: string(),
+        limit: integer({ minimum: 1, maximum: 200, default: 50 })
+      },
+      responses: {
+        200: ok({
+          job: ref('Job'),
+          jobs: array(ref('Job')),
+          types: array(object({ type: string(), description: string() }, ['type']))
+        }, 'One job (`id`) or a list with the available job types', { required: [] }),
+        404: response('NotFound')
+      }
+    }),
+    post: operation({
+      summary: 'Start a job, or cancel / retry / run one',
+      description: 'Without `id`: start the job `type`. With `id` and `action`: cancel it (at the next chunk), '
+        + 'retry a failed or cancelled one from its saved cursor, or run its next chunks now.',
+      tags: JOB_TAGS,
+      auth: 'admin',
+      query: { id: string(), action: string({ enum: ['cancel', 'retry', 'run'] }) },
+      body: object({ type: string(), params: object() }),
+      bodyRequired: false,
+      responses: {
+        200: ok({ job: ref('Job') }, 'Action applied'),
+        202: jobStarted,
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    })
+  },
+
+  '/api/jobs-worker': { get: worker, post: worker },
+
+  '/api/enrich-tours': batchJob('Fill sample tours with full day plans', 'enrich-tours'),
+  '/api/update-all-tours': batchJob('Regenerate all sample tours', 'update-all-tours'),
+  '/api/recalculate-tours-duration': batchJob('Recalculate duration of every tour from its days and blocks', 'recalculate-tours-duration'),
+  '/api/migrate-all-photos': batchJob('Cache Google Places photos of all location blocks in Supabase Storage', 'migrate-all-photos',
+    object({ tourId: string(), limit: integer({ minimum: 1, description: 'Blocks in total' }) })),
+  '/api/refresh-tour-photos': batchJob('Refresh expired Google Places photos of one tour', 'refresh-tour-photos',
+    object({ tourId: string(), force: boolean() }, ['tourId'])),
+  '/api/sync-locations-from-content-blocks': batchJob('Create or update `locations` from location content blocks', 'sync-locations-from-content-blocks',
+    object({ tourId: string(), limit: integer({ minimum: 1 }), pruneUnused: boolean() })),
+
+  '/api/add-interests-to-locations': maintenance('Attach interests to every location by category'),
+  '/api/create-full-tours': maintenance('Create sample tours with full day plans'),
+  '/api/generate-sample-tours': maintenance('Create 10 sample tours'),
+  '/api/generate-sample-tours-enhanced': maintenance('Update sample tours with enhanced content'),
+  '/api/update-sample-tours': maintenance('Update sample tours with enhanced content')
+};
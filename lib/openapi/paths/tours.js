@@ -0,0 +1,231 @@
+// Tours, tour editor and content blocks
+
+import {
+  array,
+  boolean,
+  integer,
+  number,
+  object,
+  ok,
+  operation,
+  ref,
+  response,
+  string,
+  successBody,
+  uuid
+} from '../builders.js';
+
+const TAGS = ['Tours'];
+const EDITOR_TAGS = ['Tour editor'];
+const flag = (description) => string({ enum: ['1', 'true'], description });
+
+export default {
+  '/api/tours': {
+    get: operation({
+      summary: 'List published tours, or get one tour by id',
+      description: 'With `id` the response is `{ tour }` (TourDetail), otherwise `{ tours, total, limit, offset }` '
+        + 'with approved tours only, newest first. Lists are cached by the CDN for 60 s.',
+      tags: TAGS,
+      query: {
+        id: uuid({ description: 'Return this tour only' }),
+        preview: flag('With `id`: lightweight tour for the preview page'),
+        city: string({ description: 'City name, case-insensitive' }),
+        format: string({ enum: ['self_guided', 'with_guide'] }),
+        interests: string({ description: 'Comma-separated interest names; a tour matches if any of them matches' }),
+        summary: flag('Skip heavy columns (list cards)'),
+        fast: flag('With `summary`: only the fields the explore page needs'),
+        audience: string({ description: 'Accepted, not applied yet' }),
+        duration: string({ enum: ['hours', 'days'] }),
+        languages: string({ description: 'Accepted, not applied yet' }),
+        minPrice: number({ description: 'Minimum PDF price' }),
+        maxPrice: number({ description: 'Maximum PDF price' }),
+        limit: integer({ minimum: 1, default: 50 }),
+        offset: integer({ minimum: 0, default: 0 })
+      },
+      responses: {
+        200: {
+          description: 'One tour (`id`) or a page of tours',
+          content: {
+            'application/json': {
+              schema: {
+                oneOf: [
+                  successBody({ tour: ref('TourDetail') }),
+                  successBody({ tours: array(ref('TourSummary')), total: integer(), limit: integer(), offset: integer() })
+                ]
+              }
+            }
+          }
+        },
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/tours-create': {
+    post: operation({
+      summary: 'Create a tour',
+      description: 'Saves the tour with its days, blocks, items and locations. '
+        + 'New tours are drafts until sent to moderation.',
+      tags: EDITOR_TAGS,
+      auth: 'guide',
+      validated: true,
+      body: ref('TourCreate'),
+      responses: {
+        201: ok({ tour: object(), locationsSaved: integer(), itemsSaved: integer(), message: string() }, 'Created', { required: ['tour'] })
+      }
+    })
+  },
+
+  '/api/tours-update': {
+    put: operation({
+      summary: 'Update a tour',
+      description: 'Only the author or an admin. `saveAsDraft` keeps the changes in draft_data of an approved tour.',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      validated: true,
+      query: { id: uuid() },
+      requiredQuery: ['id'],
+      body: ref('TourUpdate'),
+      responses: {
+        200: ok({ tour: object(), message: string(), isDraft: boolean(), itemsSaved: integer() }, 'Updated', { required: ['tour'] }),
+        404: response('NotFound')
+      }
+    }),
+    patch: operation({
+      summary: 'Update a tour (same as PUT)',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      validated: true,
+      query: { id: uuid() },
+      requiredQuery: ['id'],
+      body: ref('TourUpdate'),
+      responses: {
+        200: ok({ tour: object(), message: string() }, 'Updated', { required: ['tour'] }),
+        404: response('NotFound')
+      }
+    }),
+    delete: operation({
+      summary: 'Delete a tour',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      query: { id: uuid() },
+      requiredQuery: ['id'],
+      responses: { 200: ok({ message: string() }, 'Deleted'), 404: response('NotFound') }
+    })
+  },
+
+  '/api/tour-content-blocks': {
+    get: operation({
+      summary: 'List content blocks of a tour',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      query: { tourId: string() },
+      requiredQuery: ['tourId'],
+      responses: { 200: ok({ blocks: array(ref('ContentBlock')) }) }
+    }),
+    post: operation({
+      summary: 'Add a content block',
+      description: '`content` is checked against the schema of `blockType` (ContentBlockContent.*).',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      validated: true,
+      body: ref('ContentBlockCreate'),
+      responses: { 201: ok({ block: ref('ContentBlock') }, 'Created') }
+    }),
+    put: operation({
+      summary: 'Update a content block',
+      description: '`content` is checked against the schema of the stored block type.',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      validated: true,
+      body: ref('ContentBlockUpdate'),
+      responses: { 200: ok({ block: ref('ContentBlock') }), 404: response('NotFound') }
+    }),
+    delete: operation({
+      summary: 'Delete a content block',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      query: { blockId: string() },
+      requiredQuery: ['blockId'],
+      responses: { 200: ok({}, 'Deleted'), 404: response('NotFound') }
+    })
+  },
+
+  '/api/generate-highlights': {
+    post: operation({
+      summary: 'Generate "What\'s inside this walk" highlights with the LLM (lib/llm)',
+      tags: EDITOR_TAGS,
+      auth: 'creator',
+      body: object({
+        tourId: string(),
+        tourTitle: string(),
+        tourDescription: string(),
+        city: string(),
+        blocks: array(object()),
+        language: string({ default: 'en' })
+      }),
+      responses: { 200: ok({ highlights: object(), shortDescription: string() }, 'OK', { required: ['highlights'] }) }
+    })
+  },
+
+  '/api/generate-styled-tour-pdf': {
+    post: operation({
+      summary: 'Render the tour PDF (or an HTML preview) and store it',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      body: object({
+        tourId: string(),
+        template: string({ default: 'classic' }),
+        layout: object(),
+        previewHtml: boolean({ default: false, description: 'Return the HTML instead of uploading a PDF' }),
+        allowFallback: boolean({ default: true })
+      }, ['tourId']),
+      responses: {
+        200: ok({
+          pdfUrl: string(),
+          previewHtml: string(),
+          template: string(),
+          renderMode: string(),
+          mapIncluded: boolean(),
+          mapIssue: { type: ['string', 'null'] },
+          locationsCount: integer()
+        }, 'OK', { required: [] })
+      }
+    })
+  },
+
+  '/api/upload-tour-pdf-url': {
+    post: operation({
+      summary: 'Get a signed upload URL for a tour PDF',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      body: object({ tourId: string(), fileName: string(), contentType: string(), fileSize: integer() }, ['tourId', 'fileName']),
+      responses: { 200: ok({ signedUrl: string(), uploadUrl: string(), publicUrl: string(), path: string() }) }
+    })
+  },
+
+  '/api/delete-tour-pdf': {
+    post: operation({
+      summary: 'Delete the uploaded PDF of a tour',
+      tags: EDITOR_TAGS,
+      auth: 'user',
+      body: object({ tourId: string() }, ['tourId']),
+      responses: { 200: ok({ deleted: boolean(), path: string() }) }
+    })
+  },
+
+  '/api/interests': {
+    get: operation({
+      summary: 'Interests, or the full category → subcategory → interest tree',
+      tags: TAGS,
+      query: { full_structure: string({ enum: ['true'] }) },
+      responses: { 200: ok({ interests: array(object()), categories: array(object()) }, 'OK', { required: [] }) }
+    }),
+    post: operation({
+      summary: 'Create an interest',
+      tags: TAGS,
+      body: object({ name: string(), category_id: string() }, ['name', 'category_id']),
+      responses: { 200: ok({ interest: object(), message: string() }, 'Already exists'), 201: ok({ interest: object() }, 'Created') }
+    })
+  }
+};
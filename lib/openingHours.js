@@ -0,0 +1,128 @@
+/**
+ * Opening hours of locations (locations.opening_hours)
+ *
+ *   {
+ *     "weekly": { "mon": [["10:00", "18:00"]], "fri": [["10:00", "14:00"], ["16:00", "22:00"]], "sun": [] },
+ *     "exceptions": [
+ *       { "date": "2030-04-18", "hours": [["10:00", "14:00"]], "note": "Good Friday" },  // one date
+ *       { "date": "12-25", "closed": true, "note": "Christmas" }                          // every year
+ *     ]
+ *   }
+ *
+ * - Times are local to the place; a period that ends before it starts ends after
+ *   midnight (["22:00", "02:00"])
+ * - With a weekly schedule, a missing or empty day is closed
+ * - No schedule at all means the hours are unknown: such places are never treated as closed
+ *
+ * Used by LocationService (skip places closed at the slot time on the trip date),
+ * RouteService (don't move a stop into a window when it is closed) and the location blocks.
+ */
+
+import { z } from 'zod';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A place closing sooner than this after the planned time counts as closed for the visit
+export const MIN_VISIT_MINUTES = 45;
+
+const DAY_MINUTES = 24 * 60;
+const TIME = /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const period = z.tuple([
+  z.string().regex(TIME, 'Expected HH:MM'),
+  z.string().regex(TIME, 'Expected HH:MM')
+]);
+const periods = z.array(period).max(6);
+
+export const openingHoursSchema = z.object({
+  weekly: z.object(Object.fromEntries(WEEKDAYS.map((day) => [day, periods.optional()]))).strict().nullish(),
+  exceptions: z.array(z.object({
+    date: z.string().regex(/^(\d{4}-)?\d{2}-\d{2}$/, 'Expected YYYY-MM-DD, or MM-DD for every year'),
+    hours: periods.optional(),
+    closed: z.boolean().optional(),
+    note: z.string().max(200).optional()
+  })).max(400).nullish()
+});
+
+// Admin location create / update bodies (api/admin-locations.js); the other fields are not validated
+export const locationHoursBodySchema = z.object({
+  opening_hours: openingHoursSchema.nullish()
+}).passthrough();
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+  const inDay = minutes % DAY_MINUTES;
+  return `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+}
+
+function previousDate(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// [open, close] in minutes after midnight of the day; close > DAY_MINUTES past midnight
+function toRange([open, close]) {
+  const from = toMinutes(open);
+  const to = toMinutes(close);
+  return [from, to <= from ? to + DAY_MINUTES : to];
+}
+
+/**
+ * Schedule of one date: { ranges, note } (ranges empty when closed), or null when unknown
+ */
+function scheduleOn(hours, date) {
+  if (!hours || typeof hours !== 'object' || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+
+  const exceptions = Array.isArray(hours.exceptions) ? hours.exceptions : [];
+  const exception = exceptions.find((item) => item?.date === date) || exceptions.find((item) => item?.date === date.slice(5));
+  if (exception) {
+    const ranges = exception.closed ? [] : (exception.hours || []).map(toRange);
+    return { ranges, note: exception.note || null };
+  }
+
+  const weekly = hours.weekly;
+  if (!weekly || typeof weekly !== 'object' || Object.keys(weekly).length === 0) return null;
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  return { ranges: (weekly[weekday] || []).map(toRange), note: null };
+}
+
+/**
+ * Whether the place is open from `time` for at least `stayMinutes` on `date` (YYYY-MM-DD):
+ * true / false, or null when its hours are unknown
+ */
+export function isOpenAt(hours, date, time, stayMinutes = MIN_VISIT_MINUTES) {
+  const today = scheduleOn(hours, date);
+  if (!today || !TIME.test(time || '')) return null;
+
+  // Periods of the previous day that run past midnight are open this morning
+  const yesterday = scheduleOn(hours, previousDate(date));
+  const overnight = (yesterday?.ranges || [])
+    .filter(([, to]) => to > DAY_MINUTES)
+    .map(([, to]) => [0, to - DAY_MINUTES]);
+
+  const start = toMinutes(time);
+  return [...overnight, ...today.ranges].some(([from, to]) => from <= start && start + stayMinutes <= to);
+}
+
+/**
+ * Hours of `date` for people: "10:00–18:00", "Closed", or null when unknown
+ */
+export function formatHoursOn(hours, date) {
+  const day = scheduleOn(hours, date);
+  if (!day) return null;
+  if (day.ranges.length === 0) return 'Closed';
+  return day.ranges.map(([from, to]) => `${formatMinutes(from)}–${formatMinutes(to)}`).join(', ');
+}
+
+/**
+ * Opening status of a visit, stored on location blocks:
+ * { open, hours, note } or null when the hours are unknown
+ */
+export function describeOpening(hours, date, time) {
+  const open = isOpenAt(hours, date, time);
+  if (open === null) return null;
+  return { open, hours: formatHoursOn(hours, date), note: scheduleOn(hours, date).note };
+}
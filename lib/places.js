@@ -0,0 +1,48 @@
+// Google Places text search through the response cache (lib/cache.js, namespace `places`)
+
+import { cached, normalizeText } from './cache.js';
+
+// Fields of a text search result the generators read; photo URLs are built from the reference
+function toCachedPlace(place) {
+  return {
+    name: place.name,
+    formatted_address: place.formatted_address,
+    place_id: place.place_id,
+    rating: place.rating,
+    user_ratings_total: place.user_ratings_total,
+    price_level: place.price_level,
+    business_status: place.business_status,
+    types: place.types,
+    geometry: place.geometry,
+    photos: (place.photos || []).map(({ photo_reference, width, height }) => ({ photo_reference, width, height }))
+  };
+}
+
+/**
+ * Results of a Google Places text search, cached by query and city
+ * @param {Object} client - @googlemaps/google-maps-services-js Client
+ * @param {Object} params - { query, city } - both are part of the cache key
+ * @returns {Promise<Object[]>} results (empty when nothing is found); failed requests throw
+ */
+export async function searchPlacesText(client, { query, city = null }) {
+  const inputs = {
+    query: normalizeText(query, { lowercase: true }),
+    city: normalizeText(city, { lowercase: true })
+  };
+
+  return cached('places', inputs, async () => {
+    const response = await client.textSearch({
+      params: {
+        query,
+        key: process.env.GOOGLE_MAPS_KEY,
+        language: 'en'
+      }
+    });
+    // REQUEST_DENIED, OVER_QUERY_LIMIT... come back as 200 with no results; they must not be cached
+    const { status } = response.data;
+    if (status && !['OK', 'ZERO_RESULTS'].includes(status)) {
+      throw new Error(`Google Places text search failed: ${status}`);
+    }
+    return (response.data.results || []).map(toCachedPlace);
+  });
+}
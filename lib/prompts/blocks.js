@@ -0,0 +1,254 @@
+// Prompts of services/ContentBlocksGenerationService.js: the text of each content block of a day
+
+import { z } from 'zod';
+import { formatList, list, optionalText, text } from './types.js';
+
+export const SYSTEM_TONE = `You are writing a personal city guide in the style of a local or frequent visitor.
+
+Write as a real person, not a travel expert.
+
+Avoid marketing language, poetic metaphors, and dramatic storytelling.
+
+The tone should be calm, observant, and grounded — like notes you would send to a friend.
+
+Focus on how places feel and when they make sense during the day.
+
+Less emotion, more presence.
+Less explanation, more confidence.`;
+
+// Variables of the blocks about the day as a whole
+const dayVariables = z.object({ city: text, concept: optionalText, interests: list, audience: optionalText });
+// Variables of the blocks between locations; context: the part of the day ("after breakfast")
+const momentVariables = z.object({ context: optionalText, city: text, concept: optionalText, interests: list });
+
+const dayContext = ({ city, concept, interests, audience }) => `Context:
+- City: ${city}
+- Concept: ${concept}
+- Interests: ${formatList(interests)}
+- Audience: ${audience}`;
+
+const momentContext = ({ city, concept, interests }) => `Context:
+- City: ${city}
+- Concept: ${concept}
+- Interests: ${formatList(interests)}`;
+
+export const BLOCK_PROMPTS = [
+  {
+    name: 'blockTitle',
+    version: 1,
+    output: 'text',
+    system: SYSTEM_TONE,
+    description: 'Title block: 2-5 word personal label for the day',
+    variables: dayVariables,
+    render: (vars) => `Create a short title for a day in ${vars.city}.
+
+The title should feel like a personal label, not a headline.
+
+Requirements:
+- 2–5 words
+- No city name
+- No "best", "top", "guide", "itinerary"
+- Neutral, calm tone
+
+The title should sound like something the author would write for themselves.
+
+${dayContext(vars)}
+
+Return only the title text, no quotes, no explanation.`
+  },
+
+  {
+    name: 'blockIntro',
+    version: 1,
+    output: 'text',
+    system: SYSTEM_TONE,
+    description: 'Intro text block: how to approach the day',
+    variables: dayVariables,
+    render: (vars) => `Write a short introductory text for the beginning of the day in ${vars.city}.
+
+Do not describe the plan.
+Do not mention locations or time.
+
+Instead, explain how this day should be approached.
+
+The text should sound like a quiet observation or reassurance.
+
+2–3 short paragraphs.
+
+The reader should feel less pressure, not more structure.
+
+${dayContext(vars)}
+
+Return only the text, no markdown, no quotes.`
+  },
+
+  {
+    name: 'blockLocation',
+    version: 1,
+    output: 'json',
+    system: SYSTEM_TONE,
+    description: 'Location block: the main place and 2 alternatives for a time slot',
+    variables: z.object({
+      locationName: text,
+      locationAddress: optionalText,
+      category: optionalText,
+      timeSlot: text,
+      purpose: text,
+      city: text,
+      concept: optionalText,
+      interests: list,
+      audience: optionalText
+    }),
+    render: (vars) => {
+      const { locationName, locationAddress, category, timeSlot, purpose, city } = vars;
+      return `Create a location block for ${timeSlot} in ${city}, focused on: ${purpose}.
+
+Choose places that work well for this time of day: ${category || 'various places'}.
+
+Include:
+- 1 main location: ${locationName} at ${locationAddress}
+- 2 alternative locations (suggest similar places in ${city})
+
+For each location:
+- Explain why it works for this time slot
+- Describe the mood it creates at this time of day
+- Add one simple, personal recommendation (what to order, where to sit, how long to stay)
+
+Avoid factual descriptions.
+Write as if you start your days like this yourself.
+
+${dayContext(vars)}
+
+IMPORTANT: You MUST return EXACTLY 2 alternatives. Do not return fewer.
+
+Return JSON (no markdown, no code blocks, just JSON):
+{
+  "mainLocation": {
+    "name": "${locationName}",
+    "address": "${locationAddress}",
+    "description": "3-5 sentences about why this works",
+    "recommendation": "1-2 sentences with personal tip"
+  },
+  "alternatives": [
+    {
+      "name": "Alternative location name",
+      "address": "Address in ${city}",
+      "description": "Why it works",
+      "recommendation": "Personal tip"
+    },
+    {
+      "name": "Alternative location name 2",
+      "address": "Address 2 in ${city}",
+      "description": "Why it works",
+      "recommendation": "Personal tip"
+    }
+  ]
+}`;
+    }
+  },
+
+  {
+    name: 'blockPhotoCaption',
+    version: 1,
+    output: 'text',
+    system: SYSTEM_TONE,
+    description: 'Photo block caption: a passing thought, 1-2 sentences',
+    variables: momentVariables,
+    render: (vars) => `Write a short caption for a photo taken ${vars.context} in ${vars.city}.
+
+Do not mention locations.
+Do not explain anything.
+
+The caption should feel like a passing thought or observation.
+
+1–2 sentences max.
+
+${momentContext(vars)}
+
+Return only the caption text, no quotes.`
+  },
+
+  {
+    name: 'blockSlide',
+    version: 1,
+    output: 'json',
+    system: SYSTEM_TONE,
+    description: 'Slide block: short title and a 2-sentence insight',
+    variables: momentVariables,
+    render: (vars) => `Create a slide with:
+- A short title (max 5 words)
+- A short description (2 sentences)
+
+The slide should express a quiet insight that fits ${vars.context} in ${vars.city}.
+
+No instructions.
+No locations.
+
+It should feel like something the author noticed while slowing down.
+
+${momentContext(vars)}
+
+Return JSON:
+{
+  "title": "Short title",
+  "text": "2 sentences description"
+}`
+  },
+
+  {
+    name: 'blockThreeColumns',
+    version: 1,
+    output: 'json',
+    system: SYSTEM_TONE,
+    description: '3-column block: three moods for this part of the day',
+    variables: momentVariables,
+    render: (vars) => `Create a 3-column block for ${vars.context} in ${vars.city}.
+
+Each column should represent a different possible mood or approach to this part of the day.
+
+For each column:
+- One short sentence
+- No locations
+- No verbs like "visit", "go", "see"
+
+Think of these as alternative states, not actions.
+
+${momentContext(vars)}
+
+Return JSON:
+{
+  "columns": [
+    {
+      "text": "First alternative state"
+    },
+    {
+      "text": "Second alternative state"
+    },
+    {
+      "text": "Third alternative state"
+    }
+  ]
+}`
+  },
+
+  {
+    name: 'blockClosing',
+    version: 1,
+    output: 'text',
+    system: SYSTEM_TONE,
+    description: 'Closing text block: the quiet end of the day',
+    variables: dayVariables,
+    render: (vars) => `Write a short closing text for the end of the day in ${vars.city}.
+
+Do not summarize the day.
+Do not conclude anything.
+
+The text should feel like the moment after dinner when nothing else needs to happen.
+
+1–2 short paragraphs.
+
+${dayContext(vars)}
+
+Return only the text, no markdown, no quotes.`
+  }
+];
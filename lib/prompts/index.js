@@ -0,0 +1,139 @@
+/**
+ * Prompt templates for content generation, named and versioned
+ *
+ * A template renders the prompt of one LLM task (lib/llm) from typed variables:
+ *
+ *   const { result, prompt } = await runPrompt('blockTitle', { city, concept, interests, audience });
+ *   // prompt: { name: 'blockTitle', version: 1 } - stored with the generated block
+ *
+ * Template: { name, version, task?, output: 'text' | 'json', system?, description,
+ * variables: zod object, render(vars) }. `task` defaults to the name.
+ *
+ * - A version that has produced content is never edited: change a prompt by adding
+ *   the next version to lib/prompts/blocks.js or lib/prompts/itinerary.js
+ * - The latest version is used unless PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_BLOCK_TITLE=1)
+ *   pins another one
+ * - api/admin-prompts.js runs two versions on the same variables side by side
+ */
+
+import { getLLM, LLM_TASKS } from '../llm/index.js';
+import { formatIssues } from '../validation.js';
+import { BLOCK_PROMPTS } from './blocks.js';
+import { ITINERARY_PROMPTS } from './itinerary.js';
+
+/**
+ * code: not_found (unknown name or version) | invalid_vars (`errors`: field errors)
+ */
+export class PromptError extends Error {
+  constructor(message, { code, errors = null } = {}) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// name -> Map(version -> template)
+const registry = new Map();
+
+export function registerPrompt(template) {
+  const { name, version, output, variables, render } = template;
+  const task = template.task || name;
+
+  if (!name || !Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt needs a name and a positive integer version: ${name}@${version}`);
+  }
+  if (!LLM_TASKS[task]) throw new Error(`Prompt ${name}@${version}: unknown LLM task ${task}`);
+  if (!['text', 'json'].includes(output)) throw new Error(`Prompt ${name}@${version}: output must be text or json`);
+  if (typeof variables?.safeParse !== 'function' || typeof render !== 'function') {
+    throw new Error(`Prompt ${name}@${version} needs a zod variables schema and render()`);
+  }
+
+  const versions = registry.get(name) || new Map();
+  if (versions.has(version)) throw new Error(`Prompt ${name}@${version} is already registered`);
+  versions.set(version, { ...template, task });
+  registry.set(name, versions);
+}
+
+export function unregisterPrompt(name, version) {
+  registry.get(name)?.delete(version);
+}
+
+[...ITINERARY_PROMPTS, ...BLOCK_PROMPTS].forEach(registerPrompt);
+
+const envName = (name) => `PROMPT_VERSION_${name.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+
+/**
+ * Version used when none is asked for: PROMPT_VERSION_<NAME>, else the latest
+ */
+export function activeVersion(name, env = process.env) {
+  const versions = registry.get(name);
+  if (!versions?.size) throw new PromptError(`Unknown prompt: ${name}`, { code: 'not_found' });
+
+  const pinned = Number(env[envName(name)]);
+  if (pinned && versions.has(pinned)) return pinned;
+  return Math.max(...versions.keys());
+}
+
+export function getPrompt(name, version = null) {
+  const resolved = version ?? activeVersion(name);
+  const template = registry.get(name)?.get(Number(resolved));
+  if (!template) throw new PromptError(`Unknown prompt: ${name}@${resolved}`, { code: 'not_found' });
+  return template;
+}
+
+/**
+ * Prompts with their versions, for the admin dashboard
+ */
+export function listPrompts() {
+  return [...registry.entries()].filter(([, versions]) => versions.size > 0).map(([name, versions]) => {
+    const templates = [...versions.values()].sort((a, b) => a.version - b.version);
+    const latest = templates[templates.length - 1];
+    return {
+      name,
+      task: latest.task,
+      output: latest.output,
+      activeVersion: activeVersion(name),
+      variables: Object.keys(latest.variables.shape || {}),
+      versions: templates.map(({ version, description }) => ({ version, description: description || null }))
+    };
+  });
+}
+
+/**
+ * Checks the variables and renders the prompt
+ * @returns {{ name, version, task, output, system, prompt, vars }} vars as parsed by the schema
+ */
+export function renderPrompt(name, vars = {}, { version = null } = {}) {
+  const template = getPrompt(name, version);
+  const parsed = template.variables.safeParse(vars);
+  if (!parsed.success) {
+    throw new PromptError(`Invalid variables for prompt ${name}@${template.version}`, {
+      code: 'invalid_vars',
+      errors: formatIssues(parsed.error)
+    });
+  }
+
+  return {
+    name,
+    version: template.version,
+    task: template.task,
+    output: template.output,
+    system: template.system || null,
+    prompt: template.render(parsed.data),
+    vars: parsed.data
+  };
+}
+
+/**
+ * Renders the prompt and asks the LLM (text, or parsed JSON for json templates)
+ * @returns {Promise<{ result, prompt: { name, version } }>}
+ */
+export async function runPrompt(name, vars, { version = null, llm = getLLM() } = {}) {
+  const rendered = renderPrompt(name, vars, { version });
+  const request = { system: rendered.system, prompt: rendered.prompt, vars: rendered.vars };
+  const result = rendered.output === 'json'
+    ? await llm.json(rendered.task, request)
+    : await llm.text(rendered.task, request);
+  return { result, prompt: { name, version: rendered.version } };
+}
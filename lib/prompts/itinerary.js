@@ -0,0 +1,200 @@
+// Prompts of services/ContentGenerationService.js: day concept, location texts, trip meta info
+
+import { z } from 'zod';
+import { amount, formatList, list, optionalText, text } from './types.js';
+
+function tripContext({ dayNumber, totalDays, previousDays }) {
+  if (totalDays <= 1) return '';
+
+  const previousThemes = previousDays.map((day, index) => `  Day ${index + 1}: ${day.concept}`).join('\n');
+  const visitedPlaces = previousDays.flatMap(day => day.places || []);
+  return `
+TRIP CONTEXT:
+- This is day ${dayNumber} of a ${totalDays}-day trip.
+${previousThemes ? `- Themes of the previous days:\n${previousThemes}\n` : ''}${visitedPlaces.length > 0 ? `- Places already in the plan (do not use them again): ${visitedPlaces.join(', ')}\n` : ''}- Give this day its own theme, clearly different from the other days, and focus on other areas of the city.
+`;
+}
+
+export const ITINERARY_PROMPTS = [
+  {
+    name: 'dayConcept',
+    version: 1,
+    output: 'json',
+    description: 'Theme of the day and 8-10 time slots with Google Places categories',
+    variables: z.object({
+      city: text,
+      audience: optionalText,
+      interests: list,
+      date: optionalText,
+      budget: amount,
+      dayNumber: z.number().int().min(1).default(1),
+      totalDays: z.number().int().min(1).default(1),
+      // Days already planned, so each day gets its own theme and places
+      previousDays: z.array(z.object({
+        concept: optionalText,
+        places: z.array(z.string()).nullish()
+      })).default([])
+    }),
+    render: (vars) => `You are a creative travel planner. Based on the input data (city, date, interests, audience, budget), create a full-day itinerary that runs from 9:00 AM to around 9:30 PM.
+
+CONTEXT:
+- City: ${vars.city}
+- Audience: ${vars.audience}
+- Interests: ${formatList(vars.interests)}
+- Budget: ${vars.budget}€
+- Date: ${vars.date}
+${tripContext(vars)}
+Step 1. Build a Creative Concept of the Day
+• Take into account the city and what it has to offer.
+• Consider the audience (for him, for her, for a couple, for a child) and adapt the tone of the day accordingly.
+• Use the chosen interests to design a unique and memorable plan, with a balance between activities and meals across time slots (breakfast, lunch, dinner, snacks, activities, nightlife).
+• Respect the budget: the total cost of all locations must fit within the user's budget, with a maximum deviation of ±30%. If the budget is small, include free or affordable activities; if large, suggest exclusive experiences.
+• Enrich the interests with associative ideas (e.g. "sports" → running, cycling, gyms, outdoor activities, sports cafés).
+
+Step 2. Formulate a Task for Google Places
+Once the creative concept of the day is ready, translate each time slot into a structured request for Google Places API.
+
+RESPONSE FORMAT (JSON only, no markdown):
+{
+  "concept": "Brief description of the day's creative theme/concept",
+  "timeSlots": [
+    {
+      "time": "09:00",
+      "activity": "Morning coffee at scenic viewpoint",
+      "category": "cafe",
+      "keywords": ["coffee", "viewpoint", "morning"]
+    }
+  ]
+}
+
+Create a full-day plan with 8-10 time slots.`
+  },
+
+  {
+    name: 'description',
+    version: 1,
+    output: 'text',
+    description: 'Vivid 3-5 sentence description of a location',
+    variables: z.object({
+      locationName: text,
+      address: optionalText,
+      category: optionalText,
+      interests: list,
+      audience: optionalText,
+      concept: optionalText
+    }),
+    render: ({ locationName, address, category, interests, audience, concept }) => `You are a masterful travel writer creating an immersive, vivid description of ${locationName} in ${address}.
+
+TASK: Write a rich, detailed description in EXACTLY 3-5 complete sentences (aim for 4-5 sentences for depth).
+
+REQUIREMENTS:
+- Capture the essence, atmosphere, history, and unique character of this ${category}
+- Describe what makes this location special and memorable
+- Include sensory details: what visitors will see, hear, smell, taste, and feel
+- Mention the emotional impact and cultural significance
+- Connect to the creative concept: ${concept}
+- Consider the audience: ${audience}
+- Reference the interests: ${formatList(interests)}
+
+Location: ${locationName}
+Address: ${address}
+Category: ${category}
+Interests: ${formatList(interests)}
+Audience: ${audience}
+Creative concept: ${concept}
+
+Write the description now:`
+  },
+
+  {
+    name: 'recommendations',
+    version: 1,
+    output: 'text',
+    description: 'One-sentence practical tip for a location',
+    variables: z.object({
+      locationName: text,
+      category: optionalText,
+      interests: list,
+      audience: optionalText,
+      concept: optionalText
+    }),
+    render: ({ locationName, category, interests, audience, concept }) => `IMPORTANT: Write EXACTLY 1 complete sentence in English with practical tips for visiting this location.
+Include specific advice about timing, what to order/see/do, or insider secrets that enhance the experience.
+Make the tip personal, caring, and inspiring — like advice from a knowledgeable local friend.
+Include practical details that connect to the user's interests and the creative concept of the day.
+REQUIREMENT: Your response must be exactly 1 complete sentence with a period.
+
+Location: ${locationName}
+Category: ${category}
+Interests: ${formatList(interests)}
+Audience: ${audience}
+Creative concept: ${concept}
+
+Write the recommendation now:`
+  },
+
+  {
+    name: 'title',
+    version: 1,
+    output: 'text',
+    description: 'Title of the itinerary',
+    variables: z.object({ city: text, audience: optionalText, interests: list, concept: optionalText }),
+    render: ({ city, audience, interests, concept }) => `Create a dynamic, personalized title for a travel itinerary.
+
+City: ${city}
+Audience: ${audience}
+Interests: ${formatList(interests)}
+Creative concept: ${concept}
+
+Examples:
+- "Paris Romance" (for romantic interests)
+- "Rome Culinary Journey" (for food interests)
+- "Barcelona Cultural Heritage" (for culture/history interests)
+
+Create a personalized, dynamic title for this itinerary:`
+  },
+
+  {
+    name: 'subtitle',
+    version: 1,
+    output: 'text',
+    description: 'Long subtitle describing the flow of the day',
+    variables: z.object({ city: text, audience: optionalText, interests: list, date: optionalText, concept: optionalText }),
+    render: ({ city, audience, interests, date, concept }) => `Write a long, inspiring, and detailed subtitle in English for the day's itinerary.
+
+REQUIREMENTS:
+* Mention the date: ${date}
+* Reflect the city: ${city}
+* Include the chosen interests: ${formatList(interests)}
+* Consider the audience: ${audience}
+* Describe the rhythm and flow of the day from morning to night
+* Connect to the creative concept: ${concept}
+* Use evocative, engaging language
+* Length: 4–5 sentences
+
+Create a similarly rich, detailed subtitle for this itinerary:`
+  },
+
+  {
+    name: 'weather',
+    version: 1,
+    output: 'json',
+    description: 'Typical weather and clothing advice for the city on the date',
+    variables: z.object({ city: text, date: optionalText }),
+    render: ({ city, date }) => `You are providing weather information for travel planning.
+
+TASK: Look up realistic current weather for ${city} on ${date}.
+
+Use your knowledge of ${city}'s climate and typical weather patterns for this time of year.
+Consider the city's geographic location, season, and typical temperature ranges.
+
+Provide this information in JSON format:
+{
+  "temperature": [realistic temperature number for ${city}],
+  "description": "[weather description without temperature]",
+  "clothing": "[brief clothing advice for this specific weather]"
+}
+
+IMPORTANT: Use realistic temperature for ${city} specifically.`
+  }
+];
@@ -0,0 +1,13 @@
+// Variable types shared by the prompt templates
+
+import { z } from 'zod';
+
+export const text = z.string().min(1);
+export const optionalText = z.string().nullish();
+export const amount = z.union([z.number(), z.string()]).nullish();
+// Interests arrive as a list (names or ids) or an already joined string
+export const list = z.union([z.array(z.union([z.string(), z.number()])), z.string()]).nullish();
+
+export function formatList(value) {
+  return Array.isArray(value) ? value.join(', ') : (value ?? '');
+}
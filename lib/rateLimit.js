@@ -0,0 +1,127 @@
+/**
+ * Sliding-window rate limiting and temporary lockouts
+ *
+ * Uses the shared Upstash Redis client (sorted set of hit timestamps per key).
+ * When Redis is not configured it falls back to an in-memory store, which only
+ * protects a single serverless instance but keeps local development working.
+ */
+
+import crypto from 'crypto';
+import { getRedisClient } from './redis.js';
+
+const memoryHits = new Map(); // key -> number[] (hit timestamps, ms)
+const memoryLocks = new Map(); // key -> expiresAt (ms)
+
+// Proxies in front of the app that append to X-Forwarded-For (Vercel: 1, 0 = do not trust the header).
+// Entries left of theirs come from the client and can be forged, so the IP is read from the right.
+function trustedProxyHops() {
+  const hops = Number.parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10);
+  return Number.isInteger(hops) && hops >= 0 ? hops : 1;
+}
+
+export function getClientIp(req) {
+  const hops = trustedProxyHops();
+  const xff = req.headers['x-forwarded-for'];
+  if (hops > 0 && xff) {
+    const entries = String(xff).split(',').map((entry) => entry.trim()).filter(Boolean);
+    const ip = entries[Math.max(0, entries.length - hops)];
+    if (ip) return ip;
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Record a hit for `key` unless the window is already full.
+ * @param {string} key
+ * @param {Object} options
+ * @param {number} options.limit - max hits per window
+ * @param {number} options.windowSeconds - window length
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>}
+ *   retryAfter is in seconds (0 when allowed)
+ */
+export async function consumeRateLimit(key, { limit, windowSeconds }) {
+  const now = Date.now();
+  const windowStart = now - windowSeconds * 1000;
+  const redis = getRedisClient();
+
+  if (!redis) {
+    const hits = (memoryHits.get(key) || []).filter((ts) => ts > windowStart);
+    if (hits.length >= limit) {
+      memoryHits.set(key, hits);
+      return { allowed: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((hits[0] + windowSeconds * 1000 - now) / 1000)) };
+    }
+    hits.push(now);
+    memoryHits.set(key, hits);
+    return { allowed: true, remaining: limit - hits.length, retryAfter: 0 };
+  }
+
+  const redisKey = `rl:${key}`;
+  const member = `${now}:${crypto.randomUUID()}`;
+  // One transaction: concurrent requests cannot all read the same count and slip past the limit
+  const [, , count] = await redis.multi()
+    .zremrangebyscore(redisKey, 0, windowStart)
+    .zadd(redisKey, { score: now, member })
+    .zcard(redisKey)
+    .expire(redisKey, windowSeconds)
+    .exec();
+
+  if (count > limit) {
+    // Rejected hits do not fill the window
+    await redis.zrem(redisKey, member);
+    const oldest = await redis.zrange(redisKey, 0, 0, { withScores: true });
+    const oldestTs = Number(oldest?.[1]) || now;
+    return { allowed: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((oldestTs + windowSeconds * 1000 - now) / 1000)) };
+  }
+
+  return { allowed: true, remaining: limit - count, retryAfter: 0 };
+}
+
+/**
+ * Forget all hits for a key (e.g. after a successful login).
+ */
+export async function resetRateLimit(key) {
+  const redis = getRedisClient();
+  if (!redis) {
+    memoryHits.delete(key);
+    return;
+  }
+  await redis.del(`rl:${key}`);
+}
+
+/**
+ * Lock a key (usually an account) for a number of seconds.
+ */
+export async function setLock(key, seconds) {
+  const redis = getRedisClient();
+  if (!redis) {
+    memoryLocks.set(key, Date.now() + seconds * 1000);
+    return;
+  }
+  await redis.set(`lock:${key}`, Date.now(), { ex: seconds });
+}
+
+/**
+ * @returns {Promise<number>} seconds until the lock expires, 0 if not locked
+ */
+export async function getLockTtl(key) {
+  const redis = getRedisClient();
+  if (!redis) {
+    const expiresAt = memoryLocks.get(key);
+    if (!expiresAt) return 0;
+    if (expiresAt <= Date.now()) {
+      memoryLocks.delete(key);
+      return 0;
+    }
+    return Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+  const ttl = await redis.ttl(`lock:${key}`);
+  return ttl > 0 ? ttl : 0;
+}
+
+/**
+ * Send a 429 response with a Retry-After header.
+ */
+export function sendTooManyRequests(res, retryAfter, message = 'Too many attempts. Please try again later.') {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ success: false, message, retryAfter });
+}
@@ -0,0 +1,18 @@
+/**
+ * Shared Upstash Redis client
+ * Returns null when Redis env vars are not configured so callers can degrade gracefully.
+ */
+
+import { Redis } from '@upstash/redis';
+
+let client;
+
+export function getRedisClient() {
+  if (client !== undefined) return client;
+
+  const url = process.env.FTSTORAGE_KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const token = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+  client = url && token ? new Redis({ url, token }) : null;
+  return client;
+}
+
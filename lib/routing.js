@@ -0,0 +1,179 @@
+/**
+ * Travel legs between consecutive stops (location blocks of an itinerary day or a tour)
+ *
+ * A leg is { from, to, distance_m, walking_minutes, mode, duration_minutes, provider }.
+ * `mode` is the suggested way to get there: walk up to WALK_MAX_MINUTES, public transport
+ * up to TRANSIT_MAX_METERS, taxi beyond; `duration_minutes` is the estimate for that mode.
+ *
+ *   const legs = await buildLegs([{ name: 'Cafe', lat, lng }, { name: 'Museum', lat, lng }]);
+ *   // legs[0] === null (first stop), legs[1] = { from: 'Cafe', to: 'Museum', mode: 'walk', ... }
+ *   formatLeg(legs[1]);  // "🚶 12 min walk · 950 m"
+ *
+ * Distances come from the routing provider:
+ * - haversine (default): straight line × WALKING_DETOUR_FACTOR, no network calls
+ * - google (ROUTING_PROVIDER=google + GOOGLE_MAPS_KEY): Distance Matrix walking route,
+ *   falls back to haversine when the API fails
+ * Other providers: setRoutingProvider({ name, async measure(from, to) }) returning
+ * { distance_m, walking_minutes } or null.
+ */
+
+import { Client } from '@googlemaps/google-maps-services-js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('routing');
+
+export const WALKING_METERS_PER_MINUTE = 80; // ~4.8 km/h
+// Streets are longer than the straight line between two points
+export const WALKING_DETOUR_FACTOR = 1.3;
+
+// Suggested mode: walk up to this long, public transport up to TRANSIT_MAX_METERS, then taxi
+export const WALK_MAX_MINUTES = 20;
+export const TRANSIT_MAX_METERS = 8000;
+
+// Door-to-door estimates: waiting / walking to the stop + average city speed
+const TRANSIT_OVERHEAD_MINUTES = 10;
+const TRANSIT_METERS_PER_MINUTE = 250; // ~15 km/h
+const TAXI_OVERHEAD_MINUTES = 5;
+const TAXI_METERS_PER_MINUTE = 400; // ~24 km/h
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const MODE_ICONS = { walk: '🚶', transit: '🚇', taxi: '🚕' };
+
+const hasCoordinates = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+/**
+ * Straight-line distance in meters, or null without coordinates
+ */
+export function haversineMeters(from, to) {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  const rad = (degrees) => degrees * Math.PI / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Walking estimate from the straight line (the haversine provider, synchronous)
+ * @returns {{distance_m: number, walking_minutes: number}|null}
+ */
+export function estimateWalk(from, to) {
+  const straight = haversineMeters(from, to);
+  if (straight === null) return null;
+
+  const distance = Math.round(straight * WALKING_DETOUR_FACTOR);
+  return { distance_m: distance, walking_minutes: Math.max(1, Math.round(distance / WALKING_METERS_PER_MINUTE)) };
+}
+
+export const haversineProvider = {
+  name: 'haversine',
+  async measure(from, to) {
+    return estimateWalk(from, to);
+  }
+};
+
+let mapsClient = null;
+
+export const googleProvider = {
+  name: 'google',
+  async measure(from, to) {
+    mapsClient ||= new Client({});
+    const response = await mapsClient.distancematrix({
+      params: {
+        origins: [{ lat: from.lat, lng: from.lng }],
+        destinations: [{ lat: to.lat, lng: to.lng }],
+        mode: 'walking',
+        key: process.env.GOOGLE_MAPS_KEY
+      }
+    });
+    const element = response.data?.rows?.[0]?.elements?.[0];
+    if (element?.status !== 'OK') return null;
+    return {
+      distance_m: element.distance.value,
+      walking_minutes: Math.max(1, Math.round(element.duration.value / 60))
+    };
+  }
+};
+
+let customProvider = null;
+
+export function setRoutingProvider(provider) {
+  customProvider = provider;
+}
+
+export function getRoutingProvider() {
+  if (customProvider) return customProvider;
+  if (process.env.ROUTING_PROVIDER === 'google' && process.env.GOOGLE_MAPS_KEY) return googleProvider;
+  return haversineProvider;
+}
+
+/**
+ * Suggested mode and its duration for a measured walk
+ */
+export function suggestMode({ distance_m: distance, walking_minutes: walking }) {
+  if (walking <= WALK_MAX_MINUTES) return { mode: 'walk', duration_minutes: walking };
+  if (distance <= TRANSIT_MAX_METERS) {
+    return { mode: 'transit', duration_minutes: Math.round(TRANSIT_OVERHEAD_MINUTES + distance / TRANSIT_METERS_PER_MINUTE) };
+  }
+  return { mode: 'taxi', duration_minutes: Math.round(TAXI_OVERHEAD_MINUTES + distance / TAXI_METERS_PER_MINUTE) };
+}
+
+/**
+ * Leg between two stops ({ name, lat, lng }), or null when one has no coordinates
+ */
+export async function buildLeg(from, to, provider = getRoutingProvider()) {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  let measured = null;
+  let providerName = provider.name;
+  try {
+    measured = await provider.measure(from, to);
+  } catch (error) {
+    log.warn('Routing provider failed, using straight line', { provider: provider.name, error });
+  }
+  if (!measured) {
+    measured = estimateWalk(from, to);
+    providerName = haversineProvider.name;
+  }
+
+  return {
+    from: from.name || null,
+    to: to.name || null,
+    distance_m: measured.distance_m,
+    walking_minutes: measured.walking_minutes,
+    ...suggestMode(measured),
+    provider: providerName
+  };
+}
+
+/**
+ * Legs between consecutive stops: result[i] is the leg into stops[i] (result[0] is null)
+ */
+export async function buildLegs(stops, provider = getRoutingProvider()) {
+  return Promise.all(stops.map((stop, index) => (index === 0 ? null : buildLeg(stops[index - 1], stop, provider))));
+}
+
+export function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters / 10) * 10} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * One line for PDFs and emails, e.g. "🚶 12 min walk · 950 m"
+ * @param {Object} leg
+ * @param {Object} [options] - { icons: false } for fonts without emoji (PDFKit)
+ */
+export function formatLeg(leg, { icons = true } = {}) {
+  if (!leg) return '';
+  const icon = icons ? `${MODE_ICONS[leg.mode] || ''} ` : '';
+  const distance = formatDistance(leg.distance_m);
+
+  if (leg.mode === 'transit') {
+    return `${icon}~${leg.duration_minutes} min by public transport · ${distance} (${leg.walking_minutes} min on foot)`;
+  }
+  if (leg.mode === 'taxi') {
+    return `${icon}~${leg.duration_minutes} min by taxi · ${distance}`;
+  }
+  return `${icon}${leg.walking_minutes} min walk · ${distance}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events for handlers that take long (itinerary generation)
+ *
+ * The client opts in with `Accept: text/event-stream`, or `?stream=1` when it reads the
+ * body with fetch() instead of EventSource. Every event is one `event:` line and one
+ * JSON `data:` line:
+ *
+ *   if (wantsEventStream(req)) {
+ *     const stream = openEventStream(res);
+ *     stream.send('step', { step: 'concept', status: 'started' });
+ *     stream.send('done', { itineraryId });
+ *     stream.close();
+ *   }
+ *
+ * - Once the stream is open the status is 200; errors are sent as an `error` event
+ * - A comment line every SSE_HEARTBEAT_MS keeps proxies from dropping an idle connection
+ * - After the client disconnects, send() is a no-op (the work itself is not interrupted)
+ */
+
+export const SSE_CONTENT_TYPE = 'text/event-stream';
+export const SSE_HEARTBEAT_MS = 15 * 1000;
+
+export function wantsEventStream(req) {
+  const accept = String(req.headers?.accept || '');
+  const stream = String(req.query?.stream || '').toLowerCase();
+  return accept.includes(SSE_CONTENT_TYPE) || stream === '1' || stream === 'true';
+}
+
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`;
+}
+
+/**
+ * Sends the SSE headers and returns { send(event, data), close(), closed }
+ */
+export function openEventStream(res, { heartbeatMs = SSE_HEARTBEAT_MS } = {}) {
+  res.status(200);
+  res.setHeader('Content-Type', `${SSE_CONTENT_TYPE}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // nginx / Vercel: don't buffer the response
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let closed = false;
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), heartbeatMs);
+  heartbeat.unref?.();
+
+  function write(chunk) {
+    if (closed) return;
+    res.write(chunk);
+    res.flush?.();
+  }
+
+  function stop() {
+    closed = true;
+    clearInterval(heartbeat);
+  }
+
+  // 'close' on the response: finished or the client went away
+  res.on?.('close', stop);
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      write(formatEvent(event, data));
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Shared Stripe client
+ * Set STRIPE_API_BASE (e.g. http://localhost:12111) to talk to a local stripe-mock
+ * instead of api.stripe.com during offline development.
+ */
+
+import Stripe from 'stripe';
+
+let client;
+
+export function getStripeClient() {
+  if (client) return client;
+
+  const apiBase = process.env.STRIPE_API_BASE;
+  if (!apiBase) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+    return client;
+  }
+
+  const url = new URL(apiBase);
+  client = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_local', {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'https:' ? '443' : '80'),
+    protocol: url.protocol.replace(':', '')
+  });
+  return client;
+}
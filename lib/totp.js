@@ -0,0 +1,110 @@
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication
+ * 6 digits, 30 second period, HMAC-SHA1 - compatible with Google Authenticator, 1Password, Authy.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'FlipTrip';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+export function generateTotp(secret, timeStep = currentTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(timeStep));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and +/- `window` steps (clock drift).
+ * @returns {number|null} matched time step, or null when the code is wrong
+ */
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentTimeStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+export function buildProvisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * @returns {{ codes: string[], hashes: string[] }} plain codes are shown to the user once
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
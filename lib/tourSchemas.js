@@ -0,0 +1,262 @@
+/**
+ * Declarative schemas for tour payloads
+ *
+ * Shared by api/tours-create.js, api/tours-update.js, api/tour-content-blocks.js and
+ * api/tour-bookings.js, and published as request schemas in the OpenAPI document
+ * (lib/openapi), so the spec and the runtime validation cannot drift apart.
+ * Objects are passthrough: the editor sends extra UI fields that handlers ignore,
+ * so only the fields the backend reads are checked.
+ *
+ * Structure: tour → daily_plan (days) → blocks → items; content blocks are stored
+ * separately in tour_content_blocks with a per-type `content` object.
+ */
+
+import { z } from 'zod';
+
+const TIME = /^\d{1,2}:\d{2}(:\d{2})?$/;
+const TIME_RANGE = /^\s*\d{1,2}:\d{2}(:\d{2})?\s*-\s*\d{1,2}:\d{2}(:\d{2})?\s*$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const TOUR_STATUSES = ['draft', 'pending', 'approved', 'rejected'];
+export const TOUR_FORMATS = ['self_guided', 'self-guided', 'with_guide', 'guided'];
+export const CONTENT_BLOCK_TYPES = ['location', 'title', 'photo_text', 'text', 'slide', '3columns', 'photo', 'divider', 'map'];
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+// Numbers may come from form inputs as strings ("16.00")
+const numeric = (schema = z.number()) => z.union([
+  schema,
+  z.string().trim().refine(
+    (value) => /^-?\d+(\.\d+)?$/.test(value) && schema.safeParse(Number(value)).success,
+    'Expected a number in the allowed range'
+  )
+]);
+
+const text = (max) => z.string().max(max, `Must be at most ${max} characters`);
+const optionalText = (max = 10000) => text(max).nullish();
+const emptyOr = (schema) => z.union([z.literal(''), schema]);
+const imageRef = z.union([z.string(), z.object({ url: z.string() }).passthrough()]);
+const id = z.union([z.string().min(1), z.number().int()]);
+
+// ---- Days / blocks / items (daily_plan) ----
+
+export const tourItemSchema = z.object({
+  title: optionalText(255),
+  address: optionalText(500),
+  category: optionalText(100),
+  why: optionalText(),
+  description: optionalText(),
+  tips: optionalText(),
+  recommendations: optionalText(),
+  notes: optionalText(),
+  duration: numeric(z.number().int().min(0).max(24 * 60)).nullish(),
+  cost: z.union([numeric(z.number().min(0)), text(100)]).nullish(),
+  photos: z.array(imageRef).max(50).nullish(),
+  google_place_id: optionalText(255),
+  website: optionalText(1000),
+  phone: optionalText(50),
+  booking_url: optionalText(1000),
+  price_level: numeric(z.number().int().min(0).max(4)).nullish()
+}).passthrough();
+
+export const tourBlockSchema = z.object({
+  time: emptyOr(z.string().refine(
+    (value) => TIME_RANGE.test(value) || TIME.test(value.trim()),
+    'Expected a time range like "09:00 - 12:00"'
+  )).nullish(),
+  title: optionalText(255),
+  items: z.array(tourItemSchema).max(100).nullish()
+}).passthrough();
+
+export const tourDaySchema = z.object({
+  day: numeric(z.number().int().min(1)).nullish(),
+  title: optionalText(255),
+  date: emptyOr(z.string().regex(DATE, 'Expected a date like 2025-06-01')).nullish(),
+  blocks: z.array(tourBlockSchema).max(50).nullish()
+}).passthrough();
+
+// ---- Tour settings ----
+
+export const tourPriceSchema = z.object({
+  pdfPrice: numeric(z.number().min(0).max(10000)).nullish(),
+  guidedPrice: numeric(z.number().min(0).max(100000)).nullish(),
+  currency: z.string().regex(/^[A-Za-z]{3}$/, 'Expected a 3-letter currency code').nullish(),
+  meetingPoint: optionalText(500),
+  meetingTime: emptyOr(z.string().regex(TIME, 'Expected a time like "10:00"')).nullish(),
+  availableDates: z.array(z.string().regex(DATE, 'Expected a date like 2025-06-01')).max(366).nullish(),
+  defaultGroupSize: numeric(z.number().int().min(1).max(500)).nullish()
+}).passthrough();
+
+export const additionalOptionsSchema = z.object({
+  platformOptions: z.array(z.string()).nullish(),
+  creatorOptions: z.record(z.unknown()).nullish()
+}).passthrough();
+
+export const tourSettingsSchema = z.object({
+  selfGuided: z.boolean().nullish(),
+  withGuide: z.boolean().nullish(),
+  price: tourPriceSchema.nullish(),
+  additionalOptions: additionalOptionsSchema.nullish(),
+  tags: z.array(id).nullish()
+}).passthrough();
+
+// ---- Tour ----
+
+const tourFields = {
+  country: optionalText(100),
+  city: text(255).trim().min(1, 'City is required'),
+  title: text(255).trim().min(1, 'Title is required'),
+  description: optionalText(20000),
+  shortDescription: optionalText(1000),
+  daily_plan: z.array(tourDaySchema).max(30).nullish(),
+  // Interest IDs (UUIDs or numeric ids)
+  tags: z.array(id).max(100).nullish(),
+  meta: z.object({ interests: z.array(z.string()).nullish() }).passthrough().nullish(),
+  format: z.enum(TOUR_FORMATS).nullish(),
+  selfGuided: z.boolean().nullish(),
+  withGuide: z.boolean().nullish(),
+  price: tourPriceSchema.nullish(),
+  defaultGroupSize: numeric(z.number().int().min(1).max(500)).nullish(),
+  additionalOptions: additionalOptionsSchema.nullish(),
+  preview: z.string().nullish(),
+  previewOriginal: z.string().nullish(),
+  previewType: z.enum(['image', 'video']).nullish(),
+  highlights: z.record(z.string().max(1000).nullable()).nullish(),
+  previewImages: z.array(imageRef).max(50).nullish(),
+  tourPdfUrl: z.string().max(2000).nullish(),
+  pdfTemplate: z.string().max(50).nullish(),
+  pdfLayout: z.record(z.unknown()).nullish(),
+  tourSettings: tourSettingsSchema.nullish()
+};
+
+export const tourCreateSchema = z.object(tourFields).passthrough();
+
+// Updates may be partial (e.g. only tags); city and title fall back to the stored tour
+export const tourUpdateSchema = z.object({
+  ...tourFields,
+  city: tourFields.city.optional().or(z.literal('')).nullable(),
+  title: tourFields.title.optional().or(z.literal('')).nullable(),
+  status: z.enum(TOUR_STATUSES).nullish(),
+  saveAsDraft: z.boolean().nullish()
+}).passthrough();
+
+// ---- Content blocks ----
+
+const photo = z.union([z.string(), z.object({}).passthrough()]).nullish();
+const locationSchema = z.object({
+  title: optionalText(255),
+  name: optionalText(255),
+  address: optionalText(500),
+  interests: z.array(z.union([id, z.object({}).passthrough()])).nullish()
+}).passthrough();
+
+// Set by itinerary generation (lib/routing.js): how to get here from the previous location
+const legSchema = z.object({
+  from: z.string().nullish(),
+  to: z.string().nullish(),
+  distance_m: z.number().nonnegative(),
+  walking_minutes: z.number().nonnegative(),
+  mode: z.enum(['walk', 'transit', 'taxi']).nullish(),
+  duration_minutes: z.number().nonnegative().nullish(),
+  provider: z.string().nullish()
+}).passthrough();
+
+// Set by itinerary generation: the prompt template (lib/prompts) that wrote the block
+const promptRef = z.object({
+  name: z.string(),
+  version: z.number().int().positive()
+}).passthrough().nullish();
+
+export const contentBlockContentSchemas = {
+  location: z.object({
+    tour_block_id: z.string().nullish(),
+    tour_item_ids: z.array(z.string()).nullish(),
+    mainLocation: locationSchema.nullish(),
+    alternativeLocations: z.array(locationSchema).max(20).nullish(),
+    legFromPrevious: legSchema.nullish(),
+    // Opening hours on the trip date (lib/openingHours.js describeOpening)
+    openingHours: z.object({
+      open: z.boolean(),
+      hours: z.string().nullish(),
+      note: z.string().nullish()
+    }).passthrough().nullish(),
+    warning: z.string().max(1000).nullish(),
+    prompt: promptRef
+  }).passthrough(),
+  title: z.object({
+    text: optionalText(1000),
+    size: z.enum(['small', 'medium', 'large']).nullish(),
+    prompt: promptRef
+  }).passthrough(),
+  photo_text: z.object({
+    photo,
+    text: optionalText(),
+    alignment: z.enum(['left', 'right']).nullish()
+  }).passthrough(),
+  text: z.object({
+    text: optionalText(50000),
+    formatted: z.boolean().nullish(),
+    prompt: promptRef
+  }).passthrough(),
+  slide: z.object({
+    title: optionalText(255),
+    photo,
+    text: optionalText(),
+    prompt: promptRef
+  }).passthrough(),
+  '3columns': z.object({
+    columns: z.array(z.object({ photo, text: optionalText() }).passthrough()).max(3).nullish(),
+    prompt: promptRef
+  }).passthrough(),
+  photo: z.object({
+    photo,
+    caption: optionalText(1000),
+    prompt: promptRef
+  }).passthrough(),
+  divider: z.object({
+    style: z.enum(['solid', 'dashed', 'dotted']).nullish()
+  }).passthrough(),
+  map: z.object({
+    locations: z.array(locationSchema).max(100).nullish()
+  }).passthrough()
+};
+
+// Validates `content` against the schema of its block type, reporting paths under `content`
+function checkContent(blockType, content, ctx) {
+  const schema = contentBlockContentSchemas[blockType];
+  if (!schema || content === undefined || content === null) return;
+  const result = schema.safeParse(content);
+  if (!result.success) {
+    result.error.issues.forEach((issue) => ctx.addIssue({ ...issue, path: ['content', ...issue.path] }));
+  }
+}
+
+export const contentBlockCreateSchema = z.object({
+  tourId: z.string().min(1, 'tourId is required'),
+  blockType: z.enum(CONTENT_BLOCK_TYPES),
+  content: z.record(z.unknown()).nullish(),
+  orderIndex: numeric(z.number().int().min(0)).nullish()
+}).passthrough().superRefine((body, ctx) => checkContent(body.blockType, body.content, ctx));
+
+/**
+ * PUT body; the block type comes from the stored block, so it is passed in
+ */
+export function contentBlockUpdateSchema(blockType) {
+  return z.object({
+    blockId: z.string().min(1, 'blockId is required'),
+    content: z.record(z.unknown()).nullish(),
+    orderIndex: numeric(z.number().int().min(0)).nullish()
+  }).passthrough().superRefine((body, ctx) => checkContent(blockType, body.content, ctx));
+}
+
+// ---- Bookings ----
+
+export const bookingCreateSchema = z.object({
+  tour_id: z.string({ required_error: 'tour_id is required' }).min(1, 'tour_id is required'),
+  tour_date: z.string({ required_error: 'tour_date is required' }).regex(DATE, 'Expected a date like 2025-06-01'),
+  group_size: numeric(z.number().int().min(1).max(500)).optional(),
+  participants: z.union([z.array(z.unknown()), z.record(z.unknown())]).nullish(),
+  additional_services: z.record(z.unknown()).nullish(),
+  customer_notes: optionalText(5000),
+  meeting_point: optionalText(500),
+  meeting_time: emptyOr(z.string().regex(TIME, 'Expected a time like "10:00"')).nullish()
+}).passthrough();
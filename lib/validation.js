@@ -0,0 +1,44 @@
+/**
+ * Request body validation with zod schemas
+ *
+ * Usage in a handler:
+ *   const errors = validateBody(tourCreateSchema, req.body);
+ *   if (errors) return sendValidationError(res, errors);
+ *
+ * Errors carry the field path so the frontend editor can highlight the exact input:
+ *   { field: 'daily_plan[0].blocks[1].time', path: ['daily_plan', 0, 'blocks', 1, 'time'], message, code }
+ */
+
+export function formatPath(path = []) {
+  return path.reduce((acc, segment) => (
+    typeof segment === 'number' ? `${acc}[${segment}]` : (acc ? `${acc}.${segment}` : String(segment))
+  ), '');
+}
+
+export function formatIssues(zodError) {
+  return zodError.issues.map((issue) => ({
+    field: formatPath(issue.path) || '(body)',
+    path: issue.path,
+    message: issue.message,
+    code: issue.code
+  }));
+}
+
+/**
+ * @returns {Array|null} list of field errors, or null when the body is valid
+ */
+export function validateBody(schema, body) {
+  const result = schema.safeParse(body ?? {});
+  return result.success ? null : formatIssues(result.error);
+}
+
+export function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'ValidationError',
+    message: errors.length === 1
+      ? `${errors[0].field}: ${errors[0].message}`
+      : `${errors.length} fields are invalid`,
+    errors
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * FlipTrip Clean Backend - Local development server
+ *
+ * Mounts every Vercel-style handler in api/ under /api/<file name>, so the whole
+ * backend runs as one Express app: `npm run dev`.
+ *
+ * Config comes from the environment, with .env.local and .env as defaults
+ * (real environment variables always win). For offline work point the clients
+ * at local stand-ins, see .env.example:
+ *   - Supabase: `supabase start` (SUPABASE_URL=http://127.0.0.1:54321)
+ *   - Redis: an Upstash-compatible REST proxy (UPSTASH_REDIS_REST_URL), or leave
+ *     it unset to use the in-memory fallbacks
+ *   - Stripe: stripe-mock (STRIPE_API_BASE=http://localhost:12111)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import express from 'express';
+import { createLogger, withRequestContext } from './lib/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(__dirname, 'api');
+const BODY_LIMIT = '5mb'; // Vercel allows 4.5 MB request bodies
+const log = createLogger('server');
+
+function loadEnvFile(fileName) {
+  const filePath = path.join(__dirname, fileName);
+  if (!fs.existsSync(filePath)) return;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+    if (!match) continue;
+    const [, key, rawValue] = match;
+    if (process.env[key] !== undefined) continue;
+    process.env[key] = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+  }
+  console.log(`⚙️  Loaded ${fileName}`);
+}
+
+// Keep the exact request bytes next to the parsed body (needed for Stripe signatures)
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Handlers are imported on first request, like Vercel functions: a handler that
+// needs a missing API key at import time only breaks its own route
+function lazyHandler(file) {
+  let handlerPromise;
+  return () => {
+    handlerPromise ||= import(pathToFileURL(path.join(API_DIR, file)).href).then((module) => {
+      if (typeof module.default !== 'function') {
+        throw new Error(`api/${file} has no default export handler`);
+      }
+      return module.default;
+    });
+    return handlerPromise;
+  };
+}
+
+export function createApp() {
+  const app = express();
+  app.disable('x-powered-by');
+
+  app.use(express.json({ limit: BODY_LIMIT, verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT, verify: keepRawBody }));
+  app.use(express.text({ type: 'text/*', limit: BODY_LIMIT, verify: keepRawBody }));
+
+  const files = fs.readdirSync(API_DIR).filter((file) => file.endsWith('.js')).sort();
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+    const getHandler = lazyHandler(file);
+
+    app.all(`/api/${name}`, withRequestContext(async (req, res) => {
+      try {
+        const handler = await getHandler();
+        await handler(req, res);
+      } catch (error) {
+        log.error(`Unhandled error in /api/${name}`, error);
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+        }
+      }
+    }));
+  }
+
+  // Liveness check at the conventional path as well
+  const getHealthHandler = lazyHandler('health.js');
+  app.all('/health', async (req, res) => (await getHealthHandler())(req, res));
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Not found', message: `No handler for ${req.method} ${req.path}` });
+  });
+
+  // Malformed JSON and oversized bodies end up here, like Vercel's 400/413 responses
+  app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const status = error.status || error.statusCode || 500;
+    res.status(status).json({ success: false, error: error.type || 'Error', message: error.message });
+  });
+
+  console.log(`✅ Mounted ${files.length} API handlers`);
+  return app;
+}
+
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+  loadEnvFile('.env.local');
+  loadEnvFile('.env');
+
+  const port = Number(process.env.PORT) || 3000;
+  const app = createApp();
+  app.listen(port, () => {
+    console.log(`🚀 FlipTrip backend running at http://localhost:${port}`);
+  });
+}
@@ -1,28 +1,23 @@
 // ContentBlocksGenerationService - Generates content blocks for tours
 // Follows the exact sequence: TITLE → TEXT (intro) → LOCATION → DIVIDER → PHOTO → etc.
+// Prompts: lib/prompts/blocks.js; generated blocks record theirs in content.prompt ({ name, version })
 
-import OpenAI from 'openai';
 import { Client } from '@googlemaps/google-maps-services-js';
+import { createLogger } from '../lib/logger.js';
+import { getLLM } from '../lib/llm/index.js';
+import { describeOpening } from '../lib/openingHours.js';
+import { searchPlacesText } from '../lib/places.js';
+import { runPrompt } from '../lib/prompts/index.js';
+import { buildLeg } from '../lib/routing.js';
+import { RouteService } from './RouteService.js';
 
-const SYSTEM_TONE = `You are writing a personal city guide in the style of a local or frequent visitor.
-
-Write as a real person, not a travel expert.
-
-Avoid marketing language, poetic metaphors, and dramatic storytelling.
-
-The tone should be calm, observant, and grounded — like notes you would send to a friend.
-
-Focus on how places feel and when they make sense during the day.
-
-Less emotion, more presence.
-Less explanation, more confidence.`;
+const log = createLogger('ContentBlocksGenerationService');
 
 export class ContentBlocksGenerationService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = getLLM();
     this.googleMapsClient = new Client({});
+    this.routeService = new RouteService();
   }
   
   /**
@@ -70,7 +65,7 @@ export class ContentBlocksGenerationService {
   async searchGooglePlace(query, city, options = {}) {
     try {
       if (!process.env.GOOGLE_MAPS_KEY) {
-        console.warn('⚠️ Google Maps API key not configured');
+        log.warn('Google Maps API key not configured');
         return null;
       }
       
@@ -84,27 +79,21 @@ export class ContentBlocksGenerationService {
       ];
       
       for (const searchQuery of searchQueries) {
-        console.log(`🔍 Searching Google Places: "${searchQuery}"`);
+        log.debug(`Searching Google Places: "${searchQuery}"`);
         
         try {
-          const response = await this.googleMapsClient.textSearch({
-            params: {
-              query: searchQuery,
-              key: process.env.GOOGLE_MAPS_KEY,
-              language: 'en'
-            }
-          });
+          const results = await searchPlacesText(this.googleMapsClient, { query: searchQuery, city });
           
-          if (response.data.results && response.data.results.length > 0) {
+          if (results.length > 0) {
             // Try to find a place that matches the city
             let place = null;
             
             // First, try to find exact city match
-            for (const result of response.data.results) {
+            for (const result of results) {
               const address = result.formatted_address || '';
               if (this.addressMatchesCity(address, city)) {
                 place = result;
-                console.log(`✅ Found exact city match: ${place.name} in ${city}`);
+                log.debug(`Found exact city match: ${place.name} in ${city}`);
                 break;
               }
             }
@@ -112,23 +101,23 @@ export class ContentBlocksGenerationService {
             // If no exact match and strictCityMatch is false, use first result
             if (!place && !strictCityMatch) {
               // Check first few results to see if any are in the city
-              for (let i = 0; i < Math.min(maxResults, response.data.results.length); i++) {
-                const result = response.data.results[i];
+              for (let i = 0; i < Math.min(maxResults, results.length); i++) {
+                const result = results[i];
                 const address = result.formatted_address || '';
                 
                 // If address matches city, use it
                 if (this.addressMatchesCity(address, city)) {
                   place = result;
-                  console.log(`✅ Found city match in result ${i + 1}: ${place.name}`);
+                  log.debug(`Found city match in result ${i + 1}: ${place.name}`);
                   break;
                 }
               }
               
               // If still no match, but we have results, use first one (Google Places is usually accurate)
-              if (!place && response.data.results.length > 0) {
-                place = response.data.results[0];
+              if (!place && results.length > 0) {
+                place = results[0];
                 const address = place.formatted_address || '';
-                console.log(`⚠️ Using first result "${place.name}" (address: ${address.substring(0, 50)}...) - may not be in ${city}`);
+                log.debug(`Using first result "${place.name}" (address: ${address.substring(0, 50)}...) - may not be in ${city}`);
               }
             }
             
@@ -139,7 +128,7 @@ export class ContentBlocksGenerationService {
                   )
                 : [];
               
-              console.log(`✅ Found Google Place: ${place.name} with ${photos.length} photos`);
+              log.debug(`Found Google Place: ${place.name} with ${photos.length} photos`);
               
               return {
                 name: place.name,
@@ -152,16 +141,16 @@ export class ContentBlocksGenerationService {
             }
           }
         } catch (searchError) {
-          console.warn(`⚠️ Search query "${searchQuery}" failed:`, searchError.message || searchError);
+          log.warn(`Search query "${searchQuery}" failed`, searchError);
           // Continue to next query
           continue;
         }
       }
       
-      console.warn(`❌ No location found for query "${query}" in ${city} after trying ${searchQueries.length} search queries`);
+      log.warn(`No location found for query "${query}" in ${city} after trying ${searchQueries.length} search queries`);
       return null;
     } catch (error) {
-      console.warn(`⚠️ Google Places search error for "${query}":`, error.message || error);
+      log.warn(`Google Places search error for "${query}"`, error);
       return null;
     }
   }
@@ -201,17 +190,33 @@ export class ContentBlocksGenerationService {
             };
           }
         } catch (error) {
-          console.warn(`⚠️ Error getting coordinates for place_id ${placeId}:`, error.message);
+          log.warn(`Error getting coordinates for place_id ${placeId}`, error);
         }
       }
 
       return null;
     } catch (error) {
-      console.warn(`⚠️ Error in getLocationCoordinates:`, error.message);
+      log.warn(`Error in getLocationCoordinates`, error);
       return null;
     }
   }
 
+  /**
+   * Adds `coordinates` ({ lat, lng } or null) to each location; found coordinates are
+   * also kept as realPlace.geometry so later lookups don't call Place Details again
+   * @param {Array} locations - Locations from LocationService.findLocations
+   * @returns {Promise<Array>} Copies of the locations
+   */
+  async resolveCoordinates(locations) {
+    return Promise.all(locations.map(async (location) => {
+      const coordinates = await this.getLocationCoordinates(location);
+      const realPlace = coordinates && location.realPlace && !location.realPlace.geometry
+        ? { ...location.realPlace, geometry: { location: coordinates } }
+        : location.realPlace;
+      return { ...location, realPlace, coordinates };
+    }));
+  }
+
   /**
    * Search for viewpoints near a location using Google Places Nearby Search
    * @param {number} lat - Latitude of the location
@@ -223,11 +228,11 @@ export class ContentBlocksGenerationService {
   async searchNearbyViewpoints(lat, lng, radius = 5000, count = 5) {
     try {
       if (!process.env.GOOGLE_MAPS_KEY) {
-        console.warn('⚠️ Google Maps API key not configured');
+        log.warn('Google Maps API key not configured');
         return [];
       }
 
-      console.log(`🔍 Searching for viewpoints near location (${lat}, ${lng}) within ${radius}m radius`);
+      log.debug(`Searching for viewpoints near location (${lat}, ${lng}) within ${radius}m radius`);
 
       const allPhotos = [];
       const seenPhotoRefs = new Set();
@@ -265,19 +270,19 @@ export class ContentBlocksGenerationService {
                 const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photo.photo_reference}&key=${process.env.GOOGLE_MAPS_KEY}`;
                 allPhotos.push(photoUrl);
                 seenPhotoRefs.add(photo.photo_reference);
-                console.log(`✅ Found viewpoint photo from ${place.name}`);
+                log.debug(`Found viewpoint photo from ${place.name}`);
               }
             }
           }
         }
       } catch (error) {
-        console.warn(`⚠️ Error searching nearby viewpoints:`, error.message || error);
+        log.warn(`Error searching nearby viewpoints`, error);
       }
 
-      console.log(`✅ Found ${allPhotos.length} viewpoint photos near location`);
+      log.debug(`Found ${allPhotos.length} viewpoint photos near location`);
       return allPhotos.slice(0, count);
     } catch (error) {
-      console.warn(`⚠️ Error in searchNearbyViewpoints:`, error.message || error);
+      log.warn(`Error in searchNearbyViewpoints`, error);
       return [];
     }
   }
@@ -293,7 +298,7 @@ export class ContentBlocksGenerationService {
   async searchCityPhotos(city, count = 3, queries = null) {
     try {
       if (!process.env.GOOGLE_MAPS_KEY) {
-        console.warn('⚠️ Google Maps API key not configured');
+        log.warn('Google Maps API key not configured');
         return [];
       }
       
@@ -309,21 +314,15 @@ export class ContentBlocksGenerationService {
       // Search for each query and collect photos
       for (const query of searchQueries.slice(0, count)) {
         try {
-          console.log(`🔍 Searching Google Places for city photos: ${query}`);
+          log.debug(`Searching Google Places for city photos: ${query}`);
           
-          const response = await this.googleMapsClient.textSearch({
-            params: {
-              query: query,
-              key: process.env.GOOGLE_MAPS_KEY,
-              language: 'en'
-              // Removed type restriction to get more diverse results
-            }
-          });
+          // No type restriction, to get more diverse results
+          const results = await searchPlacesText(this.googleMapsClient, { query, city });
           
-          if (response.data.results && response.data.results.length > 0) {
+          if (results.length > 0) {
             // Get photos from multiple results to ensure diversity
-            for (let i = 0; i < Math.min(3, response.data.results.length) && allPhotos.length < count; i++) {
-              const place = response.data.results[i];
+            for (let i = 0; i < Math.min(3, results.length) && allPhotos.length < count; i++) {
+              const place = results[i];
               if (place.photos && place.photos.length > 0) {
                 // Get first photo from each place (to ensure different places)
                 const photo = place.photos[0];
@@ -331,13 +330,13 @@ export class ContentBlocksGenerationService {
                   const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photo.photo_reference}&key=${process.env.GOOGLE_MAPS_KEY}`;
                   allPhotos.push(photoUrl);
                   seenPhotoRefs.add(photo.photo_reference);
-                  console.log(`✅ Found photo from ${place.name} in ${city}`);
+                  log.debug(`Found photo from ${place.name} in ${city}`);
                 }
               }
             }
           }
         } catch (queryError) {
-          console.warn(`⚠️ Error searching for "${query}":`, queryError.message || queryError);
+          log.warn(`Error searching for "${query}"`, queryError);
           // Continue with next query
         }
       }
@@ -349,7 +348,7 @@ export class ContentBlocksGenerationService {
       
       return [];
     } catch (error) {
-      console.warn(`⚠️ Error searching city photos for "${city}":`, error.message || error);
+      log.warn(`Error searching city photos for "${city}"`, error);
       return [];
     }
   }
@@ -392,10 +391,10 @@ export class ContentBlocksGenerationService {
       // Select photo based on query hash for consistency
       const selectedPhoto = curatedPhotos[seed % curatedPhotos.length];
       
-      console.log(`📸 Getting Unsplash photo for query: "${query}" -> ${selectedPhoto}`);
+      log.debug(`Getting Unsplash photo for query: "${query}" -> ${selectedPhoto}`);
       return selectedPhoto;
     } catch (error) {
-      console.error('❌ Error getting Unsplash photo:', error);
+      log.error('Error getting Unsplash photo', error);
       // Fallback to a generic city photo
       return 'https://images.unsplash.com/photo-1469474968028-56623f02e42e?w=800&h=600&fit=crop&q=80';
     }
@@ -419,20 +418,35 @@ export class ContentBlocksGenerationService {
   /**
    * Generate all 17 blocks for a full day
    * @param {Object} params - { city, audience, interests, concept, locations, dayConcept }
+   *   plus optional usedLocationNames / usedPlaceIds / usedPhotoUrls sets shared by all
+   *   days of a multi-day trip (filled in place, so later days don't repeat places and photos),
+   *   and onBlock(block) called for each block as soon as it is generated; `date` (YYYY-MM-DD)
+   *   of the day to check opening hours
    * @returns {Array} Array of content blocks with order_index
    */
-  async generateFullDayBlocks({ city, audience, interests, concept, locations, dayConcept }) {
-    console.log('📦 ContentBlocksGenerationService: Generating full day blocks...');
+  async generateFullDayBlocks({
+    city,
+    audience,
+    interests,
+    concept,
+    locations,
+    dayConcept,
+    usedLocationNames = new Set(),
+    usedPlaceIds = new Set(),
+    usedPhotoUrls = new Set(),
+    onBlock = null,
+    date = null
+  }) {
+    log.info('Generating full day blocks', { city, date });
 
     const blocks = [];
     let orderIndex = 0;
-    
-    // Track used locations to avoid duplicates
-    const usedLocationNames = new Set();
-    const usedPlaceIds = new Set();
-    
-    // Track used photos in Photo/Slide/3columns blocks to avoid duplicates
-    const usedPhotoUrls = new Set();
+
+    // onBlock gets every block as soon as it is ready (streamed to the client)
+    const addBlock = (block) => {
+      blocks.push(block);
+      if (onBlock) onBlock(block);
+    };
     
     // Helper function to check if location is already used
     const isLocationUsed = (location) => {
@@ -449,9 +463,36 @@ export class ContentBlocksGenerationService {
       if (placeId) usedPlaceIds.add(placeId);
     };
 
+    // Order the day's locations into a short walking route (meals and time windows respected)
+    const route = this.routeService.planDay(
+      await this.resolveCoordinates(locations.filter(location => !isLocationUsed(location))),
+      { date }
+    );
+    const stopLocation = (key) => route.stops.find(stop => stop.key === key)?.location || null;
+    log.info('Planned walking route', { city, distance_m: route.distance_m, walking_minutes: route.walking_minutes });
+
+    // Location blocks record the travel leg (distance, walking time, suggested mode)
+    // from the previous location block of the day, and the opening hours on the date
+    // with a warning when the place is closed at the visit (no open option was found)
+    let previousStop = null;
+    const toStop = (location) => ({ name: location.realPlace?.name || location.name || null, ...location.coordinates });
+    const withRouteDetails = async (content, location) => {
+      const legFromPrevious = previousStop ? await buildLeg(toStop(previousStop), toStop(location)) : null;
+      previousStop = location;
+
+      const time = route.stops.find(stop => stop.location === location)?.timeSlot.slice(0, 5);
+      const openingHours = date ? describeOpening(location.realPlace?.openingHours, date, time) : null;
+      if (!openingHours) return { ...content, legFromPrevious };
+
+      const warning = openingHours.open
+        ? null
+        : `${toStop(location).name || 'This place'} may be closed at ${time} on ${date} (${[openingHours.hours, openingHours.note].filter(Boolean).join(', ')}); no open alternative was found`;
+      return { ...content, legFromPrevious, openingHours, ...(warning ? { warning } : {}) };
+    };
+
     // 1. TITLE BLOCK
     const titleBlock = await this.generateTitleBlock({ city, concept, interests, audience });
-    blocks.push({
+    addBlock({
       block_type: 'title',
       order_index: orderIndex++,
       content: titleBlock
@@ -459,17 +500,14 @@ export class ContentBlocksGenerationService {
 
     // 2. TEXT BLOCK (INTRO)
     const introTextBlock = await this.generateIntroTextBlock({ city, concept, interests, audience });
-    blocks.push({
+    addBlock({
       block_type: 'text',
       order_index: orderIndex++,
       content: introTextBlock
     });
 
     // 3. LOCATION BLOCK (09:00-10:00) - Breakfast/Coffee
-    const breakfastLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('09:') || time.startsWith('10:00'));
-    });
+    const breakfastLocation = stopLocation('breakfast');
     if (breakfastLocation && !isLocationUsed(breakfastLocation)) {
       markLocationAsUsed(breakfastLocation);
       const locationBlock = await this.generateLocationBlock({
@@ -483,15 +521,15 @@ export class ContentBlocksGenerationService {
         usedLocationNames,
         usedPlaceIds
       });
-      blocks.push({
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, breakfastLocation)
       });
     }
 
     // 4. DIVIDER
-    blocks.push({
+    addBlock({
       block_type: 'divider',
       order_index: orderIndex++,
       content: { style: 'solid' }
@@ -505,19 +543,17 @@ export class ContentBlocksGenerationService {
       city,
       concept,
       interests,
-      previousLocation: previousLocationForPhoto
+      previousLocation: previousLocationForPhoto,
+      usedPhotoUrls
     });
-    blocks.push({
+    addBlock({
       block_type: 'photo',
       order_index: orderIndex++,
       content: photoBlock
     });
 
     // 6. LOCATION BLOCK (10:30-12:00) - Walking/Exploring
-    const morningLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('10:') || time.startsWith('11:') || time.startsWith('12:00'));
-    });
+    const morningLocation = stopLocation('morning');
     if (morningLocation && !isLocationUsed(morningLocation)) {
       markLocationAsUsed(morningLocation);
       const locationBlock = await this.generateLocationBlock({
@@ -531,25 +567,22 @@ export class ContentBlocksGenerationService {
         usedLocationNames,
         usedPlaceIds
       });
-      blocks.push({
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, morningLocation)
       });
     }
 
     // 7. DIVIDER
-    blocks.push({
+    addBlock({
       block_type: 'divider',
       order_index: orderIndex++,
       content: { style: 'solid' }
     });
 
     // 8. LOCATION BLOCK (12:30-15:00) - Lunch
-    const lunchLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('12:') || time.startsWith('13:') || time.startsWith('14:') || time.startsWith('15:00'));
-    });
+    const lunchLocation = stopLocation('lunch');
     if (lunchLocation && !isLocationUsed(lunchLocation)) {
       markLocationAsUsed(lunchLocation);
       const locationBlock = await this.generateLocationBlock({
@@ -563,10 +596,10 @@ export class ContentBlocksGenerationService {
         usedLocationNames,
         usedPlaceIds
       });
-      blocks.push({
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, lunchLocation)
       });
     }
 
@@ -581,24 +614,21 @@ export class ContentBlocksGenerationService {
       previousLocation: previousLocationForSlide,
       usedPhotoUrls
     });
-    blocks.push({
+    addBlock({
       block_type: 'slide',
       order_index: orderIndex++,
       content: slideBlock
     });
 
     // 10. DIVIDER
-    blocks.push({
+    addBlock({
       block_type: 'divider',
       order_index: orderIndex++,
       content: { style: 'solid' }
     });
 
     // 11. LOCATION BLOCK (15:30-17:00) - Light Activity
-    const afternoonLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('15:') || time.startsWith('16:') || time.startsWith('17:00'));
-    });
+    const afternoonLocation = stopLocation('afternoon');
     if (afternoonLocation && !isLocationUsed(afternoonLocation)) {
       markLocationAsUsed(afternoonLocation);
       const locationBlock = await this.generateLocationBlock({
@@ -612,10 +642,10 @@ export class ContentBlocksGenerationService {
         usedLocationNames,
         usedPlaceIds
       });
-      blocks.push({
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, afternoonLocation)
       });
     }
 
@@ -628,24 +658,21 @@ export class ContentBlocksGenerationService {
       locations,
       usedPhotoUrls
     });
-    blocks.push({
+    addBlock({
       block_type: '3columns',
       order_index: orderIndex++,
       content: threeColumnsBlock
     });
 
     // 13. DIVIDER
-    blocks.push({
+    addBlock({
       block_type: 'divider',
       order_index: orderIndex++,
       content: { style: 'solid' }
     });
 
     // 14. LOCATION BLOCK (17:30-19:00) - Pre-Dinner
-    const preDinnerLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('17:') || time.startsWith('18:') || time.startsWith('19:00'));
-    });
+    const preDinnerLocation = stopLocation('preDinner');
     if (preDinnerLocation && !isLocationUsed(preDinnerLocation)) {
       markLocationAsUsed(preDinnerLocation);
       const locationBlock = await this.generateLocationBlock({
@@ -659,18 +686,15 @@ export class ContentBlocksGenerationService {
         usedLocationNames,
         usedPlaceIds
       });
-      blocks.push({
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, preDinnerLocation)
       });
     }
 
     // 15. LOCATION BLOCK (19:30-21:00) - Dinner
-    const dinnerLocation = locations.find(loc => {
-      const time = loc.time || loc.slot?.time;
-      return time && (time.startsWith('19:') || time.startsWith('20:') || time.startsWith('21:00'));
-    });
+    const dinnerLocation = stopLocation('dinner');
     if (dinnerLocation) {
       const locationBlock = await this.generateLocationBlock({
         location: dinnerLocation,
@@ -679,17 +703,20 @@ export class ContentBlocksGenerationService {
         city,
         concept,
         interests,
-        audience
+        audience,
+        usedLocationNames,
+        usedPlaceIds
       });
-      blocks.push({
+      markLocationAsUsed(dinnerLocation);
+      addBlock({
         block_type: 'location',
         order_index: orderIndex++,
-        content: locationBlock
+        content: await withRouteDetails(locationBlock, dinnerLocation)
       });
     }
 
     // 16. DIVIDER
-    blocks.push({
+    addBlock({
       block_type: 'divider',
       order_index: orderIndex++,
       content: { style: 'solid' }
@@ -697,13 +724,13 @@ export class ContentBlocksGenerationService {
 
     // 17. TEXT BLOCK (CLOSING)
     const closingTextBlock = await this.generateClosingTextBlock({ city, concept, interests, audience });
-    blocks.push({
+    addBlock({
       block_type: 'text',
       order_index: orderIndex++,
       content: closingTextBlock
     });
 
-    console.log(`✅ ContentBlocksGenerationService: Generated ${blocks.length} blocks`);
+    log.info(`Generated ${blocks.length} blocks`);
     return blocks;
   }
 
@@ -711,44 +738,17 @@ export class ContentBlocksGenerationService {
    * Generate TITLE block
    */
   async generateTitleBlock({ city, concept, interests, audience }) {
-    const prompt = `Create a short title for a day in ${city}.
-
-The title should feel like a personal label, not a headline.
-
-Requirements:
-- 2–5 words
-- No city name
-- No "best", "top", "guide", "itinerary"
-- Neutral, calm tone
-
-The title should sound like something the author would write for themselves.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-- Audience: ${audience}
-
-Return only the title text, no quotes, no explanation.`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 20,
-        temperature: 0.7
-      });
+      const { result: answer, prompt } = await runPrompt('blockTitle', { city, concept, interests, audience }, { llm: this.llm });
 
-      const title = response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+      const title = answer.replace(/^["']|["']$/g, '');
       return {
         text: title,
-        size: 'large'
+        size: 'large',
+        prompt
       };
     } catch (error) {
-      console.error('❌ Error generating title:', error);
+      log.error('Error generating title', error);
       return {
         text: 'A day in the city',
         size: 'large'
@@ -760,45 +760,15 @@ Return only the title text, no quotes, no explanation.`;
    * Generate INTRO TEXT block
    */
   async generateIntroTextBlock({ city, concept, interests, audience }) {
-    const prompt = `Write a short introductory text for the beginning of the day in ${city}.
-
-Do not describe the plan.
-Do not mention locations or time.
-
-Instead, explain how this day should be approached.
-
-The text should sound like a quiet observation or reassurance.
-
-2–3 short paragraphs.
-
-The reader should feel less pressure, not more structure.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-- Audience: ${audience}
-
-Return only the text, no markdown, no quotes.`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 200,
-        temperature: 0.7
-      });
-
-      const text = response.choices[0].message.content.trim();
+      const { result: text, prompt } = await runPrompt('blockIntro', { city, concept, interests, audience }, { llm: this.llm });
       return {
         text: text,
-        formatted: false
+        formatted: false,
+        prompt
       };
     } catch (error) {
-      console.error('❌ Error generating intro text:', error);
+      log.error('Error generating intro text', error);
       return {
         text: 'Take your time. There is no rush.',
         formatted: false
@@ -814,76 +784,10 @@ Return only the text, no markdown, no quotes.`;
     const locationAddress = location.realPlace?.address || location.location || location.address;
     const category = location.category || location.realPlace?.category;
 
-    const prompt = `Create a location block for ${timeSlot} in ${city}, focused on: ${purpose}.
-
-Choose places that work well for this time of day: ${category || 'various places'}.
-
-Include:
-- 1 main location: ${locationName} at ${locationAddress}
-- 2 alternative locations (suggest similar places in ${city})
-
-For each location:
-- Explain why it works for this time slot
-- Describe the mood it creates at this time of day
-- Add one simple, personal recommendation (what to order, where to sit, how long to stay)
-
-Avoid factual descriptions.
-Write as if you start your days like this yourself.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-- Audience: ${audience}
-
-IMPORTANT: You MUST return EXACTLY 2 alternatives. Do not return fewer.
-
-Return JSON (no markdown, no code blocks, just JSON):
-{
-  "mainLocation": {
-    "name": "${locationName}",
-    "address": "${locationAddress}",
-    "description": "3-5 sentences about why this works",
-    "recommendation": "1-2 sentences with personal tip"
-  },
-  "alternatives": [
-    {
-      "name": "Alternative location name",
-      "address": "Address in ${city}",
-      "description": "Why it works",
-      "recommendation": "Personal tip"
-    },
-    {
-      "name": "Alternative location name 2",
-      "address": "Address 2 in ${city}",
-      "description": "Why it works",
-      "recommendation": "Personal tip"
-    }
-  ]
-}`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      });
-
-      let content;
-      try {
-        // Try to parse JSON - handle markdown code blocks if present
-        let responseText = response.choices[0].message.content.trim();
-        // Remove markdown code blocks if present
-        responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        content = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('❌ Error parsing JSON response:', parseError);
-        throw new Error('Failed to parse OpenAI response as JSON');
-      }
+      const { result: content, prompt } = await runPrompt('blockLocation', {
+        locationName, locationAddress, category, timeSlot, purpose, city, concept, interests, audience
+      }, { llm: this.llm });
       
       // Validate that we have required fields
       if (!content.mainLocation) {
@@ -893,7 +797,7 @@ Return JSON (no markdown, no code blocks, just JSON):
       // Ensure we have exactly 2 alternatives (add fallback if needed)
       let alternatives = content.alternatives || [];
       if (alternatives.length < 2) {
-        console.warn(`⚠️ Only ${alternatives.length} alternatives returned, adding fallback`);
+        log.warn(`Only ${alternatives.length} alternatives returned, adding fallback`);
         // Add fallback alternatives if needed
         while (alternatives.length < 2) {
           alternatives.push({
@@ -911,11 +815,11 @@ Return JSON (no markdown, no code blocks, just JSON):
       
       // If no photos in realPlace, try to search Google Places by name and address
       if (mainLocationPhotos.length === 0 && locationName) {
-        console.log(`🔍 Main location has no photos, searching Google Places for: ${locationName} in ${city}`);
+        log.debug(`Main location has no photos, searching Google Places for: ${locationName} in ${city}`);
         const googlePlace = await this.searchGooglePlace(locationName, city);
         if (googlePlace && googlePlace.photos && googlePlace.photos.length > 0) {
           mainLocationPhotos = googlePlace.photos;
-          console.log(`✅ Found ${mainLocationPhotos.length} photos for main location via Google Places search`);
+          log.debug(`Found ${mainLocationPhotos.length} photos for main location via Google Places search`);
         }
       }
       
@@ -924,10 +828,10 @@ Return JSON (no markdown, no code blocks, just JSON):
       if (mainLocationPhotos.length > 0) {
         // Use up to 10 photos from Google Places
         finalMainPhotos = mainLocationPhotos.slice(0, 10);
-        console.log(`✅ Using ${finalMainPhotos.length} photos for main location`);
+        log.debug(`Using ${finalMainPhotos.length} photos for main location`);
       } else {
         // Final fallback to Unsplash only if Google Places search also failed
-        console.warn(`⚠️ No Google Places photos found for main location "${locationName}", using Unsplash fallback`);
+        log.warn(`No Google Places photos found for main location "${locationName}", using Unsplash fallback`);
         const fallbackPhoto = await this.getUnsplashPhoto(`${city} ${locationName}`);
         finalMainPhotos = [fallbackPhoto];
       }
@@ -951,21 +855,21 @@ Return JSON (no markdown, no code blocks, just JSON):
           
           // Strategy 2: If failed or no photos, try with address if available
           if ((!googlePlace || !googlePlace.photos || googlePlace.photos.length === 0) && alt.address) {
-            console.log(`⚠️ First search failed for "${altName}", trying with address: ${alt.address}`);
+            log.debug(`First search failed for "${altName}", trying with address: ${alt.address}`);
             const addressQuery = `${altName} ${alt.address}`;
             googlePlace = await this.searchGooglePlace(addressQuery, city, { strictCityMatch: false });
           }
           
           // Strategy 3: If still failed, try with purpose/category context
           if ((!googlePlace || !googlePlace.photos || googlePlace.photos.length === 0) && purpose) {
-            console.log(`⚠️ Second search failed for "${altName}", trying with purpose: ${purpose}`);
+            log.debug(`Second search failed for "${altName}", trying with purpose: ${purpose}`);
             const purposeQuery = `${altName} ${purpose}`;
             googlePlace = await this.searchGooglePlace(purposeQuery, city, { strictCityMatch: false });
           }
           
           // Strategy 4: Try searching just the name without city (Google Places geolocation)
           if ((!googlePlace || !googlePlace.photos || googlePlace.photos.length === 0)) {
-            console.log(`⚠️ Third search failed for "${altName}", trying name only`);
+            log.debug(`Third search failed for "${altName}", trying name only`);
             googlePlace = await this.searchGooglePlace(altName, city, { strictCityMatch: false });
           }
           
@@ -989,10 +893,10 @@ Return JSON (no markdown, no code blocks, just JSON):
             altRating = googlePlace.rating;
             altPriceLevel = googlePlace.price_level;
             altPlaceId = googlePlace.place_id;
-            console.log(`✅ Using ${altPhotos.length} Google Places photos (gallery) for alternative: ${altName}`);
+            log.debug(`Using ${altPhotos.length} Google Places photos (gallery) for alternative: ${altName}`);
           } else {
             // Final fallback: use Unsplash only if all Google Places searches fail
-            console.warn(`⚠️ All Google Places searches failed for "${altName}", using Unsplash fallback`);
+            log.warn(`All Google Places searches failed for "${altName}", using Unsplash fallback`);
             const fallbackPhoto = await this.getUnsplashPhoto(`${city} ${altName}`);
             altPhotos = [fallbackPhoto];
           }
@@ -1059,10 +963,11 @@ Return JSON (no markdown, no code blocks, just JSON):
           approx_cost: approximateCost,
           place_id: location.realPlace?.place_id || location.realPlace?.googlePlaceId || null // For Google Maps link
         },
-        alternativeLocations: alternativesWithPhotos // Frontend expects 'alternativeLocations', not 'alternatives'
+        alternativeLocations: alternativesWithPhotos, // Frontend expects 'alternativeLocations', not 'alternatives'
+        prompt
       };
       
-      console.log('📍 Generated location block:', {
+      log.debug('Generated location block', {
         mainLocation: result.mainLocation?.title || result.mainLocation?.name,
         mainLocationPhotos: result.mainLocation?.photos?.length || 0,
         mainLocationPhotosArray: result.mainLocation?.photos?.slice(0, 3).map(p => p?.substring(0, 80)) || [],
@@ -1077,7 +982,7 @@ Return JSON (no markdown, no code blocks, just JSON):
       
       return result;
     } catch (error) {
-      console.error('❌ Error generating location block:', error);
+      log.error('Error generating location block', error);
       // Fallback: ensure all required fields are present
       const fallbackPhotos = location.realPlace?.photos || [];
       let finalFallbackPhotos = [];
@@ -1139,34 +1044,8 @@ Return JSON (no markdown, no code blocks, just JSON):
    * @param {Object} params - { context, city, concept, interests, locations }
    */
   async generatePhotoBlock({ context, city, concept, interests, previousLocation = null, usedPhotoUrls = new Set() }) {
-    const prompt = `Write a short caption for a photo taken ${context} in ${city}.
-
-Do not mention locations.
-Do not explain anything.
-
-The caption should feel like a passing thought or observation.
-
-1–2 sentences max.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-
-Return only the caption text, no quotes.`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 50,
-        temperature: 0.7
-      });
-
-      const caption = response.choices[0].message.content.trim();
+      const { result: caption, prompt } = await runPrompt('blockPhotoCaption', { context, city, concept, interests }, { llm: this.llm });
       
       // IMPORTANT: Photo blocks should show viewpoints near the previous location
       // They complement the story by showing scenic views nearby
@@ -1176,7 +1055,7 @@ Return only the caption text, no quotes.`;
       if (previousLocation) {
         const coords = await this.getLocationCoordinates(previousLocation);
         if (coords) {
-          console.log(`🔍 Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
+          log.debug(`Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
           const viewpointPhotos = await this.searchNearbyViewpoints(coords.lat, coords.lng, 5000, 5);
           
           // Filter out already used photos
@@ -1187,14 +1066,14 @@ Return only the caption text, no quotes.`;
             photos = availablePhotos.slice(0, numPhotos);
             // Mark photos as used
             photos.forEach(photo => usedPhotoUrls.add(photo));
-            console.log(`✅ Using ${photos.length} viewpoint photos near previous location for Photo block`);
+            log.debug(`Using ${photos.length} viewpoint photos near previous location for Photo block`);
           }
         }
       }
       
       // Fallback: if no previous location or no viewpoints found, use general city photos
       if (photos.length === 0) {
-        console.log(`⚠️ No viewpoints found near previous location, using general city photos for Photo block`);
+        log.debug(`No viewpoints found near previous location, using general city photos for Photo block`);
         const cityPhotos = await this.searchCityPhotos(city, 5, [`viewpoints ${city}`, `scenic views ${city}`]);
         const availablePhotos = cityPhotos.filter(photoUrl => !usedPhotoUrls.has(photoUrl));
         if (availablePhotos.length > 0) {
@@ -1205,7 +1084,7 @@ Return only the caption text, no quotes.`;
       
       // Final fallback to Unsplash if Google Places search failed
       if (photos.length === 0) {
-        console.log(`⚠️ No Google Places photos found, using Unsplash fallback for Photo block`);
+        log.debug(`No Google Places photos found, using Unsplash fallback for Photo block`);
         const photoQueries = [
           `${city} travel`,
           `${city} cityscape`,
@@ -1223,10 +1102,11 @@ Return only the caption text, no quotes.`;
       const result = {
         photos: photos, // Use photos array
         photo: photos[0] || null, // Keep single photo for backward compatibility
-        caption: caption
+        caption: caption,
+        prompt
       };
       
-      console.log('📸 Generated photo block:', {
+      log.debug('Generated photo block', {
         photosCount: photos.length,
         hasPhotos: photos.length > 0,
         firstPhoto: photos[0] || null,
@@ -1235,7 +1115,7 @@ Return only the caption text, no quotes.`;
       
       return result;
     } catch (error) {
-      console.error('❌ Error generating photo block:', error);
+      log.error('Error generating photo block', error);
       // Fallback: try to get at least one photo from Unsplash
       try {
         const fallbackPhoto = await this.getUnsplashPhoto(city);
@@ -1245,7 +1125,7 @@ Return only the caption text, no quotes.`;
           caption: 'A moment between places.'
         };
       } catch (fallbackError) {
-        console.error('❌ Error getting fallback photo:', fallbackError);
+        log.error('Error getting fallback photo', fallbackError);
         return {
           photos: [], // Empty array if all fails
           photo: null,
@@ -1260,40 +1140,8 @@ Return only the caption text, no quotes.`;
    * @param {Object} params - { context, city, concept, interests, locations }
    */
   async generateSlideBlock({ context, city, concept, interests, previousLocation = null, usedPhotoUrls = new Set() }) {
-    const prompt = `Create a slide with:
-- A short title (max 5 words)
-- A short description (2 sentences)
-
-The slide should express a quiet insight that fits ${context} in ${city}.
-
-No instructions.
-No locations.
-
-It should feel like something the author noticed while slowing down.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-
-Return JSON:
-{
-  "title": "Short title",
-  "text": "2 sentences description"
-}`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 100,
-        temperature: 0.7
-      });
-
-      const content = JSON.parse(response.choices[0].message.content.trim());
+      const { result: content, prompt } = await runPrompt('blockSlide', { context, city, concept, interests }, { llm: this.llm });
       
       // IMPORTANT: Slide blocks should show viewpoints near the previous location
       // They complement the story by showing scenic views nearby
@@ -1303,7 +1151,7 @@ Return JSON:
       if (previousLocation) {
         const coords = await this.getLocationCoordinates(previousLocation);
         if (coords) {
-          console.log(`🔍 Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
+          log.debug(`Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
           const viewpointPhotos = await this.searchNearbyViewpoints(coords.lat, coords.lng, 5000, 5);
           
           // Filter out already used photos
@@ -1314,14 +1162,14 @@ Return JSON:
             photos = availablePhotos.slice(0, numPhotos);
             // Mark photos as used
             photos.forEach(photo => usedPhotoUrls.add(photo));
-            console.log(`✅ Using ${photos.length} viewpoint photos near previous location for Slide block`);
+            log.debug(`Using ${photos.length} viewpoint photos near previous location for Slide block`);
           }
         }
       }
       
       // Fallback: if no previous location or no viewpoints found, use general city photos
       if (photos.length === 0) {
-        console.log(`⚠️ No viewpoints found near previous location, using general city photos for Slide block`);
+        log.debug(`No viewpoints found near previous location, using general city photos for Slide block`);
         const cityPhotos = await this.searchCityPhotos(city, 5, [`viewpoints ${city}`, `scenic views ${city}`]);
         const availablePhotos = cityPhotos.filter(photoUrl => !usedPhotoUrls.has(photoUrl));
         if (availablePhotos.length > 0) {
@@ -1332,7 +1180,7 @@ Return JSON:
       
       // Final fallback to Unsplash if Google Places search failed
       if (photos.length === 0) {
-        console.log(`⚠️ No Google Places photos found, using Unsplash fallback for Slide block`);
+        log.debug(`No Google Places photos found, using Unsplash fallback for Slide block`);
         const photoQueries = [
           `${city} travel`,
           `${city} cityscape`,
@@ -1351,10 +1199,11 @@ Return JSON:
         title: content.title,
         photos: photos, // Use photos array
         photo: photos[0] || null, // Keep single photo for backward compatibility
-        text: content.text
+        text: content.text,
+        prompt
       };
     } catch (error) {
-      console.error('❌ Error generating slide block:', error);
+      log.error('Error generating slide block', error);
       return {
         title: 'A quiet moment',
         photo: null,
@@ -1367,49 +1216,8 @@ Return JSON:
    * Generate 3 COLUMNS block
    */
   async generateThreeColumnsBlock({ context, city, concept, interests, previousLocation = null, usedPhotoUrls = new Set() }) {
-    const prompt = `Create a 3-column block for ${context} in ${city}.
-
-Each column should represent a different possible mood or approach to this part of the day.
-
-For each column:
-- One short sentence
-- No locations
-- No verbs like "visit", "go", "see"
-
-Think of these as alternative states, not actions.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-
-Return JSON:
-{
-  "columns": [
-    {
-      "text": "First alternative state"
-    },
-    {
-      "text": "Second alternative state"
-    },
-    {
-      "text": "Third alternative state"
-    }
-  ]
-}`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
-      });
-
-      const content = JSON.parse(response.choices[0].message.content.trim());
+      const { result: content, prompt } = await runPrompt('blockThreeColumns', { context, city, concept, interests }, { llm: this.llm });
       
       // IMPORTANT: 3columns blocks should show viewpoints near the previous location
       // They complement the story by showing different scenic views nearby
@@ -1419,7 +1227,7 @@ Return JSON:
       if (previousLocation) {
         const coords = await this.getLocationCoordinates(previousLocation);
         if (coords) {
-          console.log(`🔍 Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
+          log.debug(`Searching for viewpoints near previous location (${coords.lat}, ${coords.lng}) within 5km`);
           // Get more viewpoints to ensure we have at least 3 unique ones
           const viewpointPhotos = await this.searchNearbyViewpoints(coords.lat, coords.lng, 5000, 10);
           
@@ -1431,19 +1239,19 @@ Return JSON:
             locationPhotos = availablePhotos.slice(0, 3);
             // Mark photos as used
             locationPhotos.forEach(photo => usedPhotoUrls.add(photo));
-            console.log(`✅ Using ${locationPhotos.length} viewpoint photos near previous location for 3columns block`);
+            log.debug(`Using ${locationPhotos.length} viewpoint photos near previous location for 3columns block`);
           } else if (availablePhotos.length > 0) {
             // If we have some photos but less than 3, use what we have
             locationPhotos = availablePhotos;
             locationPhotos.forEach(photo => usedPhotoUrls.add(photo));
-            console.log(`⚠️ Only ${availablePhotos.length} viewpoint photos found, will use Unsplash for remaining columns`);
+            log.debug(`Only ${availablePhotos.length} viewpoint photos found, will use Unsplash for remaining columns`);
           }
         }
       }
       
       // Fallback: if no previous location or not enough viewpoints, use general city photos
       if (locationPhotos.length < 3) {
-        console.log(`⚠️ Not enough viewpoints found, using general city photos for 3columns block`);
+        log.debug(`Not enough viewpoints found, using general city photos for 3columns block`);
         const cityPhotos = await this.searchCityPhotos(city, 10, [`viewpoints ${city}`, `scenic views ${city}`, `parks ${city}`]);
         const availablePhotos = cityPhotos.filter(photoUrl => !usedPhotoUrls.has(photoUrl));
         const needed = 3 - locationPhotos.length;
@@ -1461,12 +1269,12 @@ Return JSON:
           if (locationPhotos.length > index) {
             // Use different photo for each column (index 0, 1, 2)
             photoUrl = locationPhotos[index];
-            console.log(`📸 Using location/city photo ${index + 1} for 3columns block column ${index + 1}`);
+            log.debug(`Using location/city photo ${index + 1} for 3columns block column ${index + 1}`);
           } else if (locationPhotos.length > 0) {
             // If we have some photos but not enough, cycle through them
             const photoIndex = index % locationPhotos.length;
             photoUrl = locationPhotos[photoIndex];
-            console.log(`⚠️ Using location/city photo ${photoIndex + 1} (reused) for 3columns block column ${index + 1}`);
+            log.debug(`Using location/city photo ${photoIndex + 1} (reused) for 3columns block column ${index + 1}`);
           } else {
             // Final fallback to Unsplash - use different queries for each column
             const photoQueries = [
@@ -1477,7 +1285,7 @@ Return JSON:
               `${city} culture`
             ];
             photoUrl = await this.getUnsplashPhoto(photoQueries[index] || `${city}`);
-            console.log(`⚠️ No location/city photos, using Unsplash for 3columns block column ${index + 1}`);
+            log.debug(`No location/city photos, using Unsplash for 3columns block column ${index + 1}`);
           }
           
           return {
@@ -1488,10 +1296,11 @@ Return JSON:
       );
       
       const result = {
-        columns: columnsWithPhotos
+        columns: columnsWithPhotos,
+        prompt
       };
       
-      console.log('📸 Generated 3columns block:', {
+      log.debug('Generated 3columns block', {
         columnsCount: columnsWithPhotos.length,
         columnsWithPhotos: columnsWithPhotos.map((col, idx) => ({
           index: idx,
@@ -1503,7 +1312,7 @@ Return JSON:
       
       return result;
     } catch (error) {
-      console.error('❌ Error generating 3 columns block:', error);
+      log.error('Error generating 3 columns block', error);
       // Fallback: try to get photos from Unsplash
       try {
         const fallbackPhotos = await Promise.all([
@@ -1519,7 +1328,7 @@ Return JSON:
           ]
         };
       } catch (fallbackError) {
-        console.error('❌ Error getting fallback photos for 3 columns:', fallbackError);
+        log.error('Error getting fallback photos for 3 columns', fallbackError);
         return {
           columns: [
             { photo: null, text: 'One way to be.' },
@@ -1535,41 +1344,15 @@ Return JSON:
    * Generate CLOSING TEXT block
    */
   async generateClosingTextBlock({ city, concept, interests, audience }) {
-    const prompt = `Write a short closing text for the end of the day in ${city}.
-
-Do not summarize the day.
-Do not conclude anything.
-
-The text should feel like the moment after dinner when nothing else needs to happen.
-
-1–2 short paragraphs.
-
-Context:
-- City: ${city}
-- Concept: ${concept}
-- Interests: ${Array.isArray(interests) ? interests.join(', ') : interests}
-- Audience: ${audience}
-
-Return only the text, no markdown, no quotes.`;
-
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: SYSTEM_TONE },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
-      });
-
-      const text = response.choices[0].message.content.trim();
+      const { result: text, prompt } = await runPrompt('blockClosing', { city, concept, interests, audience }, { llm: this.llm });
       return {
         text: text,
-        formatted: false
+        formatted: false,
+        prompt
       };
     } catch (error) {
-      console.error('❌ Error generating closing text:', error);
+      log.error('Error generating closing text', error);
       return {
         text: 'Nothing else needs to happen.',
         formatted: false
@@ -2,6 +2,9 @@
 // Handles saving blocks to tour_content_blocks and creating tour_blocks/tour_items for location blocks
 
 import { supabase } from '../database/db.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('ContentBlocksStorageService');
 
 export class ContentBlocksStorageService {
   /**
@@ -13,11 +16,11 @@ export class ContentBlocksStorageService {
    */
   async saveContentBlocks(tourId, contentBlocks, locations = []) {
     if (!tourId || !contentBlocks || !Array.isArray(contentBlocks)) {
-      console.error('❌ Invalid parameters for saveContentBlocks');
+      log.error('Invalid parameters for saveContentBlocks', { tourId });
       return { success: false, saved: 0, errors: 0 };
     }
 
-    console.log(`💾 Saving ${contentBlocks.length} content blocks for tour ${tourId}...`);
+    log.info('Saving content blocks', { tourId, count: contentBlocks.length });
 
     let saved = 0;
     let errors = 0;
@@ -46,7 +49,7 @@ export class ContentBlocksStorageService {
         .single();
 
       if (createDayError || !newTourDay) {
-        console.error('❌ Error creating tour_day:', createDayError);
+        log.error('Error creating tour_day', { tourId, error: createDayError });
       } else {
         tourDayId = newTourDay.id;
       }
@@ -63,7 +66,7 @@ export class ContentBlocksStorageService {
           // Other blocks can be saved directly
           // Log photo blocks to debug photo issues
           if (block.block_type === 'photo' || block.block_type === '3columns') {
-            console.log(`💾 Saving ${block.block_type} block:`, {
+            log.debug('Saving photo block', {
               blockType: block.block_type,
               hasPhotos: block.block_type === 'photo' ? (block.content?.photos?.length || block.content?.photo) : (block.content?.columns?.some(col => col.photo)),
               photosCount: block.block_type === 'photo' ? (block.content?.photos?.length || 0) : (block.content?.columns?.filter(col => col.photo).length || 0),
@@ -81,22 +84,22 @@ export class ContentBlocksStorageService {
             });
 
           if (error) {
-            console.error(`❌ Error saving ${block.block_type} block:`, error);
+            log.error('Error saving block', { blockType: block.block_type, error });
             errors++;
           } else {
             saved++;
             if (block.block_type === 'photo' || block.block_type === '3columns') {
-              console.log(`✅ ${block.block_type} block saved successfully`);
+              log.debug('Photo block saved', { blockType: block.block_type });
             }
           }
         }
       } catch (error) {
-        console.error(`❌ Error processing block ${block.block_type}:`, error);
+        log.error('Error processing block', { blockType: block.block_type, error });
         errors++;
       }
     }
 
-    console.log(`✅ Saved ${saved} blocks, ${errors} errors`);
+    log.info('Content blocks saved', { tourId, saved, errors });
     return { success: errors === 0, saved, errors };
   }
 
@@ -109,13 +112,13 @@ export class ContentBlocksStorageService {
    */
   async saveLocationBlock(tourId, tourDayId, block, locations) {
     if (!tourDayId) {
-      console.error('❌ tourDayId is required for location blocks');
+      log.error('tourDayId is required for location blocks', { tourId });
       return;
     }
 
     const mainLocation = block.content?.mainLocation;
     if (!mainLocation) {
-      console.error('❌ Location block missing mainLocation');
+      log.error('Location block missing mainLocation', { tourId });
       return;
     }
 
@@ -126,7 +129,7 @@ export class ContentBlocksStorageService {
     });
 
     if (!originalLocation) {
-      console.warn(`⚠️ Original location not found for ${mainLocation.name}`);
+      log.warn('Original location not found', { name: mainLocation.name });
       return;
     }
 
@@ -149,7 +152,7 @@ export class ContentBlocksStorageService {
       .single();
 
     if (blockError || !tourBlock) {
-      console.error('❌ Error creating tour_block:', blockError);
+      log.error('Error creating tour_block', blockError);
       return;
     }
 
@@ -178,7 +181,7 @@ export class ContentBlocksStorageService {
       .single();
 
     if (itemError || !tourItem) {
-      console.error('❌ Error creating tour_item:', itemError);
+      log.error('Error creating tour_item', itemError);
     } else {
       tourItemIds.push(tourItem.id);
     }
@@ -199,7 +202,7 @@ export class ContentBlocksStorageService {
       alternativeLocations: preservedAlternativeLocations
     };
     
-    console.log('💾 Saving location block with alternativeLocations:', {
+    log.debug('Saving location block', {
       mainLocation: updatedContent.mainLocation?.title || updatedContent.mainLocation?.name,
       mainLocationPhotos: updatedContent.mainLocation?.photos?.length || 0,
       alternativeLocationsCount: preservedAlternativeLocations.length,
@@ -221,9 +224,9 @@ export class ContentBlocksStorageService {
       });
 
     if (contentBlockError) {
-      console.error('❌ Error saving location content block:', contentBlockError);
+      log.error('Error saving location content block', contentBlockError);
     } else {
-      console.log('✅ Location block saved successfully with', preservedAlternativeLocations.length, 'alternative locations');
+      log.debug('Location block saved', { alternativeLocationsCount: preservedAlternativeLocations.length });
     }
   }
 }
@@ -7,6 +7,29 @@ import { ContentBlocksGenerationService } from './ContentBlocksGenerationService
 import { ItineraryStorageService } from './ItineraryStorageService.js';
 import { ItineraryStateService } from './ItineraryStateService.js';
 import { BudgetService } from './BudgetService.js';
+import crypto from 'crypto';
+import { createLogger, runWithLogContext } from '../lib/logger.js';
+
+const log = createLogger('ItineraryPipeline');
+
+// Each day costs ~20 OpenAI / Google calls, so longer ranges are cut to this many days
+export const MAX_TRIP_DAYS = 7;
+
+/**
+ * Dates (YYYY-MM-DD) of a trip from dateFrom to dateTo inclusive
+ * A missing, invalid or earlier dateTo gives a one-day trip
+ */
+export function listTripDates(dateFrom, dateTo, maxDays = MAX_TRIP_DAYS) {
+  const start = new Date(`${dateFrom}T00:00:00Z`);
+  if (Number.isNaN(start.getTime())) return [dateFrom];
+
+  const end = dateTo ? new Date(`${dateTo}T00:00:00Z`) : start;
+  const dates = [];
+  for (let day = start; day <= end && dates.length < maxDays; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    dates.push(day.toISOString().slice(0, 10));
+  }
+  return dates.length > 0 ? dates : [dateFrom];
+}
 
 export class ItineraryPipeline {
   constructor() {
@@ -21,9 +44,27 @@ export class ItineraryPipeline {
   /**
    * Main pipeline: Generate itinerary from start to finish
    * @param {Object} params - All input parameters
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (event, data) for every step and finished block:
+   *   'step' { step, status: 'started' | 'done', day? }, 'block' { day, block }, 'day' { day, date, concept, totalCost }
    * @returns {Object} Complete itinerary
    */
-  async generateItinerary(params) {
+  async generateItinerary(params, { onProgress = null } = {}) {
+    // A failing listener (e.g. closed connection) must not break the generation
+    const progress = (event, data) => {
+      if (!onProgress) return;
+      try {
+        onProgress(event, data);
+      } catch (error) {
+        log.warn('Progress listener failed', { event, error });
+      }
+    };
+
+    // Every log line of this run (services included) carries the generation ID
+    return runWithLogContext({ generationId: crypto.randomUUID() }, () => this.runGeneration(params, progress));
+  }
+
+  async runGeneration(params, progress = () => {}) {
     const {
       city,
       audience,
@@ -36,97 +77,219 @@ export class ItineraryPipeline {
       previewOnly = false
     } = params;
 
-    console.log('🚀 ItineraryPipeline: Starting generation', { city, audience, previewOnly });
+    const tripDates = listTripDates(date_from || date, date_to);
+    if (date_to && tripDates[tripDates.length - 1] !== date_to) {
+      log.warn('Date range shortened', { date_from: tripDates[0], date_to, days: tripDates.length });
+    }
+
+    log.info('Starting generation', { city, audience, previewOnly, days: tripDates.length });
 
     try {
-      // STEP 1: Generate day concept (time slots)
-      // Use interest names (interests) not IDs for concept generation
-      const dayConcept = await this.contentService.generateDayConcept({
-        city,
-        audience,
-        interests: interests || [],
-        date: date_from || date,
-        budget
-      });
+      // Places and photos already in the plan - shared by all days so none repeats
+      const used = {
+        locationNames: new Set(),
+        placeIds: new Set(),
+        photoUrls: new Set()
+      };
 
-      // STEP 2: Find locations (DB first, then Google Places)
-      // Use interest IDs for location filtering
-      const locations = await this.locationService.findLocations({
-        timeSlots: dayConcept.timeSlots,
-        city,
-        interestIds: interest_ids || []
-      });
+      // Blocks are streamed with the order_index they get in the final contentBlocks
+      let streamedBlocks = 0;
+      const onBlock = (day, block) => progress('block', { day, block: { ...block, day, order_index: streamedBlocks++ } });
 
-      // STEP 3: Generate content blocks (NEW: using ContentBlocksGenerationService)
-      // This generates all 17 blocks in the correct sequence
-      const contentBlocks = await this.blocksService.generateFullDayBlocks({
-        city,
-        audience,
-        interests: interests || [],
-        concept: dayConcept.concept,
-        locations,
-        dayConcept
-      });
+      // STEPS 1-6 for every day, one after another: each day's concept depends on the previous ones
+      const days = [];
+      for (const [index, dayDate] of tripDates.entries()) {
+        days.push(await this.generateDay({
+          city,
+          audience,
+          interests: interests || [],
+          interestIds: interest_ids || [],
+          date: dayDate,
+          dayNumber: index + 1,
+          totalDays: tripDates.length,
+          budget,
+          previousDays: days,
+          used,
+          progress,
+          onBlock
+        }));
+        const day = days[days.length - 1];
+        progress('day', { day: day.day, date: day.date, concept: day.concept, totalCost: day.totalCost });
+      }
+      const [firstDay] = days;
+      const lastDay = days[days.length - 1];
 
-      // STEP 4: Generate meta info (title, subtitle, weather)
+      // STEP 7: Generate meta info (title, subtitle, weather) for the whole trip
       // Use interest names for meta info generation
+      progress('step', { step: 'meta', status: 'started' });
       const metaInfo = await this.contentService.generateMetaInfo({
         city,
         audience,
         interests: interests || [],
-        date: date_from || date,
-        concept: dayConcept.concept
+        date: firstDay.date,
+        dateTo: days.length > 1 ? lastDay.date : null,
+        concept: days.map(day => day.concept).join(' / ')
       });
+      firstDay.weather = metaInfo.weather;
+      progress('step', { step: 'meta', status: 'done', title: metaInfo.title });
 
-      // STEP 5: Extract activities from location blocks for budget calculation
-      // (Location blocks contain the main location + alternatives)
-      const activities = this.extractActivitiesFromBlocks(contentBlocks, locations);
+      // STEP 8: Build final itinerary
+      // days[] holds the plan per day; contentBlocks / activities are all days in order
+      // (each block and activity has its day), so one-day clients keep working
+      const contentBlocks = days.flatMap(day => day.contentBlocks.map(block => ({ ...block, day: day.day })))
+        .map((block, orderIndex) => ({ ...block, order_index: orderIndex }));
+      const activities = days.flatMap(day => day.activities.map(activity => ({ ...activity, day: day.day, date: day.date })));
 
-      // STEP 6: Adjust budget
-      const adjustedActivities = this.budgetService.adjustToBudget(activities, budget);
-
-      // STEP 7: Build final itinerary with content blocks
       const itinerary = {
         title: metaInfo.title,
         subtitle: metaInfo.subtitle,
         city,
-        date: date_from || date,
+        date: firstDay.date,
+        date_from: firstDay.date,
+        date_to: lastDay.date,
+        daysCount: days.length,
         budget,
         conceptual_plan: {
-          concept: dayConcept.concept,
+          concept: firstDay.concept,
           architecture: "content_blocks", // New architecture
-          timeSlots: dayConcept.timeSlots
+          timeSlots: firstDay.timeSlots,
+          days: days.map(day => ({ day: day.day, date: day.date, concept: day.concept }))
         },
         weather: metaInfo.weather,
+        days,
         contentBlocks: contentBlocks, // NEW: content blocks instead of activities
-        activities: adjustedActivities, // Keep for backward compatibility and budget calculation
-        totalCost: this.budgetService.calculateTotal(adjustedActivities),
-        withinBudget: this.budgetService.isWithinBudget(adjustedActivities, budget),
+        activities: activities, // Keep for backward compatibility and budget calculation
+        totalCost: this.budgetService.calculateTotal(activities),
+        withinBudget: days.every(day => day.withinBudget),
         previewOnly: previewOnly
       };
 
-      // STEP 8: Save to storage if needed
+      // STEP 9: Save to storage if needed
       if (previewOnly) {
+        progress('step', { step: 'save', status: 'started' });
         try {
           const saved = await this.storageService.savePreview(itinerary);
           if (saved && saved.success && saved.itineraryId) {
             itinerary.itineraryId = saved.itineraryId;
           }
         } catch (saveError) {
-          console.error('❌ Error saving preview:', saveError);
+          log.error('Error saving preview', saveError);
           // Continue without saving - itinerary will still be returned
         }
+        progress('step', { step: 'save', status: 'done', itineraryId: itinerary.itineraryId || null });
       }
 
-      console.log('✅ ItineraryPipeline: Generation complete');
+      log.info('Generation complete', { itineraryId: itinerary.itineraryId, days: days.length, blocks: contentBlocks.length });
       return itinerary;
 
     } catch (error) {
-      console.error('❌ ItineraryPipeline: Error', error);
+      log.error('Generation failed', error);
       throw error;
     }
   }
 
+  /**
+   * Plan one day of the trip: concept, locations, content blocks and budget
+   * @param {Object} params - { city, audience, interests, interestIds, date, dayNumber, totalDays,
+   *   budget, previousDays, used, progress, onBlock } where used holds the places / photos of the days before
+   * @returns {Object} { day, date, concept, timeSlots, weather, walking, contentBlocks, activities, totalCost, withinBudget }
+   */
+  async generateDay({
+    city,
+    audience,
+    interests,
+    interestIds,
+    date,
+    dayNumber,
+    totalDays,
+    budget,
+    previousDays,
+    used,
+    progress = () => {},
+    onBlock = null
+  }) {
+    log.info('Generating day', { dayNumber, totalDays, date });
+
+    // STEP 1: Generate day concept (time slots)
+    // Use interest names (interests) not IDs for concept generation
+    progress('step', { step: 'concept', status: 'started', day: dayNumber });
+    const dayConcept = await this.contentService.generateDayConcept({
+      city,
+      audience,
+      interests,
+      date,
+      budget,
+      dayNumber,
+      totalDays,
+      previousDays: previousDays.map(day => ({
+        concept: day.concept,
+        places: day.activities.map(activity => activity.name)
+      }))
+    });
+
+    progress('step', { step: 'concept', status: 'done', day: dayNumber, concept: dayConcept.concept });
+
+    // STEP 2: Find locations (DB first, then Google Places)
+    // Use interest IDs for location filtering; skip places of the previous days
+    progress('step', { step: 'locations', status: 'started', day: dayNumber });
+    const locations = await this.locationService.findLocations({
+      timeSlots: dayConcept.timeSlots,
+      city,
+      interestIds,
+      date,
+      exclude: { names: used.locationNames, placeIds: used.placeIds }
+    });
+
+    progress('step', { step: 'locations', status: 'done', day: dayNumber, count: locations.length });
+
+    // STEP 3: Generate content blocks (NEW: using ContentBlocksGenerationService)
+    // This generates all 17 blocks in the correct sequence
+    progress('step', { step: 'blocks', status: 'started', day: dayNumber });
+    const contentBlocks = await this.blocksService.generateFullDayBlocks({
+      city,
+      audience,
+      interests,
+      concept: dayConcept.concept,
+      locations,
+      dayConcept,
+      usedLocationNames: used.locationNames,
+      usedPlaceIds: used.placeIds,
+      usedPhotoUrls: used.photoUrls,
+      date,
+      onBlock: onBlock && ((block) => onBlock(dayNumber, block))
+    });
+    progress('step', { step: 'blocks', status: 'done', day: dayNumber, count: contentBlocks.length });
+
+    // STEP 4: Weather of the first day comes with the trip meta info
+    const weather = dayNumber > 1 ? await this.contentService.generateWeather({ city, date }) : null;
+
+    // STEP 5: Extract activities from location blocks for budget calculation
+    // (Location blocks contain the main location + alternatives)
+    const activities = this.extractActivitiesFromBlocks(contentBlocks, locations);
+
+    // STEP 6: Adjust budget (budget is per day)
+    const adjustedActivities = this.budgetService.adjustToBudget(activities, budget);
+
+    // Travel between the location blocks (ordered by RouteService)
+    const legs = contentBlocks.map(block => block.content?.legFromPrevious).filter(Boolean);
+
+    return {
+      day: dayNumber,
+      date,
+      concept: dayConcept.concept,
+      timeSlots: dayConcept.timeSlots,
+      weather,
+      walking: {
+        distance_m: legs.reduce((sum, leg) => sum + leg.distance_m, 0),
+        walking_minutes: legs.reduce((sum, leg) => sum + leg.walking_minutes, 0)
+      },
+      contentBlocks,
+      activities: adjustedActivities,
+      totalCost: this.budgetService.calculateTotal(adjustedActivities),
+      withinBudget: this.budgetService.isWithinBudget(adjustedActivities, budget)
+    };
+  }
+
   /**
    * Extract activities from location blocks for budget calculation
    * @param {Array} contentBlocks - Array of content blocks
@@ -4,6 +4,9 @@
 import { Redis } from '@upstash/redis';
 import { v4 as uuidv4 } from 'uuid';
 import { ContentBlocksStorageService } from './ContentBlocksStorageService.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('ItineraryStorageService');
 
 export class ItineraryStorageService {
   constructor() {
@@ -17,7 +20,7 @@ export class ItineraryStorageService {
     const token = process.env.FTSTORAGE_KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
     
     if (!url || !token) {
-      console.warn('⚠️ Redis credentials not found, using in-memory fallback');
+      log.warn('Redis credentials not found, using in-memory fallback');
       this.memoryStore = new Map();
       return null;
     }
@@ -30,7 +33,7 @@ export class ItineraryStorageService {
    * If itinerary has contentBlocks and tourId, also saves to database
    */
   async savePreview(itinerary) {
-    console.log('💾 ItineraryStorageService: Saving preview...');
+    log.info('Saving preview');
     
     const itineraryId = uuidv4();
     const dataToSave = {
@@ -52,7 +55,7 @@ export class ItineraryStorageService {
       // If itinerary has contentBlocks and tourId, save to database
       if (itinerary.contentBlocks && Array.isArray(itinerary.contentBlocks) && itinerary.tourId) {
         try {
-          console.log('💾 Saving content blocks to database for tour:', itinerary.tourId);
+          log.info('Saving content blocks to database', { tourId: itinerary.tourId });
           const locations = itinerary.activities || [];
           const saveResult = await this.blocksStorage.saveContentBlocks(
             itinerary.tourId,
@@ -61,20 +64,20 @@ export class ItineraryStorageService {
           );
           
           if (saveResult.success) {
-            console.log(`✅ Saved ${saveResult.saved} content blocks to database`);
+            log.info('Saved content blocks to database', { saved: saveResult.saved });
           } else {
-            console.warn(`⚠️ Some blocks failed to save: ${saveResult.errors} errors`);
+            log.warn('Some blocks failed to save', { errors: saveResult.errors });
           }
         } catch (dbError) {
-          console.error('❌ Error saving content blocks to database:', dbError);
+          log.error('Error saving content blocks to database', dbError);
           // Don't fail the whole operation if DB save fails
         }
       }
       
-      console.log('✅ Preview saved with ID:', itineraryId);
+      log.info('Preview saved', { itineraryId });
       return { success: true, itineraryId };
     } catch (error) {
-      console.error('❌ Error saving preview:', error);
+      log.error('Error saving preview', error);
       throw error;
     }
   }
@@ -83,7 +86,7 @@ export class ItineraryStorageService {
    * Save full itinerary (after payment)
    */
   async saveFull(itinerary, existingId) {
-    console.log('💾 ItineraryStorageService: Saving full itinerary...', existingId);
+    log.info('Saving full itinerary', { existingId });
     
     const itineraryId = existingId || uuidv4();
     const dataToSave = {
@@ -101,10 +104,10 @@ export class ItineraryStorageService {
         throw new Error('No storage available');
       }
       
-      console.log('✅ Full itinerary saved with ID:', itineraryId);
+      log.info('Full itinerary saved', { itineraryId });
       return { success: true, itineraryId };
     } catch (error) {
-      console.error('❌ Error saving full itinerary:', error);
+      log.error('Error saving full itinerary', error);
       throw error;
     }
   }
@@ -113,7 +116,7 @@ export class ItineraryStorageService {
    * Load itinerary by ID
    */
   async load(itineraryId, isFullPlan = false) {
-    console.log('📥 ItineraryStorageService: Loading itinerary...', { itineraryId, isFullPlan });
+    log.info('Loading itinerary', { itineraryId, isFullPlan });
 
     try {
       let data;
@@ -138,7 +141,7 @@ export class ItineraryStorageService {
 
       return { success: true, itinerary: data };
     } catch (error) {
-      console.error('❌ Error loading itinerary:', error);
+      log.error('Error loading itinerary', error);
       return { success: false, error: error.message };
     }
   }
@@ -147,7 +150,7 @@ export class ItineraryStorageService {
    * Unlock full itinerary after payment
    */
   async unlock(itineraryId) {
-    console.log('🔓 ItineraryStorageService: Unlocking itinerary...', itineraryId);
+    log.info('Unlocking itinerary', { itineraryId });
 
     try {
       let data;
@@ -178,7 +181,7 @@ export class ItineraryStorageService {
 
       return { success: true, itinerary: data };
     } catch (error) {
-      console.error('❌ Error unlocking itinerary:', error);
+      log.error('Error unlocking itinerary', error);
       return { success: false, error: error.message };
     }
   }
@@ -4,6 +4,11 @@
 import { searchLocationsForItinerary } from '../database/services/locationsService.js';
 import { getOrCreateCity } from '../database/services/citiesService.js';
 import { Client } from '@googlemaps/google-maps-services-js';
+import { createLogger } from '../lib/logger.js';
+import { isOpenAt } from '../lib/openingHours.js';
+import { searchPlacesText } from '../lib/places.js';
+
+const log = createLogger('LocationService');
 
 export class LocationService {
   constructor() {
@@ -12,22 +17,34 @@ export class LocationService {
 
   /**
    * Find locations for time slots
-   * Strategy: DB first, then Google Places as fallback
+   * Strategy: DB first, then Google Places as fallback. With `date` (YYYY-MM-DD), places
+   * known to be closed at the slot time are used only when nothing open was found
+   * (the location block then carries a warning)
+   * @param {Object} exclude - { names, placeIds } already used (e.g. on previous days of the trip);
+   *   names are lowercase. The sets are not modified
    */
-  async findLocations({ timeSlots, city, interestIds = [] }) {
-    console.log('📍 LocationService: Finding locations', { 
+  async findLocations({ timeSlots, city, interestIds = [], exclude = {}, date = null }) {
+    log.info('Finding locations', {
       city, 
       timeSlotsCount: timeSlots.length,
-      interestIdsCount: interestIds.length 
+      interestIdsCount: interestIds.length,
+      date,
+      excludedCount: exclude.names?.size || 0
     });
 
+    // Places taken by earlier slots of this day are skipped too
+    const used = {
+      names: new Set(exclude.names || []),
+      placeIds: new Set(exclude.placeIds || [])
+    };
+
     // Get city_id from city name
     let cityId = null;
     try {
       cityId = await getOrCreateCity(city, null);
-      console.log(`🏙️ City ID for ${city}: ${cityId}`);
+      log.debug('Resolved city ID', { city, cityId });
     } catch (error) {
-      console.error('Error getting city ID:', error);
+      log.error('Error getting city ID', { city, error });
     }
 
     const locations = [];
@@ -41,21 +58,38 @@ export class LocationService {
           foundLocation = await this.searchInDatabase({
             cityId,
             slot,
-            interestIds
+            interestIds,
+            used,
+            date
           });
         }
 
+        // A place closed at the slot time is the last resort: try Google Places first
+        let closedLocation = null;
+        if (foundLocation && this.isClosedAt(foundLocation, date, slot.time)) {
+          closedLocation = foundLocation;
+          foundLocation = null;
+        }
+
         // STEP 2: If not found in DB, use Google Places as fallback
         if (!foundLocation) {
           foundLocation = await this.searchInGooglePlaces({
             slot,
-            city
+            city,
+            used
           });
         }
 
+        if (!foundLocation && closedLocation) {
+          log.warn('No open place found, using a closed one', { activity: slot.activity, time: slot.time, date, name: closedLocation.name });
+          foundLocation = closedLocation;
+        }
+
         // STEP 3: If still not found, use fallback
         if (!foundLocation) {
           foundLocation = this.createFallbackLocation(slot, city);
+        } else {
+          this.markPlaceUsed(foundLocation, used);
         }
 
         locations.push({
@@ -64,7 +98,7 @@ export class LocationService {
         });
 
       } catch (error) {
-        console.error(`❌ Error finding location for ${slot.activity}:`, error.message);
+        log.error('Error finding location', { activity: slot.activity, error });
         locations.push({
           ...slot,
           realPlace: this.createFallbackLocation(slot, city)
@@ -72,19 +106,40 @@ export class LocationService {
       }
     }
 
-    console.log(`✅ LocationService: Found ${locations.length} locations`);
+    log.info('Found locations', { count: locations.length });
     return locations;
   }
 
+  isPlaceUsed(place, used) {
+    if (!used) return false;
+    const name = (place?.name || '').toLowerCase();
+    const placeId = place?.googlePlaceId || place?.google_place_id || place?.place_id;
+    return (name && used.names.has(name)) || (placeId && used.placeIds.has(placeId)) || false;
+  }
+
+  /**
+   * Whether the place is known to be closed at `time` on `date` (unknown hours = open)
+   */
+  isClosedAt(place, date, time) {
+    return Boolean(date) && isOpenAt(place?.openingHours, date, time) === false;
+  }
+
+  markPlaceUsed(place, used) {
+    if (place?.name) used.names.add(place.name.toLowerCase());
+    if (place?.googlePlaceId) used.placeIds.add(place.googlePlaceId);
+  }
+
   /**
    * Search in database with interestIds filter
+   * Places open at the slot time on `date` come first; a closed one is returned only
+   * when no other unused place matched
    */
-  async searchInDatabase({ cityId, slot, interestIds }) {
+  async searchInDatabase({ cityId, slot, interestIds, used = null, date = null }) {
     try {
       const categories = slot.category ? [slot.category] : [];
       const tags = slot.keywords || [];
 
-      console.log(`🔍 Searching DB: cityId=${cityId}, category=${slot.category}, interestIds=[${interestIds.join(',')}]`);
+      log.debug('Searching DB', { cityId, category: slot.category, interestIds });
 
       // Try with category and interest filter
       let dbResult = await searchLocationsForItinerary(
@@ -98,20 +153,24 @@ export class LocationService {
       // If no results, try without category but keep interest filter
       if (!dbResult.success || !dbResult.locations || dbResult.locations.length === 0) {
         if (interestIds.length > 0) {
-          console.log(`⚠️ No results with category, trying without category but keeping interest filter...`);
+          log.debug('No results with category, retrying with interest filter only');
           dbResult = await searchLocationsForItinerary(cityId, [], tags, interestIds, 10);
         }
       }
 
       // Last resort: try without interest filter
       if ((!dbResult.success || !dbResult.locations || dbResult.locations.length === 0) && interestIds.length > 0) {
-        console.log(`⚠️ No results with interest filter, trying without...`);
+        log.debug('No results with interest filter, retrying without it');
         dbResult = await searchLocationsForItinerary(cityId, categories, tags, [], 10);
       }
 
-      if (dbResult.success && dbResult.locations && dbResult.locations.length > 0) {
-        const dbLocation = dbResult.locations[0];
-        console.log(`✅ Found in DB: ${dbLocation.name}`);
+      const candidates = dbResult.success
+        ? (dbResult.locations || []).filter(location => !this.isPlaceUsed(location, used))
+        : [];
+      const dbLocation = candidates.find(location => !this.isClosedAt({ openingHours: location.opening_hours }, date, slot.time))
+        || candidates[0];
+      if (dbLocation) {
+        log.debug('Found in DB', { name: dbLocation.name });
         return {
           name: dbLocation.name,
           address: dbLocation.address,
@@ -127,11 +186,12 @@ export class LocationService {
           locationId: dbLocation.id,
           description: dbLocation.description,
           recommendations: dbLocation.recommendations,
-          category: dbLocation.category
+          category: dbLocation.category,
+          openingHours: dbLocation.opening_hours || null
         };
       }
     } catch (error) {
-      console.error('❌ DB search error:', error);
+      log.error('DB search error', error);
     }
     return null;
   }
@@ -139,22 +199,18 @@ export class LocationService {
   /**
    * Search in Google Places as fallback
    */
-  async searchInGooglePlaces({ slot, city }) {
+  async searchInGooglePlaces({ slot, city, used = null }) {
     try {
       const searchQuery = `${slot.keywords.join(' ')} ${slot.category} in ${city}`;
-      console.log(`🔍 Searching Google Places: ${searchQuery}`);
+      log.debug('Searching Google Places', { searchQuery });
 
-      const response = await this.googleMapsClient.textSearch({
-        params: {
-          query: searchQuery,
-          key: process.env.GOOGLE_MAPS_KEY,
-          language: 'en'
-        }
-      });
+      const results = await searchPlacesText(this.googleMapsClient, { query: searchQuery, city });
 
-      if (response.data.results.length > 0) {
-        const place = response.data.results[0];
-        console.log(`✅ Found in Google Places: ${place.name}`);
+      const place = results.find(result =>
+        !this.isPlaceUsed(result, used) && result.business_status !== 'CLOSED_PERMANENTLY'
+      );
+      if (place) {
+        log.debug('Found in Google Places', { name: place.name });
         return {
           name: place.name,
           address: place.formatted_address,
@@ -165,6 +221,7 @@ export class LocationService {
           bookingUrl: place.booking_url || null,
           source: 'google',
           googlePlaceId: place.place_id || null,
+          geometry: place.geometry || null, // Coordinates for the walking route
           photos: place.photos ? place.photos.slice(0, 3).map(photo =>
             `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photo.photo_reference}&key=${process.env.GOOGLE_MAPS_KEY}`
           ) : [],
@@ -172,7 +229,7 @@ export class LocationService {
         };
       }
     } catch (error) {
-      console.error('❌ Google Places search error:', error);
+      log.error('Google Places search error', error);
     }
     return null;
   }
@@ -0,0 +1,129 @@
+// RouteService - Orders the locations of one day into a short walking route
+// Pure calculations: coordinates are resolved by the caller (ContentBlocksGenerationService);
+// distances are straight-line estimates (lib/routing.js), the legs shown to travelers use
+// the routing provider
+
+import { createLogger } from '../lib/logger.js';
+import { isOpenAt } from '../lib/openingHours.js';
+import { estimateWalk, haversineMeters } from '../lib/routing.js';
+
+const log = createLogger('RouteService');
+
+// Location stops of a generated day, in visiting order. from/to is the window (minutes
+// after midnight) the concept's planned time must fall in - the same windows the time
+// prefixes ("09:", "10:00"...) used to select
+export const DAY_STOPS = [
+  { key: 'breakfast', timeSlot: '09:00-10:00', purpose: 'Breakfast / Coffee + Gentle Start', from: 9 * 60, to: 10 * 60, meal: true },
+  { key: 'morning', timeSlot: '10:30-12:00', purpose: 'Walking / Exploring After Breakfast', from: 10 * 60, to: 12 * 60, meal: false },
+  { key: 'lunch', timeSlot: '12:30-15:00', purpose: 'Lunch / Long Break', from: 12 * 60, to: 15 * 60, meal: true },
+  { key: 'afternoon', timeSlot: '15:30-17:00', purpose: 'Light Activity After Lunch', from: 15 * 60, to: 17 * 60, meal: false },
+  { key: 'preDinner', timeSlot: '17:30-19:00', purpose: 'Pre-Dinner Walk / Views / Transition', from: 17 * 60, to: 19 * 60, meal: false },
+  { key: 'dinner', timeSlot: '19:30-21:00', purpose: 'Dinner', from: 19 * 60, to: 21 * 60, meal: true }
+];
+
+// Meals stay in their window; other activities may move this much to shorten the route
+export const ACTIVITY_FLEX_MINUTES = 90;
+// Assumed straight-line leg when a location has no coordinates
+const UNKNOWN_LEG_METERS = 1500;
+
+const MEAL_CATEGORY = /restaurant|cafe|café|coffee|bakery|food|breakfast|brunch|lunch|dinner|meal/i;
+
+export class RouteService {
+  /**
+   * Minutes after midnight of a location's planned time ("13:30"), or null
+   */
+  plannedMinutes(location) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(location?.time || location?.slot?.time || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  isMealPlace(location) {
+    const category = location?.category || location?.slot?.category || location?.realPlace?.category || '';
+    return MEAL_CATEGORY.test(category);
+  }
+
+  /**
+   * Locations that may fill a stop: meals only within the stop's window, other places
+   * within the window widened by ACTIVITY_FLEX_MINUTES (meal places never fill them).
+   * With `date`, a place is not moved to a stop when it is closed then but open at its planned time.
+   * Ordered by how far the planned time is from the window, so ties keep the plan
+   */
+  candidatesFor(stop, locations, date = null) {
+    const flex = stop.meal ? 0 : ACTIVITY_FLEX_MINUTES;
+    const offset = (minutes) => Math.max(0, stop.from - minutes, minutes - stop.to);
+
+    return locations
+      .filter(location => {
+        const minutes = this.plannedMinutes(location);
+        if (minutes === null || offset(minutes) > flex) return false;
+        if (date && this.closedAtStop(location, stop, date)) return false;
+        return stop.meal || !this.isMealPlace(location);
+      })
+      .sort((a, b) => offset(this.plannedMinutes(a)) - offset(this.plannedMinutes(b)));
+  }
+
+  closedAtStop(location, stop, date) {
+    const hours = location?.realPlace?.openingHours;
+    return isOpenAt(hours, date, stop.timeSlot.slice(0, 5)) === false
+      && isOpenAt(hours, date, location.time || location.slot?.time) !== false;
+  }
+
+  /**
+   * Assign locations to DAY_STOPS: as many stops as possible, then the shortest total walk.
+   * Each location is used once; locations need `coordinates` ({ lat, lng } or null)
+   * @param {Array} locations - Locations of the day (LocationService.findLocations + coordinates)
+   * @param {Object} [options] - { date } of the day (YYYY-MM-DD) to respect opening hours
+   * @returns {{stops: Array, distance_m: number, walking_minutes: number}} stops are DAY_STOPS
+   *   entries with `location` (or null)
+   */
+  planDay(locations, { date = null } = {}) {
+    const candidates = DAY_STOPS.map(stop => this.candidatesFor(stop, locations, date));
+    const legMeters = (from, to) => haversineMeters(from.coordinates, to.coordinates) ?? UNKNOWN_LEG_METERS;
+
+    // Depth-first over stops with pruning: a handful of stops and ~10 locations per day
+    let best = { filled: -1, meters: Infinity, picks: [] };
+    const picks = [];
+    const used = new Set();
+
+    const visit = (index, filled, meters, previous) => {
+      const reachable = filled + DAY_STOPS.length - index;
+      if (reachable < best.filled || (reachable === best.filled && meters >= best.meters)) return;
+      if (index === DAY_STOPS.length) {
+        best = { filled, meters, picks: [...picks] };
+        return;
+      }
+
+      for (const location of candidates[index]) {
+        if (used.has(location)) continue;
+        used.add(location);
+        picks.push(location);
+        visit(index + 1, filled + 1, meters + (previous ? legMeters(previous, location) : 0), location);
+        picks.pop();
+        used.delete(location);
+      }
+
+      // Leave the stop empty
+      picks.push(null);
+      visit(index + 1, filled, meters, previous);
+      picks.pop();
+    };
+    visit(0, 0, 0, null);
+
+    let previous = null;
+    let distance = 0;
+    let minutes = 0;
+    const stops = DAY_STOPS.map((stop, index) => {
+      const location = best.picks[index] || null;
+      if (location) {
+        const leg = previous ? estimateWalk(previous.coordinates, location.coordinates) : null;
+        distance += leg?.distance_m || 0;
+        minutes += leg?.walking_minutes || 0;
+        previous = location;
+      }
+      return { ...stop, location };
+    });
+
+    log.debug('Planned day route', { stops: best.filled, distance_m: distance });
+    return { stops, distance_m: distance, walking_minutes: minutes };
+  }
+}
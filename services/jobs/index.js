@@ -0,0 +1,63 @@
+/**
+ * Registry of background job definitions (see lib/jobs.js) and the shared
+ * "start a job" request handling used by the batch endpoints and api/admin-jobs.js
+ */
+
+import { enqueueJob, runJob, formatJob, JobError } from '../../lib/jobs.js';
+import { createLogger } from '../../lib/logger.js';
+import enrichTours from './enrichTours.js';
+import migrateAllPhotos from './migrateAllPhotos.js';
+import purgeAccountData from './purgeAccountData.js';
+import recalculateToursDuration from './recalculateToursDuration.js';
+import refreshTourPhotos from './refreshTourPhotos.js';
+import syncLocationsFromContentBlocks from './syncLocationsFromContentBlocks.js';
+import updateAllTours from './updateAllTours.js';
+
+const log = createLogger('jobs');
+
+export const JOBS = Object.fromEntries([
+  enrichTours,
+  migrateAllPhotos,
+  purgeAccountData,
+  recalculateToursDuration,
+  refreshTourPhotos,
+  syncLocationsFromContentBlocks,
+  updateAllTours
+].map((definition) => [definition.type, definition]));
+
+// The request that starts a job also runs its first chunks, so short jobs finish right away
+const INLINE_BUDGET_MS = Number(process.env.JOB_INLINE_BUDGET_MS) || 5000;
+
+/**
+ * Validate params, queue a job, run it for up to INLINE_BUDGET_MS and answer 202 with its state.
+ * The rest is picked up by api/jobs-worker.js; poll GET /api/admin-jobs?id=<job.id>.
+ * @param {Object} res
+ * @param {string} type - key of JOBS
+ * @param {Object} body - raw params from the request body
+ * @param {Object} user - authenticated admin (becomes created_by)
+ */
+export async function startJob(res, type, body, user) {
+  const definition = JOBS[type];
+  try {
+    if (!definition) {
+      throw new JobError(`Unknown job type: ${type}. Available: ${Object.keys(JOBS).join(', ')}`);
+    }
+
+    const params = definition.parseParams ? definition.parseParams(body || {}) : {};
+    const queued = await enqueueJob(definition, { params, createdBy: user?.id });
+    const job = (await runJob(queued.id, JOBS, { budgetMs: INLINE_BUDGET_MS })) || queued;
+
+    return res.status(202).json({
+      success: true,
+      message: `Job ${job.type} ${job.status}`,
+      job: formatJob(job),
+      statusUrl: `/api/admin-jobs?id=${job.id}`
+    });
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    log.error('Failed to start job', { jobType: type, error });
+    return res.status(500).json({ success: false, error: 'Failed to start job', message: error.message });
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Job: mass migration - cache ALL Google Places photos of location blocks to Supabase Storage
+ * Run once to eliminate ongoing Google Places Photo API costs
+ */
+
+import { supabase } from '../../database/db.js';
+import { JobError, recordJobError } from '../../lib/jobs.js';
+import { createLogger } from '../../lib/logger.js';
+
+const log = createLogger('job:migrate-all-photos');
+
+const BLOCKS_PER_CHUNK = 3;
+// Same scan window as the original one-request endpoint
+const MAX_SCANNED_BLOCKS = 500;
+
+const isGoogleUrl = (url) => url && typeof url === 'string' && url.includes('maps.googleapis.com/maps/api/place/photo');
+
+// Blocks that have Google URLs AND have not been attempted yet
+function needsMigration(block) {
+  const content = block.content || {};
+  const checkLoc = (loc) => {
+    if (!loc) return false;
+    // Skip if already attempted migration (has _photosRefreshedAt)
+    if (loc._photosRefreshedAt) return false;
+    const photos = Array.isArray(loc.photos) ? loc.photos : (loc.photo ? [loc.photo] : []);
+    return photos.some(p => isGoogleUrl(p));
+  };
+  return checkLoc(content.mainLocation) ||
+         (content.alternativeLocations || []).some(alt => checkLoc(alt));
+}
+
+/**
+ * Migrate the photos of one location block and save it
+ */
+async function migrateBlock(block, result) {
+  const content = JSON.parse(JSON.stringify(block.content || {}));
+  let changed = false;
+
+  const addStats = (migrated, loc) => {
+    result.photosDownloaded += migrated.downloaded;
+    result.photosCachedExisting += migrated.cached;
+    result.photosFailed += migrated.failed;
+    if (result.details.length < 20) {
+      result.details.push({ loc, ...migrated.summary });
+    }
+  };
+
+  // Migrate main location
+  if (content.mainLocation && !content.mainLocation._photosRefreshedAt) {
+    const mainPhotos = Array.isArray(content.mainLocation.photos) ? content.mainLocation.photos :
+                      (content.mainLocation.photo ? [content.mainLocation.photo] : []);
+
+    if (mainPhotos.some(p => isGoogleUrl(p))) {
+      const migrated = await migratePhotosArray(mainPhotos, content.mainLocation.place_id || 'unknown');
+      content.mainLocation.photos = migrated.photos;
+      content.mainLocation.photo = migrated.photos[0] || content.mainLocation.photo;
+      content.mainLocation._photosRefreshedAt = new Date().toISOString();
+      changed = true;
+      addStats(migrated, content.mainLocation.title || 'main');
+    }
+  }
+
+  // Migrate alternative locations
+  if (content.alternativeLocations && Array.isArray(content.alternativeLocations)) {
+    for (let i = 0; i < content.alternativeLocations.length; i++) {
+      const alt = content.alternativeLocations[i];
+      if (alt._photosRefreshedAt) continue;
+
+      const altPhotos = Array.isArray(alt.photos) ? alt.photos : (alt.photo ? [alt.photo] : []);
+      if (altPhotos.some(p => isGoogleUrl(p))) {
+        const migrated = await migratePhotosArray(altPhotos, alt.place_id || 'unknown');
+        content.alternativeLocations[i].photos = migrated.photos;
+        content.alternativeLocations[i].photo = migrated.photos[0] || alt.photo;
+        content.alternativeLocations[i]._photosRefreshedAt = new Date().toISOString();
+        changed = true;
+        addStats(migrated, alt.title || `alt-${i}`);
+      }
+    }
+  }
+
+  if (!changed) return;
+
+  const { error: updateError } = await supabase
+    .from('tour_content_blocks')
+    .update({ content })
+    .eq('id', block.id);
+
+  if (updateError) {
+    recordJobError(result, { block: block.id, error: updateError.message });
+  } else {
+    result.migratedBlocks++;
+  }
+}
+
+export default {
+  type: 'migrate-all-photos',
+  description: 'Cache Google Places photos of location blocks in Supabase Storage',
+
+  parseParams(body = {}) {
+    if (!process.env.GOOGLE_MAPS_KEY) throw new JobError('GOOGLE_MAPS_KEY not configured', 500);
+    const { tourId = null, limit = null } = body;
+    // limit: max blocks to migrate in this job (all that need it by default)
+    return { tourId, limit: Number(limit) || null };
+  },
+
+  async start({ params }) {
+    let query = supabase
+      .from('tour_content_blocks')
+      .select('id, content')
+      .eq('block_type', 'location')
+      .order('id', { ascending: true })
+      .limit(MAX_SCANNED_BLOCKS);
+
+    if (params.tourId) {
+      query = query.eq('tour_id', params.tourId);
+    }
+
+    const { data: allBlocks, error: blocksError } = await query;
+    if (blocksError) throw new Error(`Failed to fetch blocks: ${blocksError.message}`);
+
+    const pending = allBlocks.filter(needsMigration).map(block => block.id);
+    const selected = params.limit ? pending.slice(0, params.limit) : pending;
+    log.info('Location blocks scanned', { total: allBlocks.length, needMigration: pending.length });
+
+    return {
+      total: selected.length,
+      cursor: { pending: selected },
+      result: {
+        totalBlocks: allBlocks.length,
+        needsMigration: pending.length,
+        migratedBlocks: 0,
+        photosDownloaded: 0,
+        photosCachedExisting: 0,
+        photosFailed: 0,
+        details: []
+      }
+    };
+  },
+
+  async runChunk({ cursor, result }) {
+    const ids = cursor.pending.slice(0, BLOCKS_PER_CHUNK);
+    if (ids.length === 0) {
+      return { processed: 0, cursor, result, done: true };
+    }
+
+    const { data: blocks, error } = await supabase
+      .from('tour_content_blocks')
+      .select('id, tour_id, content')
+      .in('id', ids);
+    if (error) throw new Error(`Failed to fetch blocks: ${error.message}`);
+
+    for (const block of blocks) {
+      await migrateBlock(block, result);
+    }
+
+    const rest = cursor.pending.slice(ids.length);
+    return { processed: ids.length, cursor: { pending: rest }, result, done: rest.length === 0 };
+  }
+};
+
+/**
+ * Migrate an array of photo URLs: download Google ones and cache in Supabase
+ */
+async function migratePhotosArray(photos, placeId) {
+  const result = { photos: [], downloaded: 0, cached: 0, failed: 0, summary: {} };
+  
+  for (const photoUrl of photos.slice(0, 5)) {
+    if (!isGoogleUrl(photoUrl)) {
+      result.photos.push(photoUrl);
+      continue;
+    }
+
+    // Extract photoreference from URL
+    const refMatch = photoUrl.match(/photoreference=([^&]+)/);
+    if (!refMatch) {
+      result.photos.push(photoUrl);
+      result.failed++;
+      continue;
+    }
+
+    const photoReference = refMatch[1];
+    
+    try {
+      const cachedUrl = await cachePhotoInSupabase(placeId, photoReference);
+      if (cachedUrl) {
+        result.photos.push(cachedUrl);
+        if (cachedUrl.includes('supabase')) {
+          result.downloaded++;
+        } else {
+          result.cached++;
+        }
+      } else {
+        result.photos.push(photoUrl); // Keep original
+        result.failed++;
+      }
+    } catch (err) {
+      log.warn('Photo cache failed', { error: err });
+      result.photos.push(photoUrl);
+      result.failed++;
+    }
+  }
+
+  const supabaseCount = result.photos.filter(u => u && u.includes('supabase')).length;
+  const googleCount = result.photos.filter(u => isGoogleUrl(u)).length;
+  result.summary = { total: result.photos.length, supabase: supabaseCount, google: googleCount, downloaded: result.downloaded, failed: result.failed };
+  
+  return result;
+}
+
+/**
+ * Download a Google Place photo and cache it in Supabase Storage
+ */
+async function cachePhotoInSupabase(placeId, photoReference) {
+  if (!supabase || !placeId || !photoReference) {
+    log.warn('cachePhoto: missing params', { hasSupabase: !!supabase, placeId, refLen: photoReference?.length });
+    return null;
+  }
+
+  const safeRef = photoReference.substring(0, 40).replace(/[^a-zA-Z0-9_-]/g, '_');
+  const fileName = `place-photos/${placeId}/${safeRef}.jpg`;
+  const dirPath = `place-photos/${placeId}`;
+
+  // Check if already cached
+  try {
+    const { data: files, error: listError } = await supabase.storage
+      .from('tour-assets')
+      .list(dirPath, { limit: 100 });
+
+    if (listError) {
+      log.warn('Storage list error', { error: listError });
+      // Bucket might not exist — try to continue anyway
+    } else if (files && files.some(f => f.name === `${safeRef}.jpg`)) {
+      const { data: urlData } = supabase.storage
+        .from('tour-assets')
+        .getPublicUrl(fileName);
+      if (urlData?.publicUrl) {
+        log.debug('Photo already cached', { ref: safeRef });
+        return urlData.publicUrl;
+      }
+    }
+  } catch (e) {
+    log.warn('Storage check error', { error: e });
+  }
+
+  // Download from Google (ONE-TIME billable call)
+  const googlePhotoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photoReference}&key=${process.env.GOOGLE_MAPS_KEY}`;
+
+  let photoResponse;
+  try {
+    photoResponse = await fetch(googlePhotoUrl, { redirect: 'follow' });
+  } catch (fetchErr) {
+    log.warn('Google photo fetch error', { error: fetchErr });
+    return null;
+  }
+  
+  if (!photoResponse.ok) {
+    log.warn('Google photo request failed', { status: photoResponse.status, ref: safeRef });
+    return null;
+  }
+
+  let photoBuffer;
+  try {
+    photoBuffer = Buffer.from(await photoResponse.arrayBuffer());
+  } catch (bufErr) {
+    log.warn('Photo buffer error', { error: bufErr });
+    return null;
+  }
+  
+  const contentType = photoResponse.headers.get('content-type') || 'image/jpeg';
+
+  // Upload to Supabase Storage
+  const { error: uploadError } = await supabase.storage
+    .from('tour-assets')
+    .upload(fileName, photoBuffer, {
+      contentType,
+      upsert: true
+    });
+
+  if (uploadError) {
+    log.warn('Supabase upload failed', { error: uploadError });
+    return null;
+  }
+
+  const { data: urlData } = supabase.storage
+    .from('tour-assets')
+    .getPublicUrl(fileName);
+
+  log.debug('Photo cached', { ref: safeRef });
+  return urlData?.publicUrl || null;
+}
@@ -0,0 +1,44 @@
+/**
+ * Job: finish an account deletion whose purge failed in api/account-delete.js
+ *
+ * The users row is already anonymized; purgeAccountData only acts on what is left,
+ * so every retry picks up where the previous attempt stopped.
+ */
+
+import { supabase } from '../../database/db.js';
+import { JobError } from '../../lib/jobs.js';
+import { purgeAccountData } from '../../lib/accountData.js';
+import { createLogger } from '../../lib/logger.js';
+
+const log = createLogger('job:purge-account-data');
+
+export default {
+  type: 'purge-account-data',
+  description: 'Remove the remaining personal data of a deleted account',
+  maxAttempts: 5,
+
+  parseParams(body = {}) {
+    const { userId } = body;
+    if (!userId) throw new JobError('userId is required');
+    return { userId };
+  },
+
+  // Never purge a live account: only ones api/account-delete.js already anonymized
+  async start({ params }) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, deleted_at')
+      .eq('id', params.userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!user?.deleted_at) throw new Error('Account is not deleted');
+
+    return { total: 1, cursor: null, result: {} };
+  },
+
+  async runChunk({ params }) {
+    const summary = await purgeAccountData(params.userId);
+    log.info('Account data purged', { userId: params.userId, ...summary });
+    return { processed: 1, cursor: null, result: summary, done: true };
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Job: recalculate duration_type / duration_value for all tours
+ * - 1 day: hours from first location start to last location end
+ * - 2+ days: number of days
+ *
+ * Only duration fields are updated, tour structure is not touched.
+ */
+
+import { supabase } from '../../database/db.js';
+import { recordJobError } from '../../lib/jobs.js';
+import { createLogger } from '../../lib/logger.js';
+
+const log = createLogger('job:recalculate-tours-duration');
+
+const TOURS_PER_CHUNK = 25;
+
+/**
+ * Duration of a tour from its tour_days/tour_blocks
+ * @returns {{ durationType: 'hours'|'days', durationValue: number }}
+ */
+export function calculateDuration(tourDays = []) {
+  const totalDays = tourDays.length;
+
+  let durationType = 'hours';
+  let durationValue = 6; // Default
+
+  if (totalDays > 1) {
+    // Multiple days: use number of days
+    durationType = 'days';
+    durationValue = totalDays;
+  } else if (totalDays === 1 && tourDays[0]?.tour_blocks) {
+    // Single day: calculate hours from first location start to last location end
+    const blocks = tourDays[0].tour_blocks || [];
+
+    if (blocks.length > 0) {
+      // Find earliest start_time and latest end_time
+      let earliestStart = null;
+      let latestEnd = null;
+
+      blocks.forEach(block => {
+        if (block.start_time && block.end_time) {
+          // Parse time (format: "HH:MM" or "HH:MM:SS")
+          const startMatch = block.start_time.match(/(\d{1,2}):(\d{2})(?::\d{2})?/);
+          const endMatch = block.end_time.match(/(\d{1,2}):(\d{2})(?::\d{2})?/);
+
+          if (startMatch && endMatch) {
+            const startTime = parseInt(startMatch[1]) * 60 + parseInt(startMatch[2]); // Convert to minutes
+            const endTime = parseInt(endMatch[1]) * 60 + parseInt(endMatch[2]);
+
+            if (earliestStart === null || startTime < earliestStart) {
+              earliestStart = startTime;
+            }
+            if (latestEnd === null || endTime > latestEnd) {
+              latestEnd = endTime;
+            }
+          }
+        }
+      });
+
+      if (earliestStart !== null && latestEnd !== null) {
+        // Calculate duration in hours (round up to nearest hour)
+        const durationHours = Math.ceil((latestEnd - earliestStart) / 60);
+        durationValue = Math.max(1, durationHours); // At least 1 hour
+      } else {
+        // Fallback: estimate from number of blocks
+        durationValue = Math.max(3, Math.min(blocks.length * 3, 12));
+      }
+    }
+  }
+
+  return { durationType, durationValue };
+}
+
+export default {
+  type: 'recalculate-tours-duration',
+  description: 'Recalculate duration for all tours',
+
+  async start() {
+    const { count, error } = await supabase.from('tours').select('id', { count: 'exact', head: true });
+    if (error) throw new Error(`Failed to count tours: ${error.message}`);
+    return { total: count ?? null, cursor: { lastId: null }, result: { updated: 0, skipped: 0 } };
+  },
+
+  async runChunk({ cursor, result }) {
+    let query = supabase
+      .from('tours')
+      .select(`
+        id,
+        title,
+        tour_days(
+          id,
+          day_number,
+          tour_blocks(
+            id,
+            start_time,
+            end_time
+          )
+        )
+      `)
+      .order('id', { ascending: true })
+      .limit(TOURS_PER_CHUNK);
+
+    if (cursor?.lastId) query = query.gt('id', cursor.lastId);
+
+    const { data: tours, error } = await query;
+    if (error) throw new Error(`Failed to fetch tours: ${error.message}`);
+
+    for (const tour of tours) {
+      const { durationType, durationValue } = calculateDuration(tour.tour_days || []);
+
+      const { error: updateError } = await supabase
+        .from('tours')
+        .update({
+          duration_type: durationType,
+          duration_value: durationValue
+        })
+        .eq('id', tour.id);
+
+      if (updateError) {
+        log.error('Error updating tour', { tourId: tour.id, error: updateError });
+        recordJobError(result, { tourId: tour.id, title: tour.title, error: updateError.message });
+        result.skipped++;
+      } else {
+        result.updated++;
+      }
+    }
+
+    return {
+      processed: tours.length,
+      cursor: { lastId: tours.at(-1)?.id ?? cursor?.lastId ?? null },
+      result,
+      done: tours.length < TOURS_PER_CHUNK
+    };
+  }
+};
@@ -0,0 +1,440 @@
+// Job: refresh expired Google Places photos for tour location blocks
+// Re-fetches photos from Google Places API using stored place_id or name+address search
+
+import { supabase } from '../../database/db.js';
+import { Client } from '@googlemaps/google-maps-services-js';
+import { JobError } from '../../lib/jobs.js';
+import { createLogger } from '../../lib/logger.js';
+
+const log = createLogger('job:refresh-tour-photos');
+
+// Blocks are processed a few at a time to stay within rate limits and the time budget
+const BLOCKS_PER_CHUNK = 2;
+
+const googleMapsClient = new Client({});
+
+/**
+ * Refresh photos of the main and alternative locations of one block and save it
+ * @returns {Promise<Object>} per-block report ({ blockId, locations, success, ... })
+ */
+async function refreshBlockPhotos(block, force) {
+  const content = JSON.parse(JSON.stringify(block.content || {})); // Deep copy
+  let contentChanged = false;
+  const blockResult = { blockId: block.id, locations: [] };
+
+  // Refresh main location photos
+  if (content.mainLocation) {
+    const needsRefresh = force || shouldRefreshPhotos(content.mainLocation);
+    if (needsRefresh) {
+      try {
+        const refreshed = await refreshLocationPhotos(content.mainLocation);
+        if (refreshed) {
+          content.mainLocation = { ...content.mainLocation, ...refreshed, _photosRefreshedAt: new Date().toISOString() };
+          contentChanged = true;
+          blockResult.locations.push({ name: content.mainLocation.title || 'main', status: 'refreshed', photosCount: refreshed.photos?.length || 0 });
+        } else {
+          blockResult.locations.push({ name: content.mainLocation.title || 'main', status: 'failed', reason: 'no photos found or search failed' });
+        }
+      } catch (err) {
+        log.error('Error refreshing main location', { blockId: block.id, error: err });
+        blockResult.locations.push({ name: content.mainLocation.title || 'main', status: 'error', reason: err.message });
+      }
+    } else {
+      blockResult.locations.push({ name: content.mainLocation.title || 'main', status: 'skipped' });
+    }
+  }
+
+  // Refresh alternative location photos
+  if (content.alternativeLocations && Array.isArray(content.alternativeLocations)) {
+    for (let i = 0; i < content.alternativeLocations.length; i++) {
+      const altLoc = content.alternativeLocations[i];
+      const needsRefresh = force || shouldRefreshPhotos(altLoc);
+      if (needsRefresh) {
+        try {
+          const refreshed = await refreshLocationPhotos(altLoc);
+          if (refreshed) {
+            content.alternativeLocations[i] = { ...altLoc, ...refreshed, _photosRefreshedAt: new Date().toISOString() };
+            contentChanged = true;
+            blockResult.locations.push({ name: altLoc.title || `alt-${i}`, status: 'refreshed', photosCount: refreshed.photos?.length || 0 });
+          } else {
+            blockResult.locations.push({ name: altLoc.title || `alt-${i}`, status: 'failed', reason: 'no photos found or search failed' });
+          }
+        } catch (err) {
+          log.error('Error refreshing alternative location', { blockId: block.id, index: i, error: err });
+          blockResult.locations.push({ name: altLoc.title || `alt-${i}`, status: 'error', reason: err.message });
+        }
+      } else {
+        blockResult.locations.push({ name: altLoc.title || `alt-${i}`, status: 'skipped' });
+      }
+    }
+  }
+
+  if (contentChanged) {
+    const { error: updateError } = await supabase
+      .from('tour_content_blocks')
+      .update({ content })
+      .eq('id', block.id);
+
+    if (updateError) {
+      log.error('Error updating block', { blockId: block.id, error: updateError });
+      blockResult.success = false;
+      blockResult.error = updateError.message;
+    } else {
+      blockResult.success = true;
+      log.info('Updated block', { blockId: block.id });
+    }
+  } else {
+    blockResult.success = true;
+    blockResult.noChange = true;
+  }
+
+  return blockResult;
+}
+
+export default {
+  type: 'refresh-tour-photos',
+  description: 'Refresh Google Places photos of one tour',
+
+  parseParams(body = {}) {
+    const { tourId, force = false } = body;
+    if (!tourId) throw new JobError('tourId is required');
+    if (!process.env.GOOGLE_MAPS_KEY) throw new JobError('GOOGLE_MAPS_KEY not configured', 500);
+    return { tourId, force: Boolean(force) };
+  },
+
+  async start({ params }) {
+    // Fetch all location blocks for this tour
+    const { data: blocks, error: blocksError } = await supabase
+      .from('tour_content_blocks')
+      .select('id')
+      .eq('tour_id', params.tourId)
+      .eq('block_type', 'location')
+      .order('id', { ascending: true });
+
+    if (blocksError) throw new Error(`Failed to fetch location blocks: ${blocksError.message}`);
+
+    log.info('Refreshing tour photos', { tourId: params.tourId, force: params.force, blocks: blocks.length });
+    return { total: blocks.length, cursor: { pending: blocks.map(block => block.id) }, result: { updated: 0, results: [] } };
+  },
+
+  async runChunk({ params, cursor, result }) {
+    const ids = cursor.pending.slice(0, BLOCKS_PER_CHUNK);
+    if (ids.length === 0) {
+      return { processed: 0, cursor, result, done: true };
+    }
+
+    const { data: blocks, error } = await supabase
+      .from('tour_content_blocks')
+      .select('*')
+      .in('id', ids);
+    if (error) throw new Error(`Failed to fetch location blocks: ${error.message}`);
+
+    // Process blocks sequentially to avoid rate limits
+    for (const block of blocks) {
+      const blockResult = await refreshBlockPhotos(block, params.force);
+      if (blockResult.success && !blockResult.noChange) result.updated++;
+      result.results.push(blockResult);
+    }
+
+    const rest = cursor.pending.slice(ids.length);
+    return { processed: ids.length, cursor: { pending: rest }, result, done: rest.length === 0 };
+  }
+};
+
+/**
+ * Check if a location needs photo refresh
+ */
+function shouldRefreshPhotos(location) {
+  if (!location) return false;
+
+  // If recently refreshed (within last 30 days), skip
+  // Google Place photo references are stable for months — no need to refresh often
+  if (location._photosRefreshedAt) {
+    const refreshedAt = new Date(location._photosRefreshedAt);
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    if (refreshedAt > thirtyDaysAgo) return false;
+  }
+
+  return hasGooglePlacePhotos(location);
+}
+
+/**
+ * Refresh photos for a single location
+ * Uses multiple search strategies to find the place
+ * Downloads photos and caches them in Supabase Storage to avoid repeated Google API billing
+ */
+async function refreshLocationPhotos(location) {
+  if (!location) return null;
+
+  const locationName = location.title || location.name || '';
+  const locationAddress = location.address || '';
+
+  log.debug('Refreshing location photos', { location: locationName, address: locationAddress });
+
+  let placeId = location.place_id;
+
+  // If no stored place_id, try multiple strategies to find it
+  if (!placeId) {
+    placeId = await findPlaceIdWithFallbacks(locationName, locationAddress);
+  }
+
+  if (!placeId) {
+    log.warn('Could not find place_id', { location: locationName });
+    return null;
+  }
+
+  log.debug('Using place_id', { placeId, location: locationName });
+
+  // Fetch fresh place details (only photos + place_id to minimize cost)
+  const response = await googleMapsClient.placeDetails({
+    params: {
+      place_id: placeId,
+      key: process.env.GOOGLE_MAPS_KEY,
+      language: 'en',
+      fields: ['photos', 'place_id']
+    }
+  });
+
+  if (response.data.status !== 'OK') {
+    log.error('Places Details API error', { location: locationName, status: response.data.status, message: response.data.error_message });
+    return null;
+  }
+
+  const place = response.data.result;
+
+  if (!place.photos || place.photos.length === 0) {
+    log.info('No photos available from Google Places', { location: locationName });
+    return null;
+  }
+
+  // Download photos from Google and cache in Supabase Storage
+  // This way each photo is fetched from Google only ONCE, then served free from Supabase
+  const photoRefs = place.photos.slice(0, 5); // Limit to 5 photos to save costs
+  const cachedPhotos = [];
+
+  for (const photoData of photoRefs) {
+    try {
+      const cachedUrl = await cachePhotoInSupabase(placeId, photoData.photo_reference);
+      if (cachedUrl) {
+        cachedPhotos.push(cachedUrl);
+      }
+    } catch (err) {
+      // CRITICAL: Do NOT fallback to direct Google URL - costs ~$7/1000 loads!
+      log.warn('Failed to cache photo', { location: locationName, error: err });
+    }
+  }
+
+  log.info('Got location photos', {
+    location: locationName,
+    photos: cachedPhotos.length,
+    cached: cachedPhotos.filter(u => u.includes('supabase')).length
+  });
+
+  return {
+    photos: cachedPhotos,
+    photo: cachedPhotos[0] || null,
+    place_id: placeId
+  };
+}
+
+/**
+ * Download a Google Place photo and cache it in Supabase Storage
+ * Returns the public Supabase URL, or null if caching fails
+ */
+async function cachePhotoInSupabase(placeId, photoReference) {
+  if (!supabase || !placeId || !photoReference) return null;
+
+  const fileName = `place-photos/${placeId}/${photoReference.substring(0, 40)}.jpg`;
+
+  // Check if photo already exists in storage
+  const { data: existingFile } = await supabase.storage
+    .from('tour-assets')
+    .createSignedUrl(fileName, 60); // Just checking if it exists
+
+  // Try to get public URL first — if file exists, return it immediately
+  const { data: publicUrlData } = supabase.storage
+    .from('tour-assets')
+    .getPublicUrl(fileName);
+
+  if (publicUrlData?.publicUrl) {
+    // Verify file actually exists by checking with list
+    const dirPath = `place-photos/${placeId}`;
+    const fileBaseName = `${photoReference.substring(0, 40)}.jpg`;
+    const { data: files } = await supabase.storage
+      .from('tour-assets')
+      .list(dirPath, { limit: 100 });
+
+    if (files && files.some(f => f.name === fileBaseName)) {
+      log.debug('Photo already cached', { file: fileBaseName });
+      return publicUrlData.publicUrl;
+    }
+  }
+
+  // Download photo from Google
+  const googlePhotoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${photoReference}&key=${process.env.GOOGLE_MAPS_KEY}`;
+
+  const photoResponse = await fetch(googlePhotoUrl, { redirect: 'follow' });
+  if (!photoResponse.ok) {
+    log.warn('Failed to download photo from Google', { status: photoResponse.status });
+    return null;
+  }
+
+  const photoBuffer = Buffer.from(await photoResponse.arrayBuffer());
+  const contentType = photoResponse.headers.get('content-type') || 'image/jpeg';
+
+  // Upload to Supabase Storage
+  const { error: uploadError } = await supabase.storage
+    .from('tour-assets')
+    .upload(fileName, photoBuffer, {
+      contentType,
+      upsert: true // Overwrite if exists
+    });
+
+  if (uploadError) {
+    log.warn('Failed to upload photo to Supabase', { error: uploadError });
+    return null;
+  }
+
+  // Get public URL
+  const { data: urlData } = supabase.storage
+    .from('tour-assets')
+    .getPublicUrl(fileName);
+
+  log.debug('Cached photo', { file: fileName });
+  return urlData?.publicUrl || null;
+}
+
+/**
+ * Check if location has Google Places photo URLs
+ */
+function hasGooglePlacePhotos(location) {
+  const checkUrl = (url) => url && typeof url === 'string' && url.includes('maps.googleapis.com/maps/api/place/photo');
+  
+  if (checkUrl(location.photo)) return true;
+  if (Array.isArray(location.photos)) {
+    return location.photos.some(p => checkUrl(p));
+  }
+  return false;
+}
+
+/**
+ * Find place_id using multiple search strategies
+ */
+async function findPlaceIdWithFallbacks(name, address) {
+  log.debug('Searching place_id', { name, address });
+  
+  // Strategy 1: Just the name (most reliable for well-known places)
+  if (name) {
+    try {
+      const result = await findPlaceFromText(name);
+      if (result) {
+        log.debug('place_id found', { strategy: 1, placeId: result });
+        return result;
+      }
+    } catch (e) {
+      log.debug('place_id search strategy failed', { strategy: 1, error: e });
+    }
+  }
+
+  // Strategy 2: Name + city extracted from address
+  if (name && address) {
+    const city = extractCityFromAddress(address);
+    if (city) {
+      try {
+        const result = await findPlaceFromText(`${name} ${city}`);
+        if (result) {
+          log.debug('place_id found', { strategy: 2, placeId: result });
+          return result;
+        }
+      } catch (e) {
+        log.debug('place_id search strategy failed', { strategy: 2, error: e });
+      }
+    }
+  }
+
+  // Strategy 3: Name + full address
+  if (name && address) {
+    try {
+      const result = await findPlaceFromText(`${name}, ${address}`);
+      if (result) {
+        log.debug('place_id found', { strategy: 3, placeId: result });
+        return result;
+      }
+    } catch (e) {
+      log.debug('place_id search strategy failed', { strategy: 3, error: e });
+    }
+  }
+
+  // Strategy 4: Text search (more fuzzy)
+  if (name) {
+    try {
+      const city = extractCityFromAddress(address);
+      const query = city ? `${name} in ${city}` : name;
+      const response = await googleMapsClient.textSearch({
+        params: {
+          query: query,
+          key: process.env.GOOGLE_MAPS_KEY
+        }
+      });
+      if (response.data.status === 'OK' && response.data.results && response.data.results.length > 0) {
+        const result = response.data.results[0].place_id;
+        log.debug('place_id found', { strategy: 4, placeId: result });
+        return result;
+      }
+    } catch (e) {
+      log.debug('place_id search strategy failed', { strategy: 4, error: e });
+    }
+  }
+
+  // Strategy 5: Just the address
+  if (address) {
+    try {
+      const result = await findPlaceFromText(address);
+      if (result) {
+        log.debug('place_id found', { strategy: 5, placeId: result });
+        return result;
+      }
+    } catch (e) {
+      log.debug('place_id search strategy failed', { strategy: 5, error: e });
+    }
+  }
+
+  log.warn('All place_id search strategies failed', { name, address });
+  return null;
+}
+
+/**
+ * Extract city name from a full address string
+ */
+function extractCityFromAddress(address) {
+  if (!address) return null;
+  const parts = address.split(',').map(p => p.trim());
+  if (parts.length >= 2) {
+    const cityPart = parts[parts.length - 2];
+    const cleaned = cityPart.replace(/^\d+\s*/, '').trim();
+    if (cleaned && cleaned.length > 1) return cleaned;
+  }
+  return null;
+}
+
+/**
+ * Find place using findPlaceFromText API
+ */
+async function findPlaceFromText(query) {
+  if (!query || query.trim().length < 2) return null;
+
+  const response = await googleMapsClient.findPlaceFromText({
+    params: {
+      input: query.trim(),
+      inputtype: 'textquery',
+      key: process.env.GOOGLE_MAPS_KEY,
+      fields: ['place_id', 'name']
+    }
+  });
+
+  if (response.data.status === 'OK' && response.data.candidates && response.data.candidates.length > 0) {
+    return response.data.candidates[0].place_id;
+  }
+
+  return null;
+}
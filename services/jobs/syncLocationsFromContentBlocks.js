@@ -0,0 +1,282 @@
+/**
+ * Job: create/update `locations` rows from the location content blocks of tours
+ * (optionally pruning locations no tour uses any more)
+ */
+
+import { supabase } from '../../database/db.js';
+import { JobError, recordJobError } from '../../lib/jobs.js';
+
+const BLOCKS_PER_CHUNK = 20;
+
+function isValidUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || ''));
+}
+
+function extractLocationCandidates(content) {
+  if (!content || typeof content !== 'object') return [];
+  const list = [];
+  const pushIfValid = (loc) => {
+    if (!loc || typeof loc !== 'object') return;
+    const name = (loc.title || loc.name || '').toString().trim();
+    if (!name) return;
+    list.push(loc);
+  };
+  pushIfValid(content.mainLocation || content);
+  if (Array.isArray(content.alternativeLocations)) {
+    content.alternativeLocations.forEach(pushIfValid);
+  }
+  return list;
+}
+
+function extractInterestIds(location) {
+  const interests = Array.isArray(location?.interests) ? location.interests : [];
+  return interests
+    .map((item) => {
+      if (typeof item === 'string' || typeof item === 'number') return item;
+      if (item && item.id !== undefined && item.id !== null) return item.id;
+      if (item && item.interest_id !== undefined && item.interest_id !== null) return item.interest_id;
+      return null;
+    })
+    .filter((id) => id !== null && id !== undefined && id !== '');
+}
+
+/**
+ * Upsert the locations of one content block into `locations` (+ location_interests)
+ */
+async function syncBlockLocations(block, tourMeta, userId, stats) {
+  const fallbackCityId = tourMeta.city_id || null;
+  const locationSource = String(tourMeta.source || '').toLowerCase() === 'user_generated'
+    ? 'ai'
+    : 'guide';
+  const candidates = extractLocationCandidates(block.content);
+
+  for (const loc of candidates) {
+    const name = (loc.title || loc.name || '').toString().trim();
+    if (!name) {
+      stats.skipped++;
+      continue;
+    }
+
+    const address = (loc.address || '').toString().trim() || null;
+    const cityId = loc.city_id || fallbackCityId || null;
+    const googlePlaceId = (loc.place_id || loc.google_place_id || '').toString().trim() || null;
+    const description = (loc.description || '').toString().trim() || null;
+    const recommendations = (loc.recommendations || '').toString().trim() || null;
+    const rawPriceLevel = loc.price_level ?? loc.priceLevel ?? null;
+    const parsedPriceLevel = rawPriceLevel !== null && rawPriceLevel !== undefined && rawPriceLevel !== ''
+      ? parseInt(rawPriceLevel, 10)
+      : 2;
+    const priceLevel = Number.isNaN(parsedPriceLevel) ? 2 : parsedPriceLevel;
+
+    let existingLocation = null;
+
+    if (googlePlaceId) {
+      const { data } = await supabase
+        .from('locations')
+        .select('id')
+        .eq('google_place_id', googlePlaceId)
+        .maybeSingle();
+      existingLocation = data || null;
+    }
+
+    if (!existingLocation) {
+      let locationQuery = supabase
+        .from('locations')
+        .select('id')
+        .eq('name', name);
+
+      if (cityId) locationQuery = locationQuery.eq('city_id', cityId);
+      else locationQuery = locationQuery.is('city_id', null);
+      if (address) locationQuery = locationQuery.eq('address', address);
+
+      const { data } = await locationQuery.maybeSingle();
+      existingLocation = data || null;
+    }
+
+    const payload = {
+      name,
+      city_id: cityId,
+      address,
+      description,
+      recommendations,
+      source: locationSource,
+      google_place_id: googlePlaceId,
+      price_level: priceLevel
+    };
+
+    if (existingLocation?.id) {
+      const updatePayload = { ...payload };
+      if (isValidUuid(userId)) updatePayload.updated_by = userId;
+      await supabase.from('locations').update(updatePayload).eq('id', existingLocation.id);
+      stats.updated++;
+
+      const interestIds = extractInterestIds(loc);
+      if (interestIds.length > 0) {
+        await supabase.from('location_interests').delete().eq('location_id', existingLocation.id);
+        await supabase.from('location_interests').insert(
+          interestIds.map((interestId) => ({ location_id: existingLocation.id, interest_id: interestId }))
+        );
+      }
+    } else {
+      const insertPayload = { ...payload };
+      if (isValidUuid(userId)) {
+        insertPayload.created_by = userId;
+        insertPayload.updated_by = userId;
+      }
+      const { data: inserted } = await supabase
+        .from('locations')
+        .insert(insertPayload)
+        .select('id')
+        .single();
+
+      if (inserted?.id) {
+        stats.created++;
+        const interestIds = extractInterestIds(loc);
+        if (interestIds.length > 0) {
+          await supabase.from('location_interests').insert(
+            interestIds.map((interestId) => ({ location_id: inserted.id, interest_id: interestId }))
+          );
+        }
+      } else {
+        stats.skipped++;
+      }
+    }
+  }
+}
+
+/**
+ * Delete locations that are neither linked from tour_items nor mentioned in any location block
+ * @returns {Promise<number>} deleted rows
+ */
+async function pruneUnusedLocations() {
+  const usedLocationIds = new Set();
+  const usedContentKeys = new Set();
+
+  const [{ data: linkedTourItems }, { data: allLocationBlocks }, { data: allLocations }] = await Promise.all([
+    supabase.from('tour_items').select('location_id').not('location_id', 'is', null),
+    supabase.from('tour_content_blocks').select('content').eq('block_type', 'location').limit(10000),
+    supabase.from('locations').select('id, name, address')
+  ]);
+
+  (linkedTourItems || []).forEach(item => {
+    if (item.location_id) usedLocationIds.add(item.location_id);
+  });
+
+  const normalize = (value) => (value || '').toString().trim().toLowerCase();
+  const addKey = (loc) => {
+    if (!loc || typeof loc !== 'object') return;
+    const name = normalize(loc.title || loc.name);
+    if (!name) return;
+    const address = normalize(loc.address);
+    usedContentKeys.add(`${name}|${address}`);
+    usedContentKeys.add(`${name}|`);
+  };
+
+  (allLocationBlocks || []).forEach(block => {
+    const content = block?.content || {};
+    addKey(content.mainLocation || content);
+    if (Array.isArray(content.alternativeLocations)) {
+      content.alternativeLocations.forEach(addKey);
+    }
+  });
+
+  const toDeleteIds = (allLocations || [])
+    .filter((loc) => {
+      if (usedLocationIds.has(loc.id)) return false;
+      const name = normalize(loc.name);
+      const address = normalize(loc.address);
+      return !(usedContentKeys.has(`${name}|${address}`) || usedContentKeys.has(`${name}|`));
+    })
+    .map((loc) => loc.id);
+
+  if (toDeleteIds.length === 0) return 0;
+
+  const { error: deleteError } = await supabase
+    .from('locations')
+    .delete()
+    .in('id', toDeleteIds);
+
+  if (deleteError) throw new Error(`Failed to delete unused locations: ${deleteError.message}`);
+  return toDeleteIds.length;
+}
+
+function blocksQuery(tourId) {
+  let query = supabase
+    .from('tour_content_blocks')
+    .select('id, tour_id, content')
+    .eq('block_type', 'location');
+
+  if (tourId) query = query.eq('tour_id', tourId);
+  return query;
+}
+
+export default {
+  type: 'sync-locations-from-content-blocks',
+  description: 'Sync locations table from location content blocks',
+
+  parseParams(body = {}) {
+    const { tourId = null, limit = 500, pruneUnused = false } = body;
+    if (tourId && !isValidUuid(tourId)) {
+      throw new JobError('tourId must be a UUID');
+    }
+    return { tourId, limit: Number(limit) || 500, pruneUnused: Boolean(pruneUnused) };
+  },
+
+  async start({ params }) {
+    let query = supabase
+      .from('tour_content_blocks')
+      .select('id', { count: 'exact', head: true })
+      .eq('block_type', 'location');
+    if (params.tourId) query = query.eq('tour_id', params.tourId);
+
+    const { count, error } = await query;
+    if (error) throw new Error(`Failed to count location blocks: ${error.message}`);
+
+    return {
+      total: Math.min(count ?? params.limit, params.limit),
+      cursor: { lastId: null, phase: 'sync' },
+      result: { processedBlocks: 0, created: 0, updated: 0, skipped: 0, deleted: 0 }
+    };
+  },
+
+  async runChunk({ params, cursor, result, job }) {
+    if (cursor.phase === 'prune') {
+      result.deleted = await pruneUnusedLocations();
+      return { processed: 0, cursor, result, done: true };
+    }
+
+    const remaining = params.limit - result.processedBlocks;
+    let query = blocksQuery(params.tourId)
+      .order('id', { ascending: true })
+      .limit(Math.min(BLOCKS_PER_CHUNK, remaining));
+    if (cursor.lastId) query = query.gt('id', cursor.lastId);
+
+    const { data: blocks, error: blocksError } = await query;
+    if (blocksError) throw new Error(`Failed to fetch location blocks: ${blocksError.message}`);
+
+    const tourIds = [...new Set(blocks.map((b) => b.tour_id).filter(Boolean))];
+    const { data: tours } = tourIds.length > 0
+      ? await supabase.from('tours').select('id, city_id, source').in('id', tourIds)
+      : { data: [] };
+    const tourMetaById = new Map((tours || []).map((t) => [t.id, {
+      city_id: t.city_id || null,
+      source: t.source || null
+    }]));
+
+    for (const block of blocks) {
+      try {
+        await syncBlockLocations(block, tourMetaById.get(block.tour_id) || { city_id: null, source: null }, job.created_by, result);
+      } catch (error) {
+        recordJobError(result, { blockId: block.id, error: error.message });
+      }
+    }
+    result.processedBlocks += blocks.length;
+
+    const nextCursor = { lastId: blocks.at(-1)?.id ?? cursor.lastId, phase: 'sync' };
+    const finished = blocks.length < Math.min(BLOCKS_PER_CHUNK, remaining) || result.processedBlocks >= params.limit;
+    if (finished && params.pruneUnused) {
+      return { processed: blocks.length, cursor: { ...nextCursor, phase: 'prune' }, result, done: false };
+    }
+    return { processed: blocks.length, cursor: nextCursor, result, done: finished };
+  }
+};
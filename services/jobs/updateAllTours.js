@@ -0,0 +1,44 @@
+/**
+ * Job: update all existing tours with full day plans
+ *
+ * The tour data lives in api/generate-sample-tours.js (not exported), so the job runs
+ * that handler once and keeps its response as the result.
+ */
+
+import { createLogger } from '../../lib/logger.js';
+
+const log = createLogger('job:update-all-tours');
+
+export default {
+  type: 'update-all-tours',
+  description: 'Update existing tours via generate-sample-tours',
+
+  async runChunk({ result }) {
+    const { default: generateHandler } = await import('../../api/generate-sample-tours.js');
+
+    let response = null;
+    const req = { method: 'POST', headers: {}, query: {}, body: {} };
+    const res = {
+      statusCode: 200,
+      setHeader() { return res; },
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data) {
+        response = { statusCode: res.statusCode, body: data };
+        return res;
+      },
+      end() { return res; }
+    };
+
+    await generateHandler(req, res);
+
+    if (!response || response.statusCode >= 400) {
+      throw new Error(response?.body?.error || response?.body?.message || 'generate-sample-tours failed');
+    }
+
+    log.info('Tours updated via generate-sample-tours');
+    return { processed: 1, total: 1, cursor: null, result: { ...result, ...response.body }, done: true };
+  }
+};
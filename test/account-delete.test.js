@@ -0,0 +1,106 @@
+import { authHeader, captureEmails, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/account-delete.js';
+import { listSessions } from '../lib/authTokens.js';
+import { JOB_STATUS, enqueueJob, getJob, runJob } from '../lib/jobs.js';
+import { JOBS } from '../services/jobs/index.js';
+
+const guide = { id: 'guide-1', name: 'Guide', email: 'guide@example.com', role: 'guide', is_active: true };
+const PDF = 'tour-pdfs/tour-1/old-town.pdf';
+
+let supabase;
+let mail;
+
+beforeEach(() => {
+  ({ supabase } = installFakes({
+    tables: {
+      users: [guide],
+      guides: [{ id: guide.id, name: 'Guide' }],
+      tours: [{ id: 'tour-1', title: 'Old Town', guide_id: guide.id, is_published: true }],
+      tour_bookings: [],
+      messages: [],
+      notifications: [{ id: 'n-1', user_id: guide.id, title: 'Welcome' }],
+      background_jobs: []
+    },
+    buckets: { 'tour-assets': { [PDF]: 'pdf' } }
+  }));
+  mail = captureEmails();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mail.restore();
+});
+
+function failStorageRemove() {
+  const storageFrom = supabase.storage.from.bind(supabase.storage);
+  mock.method(supabase.storage, 'from', (bucket) => Object.assign(storageFrom(bucket), {
+    remove: async () => ({ data: null, error: { statusCode: '503', message: 'Storage unavailable' } })
+  }));
+}
+
+async function deleteAccount() {
+  return invoke(handler, { method: 'POST', headers: await authHeader(guide), body: { confirm: 'DELETE' } });
+}
+
+describe('POST /api/account-delete', () => {
+  test('anonymizes the account and removes its data', async () => {
+    const res = await deleteAccount();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.summary.toursDeleted, 1);
+    const [user] = supabase.rows('users');
+    assert.equal(user.is_active, false);
+    assert.equal(user.email, `deleted-${guide.id}@deleted.flip-trip.com`);
+    assert.deepEqual(supabase.rows('tours'), []);
+    assert.deepEqual(supabase.rows('guides'), []);
+    assert.deepEqual(supabase.rows('notifications'), []);
+    assert.equal(supabase.storage.files('tour-assets').has(PDF), false);
+  });
+
+  test('a failure after anonymizing leaves an inactive account and a job that finishes the purge', async () => {
+    failStorageRemove();
+
+    const res = await deleteAccount();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.summary.pending, true);
+    assert.equal(supabase.rows('users')[0].is_active, false);
+    // Nothing that leads to the PDF was deleted, so the retry can still find it
+    assert.equal(supabase.rows('tours').length, 1);
+
+    const [queued] = supabase.rows('background_jobs');
+    assert.equal(queued.type, 'purge-account-data');
+    assert.deepEqual(queued.params, { userId: guide.id });
+
+    mock.restoreAll();
+    await runJob(queued.id, JOBS);
+
+    assert.equal((await getJob(queued.id)).status, JOB_STATUS.SUCCEEDED);
+    assert.deepEqual(supabase.rows('tours'), []);
+    assert.deepEqual(supabase.rows('guides'), []);
+    assert.equal(supabase.storage.files('tour-assets').has(PDF), false);
+  });
+
+  test('sessions are revoked even when neither the purge nor its retry job can be saved', async () => {
+    failStorageRemove();
+    supabase.failTable('background_jobs');
+
+    const res = await deleteAccount();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.summary.pending, true);
+    assert.equal(supabase.rows('users')[0].is_active, false);
+    assert.deepEqual(await listSessions(guide.id), []);
+  });
+
+  test('the purge job refuses an account that was not deleted', async () => {
+    const queued = await enqueueJob(JOBS['purge-account-data'], { params: { userId: guide.id } });
+    await runJob(queued.id, JOBS);
+
+    assert.notEqual((await getJob(queued.id)).status, JOB_STATUS.SUCCEEDED);
+    assert.equal(supabase.rows('tours').length, 1);
+    assert.equal(supabase.rows('guides').length, 1);
+  });
+});
@@ -0,0 +1,240 @@
+import { authHeader, captureEmails, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import login from '../api/auth-login.js';
+import me from '../api/auth-me.js';
+import refresh from '../api/auth-refresh.js';
+import logout from '../api/auth-logout.js';
+import sessions from '../api/auth-sessions.js';
+import requestCode from '../api/auth-register-request-code.js';
+import verifyCode from '../api/auth-register-verify-code.js';
+import login2fa from '../api/auth-login-2fa.js';
+import confirmReset from '../api/auth-password-reset-confirm-code.js';
+import { signMfaChallengeToken } from '../lib/authTokens.js';
+import { generateSecret, generateTotp, hashRecoveryCode } from '../lib/totp.js';
+
+const PASSWORD = 'correct horse';
+const user = {
+  id: 'user-1',
+  name: 'Traveller',
+  email: 'traveller@example.com',
+  role: 'user',
+  is_active: true,
+  password_hash: bcrypt.hashSync(PASSWORD, 4)
+};
+
+let supabase;
+let redis;
+let mail;
+
+beforeEach(() => {
+  ({ supabase, redis } = installFakes({ tables: { users: [user], guides: [] } }));
+  mail = captureEmails();
+});
+
+afterEach(() => mail.restore());
+
+function signIn(password = PASSWORD, headers = {}) {
+  return invoke(login, { method: 'POST', body: { email: user.email, password }, headers });
+}
+
+describe('registration with an emailed code', () => {
+  const body = { name: 'New Guide', email: 'New@Example.com', password: 'secret123', role: 'guide' };
+
+  test('creates the account after the code is confirmed', async () => {
+    const requested = await invoke(requestCode, { method: 'POST', body });
+    assert.equal(requested.statusCode, 200);
+
+    const [email] = mail.emails;
+    assert.equal(email.to, 'new@example.com');
+    const code = email.html.match(/>(\d{6})</)[1];
+
+    const wrong = await invoke(verifyCode, { method: 'POST', body: { email: body.email, code: '000000' } });
+    assert.equal(wrong.statusCode, 400);
+    assert.equal(wrong.body.attemptsLeft, 4);
+
+    const verified = await invoke(verifyCode, { method: 'POST', body: { email: body.email, code } });
+    assert.equal(verified.statusCode, 200);
+    assert.ok(verified.body.token);
+    assert.ok(verified.body.refreshToken);
+    assert.equal(verified.body.user.role, 'guide');
+
+    const created = supabase.rows('users').find((row) => row.email === 'new@example.com');
+    assert.ok(await bcrypt.compare('secret123', created.password_hash));
+    assert.equal(supabase.rows('guides')[0].id, created.id);
+  });
+
+  test('refuses an email that is already registered', async () => {
+    const res = await invoke(requestCode, { method: 'POST', body: { ...body, email: user.email } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(mail.emails.length, 0);
+  });
+
+  test('enforces a cooldown between codes', async () => {
+    await invoke(requestCode, { method: 'POST', body });
+    const again = await invoke(requestCode, { method: 'POST', body });
+    assert.equal(again.statusCode, 429);
+  });
+});
+
+describe('login', () => {
+  test('returns an access token, a refresh token and the user', async () => {
+    const res = await signIn();
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.equal(res.body.user.email, user.email);
+
+    const profile = await invoke(me, { method: 'GET', headers: { Authorization: `Bearer ${res.body.token}` } });
+    assert.equal(profile.statusCode, 200);
+    assert.equal(profile.body.user.id, user.id);
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await signIn('wrong');
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('locks the account after repeated failures and emails the owner', async () => {
+    for (let i = 0; i < 5; i++) {
+      await signIn('wrong');
+    }
+    const locked = await signIn();
+
+    assert.equal(locked.statusCode, 429);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+    assert.deepEqual(mail.emails.map((email) => email.to), [user.email]);
+  });
+
+  test('asks for the second factor when TOTP is enabled', async () => {
+    Object.assign(supabase.rows('users')[0], { totp_enabled: true });
+    const res = await signIn();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.requiresTwoFactor, true);
+    assert.ok(res.body.challengeToken);
+    assert.equal(res.body.token, undefined);
+  });
+});
+
+describe('refresh tokens', () => {
+  test('rotate on every use', async () => {
+    const { body: session } = await signIn();
+    const rotated = await invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } });
+
+    assert.equal(rotated.statusCode, 200);
+    assert.notEqual(rotated.body.refreshToken, session.refreshToken);
+  });
+
+  test('reusing a rotated token revokes the session', async () => {
+    const { body: session } = await signIn();
+    const { body: rotated } = await invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } });
+
+    const reused = await invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } });
+    assert.equal(reused.statusCode, 401);
+
+    const afterReuse = await invoke(refresh, { method: 'POST', body: { refreshToken: rotated.refreshToken } });
+    assert.equal(afterReuse.statusCode, 401);
+  });
+
+  test('of two concurrent refreshes with one token only one gets a new pair', async () => {
+    const { body: session } = await signIn();
+    const results = await Promise.all([
+      invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } }),
+      invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } })
+    ]);
+
+    assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 401]);
+  });
+
+  test('an unknown token is rejected', async () => {
+    const res = await invoke(refresh, { method: 'POST', body: { refreshToken: 'nope' } });
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe('password reset with an emailed code', () => {
+  beforeEach(() => redis.set(`auth:reset:code:${user.email}`, { code: '123456', userId: user.id }, { ex: 600 }));
+
+  const confirm = (body) => invoke(confirmReset, { method: 'POST', body: { email: user.email, newPassword: 'new secret', ...body } });
+
+  test('concurrent guesses share the attempt limit', async () => {
+    const guesses = await Promise.all(Array.from({ length: 8 }, (_, i) => confirm({ code: `00000${i}` })));
+
+    assert.equal(guesses.filter((res) => res.statusCode === 400).length, 5);
+    assert.equal(guesses.filter((res) => res.statusCode === 429).length, 3);
+    assert.equal((await confirm({ code: '123456' })).statusCode, 429);
+  });
+
+  test('a password that is not a string is rejected', async () => {
+    const res = await confirm({ code: '123456', newPassword: 123456 });
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('two-factor login', () => {
+  const secret = generateSecret();
+  const RECOVERY_CODE = 'ABCD-EFGH';
+
+  beforeEach(() => {
+    Object.assign(supabase.rows('users')[0], {
+      totp_enabled: true,
+      totp_secret: secret,
+      totp_recovery_codes: [hashRecoveryCode(RECOVERY_CODE), hashRecoveryCode('IJKL-MNOP')]
+    });
+  });
+
+  const verify = (body) => invoke(login2fa, { method: 'POST', body: { challengeToken: signMfaChallengeToken(user.id), ...body } });
+
+  test('a TOTP code works once, also when sent twice at the same time', async () => {
+    const code = generateTotp(secret);
+    const results = await Promise.all([verify({ code }), verify({ code })]);
+    assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 401]);
+
+    const replay = await verify({ code });
+    assert.equal(replay.statusCode, 401);
+  });
+
+  test('a recovery code works once, also when sent twice at the same time', async () => {
+    const results = await Promise.all([verify({ recoveryCode: RECOVERY_CODE }), verify({ recoveryCode: RECOVERY_CODE })]);
+
+    assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 401]);
+    assert.equal(results.find((res) => res.statusCode === 200).body.recoveryCodesRemaining, 1);
+    assert.deepEqual(supabase.rows('users')[0].totp_recovery_codes, [hashRecoveryCode('IJKL-MNOP')]);
+  });
+});
+
+describe('logout and sessions', () => {
+  test('logout revokes the access and refresh tokens', async () => {
+    const { body: session } = await signIn();
+    const headers = { Authorization: `Bearer ${session.token}` };
+
+    const res = await invoke(logout, { method: 'POST', headers, body: { refreshToken: session.refreshToken } });
+    assert.equal(res.statusCode, 200);
+
+    const profile = await invoke(me, { method: 'GET', headers });
+    assert.equal(profile.statusCode, 401);
+    const refreshed = await invoke(refresh, { method: 'POST', body: { refreshToken: session.refreshToken } });
+    assert.equal(refreshed.statusCode, 401);
+  });
+
+  test('lists sessions and signs out another device', async () => {
+    const phone = await signIn(PASSWORD, { 'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Safari/604.1' });
+    const headers = await authHeader(user);
+
+    const listed = await invoke(sessions, { method: 'GET', headers });
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.sessions.length, 2);
+    const phoneSession = listed.body.sessions.find((session) => !session.current);
+    assert.equal(phoneSession.device, 'Safari on iOS');
+
+    const revoked = await invoke(sessions, { method: 'DELETE', query: { id: phoneSession.id }, headers });
+    assert.equal(revoked.statusCode, 200);
+
+    const phoneProfile = await invoke(me, { method: 'GET', headers: { Authorization: `Bearer ${phone.body.token}` } });
+    assert.equal(phoneProfile.statusCode, 401);
+  });
+});
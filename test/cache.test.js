@@ -0,0 +1,120 @@
+import { installFakes } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheKey, cached, getCacheStats, withCacheBypass } from '../lib/cache.js';
+import { runDiagnostics } from '../lib/diagnostics.js';
+import { LLMClient } from '../lib/llm/index.js';
+import { searchPlacesText } from '../lib/places.js';
+
+let redis;
+
+beforeEach(() => {
+  ({ redis } = installFakes());
+});
+
+afterEach(() => {
+  delete process.env.CACHE_BYPASS;
+  delete process.env.CACHE_TTL_PLACES;
+});
+
+function countingProvider(answer) {
+  const provider = {
+    name: 'counting',
+    calls: 0,
+    async complete() {
+      provider.calls += 1;
+      return answer;
+    }
+  };
+  return provider;
+}
+
+function fakePlacesClient(responses) {
+  const client = {
+    queries: [],
+    async textSearch({ params }) {
+      client.queries.push(params.query);
+      return { data: responses[Math.min(client.queries.length - 1, responses.length - 1)] };
+    }
+  };
+  return client;
+}
+
+describe('lib/cache', () => {
+  test('computes on a miss, answers from the cache on a hit and counts both', async () => {
+    let computed = 0;
+    const compute = async () => { computed += 1; return '{"looks": "like JSON"}'; };
+
+    assert.equal(await cached('llm', { prompt: 'a' }, compute), '{"looks": "like JSON"}');
+    assert.equal(await cached('llm', { prompt: 'a' }, compute), '{"looks": "like JSON"}', 'strings stay strings');
+    assert.equal(computed, 1);
+    assert.ok((await redis.ttl(cacheKey('llm', { prompt: 'a' }))) > 24 * 60 * 60);
+
+    const stats = await getCacheStats();
+    assert.deepEqual({ hits: stats.llm.hits, misses: stats.llm.misses, hitRate: stats.llm.hitRate }, { hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  test('bypass skips the read but stores the fresh value', async () => {
+    await cached('places', { query: 'q' }, async () => ['old']);
+
+    assert.deepEqual(await withCacheBypass(() => cached('places', { query: 'q' }, async () => ['new'])), ['new']);
+    assert.deepEqual(await cached('places', { query: 'q' }, async () => ['newer']), ['new']);
+
+    process.env.CACHE_BYPASS = 'true';
+    assert.deepEqual(await cached('places', { query: 'q' }, async () => ['newest']), ['newest']);
+    assert.equal((await getCacheStats()).places.bypassed, 2);
+  });
+
+  test('does not store errors or empty values', async () => {
+    await assert.rejects(cached('llm', { prompt: 'b' }, async () => { throw new Error('down'); }), /down/);
+    assert.equal(await cached('llm', { prompt: 'b' }, async () => null), null);
+    assert.equal(await cached('llm', { prompt: 'b' }, async () => 'answer'), 'answer');
+  });
+
+  test('is reported by admin diagnostics', async () => {
+    process.env.CACHE_TTL_PLACES = '600';
+    const report = await runDiagnostics(['cache']);
+    assert.equal(report.cache.store, 'redis');
+    assert.equal(report.cache.places.ttlSeconds, 600);
+    assert.equal(report.cache.places.hitRate, null);
+  });
+});
+
+describe('LLM answers', () => {
+  test('are cached by model and prompt, ignoring whitespace', async () => {
+    const provider = countingProvider('Slow Lisbon');
+    const llm = new LLMClient({ provider, retryDelayMs: 0 });
+
+    await llm.text('title', { prompt: 'Title for  Lisbon\n' });
+    assert.equal(await llm.text('title', { prompt: 'Title for Lisbon' }), 'Slow Lisbon');
+    assert.equal(provider.calls, 1);
+
+    await llm.text('title', { prompt: 'Title for Porto' });
+    await llm.text('subtitle', { prompt: 'Title for Lisbon' });
+    await llm.text('title', { prompt: 'Title for Lisbon', cache: false });
+    assert.equal(provider.calls, 4);
+  });
+});
+
+describe('Google Places text search', () => {
+  const ok = { status: 'OK', results: [{ name: 'Cafe A', formatted_address: 'Rua 1, Paris', place_id: 'p1', photos: [{ photo_reference: 'ref-1', html_attributions: [] }] }] };
+
+  test('is cached by query and city', async () => {
+    const client = fakePlacesClient([ok]);
+
+    const [place] = await searchPlacesText(client, { query: 'coffee cafe in Paris', city: 'Paris' });
+    await searchPlacesText(client, { query: 'Coffee  cafe in paris', city: 'paris' });
+    await searchPlacesText(client, { query: 'coffee cafe in Paris', city: 'Lyon' });
+
+    assert.deepEqual(client.queries, ['coffee cafe in Paris', 'coffee cafe in Paris']);
+    assert.equal(place.photos[0].photo_reference, 'ref-1');
+    assert.equal(place.photos[0].html_attributions, undefined, 'only the fields the generators read are cached');
+  });
+
+  test('does not cache failed requests', async () => {
+    const client = fakePlacesClient([{ status: 'OVER_QUERY_LIMIT', results: [] }, ok]);
+
+    await assert.rejects(searchPlacesText(client, { query: 'museum', city: 'Paris' }), /OVER_QUERY_LIMIT/);
+    assert.equal((await searchPlacesText(client, { query: 'museum', city: 'Paris' })).length, 1);
+  });
+});
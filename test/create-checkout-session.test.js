@@ -0,0 +1,53 @@
+import { installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/create-checkout-session.js';
+import { getStripeClient } from '../lib/stripe.js';
+
+let sessions;
+
+beforeEach(() => {
+  installFakes({
+    tables: { tours: [{ id: 'tour-1', title: 'Old Town Walk', price_pdf: 12, currency: 'EUR' }] }
+  });
+
+  const stripe = getStripeClient();
+  sessions = [];
+  mock.method(stripe.prices, 'create', async () => ({ id: 'price_test' }));
+  mock.method(stripe.checkout.sessions, 'create', async (params, options) => {
+    const session = { id: `cs_test_${sessions.length + 1}`, url: `https://checkout.stripe.test/${sessions.length + 1}` };
+    sessions.push({ params, options, session });
+    return session;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+function checkout(body, key = 'checkout-attempt-1') {
+  return invoke(handler, { method: 'POST', headers: { 'Idempotency-Key': key }, body });
+}
+
+describe('POST /api/create-checkout-session with an Idempotency-Key', () => {
+  const body = { city: 'Lisbon', email: 'buyer@example.com', tourId: 'tour-1' };
+
+  test('a repeat replays the first session instead of creating another', async () => {
+    const first = await checkout(body);
+    const repeat = await checkout({ ...body });
+
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(repeat.headers['idempotent-replayed'], 'true');
+    assert.equal(sessions.length, 1);
+  });
+
+  test('keys are per buyer and tour, also for Stripe', async () => {
+    const first = await checkout(body);
+    const otherBuyer = await checkout({ ...body, email: 'someone@example.com' });
+    const otherItinerary = await checkout({ city: 'Lisbon', email: body.email, itineraryId: 'itinerary-1' });
+
+    assert.equal(otherBuyer.headers['idempotent-replayed'], undefined);
+    assert.notEqual(otherBuyer.body.sessionId, first.body.sessionId);
+    assert.notEqual(otherItinerary.body.sessionId, first.body.sessionId);
+    assert.equal(new Set(sessions.map(({ options }) => options.idempotencyKey)).size, 3);
+  });
+});
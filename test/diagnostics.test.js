@@ -0,0 +1,104 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfigStatus } from '../lib/diagnostics.js';
+import diagnostics from '../api/admin-diagnostics.js';
+import health from '../api/health.js';
+
+const admin = { id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' };
+const traveler = { id: 'user-1', email: 'traveler@example.com', name: 'Traveler', role: 'user' };
+
+let supabase;
+
+beforeEach(() => {
+  ({ supabase } = installFakes({
+    tables: {
+      users: [admin, traveler],
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      tours: [
+        { id: 'tour-1', title: 'Lisbon Bites', city_id: 'city-1', status: 'approved', is_published: true },
+        { id: 'tour-2', title: 'Lost city', city_id: 'city-404', status: 'draft', is_published: false }
+      ],
+      tour_days: [
+        { id: 'day-1', tour_id: 'tour-1', day_number: 1 },
+        { id: 'day-2', tour_id: 'tour-deleted', day_number: 1 }
+      ],
+      locations: [
+        { id: 'loc-1', name: 'Time Out Market', city_id: 'city-1', category: 'Food' },
+        { id: 'loc-2', name: 'Miradouro', city_id: 'city-1', category: null }
+      ]
+    }
+  }));
+});
+
+describe('GET /api/admin-diagnostics', () => {
+  test('is admin-only', async () => {
+    const anonymous = await invoke(diagnostics, { method: 'GET', query: {} });
+    assert.equal(anonymous.statusCode, 401);
+
+    const res = await invoke(diagnostics, { method: 'GET', query: {}, headers: await authHeader(traveler) });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('reports orphaned rows and data counts', async () => {
+    const res = await invoke(diagnostics, {
+      method: 'GET',
+      query: { sections: 'orphans,counts' },
+      headers: await authHeader(admin)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.config, undefined, 'only requested sections');
+
+    const byCheck = Object.fromEntries(res.body.orphans.checks.map((check) => [check.check, check]));
+    assert.equal(res.body.orphans.ok, false);
+    assert.deepEqual(byCheck['tours.city_id -> cities'].missingIds, ['city-404']);
+    assert.equal(byCheck['tour_days.tour_id -> tours'].orphaned, 1);
+    assert.equal(byCheck['tour_content_blocks.tour_id -> tours'].orphaned, 0);
+
+    assert.equal(res.body.counts.tables.tours, 2);
+    assert.deepEqual(res.body.counts.tours.byStatus, { draft: 1, pending: 0, approved: 1, rejected: 0 });
+    assert.equal(res.body.counts.tours.published, 1);
+    assert.equal(res.body.counts.users.byRole.admin, 1);
+    assert.equal(res.body.counts.locations.withoutCategory, 1);
+    assert.ok(!JSON.stringify(res.body).includes('traveler@example.com'), 'no user emails');
+  });
+
+  test('reports missing tables as schema drift', async () => {
+    supabase.failTable('background_jobs', { code: '42P01', message: 'relation "background_jobs" does not exist' });
+
+    const res = await invoke(diagnostics, { method: 'GET', query: { sections: 'schema' }, headers: await authHeader(admin) });
+
+    assert.equal(res.body.schema.ok, false);
+    assert.equal(res.body.schema.tables.background_jobs.exists, false);
+    assert.equal(res.body.schema.tables.tours.exists, true);
+  });
+
+  test('rejects unknown sections', async () => {
+    const res = await invoke(diagnostics, { method: 'GET', query: { sections: 'secrets' }, headers: await authHeader(admin) });
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('getConfigStatus', () => {
+  test('reports presence of variables, never their values', () => {
+    const status = getConfigStatus({ OPENAI_API_KEY: 'sk-secret', KV_REST_API_URL: 'https://kv', KV_REST_API_TOKEN: 't' });
+
+    assert.equal(status.openai.configured, true);
+    assert.equal(status.redis.configured, true, 'any of the alternative names counts');
+    assert.equal(status.stripe.configured, false);
+    assert.equal(status.stripe.vars.STRIPE_SECRET_KEY, false);
+    assert.ok(!JSON.stringify(status).includes('sk-secret'));
+  });
+});
+
+describe('GET /api/health', () => {
+  test('answers without touching the database', async () => {
+    supabase.failTable('users');
+    const res = await invoke(health, { method: 'GET' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.headers['cache-control'], 'no-store');
+  });
+});
@@ -0,0 +1,111 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './fakes/supabase.js';
+import { createFakeRedis } from './fakes/redis.js';
+
+describe('fake Supabase', () => {
+  const seed = () => createFakeSupabase({
+    tables: {
+      users: [{ id: 'u1', name: 'Ana' }, { id: 'u2', name: 'Bo' }],
+      tours: [
+        { id: 't1', title: 'Alpha', guide_id: 'u1', draft_data: { exploreOrder: 2 } },
+        { id: 't2', title: 'beta', guide_id: 'u2', draft_data: null }
+      ],
+      tour_tags: [{ tour_id: 't1', tag_id: 'g1' }],
+      tags: [{ id: 'g1', name: 'Food' }]
+    }
+  });
+
+  test('single() errors like PostgREST when no row matches; maybeSingle() does not', async () => {
+    const supabase = seed();
+    const single = await supabase.from('users').select('id').eq('id', 'nope').single();
+    const maybe = await supabase.from('users').select('id').eq('id', 'nope').maybeSingle();
+
+    assert.equal(single.error.code, 'PGRST116');
+    assert.deepEqual(maybe, { data: null, error: null, count: null, status: 200 });
+  });
+
+  test('or(), ilike() and in() filters', async () => {
+    const supabase = seed();
+    const { data: either } = await supabase.from('tours').select('id').or('guide_id.eq.u2,title.eq.Alpha');
+    const { data: insensitive } = await supabase.from('tours').select('id').ilike('title', 'BET%');
+    const { data: listed } = await supabase.from('tours').select('id').in('id', ['t2']);
+
+    assert.deepEqual(either.map((row) => row.id), ['t1', 't2']);
+    assert.deepEqual(insensitive.map((row) => row.id), ['t2']);
+    assert.deepEqual(listed.map((row) => row.id), ['t2']);
+  });
+
+  test('embeds many-to-one, one-to-many and JSON path columns', async () => {
+    const supabase = seed();
+    const { data } = await supabase
+      .from('tours')
+      .select('id, order:draft_data->>exploreOrder, guide:users!tours_guide_id_fkey(name), tour_tags(tag:tags(name))')
+      .eq('id', 't1')
+      .single();
+
+    assert.deepEqual(data, { id: 't1', order: '2', guide: { name: 'Ana' }, tour_tags: [{ tag: { name: 'Food' } }] });
+  });
+
+  test('insert/update/upsert/delete with returning rows and exact counts', async () => {
+    const supabase = seed();
+    const { data: inserted } = await supabase.from('users').insert({ name: 'Cy' }).select().single();
+    assert.ok(inserted.id);
+
+    await supabase.from('users').update({ name: 'Ana B.' }).eq('id', 'u1');
+    await supabase.from('users').upsert({ id: 'u2', name: 'Bo B.' });
+    await supabase.from('users').delete().eq('id', inserted.id);
+
+    const { data, count } = await supabase.from('users').select('name', { count: 'exact' }).order('name', { ascending: false }).range(0, 0);
+    assert.deepEqual(data, [{ name: 'Bo B.' }]);
+    assert.equal(count, 2);
+  });
+
+  test('storage buckets', async () => {
+    const supabase = seed();
+    const bucket = supabase.storage.from('tour-pdfs');
+    await bucket.upload('t1/guide.pdf', 'pdf-bytes', { contentType: 'application/pdf' });
+
+    const { data: listed } = await bucket.list('t1');
+    assert.deepEqual(listed.map((file) => file.name), ['guide.pdf']);
+    assert.match(bucket.getPublicUrl('t1/guide.pdf').data.publicUrl, /tour-pdfs\/t1\/guide\.pdf$/);
+
+    const duplicate = await bucket.upload('t1/guide.pdf', 'again');
+    assert.equal(duplicate.error.statusCode, '409');
+
+    await bucket.remove(['t1/guide.pdf']);
+    assert.equal((await bucket.download('t1/guide.pdf')).error.statusCode, '404');
+  });
+});
+
+describe('fake Redis', () => {
+  test('round-trips JSON values and honours nx/ex', async () => {
+    const redis = createFakeRedis();
+    await redis.set('session', { userId: 'u1' }, { ex: 60 });
+
+    assert.deepEqual(await redis.get('session'), { userId: 'u1' });
+    assert.equal(await redis.set('session', 'other', { nx: true }), null);
+    assert.ok((await redis.ttl('session')) > 0);
+    assert.equal(await redis.ttl('missing'), -2);
+  });
+
+  test('expired keys disappear', async () => {
+    const redis = createFakeRedis();
+    await redis.set('short', 1, { px: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.equal(await redis.get('short'), null);
+  });
+
+  test('sets, sorted sets and scan', async () => {
+    const redis = createFakeRedis();
+    await redis.sadd('members', 'a', 'b');
+    await redis.srem('members', 'a');
+    await redis.zadd('hits', { score: 2, member: 'late' }, { score: 1, member: 'early' });
+    await redis.zremrangebyscore('hits', 0, 1);
+
+    assert.deepEqual(await redis.smembers('members'), ['b']);
+    assert.deepEqual(await redis.zrange('hits', 0, -1, { withScores: true }), ['late', 2]);
+    assert.deepEqual((await redis.scan(0, { match: 'h*' }))[1], ['hits']);
+  });
+});
@@ -0,0 +1,4 @@
+// Stands in for database/db.js during tests (test/loader.js); installFakes() reseeds it
+import { createFakeSupabase } from '../supabase.js';
+
+export const supabase = createFakeSupabase();
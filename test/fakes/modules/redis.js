@@ -0,0 +1,17 @@
+// Stands in for lib/redis.js during tests (test/loader.js)
+import { createFakeRedis } from '../redis.js';
+
+const redis = createFakeRedis();
+let configured = true;
+
+export function getRedisClient() {
+  return configured ? redis : null;
+}
+
+/**
+ * Empty the store; `configured: false` makes getRedisClient() return null like without env vars
+ */
+export function resetRedis({ configured: isConfigured = true } = {}) {
+  redis.store.clear();
+  configured = isConfigured;
+}
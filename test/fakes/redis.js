@@ -0,0 +1,211 @@
+/**
+ * In-memory stand-in for the Upstash Redis client
+ *
+ * Mirrors @upstash/redis behaviour the handlers rely on: objects are stored as JSON
+ * and parsed back on read, `set` supports ex/px/nx/xx/keepTtl, and ttl returns
+ * -2 for missing keys and -1 for keys without expiry. `multi()` queues commands and
+ * runs them back to back on `exec()`, so nothing else touches the store in between.
+ *
+ *   const redis = createFakeRedis();
+ */
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function deserialize(raw) {
+  if (raw === null || raw === undefined) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+export class FakeRedis {
+  constructor() {
+    this.store = new Map(); // key -> { value, expiresAt }
+  }
+
+  entry(key) {
+    const item = this.store.get(key);
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return item || null;
+  }
+
+  collection(key, Type) {
+    const item = this.entry(key);
+    if (item) return item.value;
+    const value = new Type();
+    this.store.set(key, { value, expiresAt: null });
+    return value;
+  }
+
+  async get(key) {
+    const item = this.entry(key);
+    return item ? deserialize(item.value) : null;
+  }
+
+  async mget(...keys) {
+    return Promise.all(keys.flat().map((key) => this.get(key)));
+  }
+
+  async set(key, value, { ex, px, nx = false, xx = false, keepTtl = false } = {}) {
+    const existing = this.entry(key);
+    if ((nx && existing) || (xx && !existing)) return null;
+
+    let expiresAt = null;
+    if (ex) expiresAt = Date.now() + ex * 1000;
+    else if (px) expiresAt = Date.now() + px;
+    else if (keepTtl && existing) expiresAt = existing.expiresAt;
+
+    this.store.set(key, { value: serialize(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.flat().filter((key) => this.entry(key) && this.store.delete(key)).length;
+  }
+
+  async incr(key) {
+    const item = this.entry(key);
+    const next = Number(item ? item.value : 0) + 1;
+    this.store.set(key, { value: String(next), expiresAt: item ? item.expiresAt : null });
+    return next;
+  }
+
+  async expire(key, seconds) {
+    const item = this.entry(key);
+    if (!item) return 0;
+    item.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  async ttl(key) {
+    const item = this.entry(key);
+    if (!item) return -2;
+    if (item.expiresAt === null) return -1;
+    return Math.ceil((item.expiresAt - Date.now()) / 1000);
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter((key) => this.entry(key)).length;
+  }
+
+  async keys(pattern) {
+    const regex = globToRegex(pattern);
+    return [...this.store.keys()].filter((key) => this.entry(key) && regex.test(key));
+  }
+
+  // Single pass: returns every match with cursor 0
+  async scan(cursor, { match = '*' } = {}) {
+    return [0, await this.keys(match)];
+  }
+
+  async sadd(key, ...members) {
+    const set = this.collection(key, Set);
+    const before = set.size;
+    members.flat().forEach((member) => set.add(serialize(member)));
+    return set.size - before;
+  }
+
+  async srem(key, ...members) {
+    const item = this.entry(key);
+    if (!item) return 0;
+    return members.flat().filter((member) => item.value.delete(serialize(member))).length;
+  }
+
+  async smembers(key) {
+    const item = this.entry(key);
+    return item ? [...item.value].map(deserialize) : [];
+  }
+
+  // zadd(key, [{ nx, xx, gt, lt, ch }], { score, member }, ...)
+  async zadd(key, ...args) {
+    const options = args[0] && !('member' in args[0]) ? args.shift() : {};
+    const zset = this.collection(key, Map);
+    let added = 0;
+    let changed = 0;
+    args.filter((entry) => entry && 'member' in entry).forEach(({ score, member }) => {
+      const field = serialize(member);
+      const next = Number(score);
+      const exists = zset.has(field);
+      const current = zset.get(field);
+      if ((options.nx && exists) || (options.xx && !exists)) return;
+      if (exists && ((options.gt && next <= current) || (options.lt && next >= current))) return;
+      if (!exists) added++;
+      else if (current !== next) changed++;
+      zset.set(field, next);
+    });
+    return options.ch ? added + changed : added;
+  }
+
+  async zrem(key, ...members) {
+    const item = this.entry(key);
+    if (!item) return 0;
+    return members.flat().filter((member) => item.value.delete(serialize(member))).length;
+  }
+
+  async zcard(key) {
+    const item = this.entry(key);
+    return item ? item.value.size : 0;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const item = this.entry(key);
+    if (!item) return 0;
+    let removed = 0;
+    for (const [member, score] of item.value) {
+      if (score >= Number(min) && score <= Number(max)) {
+        item.value.delete(member);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async zrange(key, start, stop, { withScores = false } = {}) {
+    const item = this.entry(key);
+    if (!item) return [];
+    const sorted = [...item.value].sort((a, b) => a[1] - b[1]);
+    const end = stop < 0 ? sorted.length + stop : stop;
+    const slice = sorted.slice(start, end + 1);
+    return withScores
+      ? slice.flatMap(([member, score]) => [deserialize(member), score])
+      : slice.map(([member]) => deserialize(member));
+  }
+
+  // The methods above never await, so calling them in one synchronous pass is atomic
+  multi() {
+    const queue = [];
+    const tx = {
+      exec: async () => Promise.all(queue.map(([command, args]) => this[command](...args)))
+    };
+    Object.getOwnPropertyNames(FakeRedis.prototype)
+      .filter((name) => !['constructor', 'entry', 'collection', 'multi'].includes(name))
+      .forEach((name) => {
+        tx[name] = (...args) => {
+          queue.push([name, args]);
+          return tx;
+        };
+      });
+    return tx;
+  }
+
+  async flushall() {
+    this.store.clear();
+    return 'OK';
+  }
+}
+
+export function createFakeRedis() {
+  return new FakeRedis();
+}
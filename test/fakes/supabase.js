@@ -0,0 +1,523 @@
+/**
+ * In-memory stand-in for the Supabase client
+ *
+ * Implements the subset of the PostgREST query builder the handlers use:
+ *   from().select/insert/update/upsert/delete
+ *   eq/neq/gt/gte/lt/lte/in/is/like/ilike/or/not/filter/match
+ *   order/range/limit/single/maybeSingle, select(..., { count, head })
+ * plus storage buckets (upload/download/remove/list/getPublicUrl).
+ *
+ * Embedded resources in select strings are resolved by PostgREST naming:
+ *   tour:tours(title)                        → tour_bookings.tour_id → tours.id
+ *   customer:users!tour_bookings_user_id_fkey(name) → column from the constraint name
+ *   tour_tags(tag:tags(name))                → one-to-many via tour_tags.tour_id
+ *   tours!inner(guide_id)                    → parent rows without a match are dropped
+ * Pass `relations` to override: { tour_bookings: { guide: { table: 'users', column: 'guide_id' } } }.
+ *
+ *   const supabase = createFakeSupabase({ tables: { users: [{ id: 'u1', email: 'a@b.c' }] } });
+ *   supabase.rows('tour_bookings'); // inspect what a handler wrote
+ */
+
+import crypto from 'crypto';
+
+const NO_ROWS = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function singular(table) {
+  if (table.endsWith('ies')) return `${table.slice(0, -3)}y`;
+  return table.endsWith('s') ? table.slice(0, -1) : table;
+}
+
+// Split on commas that are not inside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseSelect(columns = '*') {
+  return splitTopLevel(String(columns).replace(/\s+/g, ' ')).map((item) => {
+    const embedded = item.match(/^(?:([\w]+):)?([\w]+)(?:!([\w]+))?\s*\((.*)\)$/s);
+    if (embedded) {
+      const [, alias, table, hint, inner] = embedded;
+      return {
+        type: 'embed',
+        name: alias || table,
+        table,
+        hint: hint && hint !== 'inner' ? hint : null,
+        inner: hint === 'inner',
+        columns: parseSelect(inner)
+      };
+    }
+    const [left, right] = item.includes(':') ? item.split(':') : [null, item];
+    const path = right.trim();
+    const name = left ? left.trim() : path.split(/->>?/).pop();
+    return path === '*' ? { type: 'all' } : { type: 'column', name, path };
+  });
+}
+
+// Reads `col`, `col->key` (JSON) and `col->>key` (JSON as text)
+function readPath(row, path) {
+  const segments = path.split(/(->>?)/);
+  let value = row?.[segments[0]];
+  for (let i = 1; i < segments.length; i += 2) {
+    value = value?.[segments[i + 1]];
+    if (segments[i] === '->>' && value !== undefined && value !== null && typeof value === 'object') {
+      value = JSON.stringify(value);
+    } else if (segments[i] === '->>' && value !== undefined && value !== null) {
+      value = String(value);
+    }
+  }
+  return value;
+}
+
+function likeToRegex(pattern, flags) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function looseEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  // jsonb columns: PostgREST parses the filter value as JSON
+  if (typeof a === 'object') return JSON.stringify(a) === (typeof b === 'string' ? b : JSON.stringify(b));
+  return String(a) === String(b);
+}
+
+const OPERATORS = {
+  eq: (value, expected) => looseEqual(value, expected),
+  neq: (value, expected) => value !== null && value !== undefined && !looseEqual(value, expected),
+  gt: (value, expected) => value !== null && value !== undefined && value > expected,
+  gte: (value, expected) => value !== null && value !== undefined && value >= expected,
+  lt: (value, expected) => value !== null && value !== undefined && value < expected,
+  lte: (value, expected) => value !== null && value !== undefined && value <= expected,
+  in: (value, expected) => expected.some((item) => looseEqual(value, item)),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected),
+  like: (value, expected) => typeof value === 'string' && likeToRegex(expected).test(value),
+  ilike: (value, expected) => typeof value === 'string' && likeToRegex(expected, 'i').test(value),
+  contains: (value, expected) => Array.isArray(value) && [].concat(expected).every((item) => value.includes(item))
+};
+
+// Values inside or()/filter() strings: in.(a,b), is.null, is.true
+function parseFilterValue(op, raw) {
+  if (op === 'in') return raw.replace(/^\(|\)$/g, '').split(',').map((item) => item.trim().replace(/^"|"$/g, ''));
+  if (op === 'is') return raw === 'null' ? null : raw === 'true';
+  return raw;
+}
+
+function parseCondition(text) {
+  const group = text.match(/^(and|or)\((.*)\)$/s);
+  if (group) {
+    const conditions = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === 'and'
+      ? (row) => conditions.every((matches) => matches(row))
+      : (row) => conditions.some((matches) => matches(row));
+  }
+  const [column, maybeNot, ...rest] = text.split('.');
+  const negate = maybeNot === 'not';
+  const op = negate ? rest.shift() : maybeNot;
+  const value = parseFilterValue(op, rest.join('.'));
+  const test = OPERATORS[op];
+  if (!test) throw new Error(`Fake Supabase: unsupported operator "${op}" in or()`);
+  return (row) => test(readPath(row, column), value) !== negate;
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.mode = 'many';
+    this.countMode = null;
+    this.head = false;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = columns;
+    this.countMode = count;
+    this.head = head;
+    if (this.action !== 'select') this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.payload = values;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.payload = values;
+    this.conflictColumns = onConflict.split(',').map((column) => column.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  addFilter(column, op, value, negate = false) {
+    const test = OPERATORS[op];
+    if (!test) throw new Error(`Fake Supabase: unsupported operator "${op}"`);
+    this.filters.push((row) => test(readPath(row, column), value) !== negate);
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  contains(column, value) { return this.addFilter(column, 'contains', value); }
+
+  not(column, op, value) {
+    return this.addFilter(column, op, typeof value === 'string' ? parseFilterValue(op, value) : value, true);
+  }
+
+  filter(column, op, value) {
+    return this.addFilter(column, op, typeof value === 'string' ? parseFilterValue(op, value) : value);
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(conditions) {
+    const matchers = splitTopLevel(conditions).map(parseCondition);
+    this.filters.push((row) => matchers.some((matches) => matches(row)));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = false } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom ?? 0;
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter((row) => this.filters.every((matches) => matches(row)));
+  }
+
+  execute() {
+    if (this.db.failures.has(this.table)) {
+      return { data: null, error: this.db.failures.get(this.table), count: null, status: 500 };
+    }
+
+    let rows;
+    if (this.action === 'insert') rows = this.db.insertRows(this.table, this.payload);
+    else if (this.action === 'upsert') rows = this.db.upsertRows(this.table, this.payload, this.conflictColumns, this.ignoreDuplicates);
+    else if (this.action === 'update') rows = this.matching().map((row) => Object.assign(row, clone(this.payload)));
+    else if (this.action === 'delete') rows = this.db.deleteRows(this.table, this.matching());
+    else rows = this.matching();
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count: null, status: this.action === 'insert' ? 201 : 204 };
+    }
+
+    rows = this.sort(rows);
+    const count = this.countMode ? rows.length : null;
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+
+    let data = this.db.project(this.table, rows, parseSelect(this.columns));
+    if (this.head) data = null;
+
+    if (this.mode === 'single' || this.mode === 'maybeSingle') {
+      if (data.length > 1 || (data.length === 0 && this.mode === 'single')) {
+        return { data: null, error: { ...NO_ROWS, details: `The result contains ${data.length} rows` }, count, status: 406 };
+      }
+      data = data[0] ?? null;
+    }
+    return { data, error: null, count, status: 200 };
+  }
+
+  sort(rows) {
+    if (!this.orders.length) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = readPath(a, column);
+        const right = readPath(b, column);
+        const leftNull = left === null || left === undefined;
+        const rightNull = right === null || right === undefined;
+        if (leftNull !== rightNull) return (leftNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+        const result = compare(left, right);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+}
+
+class FakeBucket {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+  }
+
+  get files() {
+    return this.storage.files(this.name);
+  }
+
+  async upload(path, body, { upsert = false, contentType = null } = {}) {
+    if (this.files.has(path) && !upsert) {
+      return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+    }
+    this.files.set(path, { body, contentType, updatedAt: new Date().toISOString() });
+    return { data: { path, fullPath: `${this.name}/${path}` }, error: null };
+  }
+
+  async download(path) {
+    const file = this.files.get(path);
+    if (!file) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    return { data: new Blob([file.body], { type: file.contentType || undefined }), error: null };
+  }
+
+  async remove(paths) {
+    const removed = paths.filter((path) => this.files.delete(path));
+    return { data: removed.map((path) => ({ name: path })), error: null };
+  }
+
+  async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+    const base = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    const names = new Map();
+    for (const [path, file] of this.files) {
+      if (!path.startsWith(base)) continue;
+      const [name, ...rest] = path.slice(base.length).split('/');
+      names.set(name, rest.length ? { name, id: null } : { name, id: path, updated_at: file.updatedAt });
+    }
+    return { data: [...names.values()].slice(offset, offset + limit), error: null };
+  }
+
+  getPublicUrl(path) {
+    return { data: { publicUrl: `https://fake.supabase.local/storage/v1/object/public/${this.name}/${path}` } };
+  }
+
+  async createSignedUrl(path, expiresIn) {
+    if (!this.files.has(path)) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    return { data: { signedUrl: `${this.getPublicUrl(path).data.publicUrl}?expires=${expiresIn}` }, error: null };
+  }
+}
+
+class FakeStorage {
+  constructor(buckets = {}) {
+    this.buckets = new Map();
+    Object.entries(buckets).forEach(([name, files]) => {
+      this.buckets.set(name, { options: { public: true }, files: new Map(Object.entries(files || {}).map(([path, body]) => [path, { body }])) });
+    });
+  }
+
+  files(bucket) {
+    if (!this.buckets.has(bucket)) this.buckets.set(bucket, { options: { public: true }, files: new Map() });
+    return this.buckets.get(bucket).files;
+  }
+
+  from(bucket) {
+    return new FakeBucket(this, bucket);
+  }
+
+  async getBucket(name) {
+    const bucket = this.buckets.get(name);
+    if (!bucket) return { data: null, error: { statusCode: '404', message: 'Bucket not found' } };
+    return { data: { id: name, name, ...bucket.options }, error: null };
+  }
+
+  async createBucket(name, options = {}) {
+    if (this.buckets.has(name)) return { data: null, error: { statusCode: '409', message: 'Bucket already exists' } };
+    this.buckets.set(name, { options, files: new Map() });
+    return { data: { name }, error: null };
+  }
+
+  async updateBucket(name, options = {}) {
+    const bucket = this.buckets.get(name);
+    if (!bucket) return { data: null, error: { statusCode: '404', message: 'Bucket not found' } };
+    Object.assign(bucket.options, options);
+    return { data: { message: 'Successfully updated' }, error: null };
+  }
+
+  async listBuckets() {
+    return { data: [...this.buckets.keys()].map((name) => ({ id: name, name })), error: null };
+  }
+}
+
+export class FakeSupabase {
+  constructor({ tables = {}, relations = {}, buckets = {} } = {}) {
+    this.tables = new Map(Object.entries(tables).map(([name, rows]) => [name, clone(rows)]));
+    this.relations = relations;
+    this.failures = new Map();
+    this.storage = new FakeStorage(buckets);
+    this.auth = {
+      // Only our own HMAC tokens are issued in tests, so Supabase JWTs never verify
+      getUser: async () => ({ data: { user: null }, error: { message: 'invalid JWT' } }),
+      admin: {
+        deleteUser: async () => ({ data: null, error: null })
+      }
+    };
+  }
+
+  /** Start over with new seed data (tests share one instance, see test/fakes/modules/db.js) */
+  reset(options) {
+    Object.assign(this, new FakeSupabase(options));
+    return this;
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  async rpc(name) {
+    return { data: null, error: { code: '42883', message: `function ${name} does not exist` } };
+  }
+
+  /** Live rows of a table (mutations are visible to the next query) */
+  rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  /** Make every query on `table` fail with `error` (null clears it) */
+  failTable(table, error = { code: '500', message: 'Simulated failure' }) {
+    if (error) this.failures.set(table, error);
+    else this.failures.delete(table);
+  }
+
+  withDefaults(row) {
+    const now = new Date().toISOString();
+    return { id: crypto.randomUUID(), created_at: now, updated_at: now, ...clone(row) };
+  }
+
+  insertRows(table, payload) {
+    const rows = [].concat(payload).map((row) => this.withDefaults(row));
+    this.rows(table).push(...rows);
+    return rows;
+  }
+
+  upsertRows(table, payload, conflictColumns, ignoreDuplicates) {
+    const existing = this.rows(table);
+    return [].concat(payload).flatMap((row) => {
+      const match = existing.find((candidate) => conflictColumns.every((column) => looseEqual(candidate[column], row[column])));
+      if (!match) return this.insertRows(table, row);
+      if (ignoreDuplicates) return [];
+      return [Object.assign(match, clone(row), { updated_at: new Date().toISOString() })];
+    });
+  }
+
+  deleteRows(table, rows) {
+    const doomed = new Set(rows);
+    this.tables.set(table, this.rows(table).filter((row) => !doomed.has(row)));
+    return rows;
+  }
+
+  // Finds how `embed` links to rows of `table`
+  resolveRelation(table, embed, row) {
+    const override = this.relations[table]?.[embed.name];
+    if (override) return { table: override.table || embed.table, ...override };
+
+    if (embed.hint) {
+      const column = embed.hint.replace(new RegExp(`^${table}_`), '').replace(/_fkey$/, '');
+      return { table: embed.table, column };
+    }
+    const manyToOne = `${singular(embed.table)}_id`;
+    if (row && manyToOne in row) return { table: embed.table, column: manyToOne };
+    return { table: embed.table, foreignColumn: `${singular(table)}_id` };
+  }
+
+  project(table, rows, columns) {
+    const projected = [];
+    for (const row of rows) {
+      const result = {};
+      let keep = true;
+
+      for (const column of columns) {
+        if (column.type === 'all') {
+          Object.assign(result, clone(row));
+        } else if (column.type === 'column') {
+          result[column.name] = clone(readPath(row, column.path)) ?? null;
+        } else {
+          const relation = this.resolveRelation(table, column, row);
+          if (relation.column) {
+            const related = this.rows(relation.table).find((candidate) => looseEqual(candidate.id, row[relation.column]));
+            result[column.name] = related ? this.project(relation.table, [related], column.columns)[0] : null;
+            if (column.inner && !related) keep = false;
+          } else {
+            const related = this.rows(relation.table).filter((candidate) => looseEqual(candidate[relation.foreignColumn], row.id));
+            result[column.name] = this.project(relation.table, related, column.columns);
+            if (column.inner && related.length === 0) keep = false;
+          }
+        }
+      }
+
+      if (keep) projected.push(result);
+    }
+    return projected;
+  }
+}
+
+export function createFakeSupabase(options) {
+  return new FakeSupabase(options);
+}
@@ -0,0 +1,133 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/guide-availability.js';
+
+const guide = { id: 'guide-1', name: 'Guide', email: 'guide@example.com', role: 'guide', is_active: true };
+const otherGuide = { id: 'guide-2', name: 'Other', email: 'other@example.com', role: 'creator', is_active: true };
+const customer = { id: 'customer-1', name: 'Customer', email: 'customer@example.com', role: 'user', is_active: true };
+
+let supabase;
+
+beforeEach(() => {
+  ({ supabase } = installFakes({
+    tables: {
+      users: [guide, otherGuide, customer],
+      tours: [{ id: 'tour-1', guide_id: guide.id, default_group_size: 8 }],
+      tour_availability_slots: [
+        { id: 'slot-past', tour_id: 'tour-1', date: '2000-01-01', max_group_size: 8, booked_spots: 0, is_available: true, is_blocked: false },
+        { id: 'slot-1', tour_id: 'tour-1', date: '2030-06-02', max_group_size: 4, booked_spots: 4, is_available: true, is_blocked: false },
+        { id: 'slot-2', tour_id: 'tour-1', date: '2030-06-01', max_group_size: 8, booked_spots: 2, is_available: true, is_blocked: false }
+      ]
+    }
+  }));
+});
+
+describe('GET /api/guide-availability', () => {
+  test('is public and lists upcoming slots by date with remaining spots', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { tour_id: 'tour-1' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.availability.map((slot) => slot.date), ['2030-06-01', '2030-06-02']);
+    assert.equal(res.body.availability[0].available_spots, 6);
+    assert.equal(res.body.availability[1].is_available, false, 'a full slot is not bookable');
+  });
+
+  test('honours date_to', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { tour_id: 'tour-1', date_to: '2030-06-01' } });
+    assert.deepEqual(res.body.availability.map((slot) => slot.id), ['slot-2']);
+  });
+
+  test('returns 404 for an unknown tour', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { tour_id: 'missing' } });
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe('POST /api/guide-availability', () => {
+  test('only guides can manage slots', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { tour_id: 'tour-1', slots: [{ date: '2030-07-01' }] },
+      headers: await authHeader(customer)
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test("guides cannot manage another guide's tour", async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { tour_id: 'tour-1', slots: [{ date: '2030-07-01' }] },
+      headers: await authHeader(otherGuide)
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('upserts slots by tour and date, defaulting the group size from the tour', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { tour_id: 'tour-1', slots: [{ date: '2030-06-01', max_group_size: 12 }, { date: '2030-07-01' }] },
+      headers: await authHeader(guide)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.updated_count, 2);
+
+    const slots = supabase.rows('tour_availability_slots');
+    assert.equal(slots.length, 4);
+    assert.equal(slots.find((slot) => slot.date === '2030-06-01').max_group_size, 12);
+    assert.equal(slots.find((slot) => slot.date === '2030-07-01').max_group_size, 8);
+  });
+
+  test('bulk-blocks dates', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { tour_id: 'tour-1', bulk_block: { dates: ['2030-06-01', '2030-08-01'] } },
+      headers: await authHeader(guide)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.updated_count, 2);
+    const blocked = supabase.rows('tour_availability_slots').filter((slot) => slot.is_blocked);
+    assert.deepEqual(blocked.map((slot) => slot.date).sort(), ['2030-06-01', '2030-08-01']);
+  });
+});
+
+describe('PUT and DELETE /api/guide-availability', () => {
+  test('the owning guide updates a slot', async () => {
+    const res = await invoke(handler, {
+      method: 'PUT',
+      query: { slot_id: 'slot-2' },
+      body: { custom_price: 55, notes: 'Holiday' },
+      headers: await authHeader(guide)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.slot.custom_price, 55);
+    assert.equal(res.body.slot.notes, 'Holiday');
+  });
+
+  test('other guides cannot update the slot', async () => {
+    const res = await invoke(handler, {
+      method: 'PUT',
+      query: { slot_id: 'slot-2' },
+      body: { notes: 'Mine now' },
+      headers: await authHeader(otherGuide)
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('DELETE blocks the slot instead of removing it', async () => {
+    const res = await invoke(handler, { method: 'DELETE', query: { slot_id: 'slot-2' }, headers: await authHeader(guide) });
+
+    assert.equal(res.statusCode, 200);
+    const slot = supabase.rows('tour_availability_slots').find((row) => row.id === 'slot-2');
+    assert.equal(slot.is_blocked, true);
+    assert.equal(slot.is_available, false);
+  });
+
+  test('returns 404 for an unknown slot', async () => {
+    const res = await invoke(handler, { method: 'DELETE', query: { slot_id: 'missing' }, headers: await authHeader(guide) });
+    assert.equal(res.statusCode, 404);
+  });
+});
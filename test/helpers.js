@@ -0,0 +1,129 @@
+/**
+ * Shared setup for handler tests
+ *
+ * Import this module first in every test file: setup.js sets the environment the
+ * handlers read at import time. Handlers then run against the in-memory fakes, which
+ * test/loader.js puts in place of database/db.js and lib/redis.js:
+ *
+ *   const { supabase, redis } = installFakes({ tables: { users: [user] } });
+ *   const res = await invoke(handler, { method: 'GET', query: { id }, headers: await authHeader(user) });
+ *   assert.equal(res.statusCode, 200);
+ */
+
+import './setup.js';
+import { EventEmitter } from 'events';
+import { supabase } from '../database/db.js';
+import { getRedisClient } from '../lib/redis.js';
+import { issueTokenPair } from '../lib/authTokens.js';
+import { FakeSupabase } from './fakes/supabase.js';
+import { resetRedis } from './fakes/modules/redis.js';
+
+if (!(supabase instanceof FakeSupabase)) {
+  throw new Error('Handler tests need the fake clients: run them with `node --test --import ./test/register.js` (npm test)');
+}
+
+/**
+ * Reseed the fakes that database/db.js and lib/redis.js resolve to (test/loader.js).
+ * Options are those of createFakeSupabase; `redis: null` runs without Redis.
+ */
+export function installFakes(options = {}) {
+  supabase.reset(options);
+  resetRedis({ configured: options.redis !== null });
+  return { supabase, redis: getRedisClient() };
+}
+
+export function createRequest({ method = 'GET', url = '/', query = {}, body = {}, headers = {}, rawBody } = {}) {
+  const req = new EventEmitter();
+  Object.assign(req, {
+    method,
+    url,
+    query,
+    body,
+    rawBody,
+    headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])),
+    socket: { remoteAddress: '127.0.0.1' }
+  });
+  return req;
+}
+
+/**
+ * Minimal Vercel/Express-style response that records what the handler sent.
+ */
+export function createResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    finished: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    json(payload) {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(payload);
+    },
+    send(payload) {
+      return res.end(payload);
+    },
+    write(chunk) {
+      res.headersSent = true;
+      res.body = (res.body || '') + chunk;
+      return true;
+    },
+    end(payload) {
+      if (payload !== undefined) res.body = payload;
+      res.headersSent = true;
+      res.finished = true;
+      res.emit('finish');
+      return res;
+    }
+  });
+  return res;
+}
+
+export async function invoke(handler, request) {
+  const req = createRequest(request);
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+export async function authHeader(user) {
+  const { token } = await issueTokenPair(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Replace fetch so Resend calls are recorded instead of sent; any other
+ * outgoing request fails. Returns the list of sent emails and a restore function.
+ */
+export function captureEmails() {
+  const originalFetch = globalThis.fetch;
+  const emails = [];
+  globalThis.fetch = async (url, options = {}) => {
+    if (String(url).startsWith('https://api.resend.com/emails')) {
+      emails.push(JSON.parse(options.body));
+      return new Response(JSON.stringify({ id: `email_${emails.length}` }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    throw new Error(`Network access is disabled in tests (${url})`);
+  };
+  return {
+    emails,
+    restore: () => {
+      globalThis.fetch = originalFetch;
+    }
+  };
+}
@@ -0,0 +1,143 @@
+import { installFakes } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItineraryPipeline, MAX_TRIP_DAYS, listTripDates } from '../services/ItineraryPipeline.js';
+
+const SLOTS = [
+  { time: '09:00', activity: 'Coffee', category: 'cafe', keywords: [] },
+  { time: '13:00', activity: 'Lunch', category: 'restaurant', keywords: [] },
+  { time: '19:30', activity: 'Dinner', category: 'restaurant', keywords: [] }
+];
+
+const location = (id, name, category) => ({ id, name, category, city_id: 'city-1', verified: true, address: `${name} street` });
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      locations: [
+        location('loc-1', 'Cafe A', 'cafe'),
+        location('loc-2', 'Cafe B', 'cafe'),
+        location('loc-3', 'Cafe C', 'cafe'),
+        ...['1', '2', '3', '4', '5', '6'].map((n) => location(`loc-r${n}`, `Restaurant ${n}`, 'restaurant'))
+      ]
+    }
+  });
+});
+
+/**
+ * Pipeline with the real LocationService (fake Supabase) and recording stand-ins
+ * for the OpenAI-backed services
+ */
+function createPipeline() {
+  const pipeline = new ItineraryPipeline();
+  const calls = { concepts: [], weather: [], meta: [] };
+
+  pipeline.contentService = {
+    async generateDayConcept(params) {
+      calls.concepts.push(params);
+      return { concept: `Theme ${params.dayNumber}`, timeSlots: SLOTS };
+    },
+    async generateMetaInfo(params) {
+      calls.meta.push(params);
+      return { title: 'Lisbon', subtitle: 'Days in Lisbon', weather: { temperature: 21 } };
+    },
+    async generateWeather({ date }) {
+      calls.weather.push(date);
+      return { temperature: 19 };
+    }
+  };
+  pipeline.blocksService = {
+    async generateFullDayBlocks({ concept, locations, usedLocationNames }) {
+      const blocks = [{ block_type: 'title', order_index: 0, content: { text: concept } }];
+      for (const loc of locations) {
+        usedLocationNames.add(loc.realPlace.name.toLowerCase());
+        blocks.push({
+          block_type: 'location',
+          order_index: blocks.length,
+          content: { mainLocation: { name: loc.realPlace.name, address: loc.realPlace.address } }
+        });
+      }
+      return blocks;
+    }
+  };
+  pipeline.storageService = {
+    async savePreview() {
+      return { success: true, itineraryId: 'itinerary-1' };
+    }
+  };
+  return { pipeline, calls };
+}
+
+describe('listTripDates', () => {
+  test('lists every date of the range, across months', () => {
+    assert.deepEqual(listTripDates('2030-01-30', '2030-02-02'), ['2030-01-30', '2030-01-31', '2030-02-01', '2030-02-02']);
+  });
+
+  test('gives one day without, with an invalid or with an earlier end date', () => {
+    assert.deepEqual(listTripDates('2030-06-01'), ['2030-06-01']);
+    assert.deepEqual(listTripDates('2030-06-01', 'soon'), ['2030-06-01']);
+    assert.deepEqual(listTripDates('2030-06-01', '2030-05-01'), ['2030-06-01']);
+  });
+
+  test(`stops after ${MAX_TRIP_DAYS} days`, () => {
+    const dates = listTripDates('2030-06-01', '2030-07-01');
+    assert.equal(dates.length, MAX_TRIP_DAYS);
+    assert.equal(dates[dates.length - 1], '2030-06-07');
+  });
+});
+
+describe('ItineraryPipeline', () => {
+  test('plans every day of the range with its own theme and places', async () => {
+    const { pipeline, calls } = createPipeline();
+
+    const itinerary = await pipeline.generateItinerary({
+      city: 'Lisbon',
+      audience: 'couple',
+      interests: ['food'],
+      date_from: '2030-06-01',
+      date_to: '2030-06-03',
+      budget: 100,
+      previewOnly: true
+    });
+
+    assert.equal(itinerary.daysCount, 3);
+    assert.deepEqual(itinerary.days.map((day) => day.date), ['2030-06-01', '2030-06-02', '2030-06-03']);
+    assert.deepEqual(itinerary.conceptual_plan.days.map((day) => day.concept), ['Theme 1', 'Theme 2', 'Theme 3']);
+    assert.equal(itinerary.date_to, '2030-06-03');
+    assert.equal(itinerary.itineraryId, 'itinerary-1');
+
+    // Each day sees the themes and places of the days before it
+    assert.deepEqual(calls.concepts.map((call) => call.previousDays.length), [0, 1, 2]);
+    assert.deepEqual(calls.concepts[1].previousDays[0].places, ['Cafe A', 'Restaurant 1', 'Restaurant 2']);
+
+    const places = itinerary.activities.map((activity) => activity.name);
+    assert.equal(places.length, 9);
+    assert.equal(new Set(places).size, places.length, 'a place repeats across days');
+
+    // Flattened blocks keep their day and a continuous order
+    assert.deepEqual(itinerary.contentBlocks.map((block) => block.order_index), itinerary.contentBlocks.map((_, index) => index));
+    assert.deepEqual([...new Set(itinerary.contentBlocks.map((block) => block.day))], [1, 2, 3]);
+    assert.deepEqual(itinerary.activities.filter((activity) => activity.day === 2).map((activity) => activity.date), Array(3).fill('2030-06-02'));
+
+    // Weather: day 1 from the trip meta info, the other days asked separately
+    assert.deepEqual(calls.weather, ['2030-06-02', '2030-06-03']);
+    assert.equal(itinerary.days[0].weather.temperature, 21);
+    assert.equal(calls.meta[0].dateTo, '2030-06-03');
+    assert.equal(itinerary.totalCost, itinerary.days.reduce((sum, day) => sum + day.totalCost, 0));
+  });
+
+  test('keeps the one-day shape when there is no date range', async () => {
+    const { pipeline, calls } = createPipeline();
+
+    const itinerary = await pipeline.generateItinerary({ city: 'Lisbon', audience: 'him', date: '2030-06-01', budget: 50 });
+
+    assert.equal(itinerary.daysCount, 1);
+    assert.equal(itinerary.date, '2030-06-01');
+    assert.equal(itinerary.conceptual_plan.concept, 'Theme 1');
+    assert.deepEqual(itinerary.contentBlocks.map((block) => block.block_type), ['title', 'location', 'location', 'location']);
+    assert.deepEqual(calls.weather, []);
+    assert.equal(calls.meta[0].dateTo, null);
+    assert.equal(calls.concepts[0].totalDays, 1);
+  });
+});
@@ -0,0 +1,226 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { JOB_STATUS, cancelJob, enqueueJob, getJob, retryJob, runJob } from '../lib/jobs.js';
+import adminJobs from '../api/admin-jobs.js';
+import jobsWorker from '../api/jobs-worker.js';
+import recalculateToursDuration from '../api/recalculate-tours-duration.js';
+
+const admin = { id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', email: 'admin@example.com', name: 'Admin', role: 'admin' };
+const traveler = { id: 'user-1', email: 'traveler@example.com', name: 'Traveler', role: 'user' };
+
+// Counts to `params.total`, `params.step` items per chunk; fails while `failures` > 0
+let failures = 0;
+const counter = {
+  type: 'counter',
+  async start({ params }) {
+    return { total: params.total, cursor: { next: 0 }, result: { seen: [] } };
+  },
+  async runChunk({ params, cursor, result }) {
+    if (failures > 0) {
+      failures--;
+      throw new Error('flaky chunk');
+    }
+    const end = Math.min(cursor.next + params.step, params.total);
+    for (let i = cursor.next; i < end; i++) result.seen.push(i);
+    return { processed: end - cursor.next, cursor: { next: end }, result, done: end === params.total };
+  }
+};
+const definitions = { counter };
+
+let supabase;
+
+beforeEach(() => {
+  failures = 0;
+  ({ supabase } = installFakes({
+    tables: {
+      users: [admin, traveler],
+      background_jobs: [],
+      tours: [
+        { id: 'tour-1', title: 'Two days' },
+        { id: 'tour-2', title: 'Afternoon' }
+      ],
+      tour_days: [
+        { id: 'day-1', tour_id: 'tour-1', day_number: 1 },
+        { id: 'day-2', tour_id: 'tour-1', day_number: 2 },
+        { id: 'day-3', tour_id: 'tour-2', day_number: 1 }
+      ],
+      tour_blocks: [
+        { id: 'block-1', tour_day_id: 'day-3', start_time: '13:00', end_time: '15:30' },
+        { id: 'block-2', tour_day_id: 'day-3', start_time: '16:00:00', end_time: '17:00:00' }
+      ]
+    }
+  }));
+});
+
+// budgetMs: 0 runs exactly one chunk per call
+const runOneChunk = (id) => runJob(id, definitions, { budgetMs: 0 });
+
+describe('runJob', () => {
+  test('runs chunk by chunk, saving progress, until done', async () => {
+    const queued = await enqueueJob(counter, { params: { total: 5, step: 2 }, createdBy: admin.id });
+    assert.equal(queued.status, JOB_STATUS.QUEUED);
+    assert.equal(queued.created_by, admin.id);
+
+    let job = await runOneChunk(queued.id);
+    assert.equal(job.status, JOB_STATUS.RUNNING);
+    assert.deepEqual(job.progress, { processed: 2, total: 5 });
+    assert.deepEqual(job.cursor, { next: 2 });
+    assert.equal(job.locked_until, null, 'lease released between invocations');
+
+    job = await runJob(queued.id, definitions);
+    assert.equal(job.status, JOB_STATUS.SUCCEEDED);
+    assert.deepEqual(job.result.seen, [0, 1, 2, 3, 4]);
+    assert.deepEqual(job.progress, { processed: 5, total: 5 });
+    assert.ok(job.finished_at);
+  });
+
+  test('does not touch a job leased by another worker', async () => {
+    const queued = await enqueueJob(counter, { params: { total: 2, step: 1 } });
+    supabase.rows('background_jobs')[0].locked_until = new Date(Date.now() + 60000).toISOString();
+
+    assert.equal(await runJob(queued.id, definitions), null);
+    assert.equal((await getJob(queued.id)).status, JOB_STATUS.QUEUED);
+  });
+
+  test('retries a failing chunk with backoff, then fails after max attempts', async () => {
+    const queued = await enqueueJob(counter, { params: { total: 4, step: 2 } });
+    await runOneChunk(queued.id);
+    failures = 3;
+
+    let job = await runOneChunk(queued.id);
+    assert.equal(job.status, JOB_STATUS.RUNNING);
+    assert.equal(job.attempts, 1);
+    assert.equal(job.last_error, 'flaky chunk');
+    assert.ok(new Date(job.run_after) > new Date(), 'retry is scheduled for later');
+    assert.equal(await runOneChunk(queued.id), null, 'not runnable before run_after');
+
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      supabase.rows('background_jobs')[0].run_after = new Date(Date.now() - 1000).toISOString();
+      job = await runOneChunk(queued.id);
+    }
+    assert.equal(job.status, JOB_STATUS.FAILED);
+    assert.equal(job.attempts, 3);
+
+    // retry resumes from the saved cursor instead of starting over
+    await retryJob(queued.id);
+    job = await runJob(queued.id, definitions);
+    assert.equal(job.status, JOB_STATUS.SUCCEEDED);
+    assert.deepEqual(job.result.seen, [0, 1, 2, 3]);
+  });
+
+  test('cancels an idle job at once and a running one at the next chunk boundary', async () => {
+    const idle = await enqueueJob(counter, { params: { total: 2, step: 1 } });
+    assert.equal((await cancelJob(idle.id)).status, JOB_STATUS.CANCELLED);
+    await assert.rejects(cancelJob(idle.id), { statusCode: 409 });
+
+    const busy = await enqueueJob(counter, { params: { total: 3, step: 1 } });
+    await runOneChunk(busy.id);
+    const row = supabase.rows('background_jobs').find((job) => job.id === busy.id);
+    row.locked_until = new Date(Date.now() + 60000).toISOString();
+
+    const requested = await cancelJob(busy.id);
+    assert.equal(requested.status, JOB_STATUS.RUNNING);
+    assert.equal(requested.cancel_requested, true);
+
+    row.locked_until = null;
+    const job = await runJob(busy.id, definitions);
+    assert.equal(job.status, JOB_STATUS.CANCELLED);
+    assert.deepEqual(job.result.seen, [0], 'no chunk ran after the request');
+  });
+});
+
+describe('batch endpoints', () => {
+  test('require an admin', async () => {
+    const anonymous = await invoke(recalculateToursDuration, { method: 'POST' });
+    assert.equal(anonymous.statusCode, 401);
+
+    const res = await invoke(recalculateToursDuration, { method: 'POST', headers: await authHeader(traveler) });
+    assert.equal(res.statusCode, 403);
+    assert.equal(supabase.rows('background_jobs').length, 0);
+  });
+
+  test('start a job and run it inline when it is short', async () => {
+    const res = await invoke(recalculateToursDuration, { method: 'POST', headers: await authHeader(admin) });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.job.type, 'recalculate-tours-duration');
+    assert.equal(res.body.job.status, JOB_STATUS.SUCCEEDED);
+    assert.equal(res.body.job.progress.percent, 100);
+    assert.equal(res.body.job.result.updated, 2);
+    assert.equal(res.body.statusUrl, `/api/admin-jobs?id=${res.body.job.id}`);
+
+    const tours = supabase.rows('tours');
+    assert.deepEqual(tours.map(({ duration_type, duration_value }) => [duration_type, duration_value]), [
+      ['days', 2],
+      ['hours', 4]
+    ]);
+  });
+});
+
+describe('/api/admin-jobs', () => {
+  test('starts, lists and shows jobs', async () => {
+    const headers = await authHeader(admin);
+    const started = await invoke(adminJobs, { method: 'POST', headers, body: { type: 'recalculate-tours-duration' } });
+    assert.equal(started.statusCode, 202);
+
+    const list = await invoke(adminJobs, { method: 'GET', headers, query: {} });
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(list.body.jobs.map((job) => job.id), [started.body.job.id]);
+    assert.ok(list.body.types.some((type) => type.type === 'enrich-tours'));
+
+    const one = await invoke(adminJobs, { method: 'GET', headers, query: { id: started.body.job.id } });
+    assert.equal(one.body.job.status, JOB_STATUS.SUCCEEDED);
+    assert.equal(one.body.job.locked_by, undefined, 'lease internals are not exposed');
+  });
+
+  test('rejects unknown job types and invalid params', async () => {
+    const headers = await authHeader(admin);
+
+    const unknown = await invoke(adminJobs, { method: 'POST', headers, body: { type: 'drop-everything' } });
+    assert.equal(unknown.statusCode, 400);
+
+    const missingTour = await invoke(adminJobs, { method: 'POST', headers, body: { type: 'refresh-tour-photos', params: {} } });
+    assert.equal(missingTour.statusCode, 400);
+    assert.match(missingTour.body.error, /tourId is required/);
+    assert.equal(supabase.rows('background_jobs').length, 0);
+  });
+
+  test('cancels a job', async () => {
+    const queued = await enqueueJob(counter, { params: { total: 2, step: 1 } });
+    const res = await invoke(adminJobs, {
+      method: 'POST',
+      headers: await authHeader(admin),
+      query: { id: queued.id, action: 'cancel' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.job.status, JOB_STATUS.CANCELLED);
+  });
+});
+
+describe('/api/jobs-worker', () => {
+  test('Vercel Cron calls it every minute', () => {
+    const { crons = [] } = JSON.parse(readFileSync(new URL('../vercel.json', import.meta.url), 'utf8'));
+    assert.deepEqual(crons.find((cron) => cron.path === '/api/jobs-worker'), { path: '/api/jobs-worker', schedule: '* * * * *' });
+  });
+
+  test('runs due jobs for the cron secret and rejects other callers', async () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    try {
+      const rejected = await invoke(jobsWorker, { method: 'GET', headers: { Authorization: 'Bearer wrong' } });
+      assert.equal(rejected.statusCode, 401);
+
+      const definition = { type: 'recalculate-tours-duration' };
+      const queued = await enqueueJob(definition);
+
+      const res = await invoke(jobsWorker, { method: 'GET', headers: { Authorization: 'Bearer cron-secret' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.ran, 1);
+      assert.equal((await getJob(queued.id)).status, JOB_STATUS.SUCCEEDED);
+    } finally {
+      delete process.env.CRON_SECRET;
+    }
+  });
+});
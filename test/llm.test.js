@@ -0,0 +1,111 @@
+import { installFakes } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMClient, LLMError, getLLM, parseJSON, resolveTask, setLLMProvider } from '../lib/llm/index.js';
+import { ItineraryPipeline } from '../services/ItineraryPipeline.js';
+
+const location = (id, name, category) => ({ id, name, category, city_id: 'city-1', verified: true, address: `${name} street` });
+
+/**
+ * Provider answering from a list: strings are answers, errors are thrown
+ */
+function scriptedProvider(answers) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      const answer = answers[Math.min(requests.length - 1, answers.length - 1)];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  };
+}
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      locations: [
+        location('loc-1', 'Cafe A', 'cafe'),
+        location('loc-2', 'Tile Museum', 'museum'),
+        location('loc-3', 'Restaurant 1', 'restaurant'),
+        location('loc-4', 'Estrela Garden', 'park'),
+        location('loc-5', 'Senhora do Monte', 'viewpoint'),
+        location('loc-6', 'Restaurant 2', 'restaurant')
+      ]
+    }
+  });
+});
+
+afterEach(() => {
+  setLLMProvider(null);
+});
+
+describe('lib/llm', () => {
+  test('resolves the model of a task from LLM_MODEL_<TASK>, then LLM_MODEL', () => {
+    assert.equal(resolveTask('dayConcept', {}).model, 'gpt-4');
+    assert.equal(resolveTask('dayConcept', { LLM_MODEL: 'gpt-4o-mini' }).model, 'gpt-4o-mini');
+    assert.equal(resolveTask('dayConcept', { LLM_MODEL: 'gpt-4o-mini', LLM_MODEL_DAY_CONCEPT: 'gpt-4o' }).model, 'gpt-4o');
+    assert.equal(resolveTask('blockTitle', {}).maxTokens, 20);
+    assert.throws(() => resolveTask('poem', {}), /Unknown LLM task/);
+  });
+
+  test('parses JSON inside markdown fences and surrounding text', () => {
+    assert.deepEqual(parseJSON('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(parseJSON('Here you go: [1, 2] Enjoy!'), [1, 2]);
+    assert.throws(() => parseJSON('no json here'), (error) => error instanceof LLMError && error.code === 'invalid_json');
+  });
+
+  test('retries rate limits and invalid JSON, then answers', async () => {
+    const provider = scriptedProvider([Object.assign(new Error('Too many requests'), { status: 429 }), 'not json', '{"ok": true}']);
+    const llm = new LLMClient({ provider, retryDelayMs: 0 });
+
+    assert.deepEqual(await llm.json('weather', { prompt: 'Weather as JSON' }), { ok: true });
+    assert.equal(provider.requests.length, 3);
+    assert.equal(provider.requests[0].model, 'gpt-3.5-turbo');
+    assert.equal(provider.requests[0].maxTokens, 150);
+  });
+
+  test('fails at once on errors a retry does not fix', async () => {
+    const provider = scriptedProvider([Object.assign(new Error('Incorrect API key'), { status: 401 })]);
+    const llm = new LLMClient({ provider, retryDelayMs: 0 });
+
+    await assert.rejects(llm.text('title', { prompt: 'Title' }), (error) => error instanceof LLMError && error.status === 401 && !error.retryable);
+    assert.equal(provider.requests.length, 1);
+  });
+
+  test('fills the fixture templates with the task vars', async () => {
+    const title = await getLLM().text('title', { prompt: 'Title', vars: { city: 'Lisbon' } });
+    const concept = await getLLM().json('dayConcept', { prompt: 'Concept as JSON', vars: { city: 'Lisbon', dayNumber: 2 } });
+
+    assert.equal(title, 'Lisbon at an Easy Pace');
+    assert.equal(concept.concept, 'Day 2 in Lisbon: unhurried streets and long meals');
+    assert.equal(concept.timeSlots.length, 6);
+  });
+});
+
+describe('ItineraryPipeline with the fixture provider', () => {
+  test('generates a whole itinerary offline', async () => {
+    const pipeline = new ItineraryPipeline();
+    pipeline.storageService = {
+      async savePreview() {
+        return { success: true, itineraryId: 'itinerary-1' };
+      }
+    };
+
+    const itinerary = await pipeline.generateItinerary({ city: 'Lisbon', audience: 'couple', interests: ['art'], date: '2030-06-04', budget: 200 });
+
+    assert.equal(itinerary.title, 'Lisbon at an Easy Pace');
+    assert.equal(itinerary.conceptual_plan.concept, 'Day 1 in Lisbon: unhurried streets and long meals');
+
+    const locationBlocks = itinerary.contentBlocks.filter((block) => block.block_type === 'location');
+    assert.equal(locationBlocks.length, 6);
+    assert.deepEqual(
+      new Set(locationBlocks.map((block) => block.content.mainLocation.name)),
+      new Set(['Cafe A', 'Tile Museum', 'Restaurant 1', 'Estrela Garden', 'Senhora do Monte', 'Restaurant 2'])
+    );
+    assert.match(locationBlocks[0].content.mainLocation.description, /quiet enough to settle in/);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Module resolve hooks for the test run (registered by test/register.js)
+ *
+ * The shared clients resolve to stand-ins under test/fakes/modules/, so every
+ * handler, service and lib module talks to the in-memory fakes through its normal
+ * imports - production modules have no test setters.
+ */
+
+const STAND_INS = new Map([
+  ['../database/db.js', './fakes/modules/db.js'],
+  ['../lib/redis.js', './fakes/modules/redis.js']
+].map(([real, standIn]) => [new URL(real, import.meta.url).href, new URL(standIn, import.meta.url).href]));
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const standIn = STAND_INS.get(resolved.url);
+  return standIn ? { ...resolved, url: standIn } : resolved;
+}
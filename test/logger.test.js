@@ -0,0 +1,25 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../lib/logger.js';
+
+describe('redact', () => {
+  test('hides sensitive keys in any casing style', () => {
+    const fields = {
+      newPassword: 'hunter22',
+      password_hash: '$2a$10$abc',
+      refreshToken: 'abc.def',
+      'x-api-key': 'key',
+      TOTP_SECRET: 'JBSWY3DP',
+      customerEmail: 'buyer@example.com',
+      metadata: { tourId: 't1' }
+    };
+
+    Object.entries(redact(fields)).forEach(([key, value]) => assert.equal(value, '[REDACTED]', key));
+  });
+
+  test('keeps keys that only contain a sensitive word', () => {
+    const fields = { bypass: 'cache', passengers: ['Ana'], tokenizer: 'cl100k', compass: 'north' };
+    assert.deepEqual(redact(fields), fields);
+  });
+});
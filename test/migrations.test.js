@@ -0,0 +1,127 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIGRATIONS,
+  applyMigrations,
+  baselineMigrations,
+  checksum,
+  findUnregisteredFiles,
+  loadMigrations,
+  planMigrations
+} from '../database/migrations.js';
+
+const migrations = [
+  { name: 'a.sql', sql: 'CREATE TABLE a ();', checksum: checksum('CREATE TABLE a ();') },
+  { name: 'b.sql', sql: 'CREATE TABLE b ();', checksum: checksum('CREATE TABLE b ();') }
+];
+
+// Records statements and keeps schema_migrations rows in memory
+function createClient(appliedRows = [], { failOn } = {}) {
+  const statements = [];
+  const rows = [...appliedRows];
+  return {
+    statements,
+    rows,
+    async query(sql, params = []) {
+      statements.push(sql.trim());
+      if (failOn && sql === failOn) {
+        throw new Error('syntax error');
+      }
+      if (sql.includes('SELECT name, checksum')) {
+        return { rows };
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        rows.push({ name: params[0], checksum: params[1], applied_at: new Date() });
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+describe('migration list', () => {
+  test('every SQL file in database/ is registered and readable', () => {
+    assert.deepEqual(findUnregisteredFiles(), []);
+    assert.equal(new Set(MIGRATIONS).size, MIGRATIONS.length, 'no duplicates');
+    assert.equal(loadMigrations()[0].name, 'schema-base.sql');
+  });
+
+  test('tables created after enable-rls-security.sql enable RLS in their own migration', () => {
+    const later = loadMigrations().slice(MIGRATIONS.indexOf('enable-rls-security.sql') + 1);
+    for (const { name, sql } of later) {
+      for (const [, table] of sql.matchAll(/CREATE TABLE (?:IF NOT EXISTS )?(?:public\.)?(\w+)/gi)) {
+        const rls = new RegExp(`ALTER TABLE (?:IF EXISTS )?(?:public\\.)?${table} ENABLE ROW LEVEL SECURITY`, 'i');
+        assert.match(sql, rls, `${name} creates ${table} without RLS`);
+      }
+    }
+  });
+
+  test('checksums ignore line endings', () => {
+    assert.equal(checksum('SELECT 1;\r\n'), checksum('SELECT 1;\n'));
+    assert.notEqual(checksum('SELECT 1;'), checksum('SELECT 2;'));
+  });
+});
+
+describe('planMigrations', () => {
+  test('splits applied, pending, edited and unknown migrations', () => {
+    const plan = planMigrations(migrations, [
+      { name: 'a.sql', checksum: 'edited', applied_at: '2030-01-01' },
+      { name: 'gone.sql', checksum: 'x', applied_at: '2030-01-01' }
+    ]);
+
+    assert.deepEqual(plan.migrations.map((row) => row.state), ['changed', 'pending']);
+    assert.deepEqual(plan.pending.map((migration) => migration.name), ['b.sql']);
+    assert.deepEqual(plan.changed, ['a.sql']);
+    assert.deepEqual(plan.unknown, ['gone.sql']);
+  });
+});
+
+describe('applyMigrations', () => {
+  test('runs pending files in order, each in a transaction, and records them', async () => {
+    const client = createClient([{ name: 'a.sql', checksum: migrations[0].checksum }]);
+    const applied = await applyMigrations(client, { migrations });
+
+    assert.deepEqual(applied.map((row) => row.name), ['b.sql']);
+    assert.ok(!client.statements.includes('CREATE TABLE a ();'));
+    const run = client.statements.indexOf('CREATE TABLE b ();');
+    assert.equal(client.statements[run - 1], 'BEGIN');
+    assert.equal(client.statements[run + 2], 'COMMIT');
+    assert.deepEqual(client.rows.map((row) => row.name), ['a.sql', 'b.sql']);
+  });
+
+  test('dry run changes nothing', async () => {
+    const client = createClient();
+    const planned = await applyMigrations(client, { migrations, dryRun: true });
+
+    assert.deepEqual(planned.map((row) => row.name), ['a.sql', 'b.sql']);
+    assert.equal(client.rows.length, 0);
+    assert.ok(!client.statements.includes('BEGIN'));
+  });
+
+  test('refuses to run when an applied migration was edited', async () => {
+    const client = createClient([{ name: 'a.sql', checksum: checksum('CREATE TABLE a (id int);') }]);
+
+    await assert.rejects(applyMigrations(client, { migrations }), /edited since they ran: a\.sql/);
+    assert.ok(!client.statements.includes('CREATE TABLE b ();'));
+  });
+
+  test('rolls back a failing migration and stops', async () => {
+    const client = createClient([], { failOn: 'CREATE TABLE a ();' });
+
+    await assert.rejects(applyMigrations(client, { migrations }), /Migration a\.sql failed: syntax error/);
+    assert.ok(client.statements.includes('ROLLBACK'));
+    assert.ok(!client.statements.includes('CREATE TABLE b ();'));
+    assert.equal(client.rows.length, 0);
+  });
+});
+
+describe('baselineMigrations', () => {
+  test('records migrations up to --through without running them', async () => {
+    const client = createClient();
+    const marked = await baselineMigrations(client, { migrations, through: 'a.sql' });
+
+    assert.deepEqual(marked.map((row) => row.name), ['a.sql']);
+    assert.deepEqual(client.rows.map((row) => row.name), ['a.sql']);
+    assert.ok(!client.statements.includes('CREATE TABLE a ();'));
+  });
+});
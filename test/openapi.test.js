@@ -0,0 +1,226 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import Ajv from 'ajv';
+import bcrypt from 'bcryptjs';
+import { buildOpenApiDocument } from '../lib/openapi/index.js';
+import { validateBody } from '../lib/validation.js';
+import { bookingCreateSchema, contentBlockCreateSchema } from '../lib/tourSchemas.js';
+import openapi from '../api/openapi.js';
+import tours from '../api/tours.js';
+import contentBlocks from '../api/tour-content-blocks.js';
+import bookings from '../api/tour-bookings.js';
+import availability from '../api/guide-availability.js';
+import login from '../api/auth-login.js';
+import me from '../api/auth-me.js';
+import adminJobs from '../api/admin-jobs.js';
+import health from '../api/health.js';
+
+const spec = buildOpenApiDocument();
+const ajv = new Ajv({ strict: false, allErrors: true, validateFormats: false });
+ajv.addSchema(spec, 'openapi');
+
+const TOUR_ID = '11111111-1111-4111-8111-111111111111';
+const PASSWORD = 'correct horse';
+const guide = { id: 'guide-1', name: 'Ana', email: 'ana@example.com', role: 'guide', is_active: true };
+const admin = { id: 'admin-1', name: 'Admin', email: 'admin@example.com', role: 'admin', is_active: true };
+const traveler = {
+  id: 'user-1',
+  name: 'Traveler',
+  email: 'traveler@example.com',
+  role: 'user',
+  is_active: true,
+  password_hash: bcrypt.hashSync(PASSWORD, 4)
+};
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      users: [guide, admin, traveler],
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      guides: [{ id: guide.id, name: 'Ana', avatar_url: null, city: 'Lisbon', interests: [] }],
+      tags: [{ id: 'tag-1', name: 'Food' }],
+      tours: [{
+        id: TOUR_ID, title: 'Lisbon Bites', city_id: 'city-1', guide_id: guide.id, status: 'approved',
+        default_format: 'with_guide', price_pdf: 12, price_guided: 40, currency: 'EUR', default_group_size: 6,
+        created_at: '2030-01-02T00:00:00Z'
+      }],
+      tour_tags: [{ id: 'tt-1', tour_id: TOUR_ID, tag_id: 'tag-1' }],
+      tour_days: [{ id: 'day-1', tour_id: TOUR_ID, day_number: 1, title: 'Day 1' }],
+      tour_blocks: [{ id: 'block-1', tour_day_id: 'day-1', start_time: '10:00', end_time: '12:00', title: 'Morning' }],
+      tour_content_blocks: [{ id: 'cb-1', tour_id: TOUR_ID, block_type: 'title', content: { text: 'Welcome' }, order_index: 0 }],
+      tour_availability_slots: [
+        { id: 'slot-1', tour_id: TOUR_ID, date: '2030-06-01', max_group_size: 6, booked_spots: 1, is_available: true, is_blocked: false }
+      ],
+      tour_bookings: [],
+      background_jobs: []
+    }
+  });
+});
+
+const escape = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Validates a recorded response against the schema the spec documents for its status
+ */
+function assertMatchesSpec(path, method, res) {
+  const operation = spec.paths[path]?.[method.toLowerCase()];
+  assert.ok(operation, `${method} ${path} is not in the spec`);
+
+  const documented = operation.responses[res.statusCode];
+  assert.ok(documented, `${method} ${path}: status ${res.statusCode} is not documented`);
+
+  const schemaPointer = documented.$ref
+    ? `${documented.$ref}/content/application~1json/schema`
+    : `#/paths/${escape(path)}/${method.toLowerCase()}/responses/${res.statusCode}/content/application~1json/schema`;
+  const validate = ajv.getSchema(`openapi${schemaPointer}`);
+  assert.ok(validate, `no JSON schema at ${schemaPointer}`);
+  assert.ok(validate(res.body), `${method} ${path} ${res.statusCode}: ${ajv.errorsText(validate.errors)}`);
+}
+
+function assertValidRequest(path, method, body) {
+  const pointer = `#/paths/${escape(path)}/${method.toLowerCase()}/requestBody/content/application~1json/schema`;
+  const validate = ajv.getSchema(`openapi${pointer}`);
+  return validate(body);
+}
+
+describe('OpenAPI document', () => {
+  test('describes every handler in api/ and nothing else', () => {
+    const handlers = fs.readdirSync(new URL('../api/', import.meta.url))
+      .filter((file) => file.endsWith('.js'))
+      .map((file) => `/api/${file.slice(0, -3)}`);
+    const documented = Object.keys(spec.paths).filter((path) => path.startsWith('/api/'));
+
+    assert.deepEqual(handlers.filter((path) => !documented.includes(path)), [], 'handlers missing from the spec');
+    assert.deepEqual(documented.filter((path) => !handlers.includes(path)), [], 'spec paths without a handler');
+  });
+
+  test('every operation documents a success response and resolvable refs', () => {
+    for (const [path, item] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(item)) {
+        const statuses = Object.keys(operation.responses);
+        assert.ok(statuses.some((status) => /^[23]/.test(status)), `${method.toUpperCase()} ${path} has no success response`);
+      }
+    }
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g).map((match) => match.slice(8, -1));
+    for (const ref of new Set(refs)) {
+      const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], spec);
+      assert.ok(target, `unresolved ${ref}`);
+    }
+  });
+
+  test('request schemas accept and reject what the runtime validation does', () => {
+    const bodies = [
+      { tour_id: 'tour-1', tour_date: '2030-06-01', group_size: 2 },
+      { tour_id: 'tour-1', tour_date: '2030-06-01', group_size: '3' },
+      { tour_id: 'tour-1' },
+      { tour_id: 'tour-1', tour_date: '01.06.2030' },
+      { tour_id: 'tour-1', tour_date: '2030-06-01', group_size: 0 }
+    ];
+    for (const body of bodies) {
+      assert.equal(assertValidRequest('/api/tour-bookings', 'POST', body), !validateBody(bookingCreateSchema, body), JSON.stringify(body));
+    }
+
+    const blocks = [
+      { tourId: TOUR_ID, blockType: 'text', content: { text: 'Hi' } },
+      { tourId: TOUR_ID, blockType: 'carousel' },
+      { tourId: '', blockType: 'text' }
+    ];
+    for (const body of blocks) {
+      assert.equal(assertValidRequest('/api/tour-content-blocks', 'POST', body), !validateBody(contentBlockCreateSchema, body), JSON.stringify(body));
+    }
+  });
+
+  test('is served as JSON', async () => {
+    const res = await invoke(openapi, { method: 'GET' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.openapi, '3.1.0');
+    assert.ok(res.body.paths['/api/tours'].get.parameters.some((param) => param.name === 'minPrice'));
+  });
+});
+
+describe('handler responses match the spec', () => {
+  test('GET /api/tours (list and detail)', async () => {
+    const list = await invoke(tours, { method: 'GET', query: { summary: '1' } });
+    assert.equal(list.statusCode, 200);
+    assert.equal(list.body.tours.length, 1);
+    assertMatchesSpec('/api/tours', 'GET', list);
+
+    const detail = await invoke(tours, { method: 'GET', query: { id: TOUR_ID } });
+    assert.equal(detail.statusCode, 200);
+    assertMatchesSpec('/api/tours', 'GET', detail);
+
+    const invalid = await invoke(tours, { method: 'GET', query: { id: 'not-a-uuid' } });
+    assertMatchesSpec('/api/tours', 'GET', invalid);
+  });
+
+  test('/api/tour-content-blocks', async () => {
+    const headers = await authHeader(guide);
+
+    const list = await invoke(contentBlocks, { method: 'GET', query: { tourId: TOUR_ID }, headers });
+    assertMatchesSpec('/api/tour-content-blocks', 'GET', list);
+
+    const created = await invoke(contentBlocks, {
+      method: 'POST',
+      headers,
+      body: { tourId: TOUR_ID, blockType: 'text', content: { text: 'Second' } }
+    });
+    assert.equal(created.statusCode, 201);
+    assertMatchesSpec('/api/tour-content-blocks', 'POST', created);
+
+    const invalid = await invoke(contentBlocks, { method: 'POST', headers, body: { tourId: TOUR_ID, blockType: 'divider', content: { style: 'wavy' } } });
+    assert.equal(invalid.statusCode, 400);
+    assertMatchesSpec('/api/tour-content-blocks', 'POST', invalid);
+
+    const anonymous = await invoke(contentBlocks, { method: 'POST', body: {} });
+    assert.equal(anonymous.statusCode, 401);
+    assertMatchesSpec('/api/tour-content-blocks', 'POST', anonymous);
+  });
+
+  test('/api/tour-bookings and /api/guide-availability', async () => {
+    const slots = await invoke(availability, { method: 'GET', query: { tour_id: TOUR_ID } });
+    assertMatchesSpec('/api/guide-availability', 'GET', slots);
+
+    const headers = await authHeader(traveler);
+    const created = await invoke(bookings, { method: 'POST', headers, body: { tour_id: TOUR_ID, tour_date: '2030-06-01', group_size: 2 } });
+    assert.equal(created.statusCode, 201);
+    assertMatchesSpec('/api/tour-bookings', 'POST', created);
+
+    const invalid = await invoke(bookings, { method: 'POST', headers, body: { tour_id: TOUR_ID } });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.errors[0].field, 'tour_date');
+    assertMatchesSpec('/api/tour-bookings', 'POST', invalid);
+
+    const list = await invoke(bookings, { method: 'GET', headers, query: {} });
+    assertMatchesSpec('/api/tour-bookings', 'GET', list);
+  });
+
+  test('/api/auth-login and /api/auth-me', async () => {
+    const signedIn = await invoke(login, { method: 'POST', body: { email: traveler.email, password: PASSWORD } });
+    assert.equal(signedIn.statusCode, 200);
+    assertMatchesSpec('/api/auth-login', 'POST', signedIn);
+
+    const profile = await invoke(me, { method: 'GET', headers: { Authorization: `Bearer ${signedIn.body.token}` } });
+    assertMatchesSpec('/api/auth-me', 'GET', profile);
+
+    const rejected = await invoke(login, { method: 'POST', body: { email: traveler.email, password: 'wrong' } });
+    assertMatchesSpec('/api/auth-login', 'POST', rejected);
+  });
+
+  test('/api/admin-jobs and /api/health', async () => {
+    const headers = await authHeader(admin);
+    const started = await invoke(adminJobs, { method: 'POST', headers, body: { type: 'recalculate-tours-duration' } });
+    assert.equal(started.statusCode, 202);
+    assertMatchesSpec('/api/admin-jobs', 'POST', started);
+
+    const list = await invoke(adminJobs, { method: 'GET', headers, query: {} });
+    assertMatchesSpec('/api/admin-jobs', 'GET', list);
+
+    const forbidden = await invoke(adminJobs, { method: 'GET', headers: await authHeader(traveler), query: {} });
+    assert.equal(forbidden.statusCode, 403);
+    assertMatchesSpec('/api/admin-jobs', 'GET', forbidden);
+
+    assertMatchesSpec('/api/health', 'GET', await invoke(health, { method: 'GET' }));
+  });
+});
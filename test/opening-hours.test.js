@@ -0,0 +1,105 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeOpening, formatHoursOn, isOpenAt } from '../lib/openingHours.js';
+import { LocationService } from '../services/LocationService.js';
+import adminLocations from '../api/admin-locations.js';
+
+const admin = { id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+// 2030-06-03 is a Monday
+const MONDAY = '2030-06-03';
+
+const MUSEUM_HOURS = {
+  weekly: Object.fromEntries(['tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map((day) => [day, [['10:00', '18:00']]])),
+  exceptions: [
+    { date: '2030-06-05', hours: [['10:00', '14:00']] },
+    { date: '12-25', closed: true, note: 'Christmas' }
+  ]
+};
+const BAR_HOURS = { weekly: { fri: [['20:00', '03:00']], sat: [] } };
+
+const museum = (id, name, openingHours) => ({
+  id, name, category: 'museum', city_id: 'city-1', verified: true, address: `${name} street`, opening_hours: openingHours
+});
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      users: [admin],
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      locations: [
+        museum('loc-1', 'Tile Museum', MUSEUM_HOURS),
+        museum('loc-2', 'Coach Museum', { weekly: { mon: [['09:00', '17:00']] } })
+      ]
+    }
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('lib/openingHours', () => {
+  test('follows the weekly schedule, exceptions and yearly holidays', () => {
+    assert.equal(isOpenAt(MUSEUM_HOURS, '2030-06-04', '11:00'), true);
+    assert.equal(isOpenAt(MUSEUM_HOURS, MONDAY, '11:00'), false);
+    // Closing within MIN_VISIT_MINUTES leaves no time for a visit
+    assert.equal(isOpenAt(MUSEUM_HOURS, '2030-06-04', '17:30'), false);
+    assert.equal(isOpenAt(MUSEUM_HOURS, '2030-06-05', '15:00'), false);
+    assert.equal(isOpenAt(MUSEUM_HOURS, '2031-12-25', '11:00'), false);
+    assert.equal(isOpenAt(null, MONDAY, '11:00'), null);
+  });
+
+  test('keeps periods past midnight open the next morning', () => {
+    // 2030-06-07 is a Friday
+    assert.equal(isOpenAt(BAR_HOURS, '2030-06-07', '23:30'), true);
+    assert.equal(isOpenAt(BAR_HOURS, '2030-06-08', '01:00'), true);
+    assert.equal(isOpenAt(BAR_HOURS, '2030-06-08', '21:00'), false);
+  });
+
+  test('describes the hours of the date', () => {
+    assert.equal(formatHoursOn(BAR_HOURS, '2030-06-07'), '20:00–03:00');
+    assert.equal(formatHoursOn(MUSEUM_HOURS, MONDAY), 'Closed');
+    assert.deepEqual(describeOpening(MUSEUM_HOURS, '2030-12-25', '11:00'), { open: false, hours: 'Closed', note: 'Christmas' });
+  });
+});
+
+describe('LocationService.findLocations with a date', () => {
+  const slot = { time: '11:00', activity: 'Museum', category: 'museum', keywords: [] };
+
+  test('skips database places closed at the slot time', async () => {
+    const service = new LocationService();
+    const [location] = await service.findLocations({ timeSlots: [slot], city: 'Lisbon', date: MONDAY });
+
+    assert.equal(location.realPlace.name, 'Coach Museum');
+    assert.deepEqual(location.realPlace.openingHours, { weekly: { mon: [['09:00', '17:00']] } });
+  });
+
+  test('prefers Google Places over a closed place and uses the closed one as the last resort', async () => {
+    const service = new LocationService();
+    const closedSlot = { ...slot, time: '19:00' };
+
+    mock.method(service, 'searchInGooglePlaces', async () => ({ name: 'Night Gallery', address: 'Rua 1', photos: [] }));
+    const [fromGoogle] = await service.findLocations({ timeSlots: [closedSlot], city: 'Lisbon', date: MONDAY });
+    assert.equal(fromGoogle.realPlace.name, 'Night Gallery');
+
+    mock.method(service, 'searchInGooglePlaces', async () => null);
+    const [closed] = await service.findLocations({ timeSlots: [closedSlot], city: 'Lisbon', date: MONDAY });
+    assert.equal(closed.realPlace.name, 'Tile Museum');
+  });
+});
+
+describe('POST /api/admin-locations', () => {
+  test('rejects invalid opening hours', async () => {
+    const res = await invoke(adminLocations, {
+      method: 'POST',
+      headers: await authHeader(admin),
+      body: { name: 'Bar', city_id: 'city-1', opening_hours: { weekly: { fri: [['20:00', '3am']] } } }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'ValidationError');
+    assert.equal(res.body.errors[0].field, 'opening_hours.weekly.fri[0][1]');
+  });
+});
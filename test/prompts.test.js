@@ -0,0 +1,110 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { PromptError, activeVersion, registerPrompt, renderPrompt, unregisterPrompt } from '../lib/prompts/index.js';
+import { ContentBlocksGenerationService } from '../services/ContentBlocksGenerationService.js';
+import adminPrompts from '../api/admin-prompts.js';
+
+const admin = { id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' };
+const vars = { city: 'Lisbon', concept: 'Slow morning', interests: ['coffee', 'tiles'], audience: 'couple' };
+
+// A next version of the title prompt, registered for the tests only
+const titleV2 = {
+  name: 'blockTitle',
+  version: 2,
+  output: 'text',
+  description: 'Test version',
+  variables: z.object({ city: z.string().min(1), concept: z.string().nullish() }),
+  render: ({ city, concept }) => `Name a day in ${city} about ${concept}.`
+};
+
+beforeEach(() => {
+  installFakes({ tables: { users: [admin] } });
+});
+
+afterEach(() => {
+  unregisterPrompt('blockTitle', 2);
+  delete process.env.PROMPT_VERSION_BLOCK_TITLE;
+});
+
+describe('lib/prompts', () => {
+  test('renders the latest version unless PROMPT_VERSION_<NAME> pins one', () => {
+    assert.equal(renderPrompt('blockTitle', vars).version, 1);
+
+    registerPrompt(titleV2);
+    const latest = renderPrompt('blockTitle', vars);
+    assert.equal(latest.version, 2);
+    assert.equal(latest.prompt, 'Name a day in Lisbon about Slow morning.');
+
+    process.env.PROMPT_VERSION_BLOCK_TITLE = '1';
+    assert.equal(activeVersion('blockTitle'), 1);
+    assert.match(renderPrompt('blockTitle', vars).prompt, /Interests: coffee, tiles/);
+    assert.throws(() => registerPrompt(titleV2), /already registered/);
+  });
+
+  test('rejects missing or mistyped variables and unknown versions', () => {
+    assert.throws(() => renderPrompt('blockLocation', { city: 'Lisbon', timeSlot: 9 }), (error) => (
+      error instanceof PromptError
+      && error.code === 'invalid_vars'
+      && error.errors.map((issue) => issue.field).join() === 'locationName,timeSlot,purpose'
+    ));
+    assert.throws(() => renderPrompt('blockTitle', vars, { version: 7 }), (error) => error.code === 'not_found');
+  });
+
+  test('generated blocks record the prompt version', async () => {
+    registerPrompt(titleV2);
+    const service = new ContentBlocksGenerationService();
+
+    const title = await service.generateTitleBlock(vars);
+    const intro = await service.generateIntroTextBlock(vars);
+
+    assert.deepEqual(title.prompt, { name: 'blockTitle', version: 2 });
+    assert.deepEqual(intro.prompt, { name: 'blockIntro', version: 1 });
+  });
+});
+
+describe('/api/admin-prompts', () => {
+  test('lists the prompts with their versions', async () => {
+    registerPrompt(titleV2);
+    const res = await invoke(adminPrompts, { method: 'GET', headers: await authHeader(admin) });
+
+    assert.equal(res.statusCode, 200);
+    const title = res.body.prompts.find((prompt) => prompt.name === 'blockTitle');
+    assert.deepEqual(title.versions.map((version) => version.version), [1, 2]);
+    assert.equal(title.activeVersion, 2);
+    assert.deepEqual(title.variables, ['city', 'concept']);
+  });
+
+  test('runs two versions on the same variables', async () => {
+    registerPrompt(titleV2);
+    const res = await invoke(adminPrompts, {
+      method: 'POST',
+      headers: await authHeader(admin),
+      body: { name: 'blockTitle', versions: [1, 2], vars }
+    });
+
+    assert.equal(res.statusCode, 200);
+    const [v1, v2] = res.body.results;
+    assert.equal(v1.version, 1);
+    assert.match(v1.prompt, /Create a short title for a day in Lisbon/);
+    assert.equal(v2.prompt, 'Name a day in Lisbon about Slow morning.');
+    assert.equal(v2.output, 'Slow Day, Good Coffee');
+  });
+
+  test('reports invalid variables and unknown versions before calling the LLM', async () => {
+    const headers = await authHeader(admin);
+
+    const invalid = await invoke(adminPrompts, { method: 'POST', headers, body: { name: 'blockTitle', versions: [1, 1], vars: { city: 42 } } });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.errors[0].field, 'vars.city');
+
+    const unknown = await invoke(adminPrompts, { method: 'POST', headers, body: { name: 'blockTitle', versions: [1, 3], vars } });
+    assert.equal(unknown.statusCode, 404);
+  });
+
+  test('is admin-only', async () => {
+    const res = await invoke(adminPrompts, { method: 'GET' });
+    assert.equal(res.statusCode, 401);
+  });
+});
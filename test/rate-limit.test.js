@@ -0,0 +1,57 @@
+import { installFakes, createRequest } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { consumeRateLimit, getClientIp } from '../lib/rateLimit.js';
+
+describe('consumeRateLimit with Redis', () => {
+  beforeEach(() => installFakes());
+
+  test('concurrent hits never get past the limit', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => consumeRateLimit('login:1.2.3.4', { limit: 3, windowSeconds: 60 }))
+    );
+
+    assert.equal(results.filter((result) => result.allowed).length, 3);
+    assert.deepEqual(results.filter((result) => result.allowed).map((result) => result.remaining).sort(), [0, 1, 2]);
+    results.filter((result) => !result.allowed).forEach((result) => {
+      assert.equal(result.remaining, 0);
+      assert.ok(result.retryAfter >= 1 && result.retryAfter <= 60);
+    });
+  });
+
+  test('rejected hits do not extend the window', async () => {
+    const { redis } = installFakes();
+    await consumeRateLimit('otp:a', { limit: 1, windowSeconds: 60 });
+    await consumeRateLimit('otp:a', { limit: 1, windowSeconds: 60 });
+    await consumeRateLimit('otp:a', { limit: 1, windowSeconds: 60 });
+
+    assert.equal(await redis.zcard('rl:otp:a'), 1);
+  });
+});
+
+describe('getClientIp', () => {
+  const previous = process.env.TRUST_PROXY_HOPS;
+  afterEach(() => {
+    if (previous === undefined) delete process.env.TRUST_PROXY_HOPS;
+    else process.env.TRUST_PROXY_HOPS = previous;
+  });
+
+  const request = (xff) => createRequest({ headers: { 'X-Forwarded-For': xff } });
+
+  test('uses the entry the proxy appended, not one the client sent', () => {
+    delete process.env.TRUST_PROXY_HOPS;
+    assert.equal(getClientIp(request('6.6.6.6, 203.0.113.7')), '203.0.113.7');
+    assert.equal(getClientIp(request('203.0.113.7')), '203.0.113.7');
+  });
+
+  test('TRUST_PROXY_HOPS counts proxies from the right', () => {
+    process.env.TRUST_PROXY_HOPS = '2';
+    assert.equal(getClientIp(request('6.6.6.6, 203.0.113.7, 10.0.0.2')), '203.0.113.7');
+    assert.equal(getClientIp(request('203.0.113.7')), '203.0.113.7');
+  });
+
+  test('TRUST_PROXY_HOPS=0 ignores the header', () => {
+    process.env.TRUST_PROXY_HOPS = '0';
+    assert.equal(getClientIp(request('6.6.6.6')), '127.0.0.1');
+  });
+});
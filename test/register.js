@@ -0,0 +1,4 @@
+// `node --test --import ./test/register.js` (npm test): load the shared clients from test/fakes/modules
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
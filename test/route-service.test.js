@@ -0,0 +1,122 @@
+import './setup.js';
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAY_STOPS, RouteService } from '../services/RouteService.js';
+import { ContentBlocksGenerationService } from '../services/ContentBlocksGenerationService.js';
+
+const routes = new RouteService();
+
+// Points on an east-west line through Lisbon, `km` east of the start
+const east = (km) => ({ lat: 38.71, lng: -9.14 + km / 86.9 });
+
+const place = (name, time, category, km) => ({
+  time,
+  activity: name,
+  category,
+  realPlace: { name, address: `${name} street` },
+  coordinates: km === null ? null : east(km)
+});
+
+// Breakfast and lunch in the west, the afternoon and dinner 3 km east. The morning
+// slot has a far place planned first and a near one planned later
+const DAY = [
+  place('Cafe', '09:00', 'cafe', 0),
+  place('Far museum', '10:30', 'museum', 3),
+  place('Near garden', '11:30', 'park', 0.2),
+  place('Tasca', '13:00', 'restaurant', 0),
+  place('Market', '15:30', 'market', 3),
+  place('Dinner place', '19:30', 'restaurant', 3)
+];
+
+const stopNames = (plan) => Object.fromEntries(plan.stops.map((stop) => [stop.key, stop.location?.realPlace.name || null]));
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('RouteService', () => {
+  test('keeps meals in their window and meal places out of activity stops', () => {
+    const lateBreakfast = place('Brunch', '11:00', 'restaurant', 0);
+    const stop = (key) => DAY_STOPS.find((item) => item.key === key);
+
+    assert.deepEqual(routes.candidatesFor(stop('breakfast'), [lateBreakfast]), []);
+    assert.deepEqual(routes.candidatesFor(stop('morning'), [lateBreakfast]), []);
+    assert.deepEqual(routes.candidatesFor(stop('lunch'), [lateBreakfast]), []);
+    // Activities may move up to 90 minutes
+    assert.equal(routes.candidatesFor(stop('preDinner'), [DAY[4]]).length, 1);
+    assert.equal(routes.candidatesFor(stop('preDinner'), [DAY[2]]).length, 0);
+  });
+
+  test('picks the stops with the shortest walk', () => {
+    const plan = routes.planDay(DAY);
+
+    assert.deepEqual(stopNames(plan), {
+      breakfast: 'Cafe',
+      morning: 'Near garden',
+      lunch: 'Tasca',
+      afternoon: 'Market',
+      preDinner: null,
+      dinner: 'Dinner place'
+    });
+    // 0.2 km there and back, 3 km east; straight lines times the detour factor
+    assert.ok(Math.abs(plan.distance_m - 3400 * 1.3) < 30, `distance ${plan.distance_m}`);
+  });
+
+  test('follows the planned times when there are no coordinates', () => {
+    const plan = routes.planDay(DAY.map((location) => ({ ...location, coordinates: null })));
+
+    assert.equal(stopNames(plan).morning, 'Far museum');
+    assert.equal(plan.distance_m, 0);
+  });
+});
+
+describe('generateFullDayBlocks', () => {
+  const stubGenerators = (service) => {
+    for (const method of ['generateTitleBlock', 'generateIntroTextBlock', 'generateClosingTextBlock', 'generatePhotoBlock', 'generateSlideBlock', 'generateThreeColumnsBlock']) {
+      mock.method(service, method, async () => ({}));
+    }
+    mock.method(service, 'generateLocationBlock', async ({ location, timeSlot }) => ({
+      mainLocation: { name: location.realPlace.name, time: timeSlot },
+      alternativeLocations: []
+    }));
+  };
+
+  test('generates the location blocks in route order with the leg from the previous one', async () => {
+    const service = new ContentBlocksGenerationService();
+    stubGenerators(service);
+
+    // Coordinates come from realPlace.geometry, as LocationService returns them for Google places
+    const locations = DAY.map(({ coordinates, ...location }) => ({
+      ...location,
+      realPlace: { ...location.realPlace, geometry: { location: coordinates } }
+    }));
+    const blocks = await service.generateFullDayBlocks({ city: 'Lisbon', audience: 'couple', interests: [], concept: 'Test', locations });
+
+    const stops = blocks.filter((block) => block.block_type === 'location').map((block) => block.content);
+    assert.deepEqual(stops.map((stop) => stop.mainLocation.name), ['Cafe', 'Near garden', 'Tasca', 'Market', 'Dinner place']);
+    assert.equal(stops[0].legFromPrevious, null);
+    assert.deepEqual([stops[1].legFromPrevious.from, stops[1].legFromPrevious.to], ['Cafe', 'Near garden']);
+    assert.equal(stops[1].legFromPrevious.mode, 'walk');
+    assert.ok(stops[3].legFromPrevious.distance_m > 3500);
+    assert.equal(stops[3].legFromPrevious.mode, 'transit');
+    assert.equal(stops[4].legFromPrevious.distance_m, 0);
+  });
+
+  test('records the opening hours and warns when a place is closed at the visit', async () => {
+    const service = new ContentBlocksGenerationService();
+    stubGenerators(service);
+
+    // 2030-06-03 is a Monday: the market is closed, the dinner place is open
+    const locations = [
+      { ...DAY[4], realPlace: { ...DAY[4].realPlace, openingHours: { weekly: { tue: [['09:00', '18:00']] } } } },
+      { ...DAY[5], realPlace: { ...DAY[5].realPlace, openingHours: { weekly: { mon: [['19:00', '23:00']] } } } }
+    ];
+    const blocks = await service.generateFullDayBlocks({ city: 'Lisbon', audience: 'couple', interests: [], concept: 'Test', locations, date: '2030-06-03' });
+
+    const [market, dinner] = blocks.filter((block) => block.block_type === 'location').map((block) => block.content);
+    assert.deepEqual(market.openingHours, { open: false, hours: 'Closed', note: null });
+    assert.match(market.warning, /Market may be closed at 15:30 on 2030-06-03/);
+    assert.deepEqual(dinner.openingHours, { open: true, hours: '19:00–23:00', note: null });
+    assert.equal(dinner.warning, undefined);
+  });
+});
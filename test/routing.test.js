@@ -0,0 +1,94 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeg, buildLegs, estimateWalk, formatDistance, formatLeg, setRoutingProvider, suggestMode } from '../lib/routing.js';
+import pdfHandler from '../api/generate-styled-tour-pdf.js';
+
+const stop = (name, km) => ({ name, lat: 38.71, lng: -9.14 + km / 86.9 });
+
+afterEach(() => {
+  setRoutingProvider(null);
+});
+
+describe('lib/routing', () => {
+  test('estimates walks from the straight line', () => {
+    const walk = estimateWalk(stop('Cafe', 0), stop('Museum', 3));
+
+    assert.ok(Math.abs(walk.distance_m - 3900) < 20, `distance ${walk.distance_m}`);
+    assert.equal(walk.walking_minutes, Math.round(walk.distance_m / 80));
+    assert.equal(estimateWalk(stop('Cafe', 0), { name: 'Nowhere' }), null);
+  });
+
+  test('suggests walking, public transport or a taxi by distance', () => {
+    assert.deepEqual(suggestMode({ distance_m: 1200, walking_minutes: 15 }), { mode: 'walk', duration_minutes: 15 });
+    assert.deepEqual(suggestMode({ distance_m: 4000, walking_minutes: 50 }), { mode: 'transit', duration_minutes: 26 });
+    assert.deepEqual(suggestMode({ distance_m: 12000, walking_minutes: 150 }), { mode: 'taxi', duration_minutes: 35 });
+  });
+
+  test('builds a leg into every stop but the first', async () => {
+    const legs = await buildLegs([stop('Cafe', 0), stop('Garden', 0.5), { name: 'Nowhere' }]);
+
+    assert.equal(legs[0], null);
+    assert.equal(legs[1].from, 'Cafe');
+    assert.equal(legs[1].to, 'Garden');
+    assert.equal(legs[1].mode, 'walk');
+    assert.equal(legs[1].provider, 'haversine');
+    assert.equal(legs[2], null);
+  });
+
+  test('uses the configured provider and falls back to the straight line when it fails', async () => {
+    setRoutingProvider({ name: 'fake', measure: async () => ({ distance_m: 2000, walking_minutes: 25 }) });
+    const routed = await buildLeg(stop('A', 0), stop('B', 1));
+    assert.equal(routed.provider, 'fake');
+    assert.equal(routed.mode, 'transit');
+
+    setRoutingProvider({ name: 'broken', measure: async () => { throw new Error('quota'); } });
+    const fallback = await buildLeg(stop('A', 0), stop('B', 1));
+    assert.equal(fallback.provider, 'haversine');
+    assert.ok(Math.abs(fallback.distance_m - 1300) < 10, `distance ${fallback.distance_m}`);
+  });
+
+  test('formats legs for PDFs and emails', () => {
+    assert.equal(formatDistance(948), '950 m');
+    assert.equal(formatDistance(3420), '3.4 km');
+    assert.equal(formatLeg({ mode: 'walk', walking_minutes: 12, distance_m: 950 }), '🚶 12 min walk · 950 m');
+    assert.equal(
+      formatLeg({ mode: 'transit', duration_minutes: 26, walking_minutes: 50, distance_m: 4000 }, { icons: false }),
+      '~26 min by public transport · 4.0 km (50 min on foot)'
+    );
+    assert.equal(formatLeg(null), '');
+  });
+});
+
+describe('styled tour PDF', () => {
+  const guide = { id: 'guide-1', name: 'Guide', email: 'guide@example.com', role: 'guide', is_active: true };
+  const location = (name, km, extra = {}) => ({ block_type: 'location', tour_id: 'tour-1', content: { mainLocation: stop(name, km), ...extra } });
+
+  test('renders stored legs and estimates missing ones without the routing provider', async () => {
+    const stored = { from: 'Cafe', to: 'Garden', distance_m: 700, walking_minutes: 9, mode: 'walk', duration_minutes: 9, provider: 'google' };
+    installFakes({
+      tables: {
+        users: [guide],
+        tours: [{ id: 'tour-1', title: 'Old Town', guide_id: guide.id }],
+        tour_content_blocks: [
+          { id: 'b1', order_index: 0, ...location('Cafe', 0) },
+          { id: 'b2', order_index: 1, ...location('Garden', 0.5, { legFromPrevious: stored }) },
+          { id: 'b3', order_index: 2, ...location('Museum', 1.5) }
+        ]
+      }
+    });
+    let measured = 0;
+    setRoutingProvider({ name: 'paid', measure: async () => { measured += 1; return { distance_m: 1, walking_minutes: 1 }; } });
+
+    const res = await invoke(pdfHandler, {
+      method: 'POST',
+      headers: await authHeader(guide),
+      body: { tourId: 'tour-1', previewHtml: true }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(measured, 0);
+    assert.ok(res.body.previewHtml.includes('9 min walk · 700 m'));
+    assert.ok(res.body.previewHtml.includes('min walk · 1.3 km'));
+  });
+});
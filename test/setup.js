@@ -0,0 +1,21 @@
+// Environment for handler tests; loaded before any handler or database module
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_fake';
+process.env.RESEND_API_KEY = 're_test_fake';
+process.env.OPENAI_API_KEY = 'sk-test-fake';
+process.env.LLM_PROVIDER = 'fixture';
+process.env.FRONTEND_URL = 'https://www.flip-trip.com';
+process.env.LOG_LEVEL ||= 'silent';
+delete process.env.SUPABASE_URL;
+delete process.env.UPSTASH_REDIS_REST_URL;
+delete process.env.KV_REST_API_URL;
+delete process.env.FTSTORAGE_KV_REST_API_URL;
+
+// Handlers log a lot with console.*; TEST_VERBOSE=1 keeps the output
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
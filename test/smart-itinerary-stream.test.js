@@ -0,0 +1,132 @@
+import { createResponse, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatEvent, openEventStream, wantsEventStream } from '../lib/sse.js';
+import { ContentGenerationService } from '../services/ContentGenerationService.js';
+import { ContentBlocksGenerationService } from '../services/ContentBlocksGenerationService.js';
+import smartItinerary from '../api/smart-itinerary-v3.js';
+
+const SLOTS = [
+  { time: '09:00', activity: 'Coffee', category: 'cafe', keywords: [] },
+  { time: '13:00', activity: 'Lunch', category: 'restaurant', keywords: [] },
+  { time: '19:30', activity: 'Dinner', category: 'restaurant', keywords: [] }
+];
+
+const location = (id, name, category) => ({ id, name, category, city_id: 'city-1', verified: true, address: `${name} street` });
+
+/**
+ * Parses an SSE body into [{ event, data }]
+ */
+function parseEvents(body) {
+  return String(body || '').split('\n\n').filter((chunk) => chunk.startsWith('event: ')).map((chunk) => {
+    const [eventLine, dataLine] = chunk.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      cities: [{ id: 'city-1', name: 'Lisbon' }],
+      interests: [],
+      locations: [
+        location('loc-1', 'Cafe A', 'cafe'),
+        location('loc-2', 'Restaurant 1', 'restaurant'),
+        location('loc-3', 'Restaurant 2', 'restaurant')
+      ]
+    }
+  });
+
+  // OpenAI / Google-backed generators; everything else runs for real
+  mock.method(ContentGenerationService.prototype, 'generateDayConcept', async () => ({ concept: 'Tiles and tascas', timeSlots: SLOTS }));
+  mock.method(ContentGenerationService.prototype, 'generateMetaInfo', async () => ({ title: 'Lisbon', subtitle: 'A day', weather: { temperature: 22 } }));
+  const blocks = ContentBlocksGenerationService.prototype;
+  mock.method(blocks, 'generateTitleBlock', async ({ concept }) => ({ text: concept }));
+  mock.method(blocks, 'generateIntroTextBlock', async () => ({ text: 'Intro' }));
+  mock.method(blocks, 'generateClosingTextBlock', async () => ({ text: 'Bye' }));
+  mock.method(blocks, 'generatePhotoBlock', async () => ({ photos: [] }));
+  mock.method(blocks, 'generateSlideBlock', async () => ({ title: 'Slide' }));
+  mock.method(blocks, 'generateThreeColumnsBlock', async () => ({ columns: [] }));
+  mock.method(blocks, 'generateLocationBlock', async ({ location: loc }) => ({
+    mainLocation: { name: loc.realPlace.name, address: loc.realPlace.address },
+    alternativeLocations: []
+  }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('lib/sse', () => {
+  test('opts in with the Accept header or ?stream=1', () => {
+    assert.equal(wantsEventStream({ headers: { accept: 'text/event-stream' }, query: {} }), true);
+    assert.equal(wantsEventStream({ headers: {}, query: { stream: '1' } }), true);
+    assert.equal(wantsEventStream({ headers: { accept: 'application/json' }, query: {} }), false);
+  });
+
+  test('writes named JSON events and stops after the client disconnects', () => {
+    const res = createResponse();
+    const stream = openEventStream(res);
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+    stream.send('step', { step: 'concept' });
+    assert.equal(res.body, formatEvent('step', { step: 'concept' }));
+
+    res.emit('close');
+    stream.send('step', { step: 'blocks' });
+    assert.equal(stream.closed, true);
+    assert.deepEqual(parseEvents(res.body).map((event) => event.data.step), ['concept']);
+  });
+});
+
+describe('POST /api/smart-itinerary-v3', () => {
+  const body = { city: 'Lisbon', audience: 'couple', date: '2030-06-01', budget: 80, previewOnly: true };
+
+  test('streams steps and blocks, then the saved itinerary', async () => {
+    const res = await invoke(smartItinerary, { method: 'POST', headers: { Accept: 'text/event-stream' }, body });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+    const events = parseEvents(res.body);
+    const steps = events.filter((event) => event.event === 'step').map(({ data }) => `${data.step}:${data.status}`);
+    assert.deepEqual(steps, [
+      'concept:started', 'concept:done',
+      'locations:started', 'locations:done',
+      'blocks:started', 'blocks:done',
+      'meta:started', 'meta:done',
+      'save:started', 'save:done'
+    ]);
+
+    // Every block arrives before the blocks step is done, in the final order
+    const blocks = events.filter((event) => event.event === 'block').map(({ data }) => data.block);
+    const blocksDone = events.findIndex((event) => event.event === 'step' && event.data.step === 'blocks' && event.data.status === 'done');
+    assert.ok(events.findLastIndex((event) => event.event === 'block') < blocksDone);
+
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.ok(done.data.itineraryId);
+    assert.deepEqual(done.data.itinerary.contentBlocks, blocks);
+    assert.equal(blocks[0].content.text, 'Tiles and tascas');
+  });
+
+  test('sends an error event when generation fails', async () => {
+    mock.method(ContentGenerationService.prototype, 'generateDayConcept', async () => {
+      throw new Error('OpenAI is down');
+    });
+
+    const res = await invoke(smartItinerary, { method: 'POST', query: { stream: '1' }, body });
+
+    const events = parseEvents(res.body);
+    assert.deepEqual(events.map((event) => event.event), ['step', 'error']);
+    assert.equal(events[1].data.message, 'OpenAI is down');
+  });
+
+  test('still answers with one JSON body without streaming', async () => {
+    const res = await invoke(smartItinerary, { method: 'POST', body });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.city, 'Lisbon');
+    assert.equal(res.body.days.length, 1);
+  });
+});
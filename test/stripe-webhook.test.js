@@ -0,0 +1,133 @@
+import { captureEmails, installFakes, invoke } from './helpers.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/stripe-webhook.js';
+import { getStripeClient } from '../lib/stripe.js';
+
+const guide = { id: 'guide-1', name: 'Guide', email: 'guide@example.com', role: 'guide', is_active: true };
+
+let supabase;
+let mail;
+
+beforeEach(() => {
+  ({ supabase } = installFakes({
+    tables: {
+      users: [guide],
+      tours: [
+        { id: 'tour-1', title: 'Old Town Walk', guide_id: guide.id, price_guided: 40, price_pdf: 12, currency: 'EUR', source: 'guide' }
+      ],
+      tour_bookings: [],
+      notifications: []
+    }
+  }));
+  mail = captureEmails();
+});
+
+afterEach(() => mail.restore());
+
+function checkoutEvent(session) {
+  return {
+    id: 'evt_test_1',
+    object: 'event',
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: 'cs_test_1',
+        object: 'checkout.session',
+        payment_intent: 'pi_test_1',
+        payment_status: 'paid',
+        amount_total: 8000,
+        currency: 'eur',
+        customer_email: 'buyer@example.com',
+        ...session
+      }
+    }
+  };
+}
+
+// Signs the payload like Stripe does, so the handler takes the verified path
+function deliver(event) {
+  const payload = JSON.stringify(event);
+  const signature = getStripeClient().webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+  return invoke(handler, {
+    method: 'POST',
+    headers: { 'Stripe-Signature': signature },
+    body: event,
+    rawBody: Buffer.from(payload)
+  });
+}
+
+describe('POST /api/stripe-webhook', () => {
+  test('a paid guided tour creates a confirmed booking, a notification and emails', async () => {
+    const res = await deliver(checkoutEvent({
+      metadata: { tourId: 'tour-1', tourType: 'with-guide', selectedDate: '2030-06-01', quantity: '2', email: 'buyer@example.com', city: 'Lisbon' }
+    }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.type, 'guided');
+    assert.equal(res.body.signatureVerified, true);
+
+    const [booking] = supabase.rows('tour_bookings');
+    assert.equal(booking.id, res.body.bookingId);
+    assert.equal(booking.tour_id, 'tour-1');
+    assert.equal(booking.guide_id, guide.id);
+    assert.equal(booking.group_size, 2);
+    assert.equal(booking.total_price, 80);
+    assert.equal(booking.status, 'confirmed');
+    assert.equal(booking.payment_status, 'paid');
+    assert.equal(booking.checkout_session_id, 'cs_test_1');
+
+    const buyer = supabase.rows('users').find((user) => user.email === 'buyer@example.com');
+    assert.ok(buyer, 'the buyer account is created');
+    assert.equal(booking.user_id, buyer.id);
+
+    assert.equal(supabase.rows('notifications')[0].user_id, guide.id);
+    assert.deepEqual(mail.emails.map((email) => email.to), ['guide@example.com', 'buyer@example.com']);
+  });
+
+  test('a self-guided purchase of a known tour is booked at the PDF price', async () => {
+    const res = await deliver(checkoutEvent({
+      metadata: { tourId: 'tour-1', tourType: 'self-guided', email: 'buyer@example.com' }
+    }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.type, 'self-guided');
+    assert.equal(supabase.rows('tour_bookings')[0].total_price, 12);
+  });
+
+  test('a self-guided purchase without a tour is acknowledged without a booking', async () => {
+    const res = await deliver(checkoutEvent({ metadata: { tourType: 'self-guided', city: 'Lisbon' } }));
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body.message, /AI-generated itinerary/);
+    assert.equal(supabase.rows('tour_bookings').length, 0);
+  });
+
+  test('guided purchases need a date', async () => {
+    const res = await deliver(checkoutEvent({ metadata: { tourId: 'tour-1', tourType: 'with-guide' } }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.skipped, 'missing_selectedDate');
+    assert.equal(supabase.rows('tour_bookings').length, 0);
+  });
+
+  test('rejects sessions with a malformed id', async () => {
+    const res = await deliver(checkoutEvent({ id: 'not_a_session', metadata: {} }));
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('acknowledges other event types', async () => {
+    const res = await deliver({ id: 'evt_test_2', object: 'event', type: 'payment_intent.created', data: { object: {} } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.eventType, 'payment_intent.created');
+  });
+
+  test('answers 405 to anything but POST', async () => {
+    const res = await invoke(handler, { method: 'GET' });
+    assert.equal(res.statusCode, 405);
+  });
+});
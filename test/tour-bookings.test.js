@@ -0,0 +1,209 @@
+import { authHeader, installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/tour-bookings.js';
+
+const guide = { id: 'guide-1', name: 'Guide', email: 'guide@example.com', role: 'guide', is_active: true };
+const customer = { id: 'customer-1', name: 'Customer', email: 'customer@example.com', role: 'user', is_active: true };
+const stranger = { id: 'stranger-1', name: 'Stranger', email: 'stranger@example.com', role: 'user', is_active: true };
+
+let supabase;
+
+const seedTables = () => ({
+  users: [guide, customer, stranger],
+  cities: [{ id: 'city-1', name: 'Lisbon' }],
+  tours: [{ id: 'tour-1', title: 'Old Town Walk', city_id: 'city-1', guide_id: guide.id, price_guided: 40, currency: 'EUR', meta: { meeting_point: 'Main square' } }],
+  tour_availability_slots: [
+    { id: 'slot-1', tour_id: 'tour-1', date: '2030-06-01', max_group_size: 5, booked_spots: 3, is_available: true, is_blocked: false },
+    { id: 'slot-2', tour_id: 'tour-1', date: '2030-06-02', max_group_size: 5, booked_spots: 0, is_available: false, is_blocked: true }
+  ],
+  tour_bookings: []
+});
+
+beforeEach(() => {
+  ({ supabase } = installFakes({ tables: seedTables() }));
+});
+
+function createBooking(body, user = customer, extraHeaders = {}) {
+  return authHeader(user).then((headers) => invoke(handler, { method: 'POST', headers: { ...headers, ...extraHeaders }, body }));
+}
+
+describe('POST /api/tour-bookings', () => {
+  test('requires authentication', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { tour_id: 'tour-1', tour_date: '2030-06-01' } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('creates a pending booking priced per person', async () => {
+    const res = await createBooking({ tour_id: 'tour-1', tour_date: '2030-06-01', group_size: 2 });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.booking.total_price, 80);
+    assert.equal(res.body.booking.status, 'pending');
+
+    const [stored] = supabase.rows('tour_bookings');
+    assert.equal(stored.user_id, customer.id);
+    assert.equal(stored.guide_id, guide.id);
+    assert.equal(stored.meeting_point, 'Main square');
+    assert.equal(stored.currency, 'EUR');
+  });
+
+  test('rejects groups larger than the remaining spots', async () => {
+    const res = await createBooking({ tour_id: 'tour-1', tour_date: '2030-06-01', group_size: 3 });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Only 2 spots left/);
+    assert.equal(supabase.rows('tour_bookings').length, 0);
+  });
+
+  test('rejects blocked and unknown dates', async () => {
+    const blocked = await createBooking({ tour_id: 'tour-1', tour_date: '2030-06-02' });
+    const unknown = await createBooking({ tour_id: 'tour-1', tour_date: '2030-07-01' });
+
+    assert.equal(blocked.statusCode, 400);
+    assert.equal(unknown.statusCode, 400);
+  });
+
+  test('returns 404 for a missing tour', async () => {
+    const res = await createBooking({ tour_id: 'missing', tour_date: '2030-06-01' });
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe('POST /api/tour-bookings with an Idempotency-Key', () => {
+  const body = { tour_id: 'tour-1', tour_date: '2030-06-01', group_size: 1 };
+  const key = { 'Idempotency-Key': 'booking-attempt-1' };
+
+  test('a repeat replays the first booking instead of creating another', async () => {
+    const first = await createBooking(body, customer, key);
+    const repeat = await createBooking({ group_size: 1, tour_date: '2030-06-01', tour_id: 'tour-1' }, customer, key);
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(repeat.statusCode, 201);
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(repeat.headers['idempotent-replayed'], 'true');
+    assert.equal(supabase.rows('tour_bookings').length, 1);
+  });
+
+  test('the same key with a different payload is rejected', async () => {
+    await createBooking(body, customer, key);
+    const res = await createBooking({ ...body, group_size: 2 }, customer, key);
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(supabase.rows('tour_bookings').length, 1);
+  });
+
+  test('keys are per user', async () => {
+    await createBooking(body, customer, key);
+    const res = await createBooking(body, stranger, key);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.headers['idempotent-replayed'], undefined);
+    assert.equal(supabase.rows('tour_bookings').length, 2);
+  });
+
+  test('failed attempts are not stored, so the key can be retried', async () => {
+    supabase.failTable('tour_bookings', { message: 'connection reset' });
+    const failed = await createBooking(body, customer, key);
+    supabase.failTable('tour_bookings', null);
+    const retried = await createBooking(body, customer, key);
+
+    assert.equal(failed.statusCode, 500);
+    assert.equal(retried.statusCode, 201);
+    assert.equal(supabase.rows('tour_bookings').length, 1);
+  });
+
+  test('works without Redis', async () => {
+    ({ supabase } = installFakes({ tables: seedTables(), redis: null }));
+    await createBooking(body, customer, key);
+    const repeat = await createBooking(body, customer, key);
+
+    assert.equal(repeat.headers['idempotent-replayed'], 'true');
+    assert.equal(supabase.rows('tour_bookings').length, 1);
+  });
+});
+
+describe('GET /api/tour-bookings', () => {
+  beforeEach(() => {
+    supabase.rows('tour_bookings').push(
+      { id: 'booking-1', tour_id: 'tour-1', user_id: customer.id, guide_id: guide.id, status: 'pending', created_at: '2030-01-01T00:00:00Z' },
+      { id: 'booking-2', tour_id: 'tour-1', user_id: stranger.id, guide_id: guide.id, status: 'confirmed', created_at: '2030-01-02T00:00:00Z' }
+    );
+  });
+
+  test('customers only see their own bookings, with tour and people embedded', async () => {
+    const res = await invoke(handler, { method: 'GET', headers: await authHeader(customer) });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.bookings.map((booking) => booking.id), ['booking-1']);
+    assert.equal(res.body.bookings[0].tour_title, 'Old Town Walk');
+    assert.equal(res.body.bookings[0].tour_city, 'Lisbon');
+    assert.equal(res.body.bookings[0].customer_name, 'Customer');
+    assert.equal(res.body.bookings[0].guide_name, 'Guide');
+  });
+
+  test('guides see bookings for their tours, newest first', async () => {
+    const res = await invoke(handler, { method: 'GET', headers: await authHeader(guide) });
+    assert.deepEqual(res.body.bookings.map((booking) => booking.id), ['booking-2', 'booking-1']);
+  });
+
+  test("refuses to list another guide's bookings", async () => {
+    const res = await invoke(handler, { method: 'GET', query: { guide_id: guide.id }, headers: await authHeader(customer) });
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe('PUT and DELETE /api/tour-bookings', () => {
+  beforeEach(() => {
+    supabase.rows('tour_bookings').push({
+      id: 'booking-1', tour_id: 'tour-1', user_id: customer.id, guide_id: guide.id, status: 'pending', guide_notes: null
+    });
+  });
+
+  test('the guide confirms a booking', async () => {
+    const res = await invoke(handler, {
+      method: 'PUT',
+      query: { booking_id: 'booking-1' },
+      body: { status: 'confirmed', guide_notes: 'See you there' },
+      headers: await authHeader(guide)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.booking.status, 'confirmed');
+    assert.ok(res.body.booking.confirmed_at);
+    assert.equal(res.body.booking.guide_notes, 'See you there');
+  });
+
+  test('the customer can edit notes but not the status', async () => {
+    const res = await invoke(handler, {
+      method: 'PUT',
+      query: { booking_id: 'booking-1' },
+      body: { status: 'confirmed', customer_notes: 'Vegetarian' },
+      headers: await authHeader(customer)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.booking.status, 'pending');
+    assert.equal(res.body.booking.customer_notes, 'Vegetarian');
+  });
+
+  test('strangers cannot cancel a booking', async () => {
+    const res = await invoke(handler, { method: 'DELETE', query: { booking_id: 'booking-1' }, body: {}, headers: await authHeader(stranger) });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(supabase.rows('tour_bookings')[0].status, 'pending');
+  });
+
+  test('the customer cancels with a reason', async () => {
+    const res = await invoke(handler, {
+      method: 'DELETE',
+      query: { booking_id: 'booking-1' },
+      body: { cancellation_reason: 'Sick' },
+      headers: await authHeader(customer)
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.booking.status, 'cancelled');
+    assert.equal(res.body.booking.guide_notes, 'Cancellation: Sick');
+  });
+});
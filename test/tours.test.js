@@ -0,0 +1,107 @@
+import { installFakes, invoke } from './helpers.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/tours.js';
+
+const TOUR_ID = '11111111-1111-4111-8111-111111111111';
+const GUIDED_TOUR_ID = '22222222-2222-4222-8222-222222222222';
+const DRAFT_TOUR_ID = '33333333-3333-4333-8333-333333333333';
+
+beforeEach(() => {
+  installFakes({
+    tables: {
+      cities: [{ id: 'city-1', name: 'Lisbon' }, { id: 'city-2', name: 'Porto' }],
+      guides: [{ id: 'guide-1', name: 'Ana', avatar_url: 'https://example.com/ana.jpg', city: 'Lisbon', interests: [] }],
+      tags: [{ id: 'tag-1', name: 'Food' }],
+      interests: [{ id: 'interest-1', name: 'Street food', category_id: 'cat-1' }],
+      tours: [
+        {
+          id: TOUR_ID, title: 'Lisbon Bites', city_id: 'city-1', guide_id: 'guide-1', status: 'approved',
+          default_format: 'self_guided', price_pdf: 12, preview_media_url: 'https://example.com/bites.jpg',
+          created_at: '2030-01-02T00:00:00Z'
+        },
+        {
+          id: GUIDED_TOUR_ID, title: 'Porto by Night', city_id: 'city-2', guide_id: 'guide-1', status: 'approved',
+          default_format: 'with_guide', price_guided: 45, default_group_size: 6, created_at: '2030-01-01T00:00:00Z'
+        },
+        { id: DRAFT_TOUR_ID, title: 'Unfinished', city_id: 'city-1', status: 'draft', created_at: '2030-01-03T00:00:00Z' }
+      ],
+      tour_tags: [{ id: 'tt-1', tour_id: TOUR_ID, tag_id: 'tag-1', interest_id: 'interest-1' }],
+      tour_availability_slots: [
+        { id: 'slot-1', tour_id: GUIDED_TOUR_ID, date: '2030-05-01', max_group_size: 6, booked_spots: 2, is_available: true, is_blocked: false }
+      ]
+    }
+  });
+});
+
+describe('GET /api/tours (list)', () => {
+  test('returns approved tours, newest first, with city and guide', async () => {
+    const res = await invoke(handler, { method: 'GET', query: {} });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.tours.map((tour) => tour.id), [TOUR_ID, GUIDED_TOUR_ID]);
+    assert.equal(res.body.tours[0].city, 'Lisbon');
+    assert.equal(res.body.tours[0].guide.name, 'Ana');
+    assert.equal(res.body.tours[0].preview, 'https://example.com/bites.jpg');
+    assert.deepEqual(res.body.tours[0].tour_tags.map((tourTag) => tourTag.tag.name), ['Food']);
+    assert.equal(res.body.tours[1].format, 'guided');
+    assert.match(res.headers['cache-control'], /s-maxage/);
+  });
+
+  test('filters by city name, case-insensitively', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { city: 'porto' } });
+    assert.deepEqual(res.body.tours.map((tour) => tour.id), [GUIDED_TOUR_ID]);
+  });
+
+  test('returns an empty list for an unknown city', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { city: 'Atlantis' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.tours, []);
+  });
+
+  test('paginates with limit and offset', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { limit: '1', offset: '1' } });
+
+    assert.deepEqual(res.body.tours.map((tour) => tour.id), [GUIDED_TOUR_ID]);
+    assert.equal(res.body.limit, 1);
+    assert.equal(res.body.offset, 1);
+  });
+});
+
+describe('GET /api/tours?id=', () => {
+  test('rejects malformed ids', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { id: 'not-a-uuid' } });
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('returns 404 for an unknown tour', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { id: '44444444-4444-4444-8444-444444444444' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  test('returns a tour with its interests and guide', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { id: TOUR_ID } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tour.title, 'Lisbon Bites');
+    assert.equal(res.body.tour.city, 'Lisbon');
+    assert.equal(res.body.tour.price.pdfPrice, 12);
+    assert.equal(res.body.tour.guide.name, 'Ana');
+    assert.deepEqual(res.body.tour.tour_tags.map((tourTag) => tourTag.interest_id), ['interest-1']);
+  });
+
+  test('guided tours include the next available date', async () => {
+    const res = await invoke(handler, { method: 'GET', query: { id: GUIDED_TOUR_ID } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tour.withGuide, true);
+    assert.equal(res.body.tour.availability.next_available_date, '2030-05-01');
+    assert.equal(res.body.tour.availability.available_spots, 4);
+  });
+
+  test('only GET is allowed', async () => {
+    const res = await invoke(handler, { method: 'POST', query: {} });
+    assert.equal(res.statusCode, 405);
+  });
+});